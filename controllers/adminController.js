@@ -1,6 +1,20 @@
-import Customer from '../models/Customer.js';
+import Customer, { QUEUE_NUMBER_COUNTER_PREFIX, ACTIVE_QUEUE_STATUSES } from '../models/Customer.js';
 import Queue from '../models/Queue.js';
+import Counter from '../models/Counter.js';
+import BillingCounter from '../models/BillingCounter.js';
+import AuditLog, { AUDIT_ACTIONS } from '../models/AuditLog.js';
+import CouponRedemption from '../models/CouponRedemption.js';
+import Refund from '../models/Refund.js';
 import { getQueueStatistics } from '../utils/queueManager.js';
+import { subscribeToQueueEvents, publishQueueEvent, QUEUE_EVENTS } from '../utils/queueEvents.js';
+import { openSSEStream, coalesce } from '../utils/sse.js';
+import { recordAudit, snapshotCustomer } from '../utils/auditLog.js';
+import { getCustomerIdCounterName, getLastCustomerNumber } from '../utils/customerIdGenerator.js';
+import { TAX_SUM_FIELDS, formatTaxTotals } from '../utils/invoices.js';
+import { getBusinessDate } from '../utils/businessDay.js';
+import { roundMoney } from '../utils/cartItems.js';
+import { getVisitSummary, getVisits } from '../utils/visitHistory.js';
+import { buildPhoneSearch, getDefaultPhoneRegion } from '../utils/phoneNumbers.js';
 
 /**
  * Admin Controller
@@ -10,22 +24,26 @@ import { getQueueStatistics } from '../utils/queueManager.js';
  * - Comprehensive dashboard with real-time metrics
  * - Analytics and reporting capabilities
  * - System health monitoring
+ * - Scoped to req.store; cross-store rollup lives in storeController
  */
 
 /**
  * @desc    Get admin dashboard data
  * @route   GET /api/admin/dashboard
- * @access  Admin
+ * @access  Manager
  * 
  * Returns comprehensive dashboard metrics:
  * - Active queue
  * - Queue statistics
  * - Customer statistics
- * - Revenue data
+ * - Revenue data (gross, discounts, net)
+ * - Promotions: coupon redemptions and discount cost
+ * - Per-counter throughput
  * - System health
  */
 export const getAdminDashboard = async (req, res) => {
   try {
+    const scope = { storeId: req.store.storeId };
     const today = new Date();
     today.setHours(0, 0, 0, 0);
 
@@ -35,19 +53,22 @@ export const getAdminDashboard = async (req, res) => {
       queueStats,
       customerStats,
       todayStats,
-      revenueData
+      revenueData,
+      promotionData,
+      counterStats
     ] = await Promise.all([
       // Active queue
       Customer.find({
-        status: { $in: ['WAITING', 'BILLED'] }
+        ...scope,
+        status: { $in: ACTIVE_QUEUE_STATUSES }
       })
-        .select('customerId name phone queueNumber cartTotal status createdAt')
-        .sort({ queueNumber: 1 })
+        .select('customerId name phone queueNumber cartTotal priority status counterNumber createdAt')
+        .sort({ serviceOrder: 1, queueNumber: 1 })
         .lean()
         .catch(() => []),
 
       // Queue statistics
-      getQueueStatistics().catch(() => ({
+      getQueueStatistics(scope).catch(() => ({
         activeQueueSize: 0,
         totalServed: 0,
         averageWaitTime: 0,
@@ -55,7 +76,7 @@ export const getAdminDashboard = async (req, res) => {
       })),
 
       // Customer statistics
-      Customer.getStatistics().catch(() => ({
+      Customer.getStatistics(scope).catch(() => ({
         total: 0,
         waiting: 0,
         billed: 0,
@@ -63,18 +84,29 @@ export const getAdminDashboard = async (req, res) => {
       })),
 
       // Today's statistics
-      getTodayStatistics(today).catch(() => ({
+      getTodayStatistics(scope, today).catch(() => ({
         registered: 0,
         billed: 0,
         verified: 0,
+        cancelled: 0,
         pending: 0
       })),
 
       // Revenue data
-      getRevenueData(today).catch(() => ({
+      getRevenueData(scope, today).catch(() => ({
         today: { revenue: 0, transactions: 0, averageCartValue: 0 },
         total: { revenue: 0, transactions: 0, averageCartValue: 0 }
-      }))
+      })),
+
+      // Coupon redemptions and discount cost
+      getPromotionData(scope, today).catch(() => ({
+        today: { redemptions: 0, discountCost: 0 },
+        total: { redemptions: 0, discountCost: 0 },
+        topCoupons: []
+      })),
+
+      // Per-counter throughput (today)
+      getCounterThroughput(scope, { billedAt: { $gte: today } }).catch(() => [])
     ]);
 
     res.status(200).json({
@@ -88,7 +120,9 @@ export const getAdminDashboard = async (req, res) => {
           queue: queueStats,
           customers: customerStats,
           today: todayStats,
-          revenue: revenueData
+          revenue: revenueData,
+          promotions: promotionData,
+          counters: counterStats
         },
         systemHealth: {
           status: 'OPERATIONAL',
@@ -108,21 +142,73 @@ export const getAdminDashboard = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Stream live dashboard updates
+ * @route   GET /api/admin/stream
+ * @access  Manager
+ * 
+ * Server-Sent Events:
+ * - `snapshot`: queue + customer statistics, sent on connect and after changes
+ * - `queue-event`: the raw event (type, customerId, counterNumber, occurredAt)
+ * 
+ * Replaces polling /api/queue/current from the dashboard.
+ * Only the store's own events are streamed.
+ */
+export const streamDashboard = async (req, res) => {
+  try {
+    const { storeId } = req.store;
+    const stream = openSSEStream(req, res);
+
+    const sendSnapshot = coalesce(async () => {
+      if (stream.isClosed()) return;
+
+      const [queue, customers] = await Promise.all([
+        getQueueStatistics({ storeId }),
+        Customer.getStatistics({ storeId })
+      ]);
+
+      stream.send('snapshot', { queue, customers, timestamp: new Date() });
+    });
+
+    stream.onClose(subscribeToQueueEvents((event) => {
+      stream.send('queue-event', event);
+      sendSnapshot();
+    }, { storeId }));
+
+    await sendSnapshot();
+
+  } catch (error) {
+    console.error('Stream Dashboard Error:', error);
+    res.end();
+  }
+};
+
 /**
  * Helper: Get today's statistics
+ * 
+ * @param {Object} scope - Store filter ({ storeId })
+ * @param {Date} today - Start of day
  */
-const getTodayStatistics = async (today) => {
-  const [registered, billed, verified] = await Promise.all([
+const getTodayStatistics = async (scope, today) => {
+  const [registered, billed, verified, cancelled] = await Promise.all([
     Customer.countDocuments({
+      ...scope,
       createdAt: { $gte: today }
     }).catch(() => 0),
     Customer.countDocuments({
+      ...scope,
       status: { $in: ['BILLED', 'VERIFIED'] },
       billedAt: { $gte: today }
     }).catch(() => 0),
     Customer.countDocuments({
+      ...scope,
       status: 'VERIFIED',
       verifiedAt: { $gte: today }
+    }).catch(() => 0),
+    Customer.countDocuments({
+      ...scope,
+      status: 'CANCELLED',
+      cancelledAt: { $gte: today }
     }).catch(() => 0)
   ]);
 
@@ -130,18 +216,39 @@ const getTodayStatistics = async (today) => {
     registered,
     billed,
     verified,
-    pending: registered - verified
+    cancelled,
+    pending: registered - verified - cancelled
   };
 };
 
+/**
+ * $group fields: revenue before discounts and discounts given
+ * (bills from before coupons have no subtotal: their total was gross)
+ */
+const REVENUE_DISCOUNT_FIELDS = {
+  gross: { $sum: { $ifNull: ['$subtotal', '$cartTotal'] } },
+  discounts: { $sum: '$discount' }
+};
+
 /**
  * Helper: Get revenue data
+ * Revenue is net of discounts and refunds:
+ * revenue = grossRevenue - discounts - refunds (refunds dated when given)
+ * 
+ * @param {Object} scope - Store filter ({ storeId })
+ * @param {Date} today - Start of day
  */
-const getRevenueData = async (today) => {
-  const [todayRevenue, totalRevenue] = await Promise.all([
+const getRevenueData = async (scope, today) => {
+  const sumRefunds = (match) => Refund.aggregate([
+    { $match: match },
+    { $group: { _id: null, amount: { $sum: '$amount' }, count: { $sum: 1 } } }
+  ]).catch(() => []);
+
+  const [todayRevenue, totalRevenue, todayRefunds, totalRefunds] = await Promise.all([
     Customer.aggregate([
       {
         $match: {
+          ...scope,
           status: { $in: ['BILLED', 'VERIFIED'] },
           billedAt: { $gte: today }
         }
@@ -151,13 +258,16 @@ const getRevenueData = async (today) => {
           _id: null,
           total: { $sum: '$cartTotal' },
           count: { $sum: 1 },
-          average: { $avg: '$cartTotal' }
+          average: { $avg: '$cartTotal' },
+          ...REVENUE_DISCOUNT_FIELDS,
+          ...TAX_SUM_FIELDS
         }
       }
     ]).catch(() => []),
     Customer.aggregate([
       {
         $match: {
+          ...scope,
           status: { $in: ['BILLED', 'VERIFIED'] }
         }
       },
@@ -165,43 +275,193 @@ const getRevenueData = async (today) => {
         $group: {
           _id: null,
           total: { $sum: '$cartTotal' },
-          count: { $sum: 1 }
+          count: { $sum: 1 },
+          ...REVENUE_DISCOUNT_FIELDS,
+          ...TAX_SUM_FIELDS
         }
       }
-    ]).catch(() => [])
+    ]).catch(() => []),
+    sumRefunds({ ...scope, refundedAt: { $gte: today } }),
+    sumRefunds(scope)
   ]);
 
   const today_data = (todayRevenue && todayRevenue[0]) || { total: 0, count: 0, average: 0 };
   const total_data = (totalRevenue && totalRevenue[0]) || { total: 0, count: 0 };
+  const today_refunds = todayRefunds[0] || { amount: 0, count: 0 };
+  const total_refunds = totalRefunds[0] || { amount: 0, count: 0 };
 
   return {
     today: {
-      revenue: today_data.total,
+      revenue: roundMoney(today_data.total - today_refunds.amount),
+      grossRevenue: roundMoney(today_data.gross || 0),
+      discounts: roundMoney(today_data.discounts || 0),
+      refunds: roundMoney(today_refunds.amount),
+      refundCount: today_refunds.count,
       transactions: today_data.count,
-      averageCartValue: Math.round(today_data.average || 0)
+      averageCartValue: Math.round(today_data.average || 0),
+      tax: formatTaxTotals(today_data)
     },
     total: {
-      revenue: total_data.total,
+      revenue: roundMoney(total_data.total - total_refunds.amount),
+      grossRevenue: roundMoney(total_data.gross || 0),
+      discounts: roundMoney(total_data.discounts || 0),
+      refunds: roundMoney(total_refunds.amount),
+      refundCount: total_refunds.count,
       transactions: total_data.count,
       averageCartValue: total_data.count > 0 
         ? Math.round(total_data.total / total_data.count)
-        : 0
+        : 0,
+      tax: formatTaxTotals(total_data)
     }
   };
 };
 
+/**
+ * Helper: Get promotion data
+ * Coupon redemptions (completed bills only) and what they cost
+ * 
+ * @param {Object} scope - Store filter ({ storeId })
+ * @param {Date} today - Start of day
+ */
+const getPromotionData = async (scope, today) => {
+  const summarize = (match) => CouponRedemption.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: null,
+        redemptions: { $sum: 1 },
+        discountCost: { $sum: '$discount' },
+        discountedSales: { $sum: '$subtotal' },
+        phones: { $addToSet: '$phone' }
+      }
+    }
+  ]);
+
+  const [todayData, totalData, topCoupons] = await Promise.all([
+    summarize({ ...scope, redeemedAt: { $gte: today } }),
+    summarize(scope),
+    CouponRedemption.aggregate([
+      { $match: scope },
+      {
+        $group: {
+          _id: '$code',
+          redemptions: { $sum: 1 },
+          discountCost: { $sum: '$discount' },
+          lastRedeemedAt: { $max: '$redeemedAt' }
+        }
+      },
+      { $sort: { redemptions: -1, discountCost: -1 } },
+      { $limit: 5 }
+    ])
+  ]);
+
+  const format = (data) => ({
+    redemptions: data ? data.redemptions : 0,
+    uniqueCustomers: data ? data.phones.length : 0,
+    discountCost: data ? roundMoney(data.discountCost) : 0,
+    discountedSales: data ? roundMoney(data.discountedSales) : 0,
+    averageDiscount: data && data.redemptions > 0
+      ? roundMoney(data.discountCost / data.redemptions)
+      : 0
+  });
+
+  return {
+    today: format(todayData[0]),
+    total: format(totalData[0]),
+    topCoupons: topCoupons.map(({ _id, discountCost, ...rest }) => ({
+      code: _id,
+      ...rest,
+      discountCost: roundMoney(discountCost)
+    }))
+  };
+};
+
+/**
+ * Helper: Get throughput per billing counter
+ * Customers billed, revenue and average service time (called -> billed)
+ * merged with each counter's current state
+ * 
+ * @param {Object} scope - Store filter ({ storeId })
+ * @param {Object} billedFilter - Extra match conditions (e.g. billedAt range)
+ */
+const getCounterThroughput = async (scope, billedFilter = {}) => {
+  const [throughput, counters] = await Promise.all([
+    Customer.aggregate([
+      {
+        $match: {
+          ...scope,
+          ...billedFilter,
+          status: { $in: ['BILLED', 'VERIFIED'] },
+          counterNumber: { $ne: null }
+        }
+      },
+      {
+        $group: {
+          _id: '$counterNumber',
+          customersBilled: { $sum: 1 },
+          revenue: { $sum: '$cartTotal' },
+          averageServiceTimeMs: {
+            $avg: {
+              $cond: [
+                { $and: ['$assignedAt', '$billedAt'] },
+                { $subtract: ['$billedAt', '$assignedAt'] },
+                null
+              ]
+            }
+          }
+        }
+      },
+      { $sort: { _id: 1 } }
+    ]),
+    BillingCounter.find(scope)
+      .select('counterNumber label status cashierName')
+      .sort({ counterNumber: 1 })
+      .lean()
+  ]);
+
+  const byCounter = new Map(throughput.map(entry => [entry._id, entry]));
+  const counterNumbers = new Set([
+    ...counters.map(counter => counter.counterNumber),
+    ...byCounter.keys()
+  ]);
+
+  return [...counterNumbers].sort((a, b) => a - b).map(counterNumber => {
+    const counter = counters.find(c => c.counterNumber === counterNumber);
+    const stats = byCounter.get(counterNumber);
+
+    return {
+      counterNumber,
+      label: counter ? counter.label : null,
+      status: counter ? counter.status : null,
+      cashierName: counter ? counter.cashierName : null,
+      customersBilled: stats ? stats.customersBilled : 0,
+      revenue: stats ? stats.revenue : 0,
+      averageServiceTime: stats && stats.averageServiceTimeMs
+        ? Math.round(stats.averageServiceTimeMs / 1000 / 60)
+        : 0 // in minutes
+    };
+  });
+};
+
 /**
  * @desc    Get customer details for admin
  * @route   GET /api/admin/customer/:customerId
- * @access  Admin
+ * @access  Manager
+ * 
+ * Includes the customer's previous visits (same phone) with their totals.
  */
 export const getCustomerDetailsForAdmin = async (req, res) => {
   try {
     const { customerId } = req.params;
 
-    const [customer, queueEntry] = await Promise.all([
-      Customer.findOne({ customerId }),
-      Queue.findOne({ customerId })
+    const { storeId } = req.store;
+
+    const [customer, queueEntry, auditTrail] = await Promise.all([
+      Customer.findOne({ customerId, storeId }),
+      Queue.findOne({ customerId, storeId }),
+      AuditLog.find({ storeId, entityType: 'Customer', entityId: customerId })
+        .sort({ createdAt: 1 })
+        .lean()
     ]);
 
     if (!customer) {
@@ -211,11 +471,21 @@ export const getCustomerDetailsForAdmin = async (req, res) => {
       });
     }
 
+    const visitScope = { excludeCustomerId: customer.customerId };
+    const [visitSummary, visits] = await Promise.all([
+      getVisitSummary(storeId, customer.phone, visitScope),
+      getVisits(storeId, customer.phone, visitScope)
+    ]);
+
     res.status(200).json({
       success: true,
       data: {
         customer,
         queue: queueEntry,
+        previousVisits: {
+          ...visitSummary,
+          visits
+        },
         timeline: {
           registered: customer.createdAt,
           billed: customer.billedAt,
@@ -223,7 +493,8 @@ export const getCustomerDetailsForAdmin = async (req, res) => {
           totalTime: customer.verifiedAt 
             ? Math.round((customer.verifiedAt - customer.createdAt) / 1000 / 60)
             : null
-        }
+        },
+        auditTrail
       }
     });
 
@@ -237,10 +508,96 @@ export const getCustomerDetailsForAdmin = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Get audit log
+ * @route   GET /api/admin/audit
+ * @access  Manager
+ * 
+ * Filters (all optional):
+ * - customerId, or entityType + entityId
+ * - action (comma-separated), actor (username), requestId
+ * - from / to (ISO dates, on createdAt)
+ * Newest first, paginated (limit max 200)
+ */
+export const getAuditLog = async (req, res) => {
+  try {
+    const { customerId, entityType, entityId, action, actor, requestId, from, to } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+    const query = { storeId: req.store.storeId };
+
+    if (customerId) {
+      query.entityType = 'Customer';
+      query.entityId = customerId;
+    } else {
+      if (entityType) query.entityType = entityType;
+      if (entityId) query.entityId = entityId;
+    }
+
+    if (action) {
+      const actions = String(action).split(',').map(a => a.trim().toUpperCase());
+      const unknown = actions.filter(a => !AUDIT_ACTIONS.includes(a));
+
+      if (unknown.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Unknown action(s): ${unknown.join(', ')}`
+        });
+      }
+
+      query.action = { $in: actions };
+    }
+
+    if (actor) query['actor.username'] = String(actor).toLowerCase();
+    if (requestId) query.requestId = requestId;
+
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = new Date(from);
+      if (to) query.createdAt.$lte = new Date(to);
+
+      if (Object.values(query.createdAt).some(date => isNaN(date))) {
+        return res.status(400).json({
+          success: false,
+          message: 'from/to must be valid dates'
+        });
+      }
+    }
+
+    const [entries, count] = await Promise.all([
+      AuditLog.find(query)
+        .sort({ createdAt: -1 })
+        .limit(limit)
+        .skip((page - 1) * limit)
+        .lean(),
+      AuditLog.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: entries,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(count / limit),
+        totalRecords: count
+      }
+    });
+
+  } catch (error) {
+    console.error('Get Audit Log Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch audit log',
+      error: error.message
+    });
+  }
+};
+
 /**
  * @desc    Search customers
  * @route   GET /api/admin/search
- * @access  Admin
+ * @access  Manager
  */
 export const searchCustomers = async (req, res) => {
   try {
@@ -253,14 +610,22 @@ export const searchCustomers = async (req, res) => {
       });
     }
 
-    let searchCriteria = {};
+    let searchCriteria = { storeId: req.store.storeId };
 
     switch (field) {
       case 'name':
         searchCriteria.name = { $regex: query, $options: 'i' };
         break;
       case 'phone':
-        searchCriteria.phone = { $regex: query };
+        // Full number: exact E.164 match; fragment: digits anywhere
+        searchCriteria.phone = buildPhoneSearch(query, getDefaultPhoneRegion(req.store));
+
+        if (!searchCriteria.phone) {
+          return res.status(400).json({
+            success: false,
+            message: 'Phone search needs at least one digit'
+          });
+        }
         break;
       case 'customerId':
         searchCriteria.customerId = { $regex: query, $options: 'i' };
@@ -294,15 +659,17 @@ export const searchCustomers = async (req, res) => {
 /**
  * @desc    Get analytics report
  * @route   GET /api/admin/analytics
- * @access  Admin
+ * @access  Manager
  */
 export const getAnalyticsReport = async (req, res) => {
   try {
     const { startDate, endDate } = req.query;
+    const scope = { storeId: req.store.storeId };
 
-    let dateFilter = {};
+    let dateFilter = { ...scope };
     if (startDate && endDate) {
       dateFilter = {
+        ...scope,
         createdAt: {
           $gte: new Date(startDate),
           $lte: new Date(endDate)
@@ -310,10 +677,16 @@ export const getAnalyticsReport = async (req, res) => {
       };
     }
 
+    const billedFilter = startDate && endDate
+      ? { billedAt: { $gte: new Date(startDate), $lte: new Date(endDate) } }
+      : {};
+
     const [
       customersByStatus,
       hourlyDistribution,
-      avgProcessingTime
+      avgProcessingTime,
+      throughputByCounter,
+      abandonment
     ] = await Promise.all([
       // Customers by status
       Customer.aggregate([
@@ -339,7 +712,19 @@ export const getAnalyticsReport = async (req, res) => {
       ]).catch(() => []),
 
       // Average processing time
-      calculateAvgProcessingTime(dateFilter).catch(() => 0)
+      calculateAvgProcessingTime(dateFilter).catch(() => 0),
+
+      // Throughput per billing counter
+      getCounterThroughput(scope, billedFilter).catch(() => []),
+
+      // Customers who left the queue
+      getAbandonmentStats(dateFilter).catch(() => ({
+        registered: 0,
+        cancelled: 0,
+        abandonmentRate: 0,
+        averageTimeToAbandon: 0,
+        byActor: { CUSTOMER: 0, STAFF: 0 }
+      }))
     ]);
 
     res.status(200).json({
@@ -347,7 +732,9 @@ export const getAnalyticsReport = async (req, res) => {
       data: {
         customersByStatus,
         hourlyDistribution,
-        averageProcessingTime: avgProcessingTime
+        averageProcessingTime: avgProcessingTime,
+        throughputByCounter,
+        abandonment
       }
     });
 
@@ -361,6 +748,129 @@ export const getAnalyticsReport = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Daily GST report
+ * @route   GET /api/admin/tax-report
+ * @access  Manager
+ * 
+ * Query: from, to (YYYY-MM-DD store dates, default today)
+ * Per day of billing: invoice count and range, taxable value,
+ * CGST/SGST/IGST, total tax and invoice value, plus a per-rate breakdown.
+ */
+export const getTaxReport = async (req, res) => {
+  try {
+    const timezone = req.store.timezone || process.env.STORE_TIMEZONE || 'UTC';
+    const today = getBusinessDate(new Date(), timezone);
+    const from = req.query.from || today;
+    const to = req.query.to || from;
+    const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+
+    if (!datePattern.test(from) || !datePattern.test(to) || from > to) {
+      return res.status(400).json({
+        success: false,
+        message: 'from/to must be YYYY-MM-DD dates with from <= to'
+      });
+    }
+
+    // Coarse UTC window (any timezone offset fits in a day either side),
+    // then an exact match on the store-local billing date
+    const dayMs = 24 * 60 * 60 * 1000;
+    const pipeline = [
+      {
+        $match: {
+          storeId: req.store.storeId,
+          status: { $in: ['BILLED', 'VERIFIED'] },
+          invoiceNumber: { $type: 'string' },
+          billedAt: {
+            $gte: new Date(new Date(from).getTime() - dayMs),
+            $lt: new Date(new Date(to).getTime() + 2 * dayMs)
+          }
+        }
+      },
+      {
+        $addFields: {
+          day: { $dateToString: { format: '%Y-%m-%d', date: '$billedAt', timezone } }
+        }
+      },
+      { $match: { day: { $gte: from, $lte: to } } }
+    ];
+
+    const [result] = await Customer.aggregate([
+      ...pipeline,
+      {
+        $facet: {
+          days: [
+            {
+              $group: {
+                _id: '$day',
+                invoices: { $sum: 1 },
+                firstInvoice: { $min: '$invoiceNumber' },
+                lastInvoice: { $max: '$invoiceNumber' },
+                invoiceValue: { $sum: '$cartTotal' },
+                ...TAX_SUM_FIELDS
+              }
+            },
+            { $sort: { _id: 1 } }
+          ],
+          rates: [
+            { $unwind: '$tax.byRate' },
+            {
+              $group: {
+                _id: { day: '$day', rate: '$tax.byRate.rate' },
+                taxableValue: { $sum: '$tax.byRate.taxableValue' },
+                cgst: { $sum: '$tax.byRate.cgst' },
+                sgst: { $sum: '$tax.byRate.sgst' },
+                igst: { $sum: '$tax.byRate.igst' },
+                totalTax: { $sum: '$tax.byRate.tax' }
+              }
+            },
+            { $sort: { '_id.day': 1, '_id.rate': 1 } }
+          ]
+        }
+      }
+    ]);
+
+    const days = result.days.map(day => ({
+      businessDate: day._id,
+      invoices: day.invoices,
+      firstInvoice: day.firstInvoice,
+      lastInvoice: day.lastInvoice,
+      ...formatTaxTotals(day),
+      invoiceValue: Math.round(day.invoiceValue * 100) / 100,
+      byRate: result.rates
+        .filter(rate => rate._id.day === day._id)
+        .map(rate => ({ rate: rate._id.rate, ...formatTaxTotals(rate) }))
+    }));
+
+    const totals = formatTaxTotals(Object.fromEntries(
+      Object.keys(TAX_SUM_FIELDS).map(field => [field, days.reduce((sum, day) => sum + day[field], 0)])
+    ));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        from,
+        to,
+        timezone,
+        days,
+        totals: {
+          invoices: days.reduce((sum, day) => sum + day.invoices, 0),
+          ...totals,
+          invoiceValue: Math.round(days.reduce((sum, day) => sum + day.invoiceValue, 0) * 100) / 100
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get Tax Report Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build tax report',
+      error: error.message
+    });
+  }
+};
+
 /**
  * Helper: Calculate average processing time
  */
@@ -384,16 +894,294 @@ const calculateAvgProcessingTime = async (dateFilter) => {
   return Math.round(totalTime / customers.length / 1000 / 60); // in minutes
 };
 
+/**
+ * Helper: Abandonment statistics
+ * Share of registered customers who left the queue, and how long they
+ * waited before giving up (registration -> cancellation, minutes)
+ * 
+ * @param {Object} dateFilter - Store scope plus optional createdAt range
+ */
+const getAbandonmentStats = async (dateFilter) => {
+  const [result] = await Customer.aggregate([
+    { $match: dateFilter },
+    {
+      $group: {
+        _id: null,
+        registered: { $sum: 1 },
+        cancelled: { $sum: { $cond: [{ $eq: ['$status', 'CANCELLED'] }, 1, 0] } },
+        byCustomer: {
+          $sum: { $cond: [{ $and: [{ $eq: ['$status', 'CANCELLED'] }, { $eq: ['$cancelledBy', 'CUSTOMER'] }] }, 1, 0] }
+        },
+        averageTimeToAbandonMs: {
+          $avg: {
+            $cond: [
+              { $and: [{ $eq: ['$status', 'CANCELLED'] }, { $ne: ['$cancelledAt', null] }] },
+              { $subtract: ['$cancelledAt', '$createdAt'] },
+              null
+            ]
+          }
+        }
+      }
+    }
+  ]);
+
+  if (!result) {
+    return { registered: 0, cancelled: 0, abandonmentRate: 0, averageTimeToAbandon: 0, byActor: { CUSTOMER: 0, STAFF: 0 } };
+  }
+
+  return {
+    registered: result.registered,
+    cancelled: result.cancelled,
+    abandonmentRate: Math.round(result.cancelled / result.registered * 1000) / 10, // percent
+    averageTimeToAbandon: Math.round((result.averageTimeToAbandonMs || 0) / 1000 / 60 * 10) / 10, // minutes
+    byActor: {
+      CUSTOMER: result.byCustomer,
+      STAFF: result.cancelled - result.byCustomer
+    }
+  };
+};
+
+/**
+ * @desc    Extend a customer's QR validity
+ * @route   PATCH /api/admin/customer/:customerId/validity
+ * @access  Manager
+ * 
+ * Grants extra time on top of the QR expiry windows
+ * (e.g. customer held up at the billing counter).
+ * Extensions stack from the later of now and any existing extension.
+ */
+export const extendCustomerValidity = async (req, res) => {
+  try {
+    const { customerId } = req.params;
+    const minutes = req.body.minutes === undefined ? 30 : Number(req.body.minutes);
+
+    if (!Number.isFinite(minutes) || minutes <= 0 || minutes > 24 * 60) {
+      return res.status(400).json({
+        success: false,
+        message: 'Minutes must be a number between 1 and 1440'
+      });
+    }
+
+    const customer = await Customer.findOne({ customerId, storeId: req.store.storeId });
+
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer not found'
+      });
+    }
+
+    if (customer.status === 'VERIFIED' || customer.status === 'CANCELLED') {
+      return res.status(400).json({
+        success: false,
+        message: customer.status === 'VERIFIED'
+          ? 'Customer has already been verified and exited'
+          : 'Customer has left the queue',
+        currentStatus: customer.status
+      });
+    }
+
+    const now = new Date();
+    const base = customer.qrValidUntil && customer.qrValidUntil > now
+      ? customer.qrValidUntil
+      : now;
+
+    const before = snapshotCustomer(customer);
+    customer.qrValidUntil = new Date(base.getTime() + minutes * 60 * 1000);
+    await customer.save();
+
+    await recordAudit(req, {
+      action: 'QR_VALIDITY_EXTENDED',
+      entityType: 'Customer',
+      entityId: customer.customerId,
+      before,
+      after: snapshotCustomer(customer)
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'QR validity extended successfully',
+      data: {
+        customerId: customer.customerId,
+        status: customer.status,
+        qrValidUntil: customer.qrValidUntil
+      }
+    });
+
+  } catch (error) {
+    console.error('Extend Customer Validity Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to extend QR validity',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Helper: Get floor function for a managed sequence counter
+ * Returns a fn resolving the highest value already in use (the lowest
+ * value the counter can safely be reseeded to), or null if unknown.
+ * Only the given store's counters are managed; other stores' are unknown.
+ * 
+ * Managed counters:
+ * - customerId:<storeId>
+ * - queueNumber:<storeId>:<YYYY-MM-DD> (one per business day)
+ * 
+ * @param {string} name - Counter name
+ * @param {string} storeId - Store ID
+ */
+const getCounterFloor = (name, storeId) => {
+  if (name === getCustomerIdCounterName(storeId)) return () => getLastCustomerNumber(storeId);
+
+  const queueCounterPrefix = `${QUEUE_NUMBER_COUNTER_PREFIX}:${storeId}:`;
+  const businessDate = name.startsWith(queueCounterPrefix) ? name.slice(queueCounterPrefix.length) : null;
+
+  if (businessDate && /^\d{4}-\d{2}-\d{2}$/.test(businessDate)) {
+    return async () => {
+      const last = await Customer.findOne({ storeId, businessDate })
+        .sort({ queueNumber: -1 })
+        .select('queueNumber')
+        .lean();
+      return last ? last.queueNumber : 0;
+    };
+  }
+
+  return null;
+};
+
+/**
+ * @desc    Get sequence counters
+ * @route   GET /api/admin/counters
+ * @access  Manager
+ * 
+ * Shows last issued value and highest value in use for each of the
+ * store's counters
+ */
+export const getCounters = async (req, res) => {
+  try {
+    const { storeId } = req.store;
+    const counters = await Counter.find({
+      $or: [
+        { _id: getCustomerIdCounterName(storeId) },
+        // Anchored prefix (store IDs are [A-Z0-9_-]): served by the _id index
+        { _id: { $regex: `^${QUEUE_NUMBER_COUNTER_PREFIX}:${storeId}:` } }
+      ]
+    }).sort({ _id: 1 }).lean();
+    const byName = new Map(counters.map(counter => [counter._id, counter]));
+    const names = new Set([getCustomerIdCounterName(storeId), ...byName.keys()]);
+
+    const data = await Promise.all(
+      [...names]
+        .filter(name => getCounterFloor(name, storeId))
+        .map(async (name) => {
+          const counter = byName.get(name);
+          return {
+            name,
+            lastIssued: counter ? counter.seq : null,
+            highestInUse: await getCounterFloor(name, storeId)(),
+            updatedAt: counter ? counter.updatedAt : null
+          };
+        })
+    );
+
+    res.status(200).json({
+      success: true,
+      data
+    });
+
+  } catch (error) {
+    console.error('Get Counters Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch counters',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Reseed a sequence counter
+ * @route   PUT /api/admin/counters/:name
+ * @access  Manager
+ * 
+ * Sets the last issued value; the next registration gets value + 1.
+ * Rejects values below the highest value already in use, which would
+ * reissue existing numbers.
+ */
+export const reseedCounter = async (req, res) => {
+  try {
+    const { name } = req.params;
+    const value = Number(req.body.value);
+
+    const getFloor = getCounterFloor(name, req.store.storeId);
+
+    if (!getFloor) {
+      return res.status(404).json({
+        success: false,
+        message: `Unknown counter: ${name}`
+      });
+    }
+
+    if (!Number.isInteger(value) || value < 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Value must be a non-negative integer'
+      });
+    }
+
+    const highestInUse = await getFloor();
+
+    if (value < highestInUse) {
+      return res.status(400).json({
+        success: false,
+        message: `Value cannot be below the highest value in use (${highestInUse})`
+      });
+    }
+
+    const previous = await Counter.findById(name).select('seq').lean();
+    const counter = await Counter.reseed(name, value);
+
+    await recordAudit(req, {
+      action: 'COUNTER_RESEEDED',
+      entityType: 'Counter',
+      entityId: name,
+      before: { seq: previous ? previous.seq : null },
+      after: { seq: counter.seq, highestInUse }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Counter reseeded successfully',
+      data: {
+        name,
+        lastIssued: counter.seq,
+        nextValue: counter.seq + 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Reseed Counter Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reseed counter',
+      error: error.message
+    });
+  }
+};
+
 /**
  * @desc    Delete customer (admin only - use with caution)
  * @route   DELETE /api/admin/customer/:customerId
- * @access  Admin
+ * @access  Manager
  */
 export const deleteCustomer = async (req, res) => {
   try {
     const { customerId } = req.params;
 
-    const customer = await Customer.findOneAndDelete({ customerId });
+    const { storeId } = req.store;
+
+    const customer = await Customer.findOneAndDelete({ customerId, storeId });
 
     if (!customer) {
       return res.status(404).json({
@@ -403,7 +1191,16 @@ export const deleteCustomer = async (req, res) => {
     }
 
     // Also delete queue entry
-    await Queue.deleteOne({ customerId });
+    await Queue.deleteOne({ customerId, storeId });
+
+    await recordAudit(req, {
+      action: 'CUSTOMER_DELETED',
+      entityType: 'Customer',
+      entityId: customer.customerId,
+      before: snapshotCustomer(customer)
+    });
+
+    publishQueueEvent(QUEUE_EVENTS.CUSTOMER_REMOVED, { storeId, customerId: customer.customerId });
 
     res.status(200).json({
       success: true,
@@ -0,0 +1,400 @@
+import User, { USER_ROLES } from '../models/User.js';
+import AuthSession from '../models/AuthSession.js';
+import { generateToken } from '../middleware/auth.js';
+
+/**
+ * Auth Controller
+ * Staff login, token refresh, logout and account management
+ *
+ * Interview Points:
+ * - Short-lived access token (JWT) + long-lived rotating refresh token
+ * - Logout revokes the server-side session, so tokens die immediately
+ * - Refresh token reuse detection revokes the whole session
+ * - Same error for unknown user and wrong password (no user enumeration)
+ */
+
+const getRefreshTokenTTLDays = () => parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 7;
+
+/**
+ * Helper: Public view of a user
+ */
+const toUserResponse = (user) => ({
+  id: user._id,
+  username: user.username,
+  name: user.name,
+  role: user.role,
+  storeId: user.storeId,
+  active: user.active,
+  lastLoginAt: user.lastLoginAt
+});
+
+/**
+ * Helper: Issue access token for a session
+ */
+const issueAccessToken = (user, session) => generateToken({
+  sub: String(user._id),
+  sid: String(session._id),
+  username: user.username,
+  role: user.role,
+  storeId: user.storeId
+});
+
+/**
+ * Helper: Revoke every active session of a user
+ */
+const revokeUserSessions = (userId, reason) => AuthSession.updateMany(
+  { userId, revokedAt: null },
+  { $set: { revokedAt: new Date(), revokedReason: reason } }
+);
+
+/**
+ * @desc    Log in
+ * @route   POST /api/auth/login
+ * @access  Public
+ *
+ * Returns an access token (Authorization: Bearer) and a refresh token
+ */
+export const login = async (req, res) => {
+  try {
+    const { username, password } = req.body;
+
+    if (!username || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide username and password'
+      });
+    }
+
+    const user = await User.findOne({ username: String(username).toLowerCase() }).select('+password');
+    const passwordMatches = user ? await user.comparePassword(password) : false;
+
+    if (!user || !passwordMatches || !user.active) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid username or password'
+      });
+    }
+
+    const session = new AuthSession({
+      userId: user._id,
+      expiresAt: new Date(Date.now() + getRefreshTokenTTLDays() * 24 * 60 * 60 * 1000),
+      userAgent: req.headers['user-agent'] || null,
+      ip: req.ip || null
+    });
+    const refreshToken = session.issueRefreshToken();
+    await session.save();
+
+    user.lastLoginAt = new Date();
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged in successfully',
+      data: {
+        accessToken: issueAccessToken(user, session),
+        refreshToken,
+        refreshTokenExpiresAt: session.expiresAt,
+        user: toUserResponse(user)
+      }
+    });
+
+  } catch (error) {
+    console.error('Login Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Login failed',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Refresh access token
+ * @route   POST /api/auth/refresh
+ * @access  Public (requires refresh token)
+ *
+ * Rotates the refresh token: the old one stops working. Presenting an
+ * already-rotated token revokes the session (likely stolen token).
+ */
+export const refreshToken = async (req, res) => {
+  try {
+    const parsed = AuthSession.parseRefreshToken(req.body.refreshToken);
+
+    if (!parsed) {
+      return res.status(400).json({
+        success: false,
+        message: 'Valid refresh token is required'
+      });
+    }
+
+    const session = await AuthSession.findById(parsed.sessionId);
+
+    if (!session || !session.isActive()) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has expired or been revoked'
+      });
+    }
+
+    if (!session.matchesRefreshToken(parsed.secret)) {
+      await session.revoke('REFRESH_REUSE');
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token has already been used; session revoked'
+      });
+    }
+
+    const user = await User.findById(session.userId);
+
+    if (!user || !user.active) {
+      await session.revoke('USER_DISABLED');
+      return res.status(401).json({
+        success: false,
+        message: 'User account is disabled'
+      });
+    }
+
+    const newRefreshToken = session.issueRefreshToken();
+    session.lastRefreshedAt = new Date();
+    await session.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Token refreshed successfully',
+      data: {
+        accessToken: issueAccessToken(user, session),
+        refreshToken: newRefreshToken,
+        refreshTokenExpiresAt: session.expiresAt
+      }
+    });
+
+  } catch (error) {
+    console.error('Refresh Token Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to refresh token',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Log out (revoke current session)
+ * @route   POST /api/auth/logout
+ * @access  Authenticated
+ *
+ * The access token and refresh token of this session stop working at once
+ */
+export const logout = async (req, res) => {
+  try {
+    const session = req.user.sid ? await AuthSession.findById(req.user.sid) : null;
+
+    if (session && !session.revokedAt) {
+      await session.revoke('LOGOUT');
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+
+  } catch (error) {
+    console.error('Logout Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Logout failed',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get current user
+ * @route   GET /api/auth/me
+ * @access  Authenticated
+ */
+export const getMe = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.sub);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: toUserResponse(user)
+    });
+
+  } catch (error) {
+    console.error('Get Me Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch user',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get staff accounts
+ * @route   GET /api/auth/users
+ * @access  Manager
+ *
+ * Store managers see their own store's staff; head office sees everyone
+ */
+export const getUsers = async (req, res) => {
+  try {
+    const query = req.user.storeId ? { storeId: req.user.storeId } : {};
+
+    if (req.query.role) query.role = req.query.role;
+
+    const users = await User.find(query).sort({ storeId: 1, username: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: users.map(toUserResponse),
+      count: users.length
+    });
+
+  } catch (error) {
+    console.error('Get Users Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch users',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Create staff account
+ * @route   POST /api/auth/users
+ * @access  Manager
+ *
+ * Store managers can only create staff for their own store
+ */
+export const createUser = async (req, res) => {
+  try {
+    const { username, name, password, role } = req.body;
+    const storeId = req.user.storeId || req.body.storeId || null;
+
+    if (!username || !name || !password || !role) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide username, name, password and role'
+      });
+    }
+
+    if (!USER_ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Role must be one of: ${USER_ROLES.join(', ')}`
+      });
+    }
+
+    const user = await User.create({ username, name, password, role, storeId });
+
+    res.status(201).json({
+      success: true,
+      message: 'User created successfully',
+      data: toUserResponse(user)
+    });
+
+  } catch (error) {
+    console.error('Create User Error:', error);
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'Username already exists'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create user',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Update staff account (name, role, password, active)
+ * @route   PATCH /api/auth/users/:userId
+ * @access  Manager
+ *
+ * Disabling a user or changing their password or role revokes all of
+ * their sessions, so they must log in again.
+ */
+export const updateUser = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { name, role, password, active } = req.body;
+
+    const query = { _id: userId };
+    if (req.user.storeId) query.storeId = req.user.storeId;
+
+    const user = await User.findOne(query);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (role !== undefined && !USER_ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Role must be one of: ${USER_ROLES.join(', ')}`
+      });
+    }
+
+    if (name !== undefined) user.name = name;
+    if (role !== undefined) user.role = role;
+    if (password !== undefined) user.password = password;
+    if (active !== undefined) user.active = Boolean(active);
+
+    const mustRelogin = user.isModified('password') || user.isModified('role') ||
+      (user.isModified('active') && !user.active);
+
+    await user.save();
+
+    if (mustRelogin) {
+      await revokeUserSessions(user._id, user.active ? 'LOGOUT' : 'USER_DISABLED');
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'User updated successfully',
+      data: toUserResponse(user)
+    });
+
+  } catch (error) {
+    console.error('Update User Error:', error);
+
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update user',
+      error: error.message
+    });
+  }
+};
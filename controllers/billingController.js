@@ -1,35 +1,221 @@
 import Customer from '../models/Customer.js';
-import Queue from '../models/Queue.js';
+import BillingCounter from '../models/BillingCounter.js';
+import Payment, { PAYMENT_METHODS } from '../models/Payment.js';
+import Coupon from '../models/Coupon.js';
+import CouponRedemption from '../models/CouponRedemption.js';
+import Refund from '../models/Refund.js';
+import { recordAudit } from '../utils/auditLog.js';
+import {
+  canTransition,
+  checkTransition,
+  transitionCustomer,
+  illegalTransitionError,
+  sendTransitionError
+} from '../utils/customerLifecycle.js';
+import { normalizeCartItem, normalizeCartItems, roundMoney } from '../utils/cartItems.js';
+import { planTenders, summarizePayment } from '../utils/payments.js';
+import { issueReceipt, voidReceipt } from '../utils/receipts.js';
+import { applyTaxBreakdown, assignInvoiceNumber, TAX_SUM_FIELDS, formatTaxTotals } from '../utils/invoices.js';
+import { checkCouponEligibility, refreshCouponDiscount, getSubtotal } from '../utils/coupons.js';
+import {
+  RECEIPT_FORMATS,
+  renderReceiptText,
+  renderReceiptHtml,
+  renderReceiptPdf
+} from '../utils/receiptRenderer.js';
 
 /**
  * Billing Controller
  * Handles billing operations at checkout counters
  * 
  * Interview Points:
- * - State transition management (WAITING -> BILLED)
+ * - State transitions (-> BILLED, undo) go through customerLifecycle
  * - Timestamp tracking for analytics
  * - Atomic updates prevent race conditions
+ * - Every query is scoped to req.store (multi-store tenancy)
+ * - Cart items are edited at the till; totals always computed server-side
+ * - WAITING -> BILLED only once recorded payments cover cartTotal
+ * - Every bill gets a receipt numbered per store per day
+ * - GST breakdown and tax invoice number fixed at billing
+ * - One coupon per bill; its use is redeemed when billing completes
  */
 
+/**
+ * Helper: Apply a coupon code to a customer's cart (caller saves)
+ * 
+ * @returns {Promise<{ error: string|null, statusCode: number }>}
+ */
+const applyCouponCode = async (customer, code) => {
+  const coupon = await Coupon.findForStore(code, customer.storeId);
+
+  if (!coupon) {
+    return { error: 'Coupon not found', statusCode: 404 };
+  }
+
+  const check = await checkCouponEligibility(coupon, {
+    subtotal: getSubtotal(customer),
+    phone: customer.phone
+  });
+
+  if (!check.eligible) {
+    return { error: check.reason, statusCode: 400 };
+  }
+
+  customer.coupon = { couponId: coupon._id, code: coupon.code };
+  customer.discount = check.discount;
+  return { error: null, statusCode: 200 };
+};
+
+/**
+ * Helper: Re-evaluate an applied coupon after the cart changed
+ * 
+ * @returns {Promise<string|null>} Reason if the coupon was removed
+ */
+const syncCoupon = async (customer) => {
+  if (!customer.coupon) return null;
+
+  const removedReason = await refreshCouponDiscount(customer, customer.subtotal);
+  await customer.save();
+  return removedReason;
+};
+
+/**
+ * Helper: Redeem the applied coupon for a completed bill
+ * Claims one use atomically, then records the redemption
+ * 
+ * @returns {Promise<boolean>} false if the coupon's usage limit was reached
+ */
+const redeemCoupon = async (customer) => {
+  if (!customer.coupon) return true;
+
+  const claimed = await Coupon.claimRedemption(customer.coupon.couponId);
+  if (!claimed) return false;
+
+  await CouponRedemption.create({
+    storeId: customer.storeId,
+    couponId: customer.coupon.couponId,
+    code: customer.coupon.code,
+    customerId: customer.customerId,
+    phone: customer.phone,
+    subtotal: customer.subtotal,
+    discount: customer.discount
+  });
+
+  return true;
+};
+
+/**
+ * Helper: Give back a redeemed coupon use (bill undone or not completed)
+ */
+const releaseCoupon = async (customer) => {
+  const redemption = await CouponRedemption.findOneAndDelete({
+    storeId: customer.storeId,
+    customerId: customer.customerId
+  });
+
+  if (redemption) await Coupon.releaseRedemption(redemption.couponId);
+};
+
+/**
+ * Helper: Validate and record tenders against a customer's balance
+ * 
+ * @param {Object} req - Express request (store, staff)
+ * @param {Object} customer - Customer being paid for
+ * @param {Array} rawTenders - Tenders from the request body
+ * @param {number|null} counterNumber - Till taking the payment
+ * @returns {Promise<{ payments: Array|null, error: string|null, summary: Object }>}
+ */
+const recordTenders = async (req, customer, rawTenders, counterNumber = null) => {
+  const amountPaid = await Payment.getAmountPaid(customer.storeId, customer.customerId);
+  const before = summarizePayment(customer.cartTotal, amountPaid);
+
+  const plan = planTenders(rawTenders, before.balanceDue);
+  if (plan.error) return { payments: null, error: plan.error, summary: before };
+
+  const payments = await Payment.insertMany(plan.payments.map(payment => ({
+    ...payment,
+    storeId: customer.storeId,
+    customerId: customer.customerId,
+    counterNumber: counterNumber ?? customer.counterNumber,
+    receivedBy: req.user ? req.user.username : null
+  })));
+
+  const paidNow = payments.reduce((sum, payment) => sum + payment.amount, 0);
+  const summary = summarizePayment(customer.cartTotal, amountPaid + paidNow);
+
+  await recordAudit(req, {
+    action: 'PAYMENT_RECORDED',
+    entityType: 'Customer',
+    entityId: customer.customerId,
+    before,
+    after: {
+      ...summary,
+      tenders: payments.map(({ method, amount, tendered, change }) => ({ method, amount, tendered, change }))
+    }
+  });
+
+  return { payments, error: null, summary };
+};
+
+/**
+ * Helper: Tenders from a request body
+ * Either { payments: [...] } (split tender) or a single { method, amount, tendered, reference }
+ */
+const getTenders = (body) => {
+  if (Array.isArray(body.payments)) return body.payments;
+  if (body.method) return [{ method: body.method, amount: body.amount, tendered: body.tendered, reference: body.reference }];
+  return null;
+};
+
 /**
  * @desc    Mark customer as billed
  * @route   POST /api/billing/complete/:customerId
- * @access  Admin (Billing Counter)
+ * @access  Cashier, Manager
  * 
  * Process:
- * 1. Validate customer exists and is in WAITING state
- * 2. Update customer status to BILLED
- * 3. Record billing timestamp
- * 4. Return updated customer details
+ * 1. Validate customer exists and can be billed (WAITING or CALLED)
+ * 2. Resolve billing counter (body.counterNumber, else the assigned counter)
+ * 3. Replace cart with body.items / apply body.couponCode if given
+ * 4. Record body.payments if given (split tenders allowed)
+ * 5. Require payments to cover cartTotal (402 with balance otherwise)
+ * 6. Compute GST and assign the tax invoice number (body.placeOfSupply for IGST)
+ * 7. Update customer status to BILLED, recording timestamp and counter
+ * 8. Issue the numbered receipt
+ * 9. Free the counter for its next customer
+ * 10. Return updated customer details
  * 
  * Time Complexity: O(1) with indexed lookup
  */
 export const completeBilling = async (req, res) => {
   try {
     const { customerId } = req.params;
+    const { counterNumber, placeOfSupply } = req.body;
+    const { storeId } = req.store;
+
+    if (placeOfSupply !== undefined && placeOfSupply !== null && !/^\d{2}$/.test(String(placeOfSupply))) {
+      return res.status(400).json({
+        success: false,
+        message: 'placeOfSupply must be a 2-digit state code'
+      });
+    }
+
+    // Final scanned cart, if the till sends it in one go
+    let items = null;
+    if (req.body.items !== undefined) {
+      const cart = normalizeCartItems(req.body.items);
+
+      if (cart.error) {
+        return res.status(400).json({
+          success: false,
+          message: cart.error
+        });
+      }
+
+      items = cart.items;
+    }
 
     // Find customer
-    const customer = await Customer.findOne({ customerId });
+    let customer = await Customer.findOne({ customerId, storeId });
 
     if (!customer) {
       return res.status(404).json({
@@ -38,14 +224,9 @@ export const completeBilling = async (req, res) => {
       });
     }
 
-    // Validate current status
-    if (customer.status === 'VERIFIED') {
-      return res.status(400).json({
-        success: false,
-        message: 'Customer has already been verified and exited',
-        currentStatus: customer.status
-      });
-    }
+    // Validate current status (the lifecycle lets BILLED through: see below)
+    const refusal = await checkTransition(customer, 'BILL');
+    if (refusal) return sendTransitionError(res, refusal);
 
     // If already billed, return success (idempotent operation)
     if (customer.status === 'BILLED') {
@@ -57,13 +238,118 @@ export const completeBilling = async (req, res) => {
           name: customer.name,
           queueNumber: customer.queueNumber,
           status: customer.status,
+          counterNumber: customer.counterNumber,
           billedAt: customer.billedAt
         }
       });
     }
 
-    // Update customer status to BILLED
-    await customer.markAsBilled();
+    // Validate billing counter if one was given explicitly
+    let billingCounterNumber = null;
+    if (counterNumber !== undefined && counterNumber !== null) {
+      const counter = await BillingCounter.findOne({ storeId, counterNumber: Number(counterNumber) });
+
+      if (!counter) {
+        return res.status(404).json({
+          success: false,
+          message: 'Billing counter not found'
+        });
+      }
+
+      if (counter.status !== 'OPEN') {
+        return res.status(400).json({
+          success: false,
+          message: 'Billing counter is closed',
+          counterNumber: counter.counterNumber
+        });
+      }
+
+      billingCounterNumber = counter.counterNumber;
+    }
+
+    // Final cart first: the amount due depends on it (total recomputed on save)
+    if (items) {
+      customer.items = items;
+      await customer.save();
+    }
+
+    // Applied coupon re-checked against the final cart (it may have lapsed)
+    if (req.body.couponCode) {
+      const { error, statusCode } = await applyCouponCode(customer, req.body.couponCode);
+
+      if (error) {
+        return res.status(statusCode).json({
+          success: false,
+          message: error
+        });
+      }
+
+      await customer.save();
+    } else {
+      await syncCoupon(customer);
+    }
+
+    // Tenders sent with the completion request
+    const tenders = getTenders(req.body);
+    if (tenders) {
+      const { error } = await recordTenders(req, customer, tenders, billingCounterNumber);
+
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error
+        });
+      }
+    }
+
+    // Only paid-in-full customers become BILLED
+    const payment = summarizePayment(
+      customer.cartTotal,
+      await Payment.getAmountPaid(storeId, customer.customerId)
+    );
+
+    if (!payment.paidInFull) {
+      return res.status(402).json({
+        success: false,
+        message: `Payment incomplete: ${payment.balanceDue} still due`,
+        payment
+      });
+    }
+
+    // Coupon use is counted only for completed bills
+    if (!(await redeemCoupon(customer))) {
+      return res.status(409).json({
+        success: false,
+        message: 'Coupon usage limit reached - remove the coupon to continue',
+        coupon: customer.coupon.code
+      });
+    }
+
+    // GST breakdown (saved with the BILLED transition)
+    applyTaxBreakdown(customer, req.store, {
+      placeOfSupply: placeOfSupply ? String(placeOfSupply) : null
+    });
+
+    // Update customer status to BILLED (frees the counter for its next customer)
+    const billing = await transitionCustomer(customer, 'BILL', { req, counterNumber: billingCounterNumber });
+
+    if (billing.error) {
+      await releaseCoupon(customer);
+      return sendTransitionError(res, billing.error);
+    }
+
+    customer = billing.customer;
+
+    // Invoice number only once the bill stands, so a failed bill never burns one
+    await assignInvoiceNumber(customer, req.store);
+
+    // A failed receipt never fails the bill: it is issued again on request
+    let receipt = null;
+    try {
+      receipt = await issueReceipt(customer, req.store, req.user ? req.user.username : null);
+    } catch (error) {
+      console.error('Issue Receipt Error:', error);
+    }
 
     res.status(200).json({
       success: true,
@@ -73,6 +359,17 @@ export const completeBilling = async (req, res) => {
         name: customer.name,
         queueNumber: customer.queueNumber,
         status: customer.status,
+        counterNumber: customer.counterNumber,
+        subtotal: customer.subtotal,
+        discount: customer.discount,
+        coupon: customer.coupon ? customer.coupon.code : null,
+        cartTotal: customer.cartTotal,
+        items: customer.items,
+        itemCount: customer.itemCount,
+        payment,
+        invoiceNumber: customer.invoiceNumber,
+        tax: customer.tax,
+        receiptNumber: receipt ? receipt.receiptNumber : null,
         billedAt: customer.billedAt
       }
     });
@@ -90,14 +387,14 @@ export const completeBilling = async (req, res) => {
 /**
  * @desc    Get all billed customers (ready for exit)
  * @route   GET /api/billing/ready
- * @access  Admin
+ * @access  Cashier, Manager
  * 
  * Returns customers who have been billed but not yet verified
  */
 export const getBilledCustomers = async (req, res) => {
   try {
-    const billedCustomers = await Customer.find({ status: 'BILLED' })
-      .select('customerId name phone queueNumber cartTotal billedAt')
+    const billedCustomers = await Customer.find({ storeId: req.store.storeId, status: 'BILLED' })
+      .select('customerId name phone queueNumber cartTotal items billedAt')
       .sort({ billedAt: 1 }) // Oldest first
       .lean();
 
@@ -120,21 +417,26 @@ export const getBilledCustomers = async (req, res) => {
 /**
  * @desc    Get billing statistics
  * @route   GET /api/billing/statistics
- * @access  Admin
+ * @access  Manager
+ * 
+ * Revenue is net of refunds given today (returns of earlier sales included).
  */
 export const getBillingStatistics = async (req, res) => {
   try {
+    const { storeId } = req.store;
     const today = new Date();
     today.setHours(0, 0, 0, 0);
 
-    const [totalBilledToday, totalRevenueToday, avgBillingTime] = await Promise.all([
+    const [totalBilledToday, totalRevenueToday, avgBillingTime, paymentsByMethod, refundsByMethod] = await Promise.all([
       Customer.countDocuments({
+        storeId,
         status: { $in: ['BILLED', 'VERIFIED'] },
         billedAt: { $gte: today }
       }),
       Customer.aggregate([
         {
           $match: {
+            storeId,
             status: { $in: ['BILLED', 'VERIFIED'] },
             billedAt: { $gte: today }
           }
@@ -142,22 +444,65 @@ export const getBillingStatistics = async (req, res) => {
         {
           $group: {
             _id: null,
-            totalRevenue: { $sum: '$cartTotal' }
+            totalRevenue: { $sum: '$cartTotal' },
+            ...TAX_SUM_FIELDS
+          }
+        }
+      ]),
+      calculateAverageBillingTime(storeId),
+      Payment.aggregate([
+        { $match: { storeId, createdAt: { $gte: today } } },
+        {
+          $group: {
+            _id: '$method',
+            revenue: { $sum: '$amount' },
+            payments: { $sum: 1 },
+            changeGiven: { $sum: '$change' }
           }
         }
       ]),
-      calculateAverageBillingTime()
+      Refund.aggregate([
+        { $match: { storeId, refundedAt: { $gte: today } } },
+        {
+          $group: {
+            _id: '$method',
+            amount: { $sum: '$amount' },
+            refunds: { $sum: 1 }
+          }
+        }
+      ])
     ]);
 
-    const revenue = totalRevenueToday[0]?.totalRevenue || 0;
+    const sales = totalRevenueToday[0]?.totalRevenue || 0;
+    const refunded = roundMoney(refundsByMethod.reduce((sum, row) => sum + row.amount, 0));
+
+    // Every method listed, including ones with no payments today
+    const revenueByMethod = Object.fromEntries(PAYMENT_METHODS.map(method => {
+      const entry = paymentsByMethod.find(row => row._id === method);
+      const refund = refundsByMethod.find(row => row._id === method);
+      return [method, {
+        revenue: roundMoney((entry?.revenue || 0) - (refund?.amount || 0)),
+        payments: entry?.payments || 0,
+        changeGiven: roundMoney(entry?.changeGiven || 0),
+        refunded: roundMoney(refund?.amount || 0)
+      }];
+    }));
 
     res.status(200).json({
       success: true,
       data: {
         today: {
           customersBilled: totalBilledToday,
-          totalRevenue: revenue,
-          averageCartValue: totalBilledToday > 0 ? revenue / totalBilledToday : 0
+          totalRevenue: roundMoney(sales - refunded),
+          salesRevenue: sales,
+          averageCartValue: totalBilledToday > 0 ? sales / totalBilledToday : 0,
+          totalCollected: roundMoney(paymentsByMethod.reduce((sum, row) => sum + row.revenue, 0)),
+          refunds: {
+            amount: refunded,
+            count: refundsByMethod.reduce((sum, row) => sum + row.refunds, 0)
+          },
+          revenueByMethod,
+          tax: formatTaxTotals(totalRevenueToday[0])
         },
         performance: {
           averageBillingTime: avgBillingTime
@@ -178,10 +523,13 @@ export const getBillingStatistics = async (req, res) => {
 /**
  * Helper function to calculate average billing time
  * Time from customer creation to billing completion
+ * 
+ * @param {string} storeId - Store ID
  */
-const calculateAverageBillingTime = async () => {
+const calculateAverageBillingTime = async (storeId) => {
   try {
     const billedCustomers = await Customer.find({
+      storeId,
       status: { $in: ['BILLED', 'VERIFIED'] },
       billedAt: { $ne: null }
     })
@@ -208,47 +556,489 @@ const calculateAverageBillingTime = async () => {
 /**
  * @desc    Undo billing (if mistake was made)
  * @route   POST /api/billing/undo/:customerId
- * @access  Admin
+ * @access  Cashier, Manager
+ * 
+ * Recorded payments are kept and count towards the next completion.
+ * A redeemed coupon is given back (the coupon stays applied to the cart).
  */
 export const undoBilling = async (req, res) => {
   try {
     const { customerId } = req.params;
 
-    const customer = await Customer.findOne({ customerId });
+    const found = await Customer.findOne({ customerId, storeId: req.store.storeId });
 
-    if (!customer) {
+    if (!found) {
       return res.status(404).json({
         success: false,
         message: 'Customer not found'
       });
     }
 
-    if (customer.status !== 'BILLED') {
+    // Revert to WAITING status and return to the shared queue
+    const { customer, error } = await transitionCustomer(found, 'UNDO_BILLING', { req });
+    if (error) return sendTransitionError(res, error);
+
+    await releaseCoupon(customer);
+
+    // The old figures must not be reprinted: re-billing issues a new receipt
+    const voided = await voidReceipt(customer.storeId, customer.customerId, req.user ? req.user.username : null);
+
+    res.status(200).json({
+      success: true,
+      message: 'Billing undone successfully',
+      data: {
+        customerId: customer.customerId,
+        status: customer.status,
+        voidedReceiptNumber: voided ? voided.receiptNumber : null
+      }
+    });
+
+  } catch (error) {
+    console.error('Undo Billing Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to undo billing',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Helper: Load a customer whose cart can still be edited
+ * Carts are editable until billing completes (WAITING or CALLED)
+ * 
+ * @returns {Promise<Object|null>} Customer, or null after responding with an error
+ */
+const findEditableCart = async (req, res) => {
+  const customer = await Customer.findOne({ customerId: req.params.customerId, storeId: req.store.storeId });
+
+  if (!customer) {
+    res.status(404).json({
+      success: false,
+      message: 'Customer not found'
+    });
+    return null;
+  }
+
+  if (!canTransition(customer.status, 'BILL')) {
+    res.status(400).json({
+      success: false,
+      message: `Cannot edit cart for customer with status: ${customer.status}`,
+      currentStatus: customer.status
+    });
+    return null;
+  }
+
+  return customer;
+};
+
+/**
+ * Helper: Cart response payload
+ */
+const cartResponse = (customer, couponRemoved = null) => ({
+  customerId: customer.customerId,
+  items: customer.items,
+  itemCount: customer.itemCount,
+  subtotal: customer.subtotal,
+  discount: customer.discount,
+  coupon: customer.coupon ? customer.coupon.code : null,
+  ...(couponRemoved ? { couponRemoved } : {}),
+  cartTotal: customer.cartTotal
+});
+
+/**
+ * @desc    Add item to cart during billing
+ * @route   POST /api/billing/items/:customerId
+ * @access  Cashier, Manager
+ * 
+ * Body: { sku, name, quantity = 1, unitPrice }
+ * Same SKU at the same price increments the existing line.
+ */
+export const addCartItem = async (req, res) => {
+  try {
+    const { item, error } = normalizeCartItem(req.body);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const customer = await findEditableCart(req, res);
+    if (!customer) return;
+
+    const before = { cartTotal: customer.cartTotal, itemCount: customer.itemCount };
+    await customer.addCartItem(item);
+    const couponRemoved = await syncCoupon(customer);
+
+    await recordAudit(req, {
+      action: 'CART_ITEM_ADDED',
+      entityType: 'Customer',
+      entityId: customer.customerId,
+      before,
+      after: { cartTotal: customer.cartTotal, itemCount: customer.itemCount, item }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Item added',
+      data: cartResponse(customer, couponRemoved)
+    });
+
+  } catch (error) {
+    console.error('Add Cart Item Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add item',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Remove item from cart during billing
+ * @route   DELETE /api/billing/items/:customerId/:sku
+ * @access  Cashier, Manager
+ * 
+ * Query: quantity (units to remove; whole line if omitted)
+ */
+export const removeCartItem = async (req, res) => {
+  try {
+    const sku = String(req.params.sku).trim().toUpperCase();
+    const quantity = req.query.quantity !== undefined ? Number(req.query.quantity) : null;
+
+    if (quantity !== null && (!Number.isInteger(quantity) || quantity < 1)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Quantity must be a positive whole number'
+      });
+    }
+
+    const customer = await findEditableCart(req, res);
+    if (!customer) return;
+
+    const before = { cartTotal: customer.cartTotal, itemCount: customer.itemCount };
+    const removed = await customer.removeCartItem(sku, quantity);
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        message: `Item ${sku} is not in the cart`
+      });
+    }
+
+    const couponRemoved = await syncCoupon(customer);
+
+    await recordAudit(req, {
+      action: 'CART_ITEM_REMOVED',
+      entityType: 'Customer',
+      entityId: customer.customerId,
+      before,
+      after: { cartTotal: customer.cartTotal, itemCount: customer.itemCount, sku, quantity }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Item removed',
+      data: cartResponse(customer, couponRemoved)
+    });
+
+  } catch (error) {
+    console.error('Remove Cart Item Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove item',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Apply a coupon code to the cart
+ * @route   POST /api/billing/coupon/:customerId
+ * @access  Cashier, Manager
+ * 
+ * Body: { code }
+ * Replaces any coupon already applied. The use is only counted when
+ * billing completes.
+ */
+export const applyCoupon = async (req, res) => {
+  try {
+    const code = typeof req.body.code === 'string' ? req.body.code.trim() : '';
+
+    if (!code) {
       return res.status(400).json({
         success: false,
-        message: `Cannot undo billing for customer with status: ${customer.status}`
+        message: 'Coupon code is required'
+      });
+    }
+
+    const customer = await findEditableCart(req, res);
+    if (!customer) return;
+
+    const before = { cartTotal: customer.cartTotal, discount: customer.discount };
+    const { error, statusCode } = await applyCouponCode(customer, code);
+
+    if (error) {
+      return res.status(statusCode).json({
+        success: false,
+        message: error
       });
     }
 
-    // Revert to WAITING status
-    customer.status = 'WAITING';
-    customer.billedAt = null;
     await customer.save();
 
+    await recordAudit(req, {
+      action: 'COUPON_APPLIED',
+      entityType: 'Customer',
+      entityId: customer.customerId,
+      before,
+      after: { cartTotal: customer.cartTotal, discount: customer.discount, coupon: customer.coupon.code }
+    });
+
     res.status(200).json({
       success: true,
-      message: 'Billing undone successfully',
+      message: `Coupon ${customer.coupon.code} applied`,
+      data: cartResponse(customer)
+    });
+
+  } catch (error) {
+    console.error('Apply Coupon Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to apply coupon',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Remove the applied coupon
+ * @route   DELETE /api/billing/coupon/:customerId
+ * @access  Cashier, Manager
+ */
+export const removeCoupon = async (req, res) => {
+  try {
+    const customer = await findEditableCart(req, res);
+    if (!customer) return;
+
+    if (!customer.coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'No coupon applied'
+      });
+    }
+
+    const before = { cartTotal: customer.cartTotal, discount: customer.discount, coupon: customer.coupon.code };
+
+    customer.coupon = null;
+    customer.discount = 0;
+    await customer.save();
+
+    await recordAudit(req, {
+      action: 'COUPON_REMOVED',
+      entityType: 'Customer',
+      entityId: customer.customerId,
+      before,
+      after: { cartTotal: customer.cartTotal, discount: customer.discount }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Coupon removed',
+      data: cartResponse(customer)
+    });
+
+  } catch (error) {
+    console.error('Remove Coupon Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove coupon',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Record payment(s) towards a customer's bill
+ * @route   POST /api/billing/payments/:customerId
+ * @access  Cashier, Manager
+ * 
+ * Body: { method, amount?, tendered?, reference? }
+ *   or  { payments: [{ method, amount?, tendered?, reference? }, ...] } (split tender)
+ * 
+ * Partial payments are allowed; billing completes once the balance is 0.
+ */
+export const recordPayment = async (req, res) => {
+  try {
+    const tenders = getTenders(req.body);
+
+    if (!tenders) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide a payment method or a payments array'
+      });
+    }
+
+    const customer = await Customer.findOne({ customerId: req.params.customerId, storeId: req.store.storeId });
+
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer not found'
+      });
+    }
+
+    // Payments are taken only from customers who can still be billed
+    if (!canTransition(customer.status, 'BILL')) {
+      return sendTransitionError(res, illegalTransitionError(customer.status, 'BILL'));
+    }
+
+    const { payments, error, summary } = await recordTenders(req, customer, tenders);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+        payment: summary
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: summary.paidInFull ? 'Paid in full' : `Partial payment: ${summary.balanceDue} still due`,
       data: {
         customerId: customer.customerId,
-        status: customer.status
+        payments,
+        changeDue: roundMoney(payments.reduce((sum, payment) => sum + payment.change, 0)),
+        payment: summary
       }
     });
 
   } catch (error) {
-    console.error('Undo Billing Error:', error);
+    console.error('Record Payment Error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to undo billing',
+      message: 'Failed to record payment',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get payments for a customer's bill
+ * @route   GET /api/billing/payments/:customerId
+ * @access  Cashier, Manager
+ */
+export const getPayments = async (req, res) => {
+  try {
+    const { storeId } = req.store;
+
+    const customer = await Customer.findOne({ customerId: req.params.customerId, storeId })
+      .select('customerId cartTotal status')
+      .lean();
+
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer not found'
+      });
+    }
+
+    const payments = await Payment.find({ storeId, customerId: customer.customerId })
+      .sort({ createdAt: 1 })
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      data: {
+        customerId: customer.customerId,
+        status: customer.status,
+        payments,
+        payment: summarizePayment(
+          customer.cartTotal,
+          payments.reduce((sum, payment) => sum + payment.amount, 0)
+        )
+      }
+    });
+
+  } catch (error) {
+    console.error('Get Payments Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch payments',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get receipt for a billed customer
+ * @route   GET /api/billing/receipt/:customerId
+ * @access  Cashier, Manager
+ * 
+ * Query: format = json (default) | text (thermal printer) | html | pdf
+ * Issues the receipt on first request if billing did not already.
+ */
+export const getReceipt = async (req, res) => {
+  try {
+    const format = String(req.query.format || 'json').toLowerCase();
+
+    if (!RECEIPT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: `Format must be one of: ${RECEIPT_FORMATS.join(', ')}`
+      });
+    }
+
+    const customer = await Customer.findOne({ customerId: req.params.customerId, storeId: req.store.storeId });
+
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer not found'
+      });
+    }
+
+    if (!['BILLED', 'VERIFIED'].includes(customer.status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Customer has not been billed yet',
+        currentStatus: customer.status
+      });
+    }
+
+    const receipt = await issueReceipt(customer, req.store, req.user ? req.user.username : null);
+
+    if (format === 'text') {
+      return res.type('text/plain').send(renderReceiptText(receipt));
+    }
+
+    if (format === 'html') {
+      return res.type('html').send(renderReceiptHtml(receipt));
+    }
+
+    if (format === 'pdf') {
+      res.setHeader('Content-Disposition', `inline; filename="receipt-${receipt.receiptNumber}.pdf"`);
+      return res.type('application/pdf').send(renderReceiptPdf(receipt));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        receiptNumber: receipt.receiptNumber,
+        businessDate: receipt.businessDate,
+        issuedAt: receipt.issuedAt,
+        ...receipt.content
+      }
+    });
+
+  } catch (error) {
+    console.error('Get Receipt Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate receipt',
       error: error.message
     });
   }
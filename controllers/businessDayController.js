@@ -0,0 +1,228 @@
+import BusinessDay from '../models/BusinessDay.js';
+import Customer, { ACTIVE_QUEUE_STATUSES } from '../models/Customer.js';
+import { getBusinessDate, buildBusinessDaySummary } from '../utils/businessDay.js';
+import { validateQueueIntegrity } from '../utils/queueManager.js';
+import { recordAudit } from '../utils/auditLog.js';
+
+/**
+ * Business Day Controller
+ * Opens and closes trading sessions; queue numbers restart per day
+ * 
+ * Interview Points:
+ * - Non-destructive daily rollover: history stays queryable
+ * - Open/close recorded with actor and timestamp
+ * - Summary snapshot at close for fast historical reporting
+ * - Each store runs its own sessions (req.store)
+ */
+
+/**
+ * @desc    Get business days (history)
+ * @route   GET /api/admin/business-days
+ * @access  Manager
+ */
+export const getBusinessDays = async (req, res) => {
+  try {
+    const { page = 1, limit = 30, status } = req.query;
+
+    const query = { storeId: req.store.storeId };
+    if (status) query.status = status;
+
+    const days = await BusinessDay.find(query)
+      .sort({ businessDate: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .lean();
+
+    const count = await BusinessDay.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      data: days,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(count / limit),
+        totalRecords: count
+      }
+    });
+
+  } catch (error) {
+    console.error('Get Business Days Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch business days',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get a business day with live summary and integrity check
+ * @route   GET /api/admin/business-days/:businessDate
+ * @access  Manager
+ */
+export const getBusinessDay = async (req, res) => {
+  try {
+    const { businessDate } = req.params;
+    const { storeId } = req.store;
+
+    const day = await BusinessDay.findOne({ storeId, businessDate }).lean();
+
+    if (!day) {
+      return res.status(404).json({
+        success: false,
+        message: 'Business day not found'
+      });
+    }
+
+    const [summary, integrity] = await Promise.all([
+      buildBusinessDaySummary(storeId, businessDate),
+      validateQueueIntegrity(storeId, businessDate)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...day,
+        summary,
+        integrity
+      }
+    });
+
+  } catch (error) {
+    console.error('Get Business Day Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch business day',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Open business day
+ * @route   POST /api/admin/business-days/open
+ * @access  Manager
+ * 
+ * Opens today's session (or body.businessDate). Reopening a closed day
+ * continues its queue numbering. Only one day per store can be open at a time.
+ * The opener is always the signed-in user (never taken from the body).
+ */
+export const openBusinessDay = async (req, res) => {
+  try {
+    const { storeId } = req.store;
+    const businessDate = req.body.businessDate || getBusinessDate(new Date(), req.store.timezone);
+    const openedBy = req.user.username;
+
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(businessDate)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Business date must follow format: YYYY-MM-DD'
+      });
+    }
+
+    const openDay = await BusinessDay.getOpenDay(storeId);
+
+    if (openDay) {
+      return res.status(409).json({
+        success: false,
+        message: `Business day ${openDay.businessDate} is still open`,
+        data: openDay
+      });
+    }
+
+    const day = await BusinessDay.findOneAndUpdate(
+      { storeId, businessDate },
+      {
+        $set: { status: 'OPEN', openedAt: new Date(), openedBy, closedAt: null, closedBy: null },
+        $setOnInsert: { storeId, businessDate }
+      },
+      { upsert: true, new: true, runValidators: true }
+    );
+
+    await recordAudit(req, {
+      action: 'BUSINESS_DAY_OPENED',
+      entityType: 'BusinessDay',
+      entityId: businessDate,
+      after: { status: day.status, openedAt: day.openedAt, openedBy: day.openedBy }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Business day opened successfully',
+      data: day
+    });
+
+  } catch (error) {
+    console.error('Open Business Day Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to open business day',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Close business day
+ * @route   POST /api/admin/business-days/close
+ * @access  Manager
+ * 
+ * Refuses while customers of the day are still WAITING, CALLED or BILLED unless
+ * body.force is true; forced closes leave those customers untouched so
+ * they can still be billed and verified.
+ * The closer is always the signed-in user (never taken from the body).
+ */
+export const closeBusinessDay = async (req, res) => {
+  try {
+    const { force = false } = req.body;
+    const { storeId } = req.store;
+
+    const day = await BusinessDay.getOpenDay(storeId);
+
+    if (!day) {
+      return res.status(400).json({
+        success: false,
+        message: 'No business day is open'
+      });
+    }
+
+    const activeCustomers = await Customer.countDocuments({
+      storeId,
+      businessDate: day.businessDate,
+      status: { $in: ACTIVE_QUEUE_STATUSES }
+    });
+
+    if (activeCustomers > 0 && !force) {
+      return res.status(409).json({
+        success: false,
+        message: `${activeCustomers} customer(s) are still in the queue`,
+        activeCustomers
+      });
+    }
+
+    const summary = await buildBusinessDaySummary(storeId, day.businessDate);
+    await day.close(req.user.username, summary);
+
+    await recordAudit(req, {
+      action: 'BUSINESS_DAY_CLOSED',
+      entityType: 'BusinessDay',
+      entityId: day.businessDate,
+      before: { status: 'OPEN' },
+      after: { status: day.status, closedAt: day.closedAt, closedBy: day.closedBy, forced: activeCustomers > 0, summary }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Business day closed successfully',
+      data: day
+    });
+
+  } catch (error) {
+    console.error('Close Business Day Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to close business day',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,327 @@
+import BillingCounter from '../models/BillingCounter.js';
+import Customer from '../models/Customer.js';
+import { assignNextCustomerToCounter, skipNoShows } from '../utils/queueManager.js';
+import { publishQueueEvent, QUEUE_EVENTS } from '../utils/queueEvents.js';
+import { recordAudit } from '../utils/auditLog.js';
+import { transitionCustomer } from '../utils/customerLifecycle.js';
+
+/**
+ * Helper: Counter state captured in audit entries
+ */
+const snapshotCounter = (counter) => ({
+  status: counter.status,
+  cashierName: counter.cashierName,
+  currentCustomerId: counter.currentCustomerId
+});
+
+/**
+ * Counter Controller
+ * Manages billing counters (tills) and assigns customers to them
+ * 
+ * Interview Points:
+ * - Single shared queue, multiple servers
+ * - Atomic customer assignment prevents two tills calling the same customer
+ * - Counter state (open/closed, cashier) drives throughput analytics
+ * - Counters belong to one store and only call that store's customers
+ */
+
+/**
+ * Helper: Parse counter number route param
+ */
+const parseCounterNumber = (value) => {
+  const counterNumber = Number(value);
+  return Number.isInteger(counterNumber) && counterNumber > 0 ? counterNumber : null;
+};
+
+/**
+ * @desc    Get all billing counters
+ * @route   GET /api/counters
+ * @access  Cashier, Manager
+ */
+export const getCounters = async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    const query = { storeId: req.store.storeId };
+    if (status) query.status = status;
+
+    const counters = await BillingCounter.find(query)
+      .sort({ counterNumber: 1 })
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      data: counters,
+      count: counters.length,
+      open: counters.filter(c => c.status === 'OPEN').length
+    });
+
+  } catch (error) {
+    console.error('Get Counters Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch counters',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Create billing counter
+ * @route   POST /api/counters
+ * @access  Manager
+ */
+export const createCounter = async (req, res) => {
+  try {
+    const { counterNumber, label } = req.body;
+
+    if (!parseCounterNumber(counterNumber)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Counter number must be a positive integer'
+      });
+    }
+
+    const counter = await BillingCounter.create({
+      storeId: req.store.storeId,
+      counterNumber: Number(counterNumber),
+      label: label || `Counter ${counterNumber}`
+    });
+
+    await recordAudit(req, {
+      action: 'COUNTER_CREATED',
+      entityType: 'BillingCounter',
+      entityId: counter.counterNumber,
+      after: snapshotCounter(counter)
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Counter created successfully',
+      data: counter
+    });
+
+  } catch (error) {
+    console.error('Create Counter Error:', error);
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'Counter number already exists'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create counter',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Open billing counter
+ * @route   PATCH /api/counters/:counterNumber/open
+ * @access  Cashier, Manager
+ */
+export const openCounter = async (req, res) => {
+  try {
+    const counterNumber = parseCounterNumber(req.params.counterNumber);
+    const { cashierName } = req.body;
+    const { storeId } = req.store;
+
+    if (!cashierName) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide cashier name'
+      });
+    }
+
+    const counter = await BillingCounter.findOne({ storeId, counterNumber });
+
+    if (!counter) {
+      return res.status(404).json({
+        success: false,
+        message: 'Counter not found'
+      });
+    }
+
+    const before = snapshotCounter(counter);
+    await counter.open(cashierName);
+
+    await recordAudit(req, {
+      action: 'COUNTER_OPENED',
+      entityType: 'BillingCounter',
+      entityId: counterNumber,
+      before,
+      after: snapshotCounter(counter)
+    });
+
+    publishQueueEvent(QUEUE_EVENTS.COUNTER_UPDATED, { storeId, counterNumber, status: counter.status });
+
+    res.status(200).json({
+      success: true,
+      message: 'Counter opened successfully',
+      data: counter
+    });
+
+  } catch (error) {
+    console.error('Open Counter Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to open counter',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Close billing counter
+ * @route   PATCH /api/counters/:counterNumber/close
+ * @access  Cashier, Manager
+ * 
+ * A customer called to this counter but not yet billed is released
+ * back to the shared queue (CALLED -> WAITING) so another till can pick them up.
+ */
+export const closeCounter = async (req, res) => {
+  try {
+    const counterNumber = parseCounterNumber(req.params.counterNumber);
+    const { storeId } = req.store;
+
+    const counter = await BillingCounter.findOne({ storeId, counterNumber });
+
+    if (!counter) {
+      return res.status(404).json({
+        success: false,
+        message: 'Counter not found'
+      });
+    }
+
+    // Called customers go back through the lifecycle; WAITING ones are
+    // only unpinned (assigned to the counter before the call workflow)
+    const called = await Customer.find({ storeId, status: 'CALLED', counterNumber });
+    let customersReleased = 0;
+
+    for (const customer of called) {
+      const { error } = await transitionCustomer(customer, 'RELEASE', { req });
+      if (!error) customersReleased += 1;
+    }
+
+    const unpinned = await Customer.updateMany(
+      { storeId, status: 'WAITING', counterNumber },
+      { $set: { counterNumber: null, assignedAt: null } }
+    );
+    customersReleased += unpinned.modifiedCount;
+
+    const before = snapshotCounter(counter);
+    await counter.close();
+
+    await recordAudit(req, {
+      action: 'COUNTER_CLOSED',
+      entityType: 'BillingCounter',
+      entityId: counterNumber,
+      before,
+      after: { ...snapshotCounter(counter), customersReleased }
+    });
+
+    publishQueueEvent(QUEUE_EVENTS.COUNTER_UPDATED, { storeId, counterNumber, status: counter.status });
+
+    res.status(200).json({
+      success: true,
+      message: 'Counter closed successfully',
+      data: {
+        counter,
+        customersReleased
+      }
+    });
+
+  } catch (error) {
+    console.error('Close Counter Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to close counter',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Call next customer to counter
+ * @route   POST /api/counters/:counterNumber/call-next
+ * @access  Cashier, Manager
+ * 
+ * Process:
+ * 1. Skip no-shows (CALLED past CALL_NO_SHOW_SECONDS -> SKIPPED)
+ * 2. Validate counter exists and is OPEN
+ * 3. Refuse if the counter's called customer is still within the timeout
+ * 4. Atomically claim the next unassigned WAITING customer (-> CALLED,
+ *    call time and counter recorded)
+ * 5. Record the customer as the counter's current customer
+ */
+export const callNextToCounter = async (req, res) => {
+  try {
+    const counterNumber = parseCounterNumber(req.params.counterNumber);
+    const { storeId } = req.store;
+
+    // No-shows first: frees this counter if its customer never arrived
+    await skipNoShows(storeId);
+
+    const counter = await BillingCounter.findOne({ storeId, counterNumber });
+
+    if (!counter) {
+      return res.status(404).json({
+        success: false,
+        message: 'Counter not found'
+      });
+    }
+
+    if (counter.status !== 'OPEN') {
+      return res.status(400).json({
+        success: false,
+        message: 'Counter is closed',
+        currentStatus: counter.status
+      });
+    }
+
+    if (counter.currentCustomerId) {
+      const current = await Customer.findOne({ customerId: counter.currentCustomerId })
+        .select('customerId name queueNumber status assignedAt');
+
+      if (current && current.status === 'CALLED') {
+        return res.status(409).json({
+          success: false,
+          message: 'Counter is still serving a customer',
+          data: current
+        });
+      }
+    }
+
+    // WAITING -> CALLED (audited and published by the lifecycle)
+    const customer = await assignNextCustomerToCounter(storeId, counterNumber, req);
+
+    counter.currentCustomerId = customer ? customer.customerId : null;
+    await counter.save();
+
+    if (!customer) {
+      return res.status(200).json({
+        success: true,
+        message: 'Queue is empty',
+        data: null
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Customer called to counter ${counterNumber}`,
+      data: customer
+    });
+
+  } catch (error) {
+    console.error('Call Next Customer Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to call next customer',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,261 @@
+import Coupon from '../models/Coupon.js';
+import CouponRedemption from '../models/CouponRedemption.js';
+import { recordAudit } from '../utils/auditLog.js';
+
+/**
+ * Coupon Controller
+ * Manages promotion codes redeemed at the billing counters
+ *
+ * Interview Points:
+ * - Store managers create coupons for their own store
+ * - Head office (no home store) can create chain-wide coupons (allStores)
+ * - Coupons are deactivated, never deleted: redemptions keep pointing at them
+ */
+
+const EDITABLE_FIELDS = [
+  'description',
+  'maxDiscount',
+  'minCartValue',
+  'perPhoneLimit',
+  'usageLimit',
+  'validFrom',
+  'validUntil',
+  'active'
+];
+
+/**
+ * Helper: Store scope for a create/update request
+ * Chain-wide (null) only for head-office users asking for allStores
+ *
+ * @returns {string|null|undefined} storeId, null for chain-wide, undefined if not allowed
+ */
+const getCouponScope = (req) => {
+  const allStores = req.body.allStores === true || req.query.allStores === 'true';
+
+  if (!allStores) return req.store.storeId;
+  return req.user && req.user.storeId === null ? null : undefined;
+};
+
+/**
+ * Helper: Coupon snapshot for the audit trail
+ */
+const snapshotCoupon = (coupon) => ({
+  code: coupon.code,
+  storeId: coupon.storeId,
+  type: coupon.type,
+  value: coupon.value,
+  ...Object.fromEntries(EDITABLE_FIELDS.map(field => [field, coupon[field]]))
+});
+
+/**
+ * @desc    Get coupons usable in this store (own and chain-wide)
+ * @route   GET /api/admin/coupons
+ * @access  Manager
+ *
+ * Query: active=true|false
+ * Each coupon carries this store's redemptions and discount cost.
+ */
+export const getCoupons = async (req, res) => {
+  try {
+    const storeId = req.store.storeId;
+    const query = { storeId: { $in: [storeId, null] } };
+
+    if (req.query.active !== undefined) {
+      query.active = req.query.active === 'true';
+    }
+
+    const [coupons, usage] = await Promise.all([
+      Coupon.find(query).sort({ createdAt: -1 }).lean(),
+      CouponRedemption.aggregate([
+        { $match: { storeId } },
+        {
+          $group: {
+            _id: '$couponId',
+            redemptions: { $sum: 1 },
+            discountCost: { $sum: '$discount' }
+          }
+        }
+      ])
+    ]);
+
+    const usageByCoupon = new Map(usage.map(entry => [String(entry._id), entry]));
+
+    res.status(200).json({
+      success: true,
+      count: coupons.length,
+      data: coupons.map(coupon => {
+        const entry = usageByCoupon.get(String(coupon._id));
+
+        return {
+          ...coupon,
+          chainWide: coupon.storeId === null,
+          storeRedemptions: entry ? entry.redemptions : 0,
+          storeDiscountCost: entry ? Math.round(entry.discountCost * 100) / 100 : 0
+        };
+      })
+    });
+
+  } catch (error) {
+    console.error('Get Coupons Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch coupons',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Create a coupon
+ * @route   POST /api/admin/coupons
+ * @access  Manager
+ *
+ * Body: { code, type: PERCENTAGE|FLAT, value, description?, maxDiscount?,
+ *         minCartValue?, perPhoneLimit?, usageLimit?, validFrom?, validUntil?,
+ *         allStores? (head office only) }
+ */
+export const createCoupon = async (req, res) => {
+  try {
+    const storeId = getCouponScope(req);
+
+    if (storeId === undefined) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only head office can create chain-wide coupons'
+      });
+    }
+
+    const { code, type, value } = req.body;
+
+    if (!code || !type || value === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide code, type and value'
+      });
+    }
+
+    const coupon = new Coupon({
+      storeId,
+      code,
+      type: String(type).toUpperCase(),
+      value,
+      createdBy: req.user ? req.user.username : null
+    });
+
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) coupon[field] = req.body[field];
+    });
+
+    await coupon.save();
+
+    await recordAudit(req, {
+      action: 'COUPON_CREATED',
+      entityType: 'Coupon',
+      entityId: coupon.code,
+      before: null,
+      after: snapshotCoupon(coupon)
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Coupon created successfully',
+      data: coupon
+    });
+
+  } catch (error) {
+    console.error('Create Coupon Error:', error);
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'Coupon code already exists'
+      });
+    }
+
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create coupon',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Update a coupon (limits, validity, active flag)
+ * @route   PATCH /api/admin/coupons/:code
+ * @access  Manager
+ *
+ * Body: any of description, maxDiscount, minCartValue, perPhoneLimit,
+ *       usageLimit, validFrom, validUntil, active; allStores for a
+ *       chain-wide coupon (head office only)
+ * Type and value are fixed once created: issue a new code instead.
+ */
+export const updateCoupon = async (req, res) => {
+  try {
+    const storeId = getCouponScope(req);
+
+    if (storeId === undefined) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only head office can change chain-wide coupons'
+      });
+    }
+
+    const coupon = await Coupon.findOne({
+      code: req.params.code.trim().toUpperCase(),
+      storeId
+    });
+
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found'
+      });
+    }
+
+    const before = snapshotCoupon(coupon);
+
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) coupon[field] = req.body[field];
+    });
+
+    await coupon.save();
+
+    await recordAudit(req, {
+      action: 'COUPON_UPDATED',
+      entityType: 'Coupon',
+      entityId: coupon.code,
+      before,
+      after: snapshotCoupon(coupon)
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Coupon updated successfully',
+      data: coupon
+    });
+
+  } catch (error) {
+    console.error('Update Coupon Error:', error);
+
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update coupon',
+      error: error.message
+    });
+  }
+};
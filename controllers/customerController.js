@@ -1,8 +1,22 @@
-import Customer from '../models/Customer.js';
+import Customer, { ACTIVE_QUEUE_STATUSES } from '../models/Customer.js';
 import Queue from '../models/Queue.js';
 import { generateCustomerId } from '../utils/customerIdGenerator.js';
 import { generateQRCode } from '../utils/qrCodeGenerator.js';
-import { calculateQueuePosition, getEstimatedWaitTime } from '../utils/queueManager.js';
+import { publishQueueEvent, QUEUE_EVENTS } from '../utils/queueEvents.js';
+import { recordAudit, snapshotCustomer } from '../utils/auditLog.js';
+import { calculateQueuePosition } from '../utils/queueManager.js';
+import { transitionCustomer, sendTransitionError } from '../utils/customerLifecycle.js';
+import { getVisitSummary, getVisits, findKnownName } from '../utils/visitHistory.js';
+import { getActiveBusinessDay } from '../utils/businessDay.js';
+import { normalizePhone, getDefaultPhoneRegion, maskPhone } from '../utils/phoneNumbers.js';
+import { normalizeCartItems, countCartItems } from '../utils/cartItems.js';
+import { calculateAmountDue } from '../utils/taxEngine.js';
+import { estimateWaitTime, formatWaitRange } from '../utils/waitTimeEstimator.js';
+import {
+  PRIORITY_CLASSES,
+  calculateServiceOrder,
+  checkExpressEligibility
+} from '../utils/priorityPolicy.js';
 
 /**
  * Customer Controller
@@ -13,6 +27,7 @@ import { calculateQueuePosition, getEstimatedWaitTime } from '../utils/queueMana
  * - Atomic operations prevent race conditions
  * - Error handling with proper HTTP status codes
  * - Input validation before processing
+ * - Every query is scoped to req.store (multi-store tenancy)
  */
 
 /**
@@ -20,80 +35,197 @@ import { calculateQueuePosition, getEstimatedWaitTime } from '../utils/queueMana
  * @route   POST /api/customer/register
  * @access  Public
  * 
+ * Body: { name, phone, items | cartTotal, priority? }
+ * phone may carry a country code ("+44 7911 123456"); without one it is read
+ * in the store's phone region. It is stored in E.164.
+ * Staff of the store (cashier/manager token) may leave name out for a known
+ * phone: the name of its last visit is used. Anonymous callers always give
+ * a name, so the endpoint never reveals whether a phone has visited.
+ * 
  * Algorithm:
- * 1. Validate input data
- * 2. Generate unique customer ID
- * 3. Get next queue number (atomic operation)
- * 4. Generate QR code with customer data
- * 5. Create customer record
- * 6. Create queue entry
- * 7. Return customer details with QR code
+ * 1. Validate input data (incl. cart items, priority class / express eligibility)
+ * 2. Resolve the store's open business day (queue numbers restart daily)
+ * 3. Generate unique customer ID (store prefix)
+ * 4. Get next queue number for the store's day (atomic operation)
+ * 5. Generate QR code with customer data (bound to the store)
+ * 6. Compute service order from priority (weighted-fair)
+ * 7. Create customer record
+ * 8. Create queue entry
+ * 9. Return customer details with QR code
  * 
  * Time Complexity: O(1)
  * Race Condition Handling: MongoDB atomic findOneAndUpdate
  */
 export const registerCustomer = async (req, res) => {
   try {
-    const { name, phone, cartTotal } = req.body;
+    const { priority = 'NORMAL' } = req.body;
+    let { name, phone, cartTotal, itemCount } = req.body;
+
+    const isStoreStaff = Boolean(req.user)
+      && ['cashier', 'manager'].includes(req.user.role)
+      && (!req.user.storeId || req.user.storeId === req.store.storeId);
 
     // Input validation
-    if (!name || !phone || cartTotal === undefined) {
+    if ((!name && !isStoreStaff) || !phone || (cartTotal === undefined && req.body.items === undefined)) {
       return res.status(400).json({
         success: false,
-        message: 'Please provide name, phone, and cart total'
+        message: 'Please provide name, phone, and cart items (or cart total)'
       });
     }
 
-    // Validate phone number format
-    if (!/^\d{10}$/.test(phone)) {
+    // Validate phone number and normalize it to E.164
+    const normalized = normalizePhone(phone, getDefaultPhoneRegion(req.store));
+    if (normalized.error) {
       return res.status(400).json({
         success: false,
-        message: 'Phone number must be exactly 10 digits'
+        message: normalized.error
       });
     }
+    phone = normalized.phone;
+
+    // Returning customer (staff only): prefill the name from their last visit
+    let namePrefilled = false;
+    if (!name) {
+      name = await findKnownName(req.store.storeId, phone);
+      namePrefilled = Boolean(name);
+
+      if (!name) {
+        return res.status(400).json({
+          success: false,
+          message: 'Please provide a name (no previous visits with this phone)'
+        });
+      }
+    }
+
+    // Itemized cart: total and item count are computed server-side
+    let items = [];
+    if (req.body.items !== undefined) {
+      const cart = normalizeCartItems(req.body.items);
+
+      if (cart.error) {
+        return res.status(400).json({
+          success: false,
+          message: cart.error
+        });
+      }
+
+      items = cart.items;
+      cartTotal = calculateAmountDue(items);
+      itemCount = countCartItems(items);
+    }
 
     // Validate cart total
-    if (cartTotal < 0) {
+    if (isNaN(Number(cartTotal)) || Number(cartTotal) < 0) {
       return res.status(400).json({
         success: false,
-        message: 'Cart total cannot be negative'
+        message: 'Cart total must be a non-negative number'
       });
     }
 
+    // Validate priority class
+    if (!PRIORITY_CLASSES.includes(priority)) {
+      return res.status(400).json({
+        success: false,
+        message: `Priority must be one of: ${PRIORITY_CLASSES.join(', ')}`
+      });
+    }
+
+    // Express lane is only for small carts
+    if (priority === 'EXPRESS') {
+      const express = checkExpressEligibility({ cartTotal, itemCount });
+      if (!express.eligible) {
+        return res.status(400).json({
+          success: false,
+          message: express.reason
+        });
+      }
+    }
+
+    const { storeId } = req.store;
+
+    // Queue numbers are scoped to the store's open business day
+    const businessDay = await getActiveBusinessDay(req.store);
+
+    if (!businessDay) {
+      return res.status(409).json({
+        success: false,
+        message: 'Store is closed: no business day is open'
+      });
+    }
+
+    const { businessDate } = businessDay;
+
     // Generate unique customer ID
-    const customerId = await generateCustomerId();
+    const customerId = await generateCustomerId(req.store);
 
-    // Get next queue number (thread-safe)
-    const queueNumber = await Customer.getNextQueueNumber();
+    // Get next queue number for the day (thread-safe)
+    const queueNumber = await Customer.getNextQueueNumber(storeId, businessDate);
 
     // Generate QR code with customer data
     const qrCodeData = {
       customerId,
-      queueNumber
+      queueNumber,
+      storeId
     };
     const qrCode = await generateQRCode(qrCodeData);
 
+    // Weighted-fair ordering key (shared by customer and queue entry)
+    const serviceOrder = calculateServiceOrder(priority);
+
     // Create customer record
-    const customer = await Customer.create({
+    const customer = new Customer({
       customerId,
+      storeId,
       name,
       phone,
       cartTotal,
+      items,
       queueNumber,
+      businessDate,
       qrCode,
+      priority,
+      serviceOrder,
       status: 'WAITING'
     });
 
+    // Lets the customer leave the queue themselves; returned only here
+    const cancelToken = customer.issueCancelToken();
+    await customer.save();
+
     // Create queue entry
     await Queue.create({
       queueNumber,
+      businessDate,
+      storeId,
       customerId,
+      priority,
+      serviceOrder,
       status: 'ACTIVE'
     });
 
-    // Calculate queue position and estimated wait time
-    const position = await calculateQueuePosition(queueNumber);
-    const estimatedWaitTime = getEstimatedWaitTime(position);
+    await recordAudit(req, {
+      action: 'CUSTOMER_REGISTERED',
+      entityType: 'Customer',
+      entityId: customerId,
+      after: snapshotCustomer(customer)
+    });
+
+    publishQueueEvent(QUEUE_EVENTS.CUSTOMER_REGISTERED, { storeId, customerId, queueNumber });
+
+    // Calculate queue position and estimated wait time (p50-p90 range)
+    const position = await calculateQueuePosition(customerId);
+    const waitTimeEstimate = await estimateWaitTime(position, storeId);
+
+    // Record registration context as a future estimator sample
+    await Customer.updateOne(
+      { _id: customer._id },
+      {
+        $set: {
+          positionAtRegistration: position,
+          openCountersAtRegistration: waitTimeEstimate.openCounters
+        }
+      }
+    );
 
     // Return success response
     res.status(201).json({
@@ -101,14 +233,22 @@ export const registerCustomer = async (req, res) => {
       message: 'Customer registered successfully',
       data: {
         customerId: customer.customerId,
+        storeId: customer.storeId,
         name: customer.name,
+        namePrefilled,
         phone: customer.phone,
         cartTotal: customer.cartTotal,
+        items: customer.items,
+        itemCount: customer.itemCount,
         queueNumber: customer.queueNumber,
+        businessDate: customer.businessDate,
         qrCode: customer.qrCode,
+        cancelToken,
+        priority: customer.priority,
         status: customer.status,
         position,
-        estimatedWaitTime: `${estimatedWaitTime} minutes`,
+        estimatedWaitTime: formatWaitRange(waitTimeEstimate),
+        waitTimeEstimate,
         createdAt: customer.createdAt
       }
     });
@@ -141,7 +281,7 @@ export const getCustomerById = async (req, res) => {
   try {
     const { customerId } = req.params;
 
-    const customer = await Customer.findOne({ customerId });
+    const customer = await Customer.findOne({ customerId, storeId: req.store.storeId });
 
     if (!customer) {
       return res.status(404).json({
@@ -152,11 +292,15 @@ export const getCustomerById = async (req, res) => {
 
     // Calculate current position if still in queue
     let position = null;
-    let estimatedWaitTime = null;
+    let waitTimeEstimate = null;
+
+    if (ACTIVE_QUEUE_STATUSES.includes(customer.status)) {
+      position = await calculateQueuePosition(customer.customerId);
+    }
 
-    if (customer.status !== 'VERIFIED') {
-      position = await calculateQueuePosition(customer.queueNumber);
-      estimatedWaitTime = getEstimatedWaitTime(position);
+    // Only customers still waiting to be billed have a meaningful ETA
+    if (customer.status === 'WAITING') {
+      waitTimeEstimate = await estimateWaitTime(position, customer.storeId);
     }
 
     res.status(200).json({
@@ -164,15 +308,20 @@ export const getCustomerById = async (req, res) => {
       data: {
         customerId: customer.customerId,
         name: customer.name,
-        phone: customer.phone,
+        phone: maskPhone(customer.phone),
         cartTotal: customer.cartTotal,
+        items: customer.items,
+        itemCount: customer.itemCount,
         queueNumber: customer.queueNumber,
+        priority: customer.priority,
         status: customer.status,
         position,
-        estimatedWaitTime: estimatedWaitTime ? `${estimatedWaitTime} minutes` : 'N/A',
+        estimatedWaitTime: formatWaitRange(waitTimeEstimate),
+        waitTimeEstimate,
         createdAt: customer.createdAt,
         billedAt: customer.billedAt,
-        verifiedAt: customer.verifiedAt
+        verifiedAt: customer.verifiedAt,
+        cancelledAt: customer.cancelledAt
       }
     });
 
@@ -186,16 +335,79 @@ export const getCustomerById = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Cancel (leave the queue)
+ * @route   POST /api/customer/:customerId/cancel   (customer: { cancelToken })
+ * @route   POST /api/queue/cancel/:customerId      (staff)
+ * @access  Public with the customer's cancel token, or Cashier/Manager
+ * 
+ * Body: { reason? } plus, for customers, the cancelToken returned at
+ * registration (the customer ID is sequential, and phone numbers or QR
+ * screenshots are too easy to come by to prove who is asking)
+ * 
+ * Customers WAITING, CALLED or SKIPPED can leave: once billed they have paid.
+ * The lifecycle completes the queue entry (outcome CANCELLED) so everyone
+ * behind moves up, and frees a counter that had called the customer.
+ */
+export const cancelCustomer = async (req, res) => {
+  try {
+    const { storeId } = req.store;
+    const cancelledBy = req.user ? 'STAFF' : 'CUSTOMER';
+    const reason = req.body.reason ? String(req.body.reason).trim().slice(0, 200) : null;
+
+    const found = await Customer.findOne({ customerId: req.params.customerId, storeId })
+      .select('+cancelTokenHash');
+
+    // Same answer for unknown IDs and wrong tokens: nothing to probe
+    if (!found || (cancelledBy === 'CUSTOMER' && !found.matchesCancelToken(req.body.cancelToken))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer not found'
+      });
+    }
+
+    // Lifecycle refuses billed customers and those with recorded payments
+    const { customer, error } = await transitionCustomer(found, 'CANCEL', { req, cancelledBy, reason });
+    if (error) return sendTransitionError(res, error);
+
+    res.status(200).json({
+      success: true,
+      message: 'Customer removed from the queue',
+      data: {
+        customerId: customer.customerId,
+        queueNumber: customer.queueNumber,
+        status: customer.status,
+        cancelledAt: customer.cancelledAt,
+        cancelledBy: customer.cancelledBy,
+        cancelReason: customer.cancelReason
+      }
+    });
+
+  } catch (error) {
+    console.error('Cancel Customer Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel customer',
+      error: error.message
+    });
+  }
+};
+
 /**
  * @desc    Get customer QR code
  * @route   GET /api/customer/:customerId/qr
- * @access  Public
+ * @access  Cashier, Manager
+ * 
+ * The signed QR is a pass through the exit gate: customers receive it once,
+ * in the registration response. Customer IDs are sequential, so a re-fetch
+ * (lost phone, reprint) needs a staff token.
  */
 export const getCustomerQRCode = async (req, res) => {
   try {
     const { customerId } = req.params;
 
-    const customer = await Customer.findOne({ customerId }).select('customerId qrCode status');
+    const customer = await Customer.findOne({ customerId, storeId: req.store.storeId })
+      .select('customerId qrCode status');
 
     if (!customer) {
       return res.status(404).json({
@@ -223,16 +435,71 @@ export const getCustomerQRCode = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Look up a returning customer by phone
+ * @route   GET /api/customer/lookup?phone=
+ * @access  Cashier, Manager
+ * 
+ * Query: phone (any format registration accepts), limit (visits listed, default 20)
+ * Returns the known name, totals across all visits (visits, lifetime
+ * spend net of refunds, average wait) and the most recent visits.
+ */
+export const lookupCustomerByPhone = async (req, res) => {
+  try {
+    const { storeId } = req.store;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const { phone, error } = normalizePhone(req.query.phone, getDefaultPhoneRegion(req.store));
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const [summary, visits] = await Promise.all([
+      getVisitSummary(storeId, phone),
+      getVisits(storeId, phone, { limit })
+    ]);
+
+    if (summary.totalVisits === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'No visits found for this phone number'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        phone,
+        name: visits[0].name,
+        ...summary,
+        visits
+      }
+    });
+
+  } catch (error) {
+    console.error('Lookup Customer Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to look up customer',
+      error: error.message
+    });
+  }
+};
+
 /**
  * @desc    Get all customers (with pagination)
  * @route   GET /api/customer/all
- * @access  Admin
+ * @access  Manager
  */
 export const getAllCustomers = async (req, res) => {
   try {
     const { page = 1, limit = 20, status } = req.query;
 
-    const query = status ? { status } : {};
+    const query = { storeId: req.store.storeId };
+    if (status) query.status = status;
 
     const customers = await Customer.find(query)
       .select('-qrCode') // Exclude QR code for performance
@@ -1,6 +1,22 @@
-import Customer from '../models/Customer.js';
+import Customer, { ACTIVE_QUEUE_STATUSES } from '../models/Customer.js';
 import Queue from '../models/Queue.js';
-import { getQueueStatistics, getNextCustomerToServe } from '../utils/queueManager.js';
+import {
+  getQueueStatistics,
+  getNextCustomerToServe,
+  calculateQueuePosition,
+  getCustomerQueueSnapshot,
+  getCallSettings,
+  getRecallServiceOrder
+} from '../utils/queueManager.js';
+import {
+  estimateWaitTime,
+  createWaitTimeEstimator,
+  formatWaitRange
+} from '../utils/waitTimeEstimator.js';
+import { subscribeToQueueEvents } from '../utils/queueEvents.js';
+import { checkTransition, transitionCustomer, sendTransitionError } from '../utils/customerLifecycle.js';
+import { openSSEStream, coalesce } from '../utils/sse.js';
+import { maskPhone } from '../utils/phoneNumbers.js';
 
 /**
  * Queue Controller
@@ -8,8 +24,9 @@ import { getQueueStatistics, getNextCustomerToServe } from '../utils/queueManage
  * 
  * Interview Points:
  * - FIFO implementation using sorted queries
- * - Real-time queue updates
+ * - Real-time queue updates (Server-Sent Events + pub/sub)
  * - O(1) lookups using indexed fields
+ * - Every query is scoped to req.store (multi-store tenancy)
  */
 
 /**
@@ -17,21 +34,40 @@ import { getQueueStatistics, getNextCustomerToServe } from '../utils/queueManage
  * @route   GET /api/queue/current
  * @access  Public
  * 
- * Returns all customers currently in queue (WAITING or BILLED)
- * Sorted by queue number (FIFO order)
+ * Returns all customers currently in queue (WAITING, CALLED or BILLED)
+ * Sorted in service order (FIFO within the priority lane policy)
+ * WAITING customers include a p50-p90 wait estimate
  */
 export const getCurrentQueue = async (req, res) => {
   try {
+    const { storeId } = req.store;
+
     // Fetch active queue with customer details
-    const activeQueue = await Customer.find({
-      status: { $in: ['WAITING', 'BILLED'] }
-    })
-      .select('customerId name phone queueNumber cartTotal status createdAt')
-      .sort({ queueNumber: 1 })
-      .lean();
+    const [customers, estimator] = await Promise.all([
+      Customer.find({
+        storeId,
+        status: { $in: ACTIVE_QUEUE_STATUSES }
+      })
+        .select('customerId name phone queueNumber cartTotal priority status counterNumber createdAt')
+        .sort({ serviceOrder: 1, queueNumber: 1 })
+        .lean(),
+      createWaitTimeEstimator({ storeId })
+    ]);
+
+    // List is already in service order, so position = index + 1
+    const activeQueue = customers.map((customer, index) => {
+      const waitTimeEstimate = customer.status === 'WAITING' ? estimator(index + 1) : null;
+
+      return {
+        ...customer,
+        phone: maskPhone(customer.phone), // Public display
+        position: index + 1,
+        estimatedWaitTime: formatWaitRange(waitTimeEstimate)
+      };
+    });
 
     // Get queue statistics
-    const stats = await getQueueStatistics();
+    const stats = await getQueueStatistics({ storeId });
 
     res.status(200).json({
       success: true,
@@ -62,7 +98,7 @@ export const getQueuePosition = async (req, res) => {
   try {
     const { customerId } = req.params;
 
-    const customer = await Customer.findOne({ customerId });
+    const customer = await Customer.findOne({ customerId, storeId: req.store.storeId });
 
     if (!customer) {
       return res.status(404).json({
@@ -71,25 +107,30 @@ export const getQueuePosition = async (req, res) => {
       });
     }
 
-    if (customer.status === 'VERIFIED') {
+    if (!ACTIVE_QUEUE_STATUSES.includes(customer.status)) {
+      const messages = {
+        VERIFIED: 'Customer has already been verified',
+        CANCELLED: 'Customer has left the queue',
+        SKIPPED: 'Customer missed their call - please ask staff to recall you'
+      };
+
       return res.status(200).json({
         success: true,
-        message: 'Customer has already been verified',
+        message: messages[customer.status],
         data: {
           customerId: customer.customerId,
-          status: 'VERIFIED',
+          status: customer.status,
           position: null
         }
       });
     }
 
-    // Count customers ahead in queue
-    const customersAhead = await Customer.countDocuments({
-      status: { $in: ['WAITING', 'BILLED'] },
-      queueNumber: { $lt: customer.queueNumber }
-    });
-
-    const position = customersAhead + 1;
+    // Position in service order (respects priority lanes)
+    const position = await calculateQueuePosition(customer.customerId);
+    const customersAhead = position - 1;
+    const waitTimeEstimate = customer.status === 'WAITING'
+      ? await estimateWaitTime(position, customer.storeId)
+      : null;
 
     res.status(200).json({
       success: true,
@@ -97,9 +138,12 @@ export const getQueuePosition = async (req, res) => {
         customerId: customer.customerId,
         name: customer.name,
         queueNumber: customer.queueNumber,
+        priority: customer.priority,
         position,
         status: customer.status,
-        customersAhead
+        customersAhead,
+        estimatedWaitTime: formatWaitRange(waitTimeEstimate),
+        waitTimeEstimate
       }
     });
 
@@ -113,16 +157,92 @@ export const getQueuePosition = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Stream live queue position updates
+ * @route   GET /api/queue/stream/:customerId
+ * @access  Public
+ * 
+ * Server-Sent Events:
+ * - `position`: { status, position, customersAhead, estimatedWaitTime, ... }
+ *   sent on connect and whenever any of it changes
+ * - `removed`: customer no longer exists; stream ends
+ * 
+ * Any queue event in the same store (billing, verification, registration...)
+ * triggers a recompute; unchanged snapshots are not re-sent.
+ * Stream ends after the customer is VERIFIED or CANCELLED.
+ */
+export const streamQueuePosition = async (req, res) => {
+  try {
+    const { customerId } = req.params;
+
+    const { storeId } = req.store;
+    const initial = await getCustomerQueueSnapshot(customerId);
+
+    if (!initial || initial.storeId !== storeId) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer not found'
+      });
+    }
+
+    const stream = openSSEStream(req, res);
+    let lastSent = null;
+
+    const push = (snapshot) => {
+      const serialized = JSON.stringify(snapshot);
+      if (serialized === lastSent) return;
+
+      lastSent = serialized;
+      stream.send('position', snapshot);
+
+      if (snapshot.status === 'VERIFIED' || snapshot.status === 'CANCELLED') {
+        res.end();
+      }
+    };
+
+    const refresh = coalesce(async () => {
+      if (stream.isClosed()) return;
+
+      const snapshot = await getCustomerQueueSnapshot(customerId);
+
+      if (!snapshot) {
+        stream.send('removed', { customerId });
+        res.end();
+        return;
+      }
+
+      push(snapshot);
+    });
+
+    stream.onClose(subscribeToQueueEvents(refresh, { storeId }));
+    push(initial);
+
+  } catch (error) {
+    console.error('Stream Queue Position Error:', error);
+
+    if (res.headersSent) {
+      return res.end();
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to open queue stream',
+      error: error.message
+    });
+  }
+};
+
 /**
  * @desc    Get next customer to serve
  * @route   GET /api/queue/next
- * @access  Admin
+ * @access  Cashier, Manager
  * 
  * Returns the customer with lowest queue number (FIFO)
+ * Peek only: POST /api/counters/:counterNumber/call-next calls them
  */
 export const getNextCustomer = async (req, res) => {
   try {
-    const nextCustomer = await getNextCustomerToServe();
+    const nextCustomer = await getNextCustomerToServe(req.store.storeId);
 
     if (!nextCustomer) {
       return res.status(200).json({
@@ -147,6 +267,97 @@ export const getNextCustomer = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Get skipped customers (no-shows that can be recalled)
+ * @route   GET /api/queue/skipped
+ * @access  Cashier, Manager
+ */
+export const getSkippedCustomers = async (req, res) => {
+  try {
+    const { maxRecalls } = getCallSettings();
+
+    const customers = await Customer.find({ storeId: req.store.storeId, status: 'SKIPPED' })
+      .select('customerId name phone queueNumber priority counterNumber assignedAt skippedAt recallCount')
+      .sort({ skippedAt: -1 })
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      count: customers.length,
+      maxRecalls,
+      data: customers.map(customer => ({
+        ...customer,
+        recallsLeft: Math.max(maxRecalls - customer.recallCount, 0)
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get Skipped Customers Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch skipped customers',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Recall a skipped customer
+ * @route   POST /api/queue/recall/:customerId
+ * @access  Cashier, Manager
+ * 
+ * SKIPPED -> WAITING at RECALL_POSITION among the waiting customers
+ * (near the front, not the back), at most MAX_RECALLS times.
+ * The lifecycle reactivates the customer's queue entry at the same place.
+ */
+export const recallCustomer = async (req, res) => {
+  try {
+    const { storeId } = req.store;
+    const { maxRecalls } = getCallSettings();
+
+    const customer = await Customer.findOne({ customerId: req.params.customerId, storeId });
+
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer not found'
+      });
+    }
+
+    const refusal = await checkTransition(customer, 'RECALL', { maxRecalls });
+    if (refusal) return sendTransitionError(res, refusal);
+
+    // Conditional on the recall count read above: two recalls cannot both count
+    const { customer: recalled, error } = await transitionCustomer(customer, 'RECALL', {
+      req,
+      maxRecalls,
+      serviceOrder: await getRecallServiceOrder(storeId, customer.priority)
+    });
+    if (error) return sendTransitionError(res, error);
+
+    res.status(200).json({
+      success: true,
+      message: 'Customer recalled to the queue',
+      data: {
+        customerId: recalled.customerId,
+        queueNumber: recalled.queueNumber,
+        status: recalled.status,
+        position: await calculateQueuePosition(recalled.customerId),
+        recallCount: recalled.recallCount,
+        recallsLeft: Math.max(maxRecalls - recalled.recallCount, 0)
+      }
+    });
+
+  } catch (error) {
+    console.error('Recall Customer Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to recall customer',
+      error: error.message
+    });
+  }
+};
+
 /**
  * @desc    Get queue statistics
  * @route   GET /api/queue/statistics
@@ -154,8 +365,9 @@ export const getNextCustomer = async (req, res) => {
  */
 export const getStatistics = async (req, res) => {
   try {
-    const stats = await getQueueStatistics();
-    const customerStats = await Customer.getStatistics();
+    const scope = { storeId: req.store.storeId };
+    const stats = await getQueueStatistics(scope);
+    const customerStats = await Customer.getStatistics(scope);
 
     res.status(200).json({
       success: true,
@@ -179,20 +391,22 @@ export const getStatistics = async (req, res) => {
 /**
  * @desc    Get queue history (completed)
  * @route   GET /api/queue/history
- * @access  Admin
+ * @access  Manager
  */
 export const getQueueHistory = async (req, res) => {
   try {
     const { page = 1, limit = 50 } = req.query;
 
-    const history = await Queue.find({ status: 'COMPLETED' })
+    const query = { storeId: req.store.storeId, status: 'COMPLETED' };
+
+    const history = await Queue.find(query)
       .populate('customerId', 'name phone cartTotal')
       .sort({ completedAt: -1 })
       .limit(limit * 1)
       .skip((page - 1) * limit)
       .lean();
 
-    const count = await Queue.countDocuments({ status: 'COMPLETED' });
+    const count = await Queue.countDocuments(query);
 
     res.status(200).json({
       success: true,
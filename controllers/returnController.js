@@ -0,0 +1,286 @@
+import Customer from '../models/Customer.js';
+import Payment from '../models/Payment.js';
+import Refund from '../models/Refund.js';
+import { planRefund } from '../utils/refunds.js';
+import { getBusinessDate } from '../utils/businessDay.js';
+import { roundMoney } from '../utils/cartItems.js';
+import { recordAudit } from '../utils/auditLog.js';
+
+/**
+ * Return Controller
+ * Returns and refunds for customers who have already exited (VERIFIED)
+ *
+ * Interview Points:
+ * - undoBilling covers mistakes before the gate; returns cover after it
+ * - Managers only: a refund is money leaving the till
+ * - Revenue reports subtract refunds on the day they were given
+ * - Check and insert are serialized per bill: a return first claims the
+ *   customer's next refundVersion, so concurrent returns cannot both pass
+ *   the caps
+ */
+
+/**
+ * Helper: Amount paid on a bill per method
+ *
+ * @returns {Promise<Object>} { METHOD: amount }
+ */
+const getPaidByMethod = async (storeId, customerId) => {
+  const rows = await Payment.aggregate([
+    { $match: { storeId, customerId } },
+    { $group: { _id: '$method', amount: { $sum: '$amount' } } }
+  ]);
+
+  return Object.fromEntries(rows.map(row => [row._id, roundMoney(row.amount)]));
+};
+
+/**
+ * Helper: Refund position of a bill
+ */
+const summarizeRefunds = (customer, refunded) => ({
+  cartTotal: customer.cartTotal,
+  refunded: refunded.total,
+  refundable: roundMoney(Math.max(customer.cartTotal - refunded.total, 0)),
+  returnedQuantities: refunded.quantities
+});
+
+/**
+ * @desc    Open a return and refund a verified customer
+ * @route   POST /api/billing/returns/:customerId
+ * @access  Manager
+ *
+ * Body: { items: [{ sku, quantity }], method, reason, reference? }
+ *   or  { amount, method, reason, reference? }
+ */
+export const createReturn = async (req, res) => {
+  try {
+    const { storeId } = req.store;
+    const { reason, reference } = req.body;
+
+    if (!reason || !String(reason).trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a reason for the return'
+      });
+    }
+
+    const customer = await Customer.findOne({ customerId: req.params.customerId, storeId });
+
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer not found'
+      });
+    }
+
+    if (customer.status !== 'VERIFIED') {
+      return res.status(400).json({
+        success: false,
+        message: `Returns are only accepted after exit verification (status: ${customer.status})`,
+        currentStatus: customer.status
+      });
+    }
+
+    const [refunded, paidByMethod] = await Promise.all([
+      Refund.getRefundedSummary(storeId, customer.customerId),
+      getPaidByMethod(storeId, customer.customerId)
+    ]);
+
+    const { refund, error } = planRefund(customer, req.body, { refunded, paidByMethod });
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+        data: summarizeRefunds(customer, refunded)
+      });
+    }
+
+    // Claim the bill: fails if another return landed since we read it
+    const refundedTotal = roundMoney(refunded.total + refund.amount);
+    const version = customer.refundVersion || 0;
+
+    const claimed = await Customer.findOneAndUpdate(
+      {
+        _id: customer._id,
+        status: 'VERIFIED',
+        refundVersion: version > 0 ? version : { $in: [0, null] },
+        $expr: { $lte: [refundedTotal, { $add: ['$cartTotal', 0.001] }] }
+      },
+      { $set: { refundedTotal }, $inc: { refundVersion: 1 } },
+      { new: true }
+    );
+
+    if (!claimed) {
+      return res.status(409).json({
+        success: false,
+        message: 'Another return on this bill was processed at the same time; please retry'
+      });
+    }
+
+    let record;
+    try {
+      record = await Refund.create({
+        storeId,
+        customerId: customer.customerId,
+        businessDate: getBusinessDate(new Date(), req.store.timezone),
+        ...refund,
+        reason: String(reason).trim(),
+        reference: reference ? String(reference) : null,
+        processedBy: req.user ? req.user.username : null
+      });
+    } catch (error) {
+      // Give the claim back so the bill is not blocked
+      await Customer.updateOne(
+        { _id: customer._id },
+        { $inc: { refundedTotal: -refund.amount, refundVersion: 1 } }
+      );
+      throw error;
+    }
+
+    await recordAudit(req, {
+      action: 'REFUND_ISSUED',
+      entityType: 'Customer',
+      entityId: customer.customerId,
+      before: { refunded: refunded.total },
+      after: {
+        refunded: roundMoney(refunded.total + record.amount),
+        amount: record.amount,
+        method: record.method,
+        items: record.items,
+        reason: record.reason
+      }
+    });
+
+    refunded.total = roundMoney(refunded.total + record.amount);
+    record.items.forEach(item => {
+      refunded.quantities[item.sku] = (refunded.quantities[item.sku] || 0) + item.quantity;
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Refunded ${record.amount} by ${record.method}`,
+      data: {
+        refund: record,
+        bill: summarizeRefunds(customer, refunded)
+      }
+    });
+
+  } catch (error) {
+    console.error('Create Return Error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to process return',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get returns for one customer with the refundable balance
+ * @route   GET /api/billing/returns/:customerId
+ * @access  Cashier, Manager
+ */
+export const getCustomerReturns = async (req, res) => {
+  try {
+    const { storeId } = req.store;
+    const customer = await Customer.findOne({ customerId: req.params.customerId, storeId })
+      .select('customerId status cartTotal items')
+      .lean();
+
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer not found'
+      });
+    }
+
+    const [refunds, refunded] = await Promise.all([
+      Refund.find({ storeId, customerId: customer.customerId }).sort({ refundedAt: 1 }).lean(),
+      Refund.getRefundedSummary(storeId, customer.customerId)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        customerId: customer.customerId,
+        status: customer.status,
+        bill: summarizeRefunds(customer, refunded),
+        refunds
+      }
+    });
+
+  } catch (error) {
+    console.error('Get Customer Returns Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch returns',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get the store's returns (newest first)
+ * @route   GET /api/billing/returns
+ * @access  Manager
+ *
+ * Query: from, to (business dates YYYY-MM-DD), method, page, limit
+ */
+export const getReturns = async (req, res) => {
+  try {
+    const { from, to, method, page = 1, limit = 50 } = req.query;
+    const query = { storeId: req.store.storeId };
+
+    if (from || to) {
+      query.businessDate = {};
+      if (from) query.businessDate.$gte = from;
+      if (to) query.businessDate.$lte = to;
+    }
+
+    if (method) query.method = String(method).toUpperCase();
+
+    const [refunds, count, totals] = await Promise.all([
+      Refund.find(query)
+        .sort({ refundedAt: -1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit)
+        .lean(),
+      Refund.countDocuments(query),
+      Refund.aggregate([
+        { $match: query },
+        { $group: { _id: '$method', amount: { $sum: '$amount' }, refunds: { $sum: 1 } } }
+      ])
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: refunds,
+      summary: {
+        refunds: count,
+        amount: roundMoney(totals.reduce((sum, row) => sum + row.amount, 0)),
+        byMethod: Object.fromEntries(totals.map(row => [row._id, { amount: roundMoney(row.amount), refunds: row.refunds }]))
+      },
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(count / limit),
+        totalRecords: count
+      }
+    });
+
+  } catch (error) {
+    console.error('Get Returns Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch returns',
+      error: error.message
+    });
+  }
+};
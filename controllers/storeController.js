@@ -0,0 +1,247 @@
+import Store from '../models/Store.js';
+import Customer from '../models/Customer.js';
+import BillingCounter from '../models/BillingCounter.js';
+import BusinessDay from '../models/BusinessDay.js';
+import Refund from '../models/Refund.js';
+import { getBusinessDate } from '../utils/businessDay.js';
+import { clearStoreCache } from '../middleware/store.js';
+
+/**
+ * Store Controller
+ * Manages stores (tenants) and head-office reporting across them
+ *
+ * Interview Points:
+ * - Not store-scoped: these routes see every store
+ * - Rollup is one aggregation per collection, grouped by storeId,
+ *   instead of one dashboard call per store
+ */
+
+/**
+ * @desc    Get all stores
+ * @route   GET /api/stores
+ * @access  Manager (Head Office)
+ */
+export const getStores = async (req, res) => {
+  try {
+    const { active } = req.query;
+
+    const query = active === undefined ? {} : { active: active === 'true' };
+
+    const stores = await Store.find(query)
+      .sort({ storeId: 1 })
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      data: stores,
+      count: stores.length
+    });
+
+  } catch (error) {
+    console.error('Get Stores Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch stores',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Create store
+ * @route   POST /api/stores
+ * @access  Manager (Head Office)
+ */
+export const createStore = async (req, res) => {
+  try {
+    const { storeId, name, customerIdPrefix, timezone, gstin, stateCode, phoneRegion } = req.body;
+
+    if (!storeId || !name || !customerIdPrefix) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide storeId, name and customerIdPrefix'
+      });
+    }
+
+    if (timezone) {
+      try {
+        new Intl.DateTimeFormat('en-CA', { timeZone: timezone });
+      } catch {
+        return res.status(400).json({
+          success: false,
+          message: `Unknown timezone: ${timezone}`
+        });
+      }
+    }
+
+    const store = await Store.create({
+      storeId,
+      name,
+      customerIdPrefix,
+      timezone: timezone || null,
+      gstin: gstin || null,
+      stateCode: stateCode || null,
+      phoneRegion: phoneRegion || null
+    });
+
+    clearStoreCache();
+
+    res.status(201).json({
+      success: true,
+      message: 'Store created successfully',
+      data: store
+    });
+
+  } catch (error) {
+    console.error('Create Store Error:', error);
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'Store ID or customer ID prefix already in use'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create store',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Cross-store rollup for head office
+ * @route   GET /api/stores/rollup
+ * @access  Manager (Head Office)
+ *
+ * Per active store, for its current business date (store timezone):
+ * - Customers by status, revenue (net of refunds given that day) and transactions
+ * - Open business day and open billing counters
+ * Plus totals across all stores.
+ */
+export const getStoreRollup = async (req, res) => {
+  try {
+    const stores = await Store.find({ active: true })
+      .select('storeId name timezone')
+      .sort({ storeId: 1 })
+      .lean();
+
+    const now = new Date();
+    const storeDays = stores.map(store => ({
+      storeId: store.storeId,
+      businessDate: getBusinessDate(now, store.timezone)
+    }));
+    const storeIds = stores.map(store => store.storeId);
+
+    const [customerStats, openCounters, openDays, refunds] = await Promise.all([
+      storeDays.length === 0 ? [] : Customer.aggregate([
+        { $match: { $or: storeDays } },
+        {
+          $group: {
+            _id: '$storeId',
+            registered: { $sum: 1 },
+            waiting: { $sum: { $cond: [{ $eq: ['$status', 'WAITING'] }, 1, 0] } },
+            called: { $sum: { $cond: [{ $eq: ['$status', 'CALLED'] }, 1, 0] } },
+            billed: { $sum: { $cond: [{ $eq: ['$status', 'BILLED'] }, 1, 0] } },
+            verified: { $sum: { $cond: [{ $eq: ['$status', 'VERIFIED'] }, 1, 0] } },
+            cancelled: { $sum: { $cond: [{ $eq: ['$status', 'CANCELLED'] }, 1, 0] } },
+            revenue: {
+              $sum: { $cond: [{ $in: ['$status', ['BILLED', 'VERIFIED']] }, '$cartTotal', 0] }
+            }
+          }
+        }
+      ]),
+      BillingCounter.aggregate([
+        { $match: { storeId: { $in: storeIds }, status: 'OPEN' } },
+        { $group: { _id: '$storeId', count: { $sum: 1 } } }
+      ]),
+      BusinessDay.find({ storeId: { $in: storeIds }, status: 'OPEN' })
+        .select('storeId businessDate openedAt')
+        .lean(),
+      storeDays.length === 0 ? [] : Refund.aggregate([
+        { $match: { $or: storeDays } },
+        { $group: { _id: '$storeId', amount: { $sum: '$amount' } } }
+      ])
+    ]);
+
+    const statsByStore = new Map(customerStats.map(entry => [entry._id, entry]));
+    const countersByStore = new Map(openCounters.map(entry => [entry._id, entry.count]));
+    const daysByStore = new Map(openDays.map(day => [day.storeId, day]));
+    const refundsByStore = new Map(refunds.map(entry => [entry._id, entry.amount]));
+
+    const data = stores.map((store, index) => {
+      const stats = statsByStore.get(store.storeId) || {};
+      const transactions = (stats.billed || 0) + (stats.verified || 0);
+      const openDay = daysByStore.get(store.storeId);
+      const sales = stats.revenue || 0;
+      const refunded = Math.round((refundsByStore.get(store.storeId) || 0) * 100) / 100;
+
+      return {
+        storeId: store.storeId,
+        name: store.name,
+        businessDate: storeDays[index].businessDate,
+        isOpen: Boolean(openDay),
+        openCounters: countersByStore.get(store.storeId) || 0,
+        customers: {
+          registered: stats.registered || 0,
+          waiting: stats.waiting || 0,
+          called: stats.called || 0,
+          billed: stats.billed || 0,
+          verified: stats.verified || 0,
+          cancelled: stats.cancelled || 0
+        },
+        revenue: {
+          revenue: Math.round((sales - refunded) * 100) / 100,
+          sales,
+          refunds: refunded,
+          transactions,
+          averageCartValue: transactions > 0 ? Math.round(sales / transactions) : 0
+        }
+      };
+    });
+
+    const sum = (pick) => data.reduce((total, store) => total + pick(store), 0);
+    const totalTransactions = sum(store => store.revenue.transactions);
+    const totalRevenue = sum(store => store.revenue.revenue);
+    const totalSales = sum(store => store.revenue.sales);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        stores: data,
+        totals: {
+          stores: data.length,
+          storesOpen: data.filter(store => store.isOpen).length,
+          openCounters: sum(store => store.openCounters),
+          registered: sum(store => store.customers.registered),
+          waiting: sum(store => store.customers.waiting),
+          called: sum(store => store.customers.called),
+          billed: sum(store => store.customers.billed),
+          verified: sum(store => store.customers.verified),
+          cancelled: sum(store => store.customers.cancelled),
+          revenue: Math.round(totalRevenue * 100) / 100,
+          refunds: Math.round(sum(store => store.revenue.refunds) * 100) / 100,
+          transactions: totalTransactions,
+          averageCartValue: totalTransactions > 0 ? Math.round(totalSales / totalTransactions) : 0
+        },
+        timestamp: now
+      }
+    });
+
+  } catch (error) {
+    console.error('Get Store Rollup Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch store rollup',
+      error: error.message
+    });
+  }
+};
@@ -1,6 +1,14 @@
+import crypto from 'crypto';
 import Customer from '../models/Customer.js';
-import Queue from '../models/Queue.js';
-import { decodeQRData } from '../utils/qrCodeGenerator.js';
+import ScanAttempt, {
+  SCAN_FAILURE_REASONS,
+  UNVERIFIED_FAILURE_REASONS,
+  FRAUD_REVIEW_OUTCOMES,
+  VERIFICATION_REVERSAL_REASONS
+} from '../models/ScanAttempt.js';
+import { decodeQRData, verifyQRSignature } from '../utils/qrCodeGenerator.js';
+import { checkTransition, transitionCustomer, sendTransitionError } from '../utils/customerLifecycle.js';
+import { evaluateFraudRules, getRuleActions, getFraudSettings, FRAUD_RULES } from '../utils/fraudRules.js';
 
 /**
  * Verification Controller
@@ -11,31 +19,112 @@ import { decodeQRData } from '../utils/qrCodeGenerator.js';
  * - Validation: Multi-layer checks (existence, status, duplication)
  * - O(1) lookup using indexed customerId
  * - Transaction handling for atomicity
+ * - Gates only accept QR codes issued by their own store
+ * - Every scan attempt is persisted (ScanAttempt) for fraud analysis
+ * - Configurable fraud rules can allow, flag or block an otherwise valid scan
  */
 
+/**
+ * Helper: Gate the scan came from (body.gateId or X-Gate-Id header)
+ */
+const getGateId = (req) => {
+  const gateId = req.body.gateId || req.headers['x-gate-id'];
+  return gateId ? String(gateId).slice(0, 50) : null;
+};
+
+/**
+ * Helper: VERIFY transition input from a decoded QR payload
+ * A payload without a queue number never matches (DATA_MISMATCH)
+ */
+const getVerifyContext = (decodedData) => ({
+  queueNumber: Number.isInteger(decodedData.queueNumber) ? decodedData.queueNumber : null,
+  issuedAt: decodedData.timestamp
+});
+
+/**
+ * Helper: Scan failure reason for a refused VERIFY transition
+ * Guard refusals carry their own reason (DATA_MISMATCH, QR_EXPIRED)
+ */
+const getScanRefusalReason = (refusal) => {
+  if (refusal.code !== 'ILLEGAL_TRANSITION') return refusal.code;
+  return refusal.currentStatus === 'VERIFIED' ? 'DUPLICATE_SCAN' : 'NOT_BILLED';
+};
+
+/**
+ * Helper: Persist one scan attempt
+ * Never fails the scan itself; errors are logged
+ * 
+ * @param {Object} req - Express request (store, gate, staff, IP, request ID)
+ * @param {Object} attempt
+ * @param {string} attempt.result - SUCCESS | FAILED
+ * @param {string} attempt.reason - Failure reason (null on success)
+ * @param {*} attempt.qrData - Raw scanned data (only its hash is stored)
+ * @param {Object} attempt.decodedData - Decoded payload, if decoding succeeded
+ * @param {boolean} attempt.bulk - Part of a bulk verification
+ * @param {Object} attempt.fraud - Fraud rule evaluation, if rules ran
+ */
+const recordScanAttempt = async (req, { result, reason = null, qrData, decodedData = null, bulk = false, fraud = null }) => {
+  try {
+    const raw = typeof qrData === 'string' ? qrData : JSON.stringify(qrData ?? null);
+
+    // Unverified payloads name whoever the sender chose; never attribute them
+    const subject = decodedData && !UNVERIFIED_FAILURE_REASONS.includes(reason) ? decodedData : null;
+
+    await ScanAttempt.create({
+      storeId: req.store.storeId,
+      customerId: subject ? subject.customerId : null,
+      queueNumber: subject && Number.isInteger(subject.queueNumber) ? subject.queueNumber : null,
+      result,
+      reason,
+      gateId: getGateId(req),
+      payloadHash: crypto.createHash('sha256').update(raw).digest('hex'),
+      scannedBy: req.user ? req.user.username : null,
+      ip: req.ip || null,
+      requestId: req.id || null,
+      bulk,
+      fraudDecision: fraud ? fraud.decision : null,
+      fraudMatches: fraud ? fraud.matches : []
+    });
+  } catch (error) {
+    console.error('Record Scan Attempt Error:', error);
+  }
+};
+
 /**
  * @desc    Verify QR code at exit
  * @route   POST /api/verify/qr
- * @access  Public (Security Personnel)
+ * @access  Guard, Manager
  * 
  * Verification Process:
  * 1. Decode QR code data
- * 2. Validate customer exists
- * 3. Check billing status
- * 4. Check if already verified (prevent duplication)
- * 5. Mark as verified
- * 6. Complete queue entry
+ * 2. Verify HMAC signature (reject forged/tampered QR codes)
+ * 3. Validate customer exists and belongs to this gate's store
+ * 4. Check queue number and billing status
+ * 5. Check if already verified (prevent duplication)
+ * 6. Check QR expiry (issued -> billed, billed -> exited windows)
+ * 7. Evaluate fraud rules (BLOCK rejects, FLAG passes with a warning)
+ * 8. Mark as verified
+ * 9. Complete queue entry
+ * 
+ * Steps 4-6, 8 and 9 are the lifecycle's VERIFY transition (customerLifecycle.js),
+ * shared with bulk verification.
  * 
  * Security Considerations:
+ * - Only QR codes signed with a key in the keyring are accepted
+ * - A QR issued in one store is rejected at another store's gate
  * - QR code can only be used once
  * - Customer must be billed before verification
+ * - Stale QR codes rejected unless an admin extended validity
+ * - Scan history checked by fraud rules; matches returned and stored
  * - Timestamps recorded for audit trail
+ * - Every attempt (success or failure) saved with reason and gate
  * 
  * Time Complexity: O(1) with indexing
  */
 export const verifyQRCode = async (req, res) => {
   try {
     const { qrData } = req.body;
+    const { storeId } = req.store;
 
     if (!qrData) {
       return res.status(400).json({
@@ -44,96 +133,117 @@ export const verifyQRCode = async (req, res) => {
       });
     }
 
+    let decodedData = null;
+
+    // Records the failed attempt, then responds
+    const failScan = async (statusCode, reason, body, fraud = null) => {
+      await recordScanAttempt(req, { result: 'FAILED', reason, qrData, decodedData, fraud });
+      return res.status(statusCode).json({
+        success: false,
+        verification: 'FAILED',
+        reason,
+        ...body
+      });
+    };
+
     // Step 1: Decode QR code
-    let decodedData;
     try {
       decodedData = decodeQRData(qrData);
     } catch (error) {
-      return res.status(400).json({
-        success: false,
+      return failScan(400, 'INVALID_FORMAT', {
         message: 'Invalid QR code format',
         error: error.message
       });
     }
 
-    const { customerId, queueNumber } = decodedData;
+    // Step 2: Verify signature (forged or tampered payloads never reach the DB)
+    if (!verifyQRSignature(decodedData)) {
+      return failScan(400, 'INVALID_SIGNATURE', {
+        message: 'QR code signature is invalid'
+      });
+    }
+
+    const { customerId } = decodedData;
 
-    // Step 2: Find customer (O(1) with index on customerId)
+    // Step 3: Find customer (O(1) with index on customerId)
     const customer = await Customer.findOne({ customerId });
 
     if (!customer) {
-      return res.status(404).json({
-        success: false,
-        message: 'Customer not found',
-        verification: 'FAILED',
-        reason: 'INVALID_QR'
+      return failScan(404, 'INVALID_QR', {
+        message: 'Customer not found'
       });
     }
 
-    // Step 3: Validate queue number matches
-    if (customer.queueNumber !== queueNumber) {
-      return res.status(400).json({
-        success: false,
-        message: 'QR code data mismatch',
-        verification: 'FAILED',
-        reason: 'DATA_MISMATCH'
+    // Signed store (or, for older QR codes, the customer's store) must be this gate's
+    if ((decodedData.storeId || customer.storeId) !== storeId) {
+      return failScan(403, 'WRONG_STORE', {
+        message: 'QR code was issued by a different store'
       });
     }
 
-    // Step 4: Check if already verified (prevent duplicate usage)
-    if (customer.status === 'VERIFIED') {
-      return res.status(400).json({
-        success: false,
-        message: 'QR code already used',
-        verification: 'FAILED',
-        reason: 'DUPLICATE_SCAN',
-        verifiedAt: customer.verifiedAt,
-        data: {
-          customerId: customer.customerId,
-          name: customer.name,
-          previousVerification: customer.verifiedAt
-        }
-      });
-    }
+    // Records the refused transition as a failed scan
+    const refuseScan = (refusal, fraud = null) => {
+      const { statusCode, ...body } = refusal;
+      const reason = getScanRefusalReason(refusal);
 
-    // Step 5: Check billing status
-    if (customer.status !== 'BILLED') {
-      return res.status(400).json({
-        success: false,
-        message: 'Customer has not been billed yet',
-        verification: 'FAILED',
-        reason: 'NOT_BILLED',
-        currentStatus: customer.status
-      });
+      return failScan(statusCode, reason, {
+        ...body,
+        ...(reason === 'DUPLICATE_SCAN' && {
+          verifiedAt: customer.verifiedAt,
+          data: {
+            customerId: customer.customerId,
+            name: customer.name,
+            previousVerification: customer.verifiedAt
+          }
+        })
+      }, fraud);
+    };
+
+    // Steps 4-6: Lifecycle checks (queue number, billed, not yet used, expiry)
+    const verifyContext = { req, ...getVerifyContext(decodedData) };
+    const refusal = await checkTransition(customer, 'VERIFY', verifyContext);
+
+    if (refusal) return refuseScan(refusal);
+
+    // Step 7: Fraud rules
+    const fraud = await evaluateFraudRules({ customer, storeId, gateId: getGateId(req) });
+
+    if (fraud.decision === 'BLOCK') {
+      return failScan(403, 'FRAUD_BLOCKED', {
+        message: 'Scan blocked by fraud rules - call a supervisor',
+        fraud
+      }, fraud);
     }
 
-    // Step 6: Mark customer as verified
-    await customer.markAsVerified();
+    // Steps 8-9: Mark customer as verified; the lifecycle completes the queue entry
+    const verification = await transitionCustomer(customer, 'VERIFY', verifyContext);
 
-    // Step 7: Complete queue entry
-    const queueEntry = await Queue.findOne({
-      customerId: customer.customerId,
-      status: 'ACTIVE'
-    });
+    if (verification.error) return refuseScan(verification.error, fraud);
 
-    if (queueEntry) {
-      await queueEntry.complete();
-    }
+    const verified = verification.customer;
 
-    // Step 8: Return success response
+    await recordScanAttempt(req, { result: 'SUCCESS', qrData, decodedData, fraud });
+
+    // Step 10: Return success response (flagged scans pass, guard checks the customer)
     res.status(200).json({
       success: true,
-      message: 'Verification successful',
+      message: fraud.decision === 'FLAG'
+        ? 'Verification successful - flagged for guard check'
+        : 'Verification successful',
       verification: 'SUCCESS',
+      flagged: fraud.decision === 'FLAG',
+      fraud,
       data: {
-        customerId: customer.customerId,
-        name: customer.name,
-        phone: customer.phone,
-        queueNumber: customer.queueNumber,
-        cartTotal: customer.cartTotal,
-        status: customer.status,
-        billedAt: customer.billedAt,
-        verifiedAt: customer.verifiedAt
+        customerId: verified.customerId,
+        name: verified.name,
+        phone: verified.phone,
+        queueNumber: verified.queueNumber,
+        cartTotal: verified.cartTotal,
+        items: verified.items,
+        itemCount: verified.itemCount,
+        status: verified.status,
+        billedAt: verified.billedAt,
+        verifiedAt: verified.verifiedAt
       }
     });
 
@@ -151,11 +261,12 @@ export const verifyQRCode = async (req, res) => {
 /**
  * @desc    Bulk verify QR codes (for testing)
  * @route   POST /api/verify/bulk
- * @access  Admin
+ * @access  Manager
  */
 export const bulkVerifyQRCodes = async (req, res) => {
   try {
     const { qrDataArray } = req.body;
+    const { storeId } = req.store;
 
     if (!Array.isArray(qrDataArray) || qrDataArray.length === 0) {
       return res.status(400).json({
@@ -167,23 +278,95 @@ export const bulkVerifyQRCodes = async (req, res) => {
     const results = [];
 
     for (const qrData of qrDataArray) {
+      let decodedData = null;
+
       try {
-        const decodedData = decodeQRData(qrData);
+        try {
+          decodedData = decodeQRData(qrData);
+        } catch (error) {
+          await recordScanAttempt(req, { result: 'FAILED', reason: 'INVALID_FORMAT', qrData, bulk: true });
+          throw error;
+        }
+
+        if (!verifyQRSignature(decodedData)) {
+          await recordScanAttempt(req, { result: 'FAILED', reason: 'INVALID_SIGNATURE', qrData, decodedData, bulk: true });
+          results.push({
+            customerId: decodedData.customerId,
+            status: 'FAILED',
+            reason: 'INVALID_SIGNATURE'
+          });
+          continue;
+        }
+
         const customer = await Customer.findOne({ customerId: decodedData.customerId });
 
-        if (customer && customer.status === 'BILLED') {
-          await customer.markAsVerified();
+        if (!customer) {
+          await recordScanAttempt(req, { result: 'FAILED', reason: 'INVALID_QR', qrData, decodedData, bulk: true });
+          results.push({
+            customerId: decodedData.customerId,
+            status: 'FAILED',
+            reason: 'INVALID_QR'
+          });
+          continue;
+        }
+
+        if ((decodedData.storeId || customer.storeId) !== storeId) {
+          await recordScanAttempt(req, { result: 'FAILED', reason: 'WRONG_STORE', qrData, decodedData, bulk: true });
+          results.push({
+            customerId: customer.customerId,
+            status: 'FAILED',
+            reason: 'WRONG_STORE'
+          });
+          continue;
+        }
+
+        // Same lifecycle checks as a single scan, queue number included
+        const refuseScan = async (refusal, fraud = null) => {
+          const reason = getScanRefusalReason(refusal);
+          await recordScanAttempt(req, { result: 'FAILED', reason, qrData, decodedData, bulk: true, fraud });
           results.push({
             customerId: customer.customerId,
-            status: 'SUCCESS'
+            status: 'FAILED',
+            reason,
+            currentStatus: refusal.currentStatus,
+            attemptedStatus: refusal.attemptedStatus
           });
-        } else {
+        };
+
+        const verifyContext = { req, ...getVerifyContext(decodedData) };
+        const refusal = await checkTransition(customer, 'VERIFY', verifyContext);
+
+        if (refusal) {
+          await refuseScan(refusal);
+          continue;
+        }
+
+        const fraud = await evaluateFraudRules({ customer, storeId, gateId: getGateId(req) });
+
+        if (fraud.decision === 'BLOCK') {
+          await recordScanAttempt(req, { result: 'FAILED', reason: 'FRAUD_BLOCKED', qrData, decodedData, bulk: true, fraud });
           results.push({
-            customerId: decodedData.customerId,
+            customerId: customer.customerId,
             status: 'FAILED',
-            reason: customer ? 'INVALID_STATUS' : 'NOT_FOUND'
+            reason: 'FRAUD_BLOCKED',
+            fraud
           });
+          continue;
+        }
+
+        const verification = await transitionCustomer(customer, 'VERIFY', verifyContext);
+
+        if (verification.error) {
+          await refuseScan(verification.error, fraud);
+          continue;
         }
+
+        await recordScanAttempt(req, { result: 'SUCCESS', qrData, decodedData, bulk: true, fraud });
+        results.push({
+          customerId: customer.customerId,
+          status: 'SUCCESS',
+          flagged: fraud.decision === 'FLAG'
+        });
       } catch (error) {
         results.push({
           status: 'ERROR',
@@ -212,16 +395,101 @@ export const bulkVerifyQRCodes = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Reverse a verification (supervisor override)
+ * @route   POST /api/verify/reverse/:customerId
+ * @access  Manager
+ * 
+ * Body: { reasonCode, note } (note required for OTHER)
+ * 
+ * For a guard who scanned the wrong QR: the customer goes back to BILLED,
+ * their queue entry is reactivated and a fresh exit window starts, so the
+ * right scan can pass. The original successful scan is kept and marked
+ * as reversed; reversals are counted in the verification statistics.
+ */
+export const reverseVerification = async (req, res) => {
+  try {
+    const { storeId } = req.store;
+    const reasonCode = String(req.body.reasonCode || '').toUpperCase();
+    const note = req.body.note ? String(req.body.note).trim().slice(0, 500) : null;
+
+    if (!VERIFICATION_REVERSAL_REASONS.includes(reasonCode)) {
+      return res.status(400).json({
+        success: false,
+        message: `reasonCode must be one of: ${VERIFICATION_REVERSAL_REASONS.join(', ')}`
+      });
+    }
+
+    if (reasonCode === 'OTHER' && !note) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a note for reason OTHER'
+      });
+    }
+
+    const found = await Customer.findOne({ customerId: req.params.customerId, storeId });
+
+    if (!found) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer not found'
+      });
+    }
+
+    const originalVerifiedAt = found.verifiedAt;
+
+    const { customer, error } = await transitionCustomer(found, 'REVERSE_VERIFICATION', { req, reasonCode, note });
+    if (error) return sendTransitionError(res, error);
+
+    const reversal = {
+      reasonCode,
+      note,
+      reversedBy: req.user ? req.user.username : null,
+      reversedAt: new Date()
+    };
+
+    // The scan that verified the customer stays SUCCESS, marked as reversed
+    const scan = await ScanAttempt.findOneAndUpdate(
+      { storeId, customerId: customer.customerId, result: 'SUCCESS', 'reversal.reversedAt': null },
+      { $set: { reversal } },
+      { sort: { scannedAt: -1 }, new: true }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Verification reversed - the customer can be scanned again',
+      data: {
+        customerId: customer.customerId,
+        queueNumber: customer.queueNumber,
+        status: customer.status,
+        billedAt: customer.billedAt,
+        qrValidUntil: customer.qrValidUntil,
+        originalVerifiedAt,
+        scanAttemptId: scan ? scan._id : null,
+        reversal
+      }
+    });
+
+  } catch (error) {
+    console.error('Reverse Verification Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reverse verification',
+      error: error.message
+    });
+  }
+};
+
 /**
  * @desc    Get verification history
  * @route   GET /api/verify/history
- * @access  Admin
+ * @access  Guard, Manager
  */
 export const getVerificationHistory = async (req, res) => {
   try {
     const { page = 1, limit = 50, date } = req.query;
 
-    let query = { status: 'VERIFIED' };
+    let query = { storeId: req.store.storeId, status: 'VERIFIED' };
 
     // Filter by date if provided
     if (date) {
@@ -268,31 +536,41 @@ export const getVerificationHistory = async (req, res) => {
 /**
  * @desc    Get verification statistics
  * @route   GET /api/verify/statistics
- * @access  Admin
+ * @access  Manager
  */
 export const getVerificationStatistics = async (req, res) => {
   try {
+    const { storeId } = req.store;
     const today = new Date();
     today.setHours(0, 0, 0, 0);
 
-    const [verifiedToday, totalVerified, avgExitTime] = await Promise.all([
+    const [verifiedToday, totalVerified, avgExitTime, reversedToday, reversalsByReason] = await Promise.all([
       Customer.countDocuments({
+        storeId,
         status: 'VERIFIED',
         verifiedAt: { $gte: today }
       }),
-      Customer.countDocuments({ status: 'VERIFIED' }),
-      calculateAverageExitTime()
+      Customer.countDocuments({ storeId, status: 'VERIFIED' }),
+      calculateAverageExitTime(storeId),
+      ScanAttempt.countDocuments({ storeId, 'reversal.reversedAt': { $gte: today } }),
+      ScanAttempt.aggregate([
+        { $match: { storeId, 'reversal.reversedAt': { $ne: null } } },
+        { $group: { _id: '$reversal.reasonCode', count: { $sum: 1 } } }
+      ])
     ]);
 
     res.status(200).json({
       success: true,
       data: {
         today: {
-          verified: verifiedToday
+          verified: verifiedToday,
+          reversed: reversedToday
         },
         total: {
-          verified: totalVerified
+          verified: totalVerified,
+          reversed: reversalsByReason.reduce((sum, entry) => sum + entry.count, 0)
         },
+        reversalsByReason: Object.fromEntries(reversalsByReason.map(entry => [entry._id, entry.count])),
         performance: {
           averageExitTime: avgExitTime
         }
@@ -312,10 +590,13 @@ export const getVerificationStatistics = async (req, res) => {
 /**
  * Helper function to calculate average exit time
  * Time from billing to verification
+ * 
+ * @param {string} storeId - Store ID
  */
-const calculateAverageExitTime = async () => {
+const calculateAverageExitTime = async (storeId) => {
   try {
     const verifiedCustomers = await Customer.find({
+      storeId,
       status: 'VERIFIED',
       verifiedAt: { $ne: null },
       billedAt: { $ne: null }
@@ -339,3 +620,397 @@ const calculateAverageExitTime = async () => {
     return 0;
   }
 };
+
+/**
+ * Helper: Parse from/to query range for scan attempt reports
+ * Defaults to the last 7 days
+ * 
+ * @returns {Object|null} { $gte, $lte } for scannedAt, or null if invalid
+ */
+const parseScanRange = ({ from, to }) => {
+  const range = {
+    $gte: from ? new Date(from) : new Date(Date.now() - 7 * 24 * 60 * 60 * 1000),
+    $lte: to ? new Date(to) : new Date()
+  };
+
+  return isNaN(range.$gte) || isNaN(range.$lte) ? null : range;
+};
+
+/**
+ * Helper: Respond 400 for an invalid from/to range
+ */
+const invalidRange = (res) => res.status(400).json({
+  success: false,
+  message: 'from/to must be valid dates'
+});
+
+/**
+ * @desc    Get scan attempts
+ * @route   GET /api/verify/attempts
+ * @access  Guard, Manager
+ * 
+ * Filters: result, reason, customerId, gateId, fraudDecision,
+ * flagged=true (any fraud rule matched), reversed=true (verification
+ * reversed by a supervisor), from, to (default last 7 days)
+ */
+export const getScanAttempts = async (req, res) => {
+  try {
+    const { result, reason, customerId, gateId, fraudDecision, flagged, reversed } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+    const scannedAt = parseScanRange(req.query);
+    if (!scannedAt) return invalidRange(res);
+
+    const query = { storeId: req.store.storeId, scannedAt };
+
+    if (result) query.result = String(result).toUpperCase();
+    if (reason) query.reason = String(reason).toUpperCase();
+    if (customerId) query.customerId = customerId;
+    if (gateId) query.gateId = gateId;
+    if (fraudDecision) query.fraudDecision = String(fraudDecision).toUpperCase();
+    if (flagged === 'true') query['fraudMatches.0'] = { $exists: true };
+    if (reversed === 'true') query['reversal.reversedAt'] = { $ne: null };
+
+    const [attempts, count] = await Promise.all([
+      ScanAttempt.find(query)
+        .sort({ scannedAt: -1 })
+        .limit(limit)
+        .skip((page - 1) * limit)
+        .lean(),
+      ScanAttempt.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: attempts,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(count / limit),
+        totalRecords: count
+      }
+    });
+
+  } catch (error) {
+    console.error('Get Scan Attempts Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch scan attempts',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Failed scans per customer
+ * @route   GET /api/verify/failures/customers
+ * @access  Guard, Manager
+ * 
+ * Customers with at least minFailures (default 2) failed scans in the
+ * range, most failures first, with reasons and gates involved.
+ */
+export const getFailuresByCustomer = async (req, res) => {
+  try {
+    const minFailures = Math.max(parseInt(req.query.minFailures) || 2, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+    const scannedAt = parseScanRange(req.query);
+    if (!scannedAt) return invalidRange(res);
+
+    const customers = await ScanAttempt.aggregate([
+      {
+        $match: {
+          storeId: req.store.storeId,
+          result: 'FAILED',
+          customerId: { $ne: null },
+          scannedAt
+        }
+      },
+      {
+        $group: {
+          _id: '$customerId',
+          failures: { $sum: 1 },
+          reasons: { $addToSet: '$reason' },
+          gates: { $addToSet: '$gateId' },
+          distinctPayloads: { $addToSet: '$payloadHash' },
+          firstFailureAt: { $min: '$scannedAt' },
+          lastFailureAt: { $max: '$scannedAt' }
+        }
+      },
+      { $match: { failures: { $gte: minFailures } } },
+      { $sort: { failures: -1, lastFailureAt: -1 } },
+      { $limit: limit },
+      {
+        $project: {
+          _id: 0,
+          customerId: '$_id',
+          failures: 1,
+          reasons: 1,
+          gates: 1,
+          distinctPayloads: { $size: '$distinctPayloads' },
+          firstFailureAt: 1,
+          lastFailureAt: 1
+        }
+      }
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: customers,
+      range: { from: scannedAt.$gte, to: scannedAt.$lte }
+    });
+
+  } catch (error) {
+    console.error('Get Failures By Customer Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to aggregate failures by customer',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Failed scans per reason
+ * @route   GET /api/verify/failures/reasons
+ * @access  Guard, Manager
+ */
+export const getFailuresByReason = async (req, res) => {
+  try {
+    const scannedAt = parseScanRange(req.query);
+    if (!scannedAt) return invalidRange(res);
+
+    const reasons = await ScanAttempt.aggregate([
+      {
+        $match: {
+          storeId: req.store.storeId,
+          result: 'FAILED',
+          scannedAt
+        }
+      },
+      {
+        $group: {
+          _id: '$reason',
+          failures: { $sum: 1 },
+          customers: { $addToSet: '$customerId' },
+          lastFailureAt: { $max: '$scannedAt' }
+        }
+      },
+      { $sort: { failures: -1 } },
+      {
+        $project: {
+          _id: 0,
+          reason: '$_id',
+          failures: 1,
+          // $addToSet keeps null (undecodable QR); not a customer
+          customers: {
+            $size: { $filter: { input: '$customers', cond: { $ne: ['$$this', null] } } }
+          },
+          lastFailureAt: 1
+        }
+      }
+    ]);
+
+    // Include reasons with no failures so charts have a stable axis
+    const byReason = new Map(reasons.map(entry => [entry.reason, entry]));
+    const data = SCAN_FAILURE_REASONS.map(reason => byReason.get(reason) || {
+      reason,
+      failures: 0,
+      customers: 0,
+      lastFailureAt: null
+    }).sort((a, b) => b.failures - a.failures);
+
+    res.status(200).json({
+      success: true,
+      data,
+      total: data.reduce((sum, entry) => sum + entry.failures, 0),
+      range: { from: scannedAt.$gte, to: scannedAt.$lte }
+    });
+
+  } catch (error) {
+    console.error('Get Failures By Reason Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to aggregate failures by reason',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Scan attempts per hour
+ * @route   GET /api/verify/failures/hourly
+ * @access  Guard, Manager
+ * 
+ * Hourly buckets (store timezone) with total attempts, failures and
+ * failures broken down by reason. Empty hours are omitted.
+ */
+export const getFailuresByHour = async (req, res) => {
+  try {
+    const scannedAt = parseScanRange(req.query);
+    if (!scannedAt) return invalidRange(res);
+
+    const timezone = req.store.timezone || process.env.STORE_TIMEZONE || 'UTC';
+
+    const buckets = await ScanAttempt.aggregate([
+      {
+        $match: {
+          storeId: req.store.storeId,
+          scannedAt
+        }
+      },
+      {
+        $group: {
+          _id: {
+            hour: { $dateTrunc: { date: '$scannedAt', unit: 'hour', timezone } },
+            result: '$result',
+            reason: '$reason'
+          },
+          count: { $sum: 1 }
+        }
+      },
+      {
+        $group: {
+          _id: '$_id.hour',
+          attempts: { $sum: '$count' },
+          failures: {
+            $sum: { $cond: [{ $eq: ['$_id.result', 'FAILED'] }, '$count', 0] }
+          },
+          reasons: {
+            $push: {
+              $cond: [
+                { $eq: ['$_id.result', 'FAILED'] },
+                { reason: '$_id.reason', count: '$count' },
+                '$$REMOVE'
+              ]
+            }
+          }
+        }
+      },
+      { $sort: { _id: 1 } }
+    ]);
+
+    const data = buckets.map(bucket => ({
+      hour: bucket._id,
+      attempts: bucket.attempts,
+      failures: bucket.failures,
+      failureRate: bucket.attempts > 0 ? Math.round((bucket.failures / bucket.attempts) * 100) : 0,
+      byReason: Object.fromEntries(bucket.reasons.map(entry => [entry.reason, entry.count]))
+    }));
+
+    res.status(200).json({
+      success: true,
+      data,
+      timezone,
+      range: { from: scannedAt.$gte, to: scannedAt.$lte }
+    });
+
+  } catch (error) {
+    console.error('Get Failures By Hour Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to aggregate failures by hour',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get fraud rules with their configured actions and thresholds
+ * @route   GET /api/verify/rules
+ * @access  Guard, Manager
+ */
+export const getFraudRules = async (req, res) => {
+  try {
+    const actions = getRuleActions();
+    const settings = getFraudSettings();
+
+    res.status(200).json({
+      success: true,
+      data: FRAUD_RULES.map(rule => ({
+        rule: rule.id,
+        description: rule.description,
+        action: actions[rule.id],
+        defaultAction: rule.defaultAction
+      })),
+      settings: {
+        ...settings,
+        gateMinSeconds: Object.fromEntries(settings.gateMinSeconds)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get Fraud Rules Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch fraud rules',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Record the review outcome of a scan that matched fraud rules
+ * @route   PATCH /api/verify/attempts/:attemptId/review
+ * @access  Manager
+ * 
+ * Body: { outcome: CONFIRMED | DISMISSED, note }
+ */
+export const reviewScanAttempt = async (req, res) => {
+  try {
+    const { attemptId } = req.params;
+    const outcome = String(req.body.outcome || '').toUpperCase();
+
+    if (!FRAUD_REVIEW_OUTCOMES.includes(outcome)) {
+      return res.status(400).json({
+        success: false,
+        message: `outcome must be one of: ${FRAUD_REVIEW_OUTCOMES.join(', ')}`
+      });
+    }
+
+    if (!/^[a-f0-9]{24}$/i.test(attemptId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid attempt ID'
+      });
+    }
+
+    const attempt = await ScanAttempt.findOne({ _id: attemptId, storeId: req.store.storeId });
+
+    if (!attempt) {
+      return res.status(404).json({
+        success: false,
+        message: 'Scan attempt not found'
+      });
+    }
+
+    if (attempt.fraudMatches.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Scan attempt did not match any fraud rule'
+      });
+    }
+
+    attempt.review = {
+      outcome,
+      note: req.body.note || null,
+      reviewedBy: req.user.username,
+      reviewedAt: new Date()
+    };
+    await attempt.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Review recorded',
+      data: attempt
+    });
+
+  } catch (error) {
+    console.error('Review Scan Attempt Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to record review',
+      error: error.message
+    });
+  }
+};
@@ -1,4 +1,5 @@
 import jwt from 'jsonwebtoken';
+import AuthSession from '../models/AuthSession.js';
 
 /**
  * JWT Authentication Middleware
@@ -13,19 +14,17 @@ import jwt from 'jsonwebtoken';
  * Usage:
  * router.get('/protected', authenticate, controller);
  * 
- * Note: In a full production system, you would:
- * 1. Implement user registration/login
- * 2. Store user data in database
- * 3. Issue JWT tokens on login
- * 4. Verify tokens on protected routes
+ * Staff log in via /api/auth (authController). Access tokens are
+ * short-lived and carry a session id (sid); logout revokes the session,
+ * so a revoked token is refused here even before it expires.
  * 
- * For this project, JWT middleware is prepared but not strictly enforced
- * to keep focus on queue management logic.
+ * Roles: manager (admin), cashier (billing), guard (exit gate)
  */
 
 /**
  * Authenticate JWT Token
  * Extracts and verifies JWT from Authorization header
+ * (or ?access_token= for EventSource clients, which cannot set headers)
  */
 export const authenticate = async (req, res, next) => {
   try {
@@ -38,6 +37,8 @@ export const authenticate = async (req, res, next) => {
     ) {
       // Extract token from "Bearer TOKEN"
       token = req.headers.authorization.split(' ')[1];
+    } else if (req.query.access_token) {
+      token = req.query.access_token;
     }
 
     // Check if token exists
@@ -48,20 +49,33 @@ export const authenticate = async (req, res, next) => {
       });
     }
 
+    let decoded;
     try {
       // Verify token
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-
-      // Attach user to request object
-      req.user = decoded;
-
-      next();
+      decoded = jwt.verify(token, process.env.JWT_SECRET);
     } catch (error) {
       return res.status(401).json({
         success: false,
         message: 'Invalid or expired token'
       });
     }
+
+    // Reject tokens of revoked (logged out) sessions
+    if (decoded.sid) {
+      const session = await AuthSession.findById(decoded.sid).select('revokedAt expiresAt');
+
+      if (!session || !session.isActive()) {
+        return res.status(401).json({
+          success: false,
+          message: 'Session has been revoked'
+        });
+      }
+    }
+
+    // Attach user to request object
+    req.user = decoded;
+
+    next();
   } catch (error) {
     return res.status(500).json({
       success: false,
@@ -71,6 +85,20 @@ export const authenticate = async (req, res, next) => {
   }
 };
 
+/**
+ * Optional Authentication
+ * For public routes that do more for staff: without a token the request
+ * goes on anonymously (no req.user); a token that is sent must be valid
+ */
+export const optionalAuthenticate = (req, res, next) => {
+  const hasToken = (req.headers.authorization && req.headers.authorization.startsWith('Bearer'))
+    || req.query.access_token;
+
+  if (!hasToken) return next();
+
+  return authenticate(req, res, next);
+};
+
 /**
  * Generate JWT Token
  * Helper function to create tokens for users
@@ -80,7 +108,7 @@ export const authenticate = async (req, res, next) => {
  */
 export const generateToken = (payload) => {
   return jwt.sign(payload, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || '7d'
+    expiresIn: process.env.JWT_EXPIRE || '15m'
   });
 };
 
@@ -111,14 +139,40 @@ export const authorize = (...roles) => {
   };
 };
 
+/**
+ * Authorize Store
+ * Staff bound to a store may only act on that store (req.store);
+ * head-office users (no storeId) may act on any store.
+ * Routes without req.store (cross-store) are head office only.
+ */
+export const authorizeStore = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      message: 'Not authenticated'
+    });
+  }
+
+  const { storeId } = req.user;
+
+  if (storeId && (!req.store || req.store.storeId !== storeId)) {
+    return res.status(403).json({
+      success: false,
+      message: `User is not authorized for ${req.store ? `store ${req.store.storeId}` : 'cross-store access'}`
+    });
+  }
+
+  next();
+};
+
 /**
  * Example: Protected Route Implementation
  * 
- * import { authenticate, authorize } from './middleware/auth.js';
+ * import { authenticate, authorize, authorizeStore } from './middleware/auth.js';
  * 
  * // Authenticated route
  * router.get('/admin/dashboard', authenticate, getAdminDashboard);
  * 
- * // Role-based route
- * router.delete('/customer/:id', authenticate, authorize('admin'), deleteCustomer);
+ * // Role-based route, limited to the user's own store
+ * router.delete('/customer/:id', authenticate, authorize('manager'), authorizeStore, deleteCustomer);
  */
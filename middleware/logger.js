@@ -16,7 +16,7 @@ const logger = (req, res, next) => {
   console.log(
     `[${new Date().toISOString()}] ${req.method} ${req.originalUrl} - IP: ${
       req.ip || req.connection.remoteAddress
-    }`
+    } - Request: ${req.id}`
   );
 
   // Log request body (exclude sensitive data in production)
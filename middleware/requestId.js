@@ -0,0 +1,22 @@
+import crypto from 'crypto';
+
+/**
+ * Request ID Middleware
+ * Gives every request an ID for log correlation and the audit trail
+ *
+ * Honours an incoming X-Request-Id (set by a load balancer or client),
+ * otherwise generates a UUID. Echoed back in the X-Request-Id header.
+ */
+
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,100}$/;
+
+const requestId = (req, res, next) => {
+  const incoming = req.headers['x-request-id'];
+
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  res.setHeader('X-Request-Id', req.id);
+
+  next();
+};
+
+export default requestId;
@@ -0,0 +1,76 @@
+import Store from '../models/Store.js';
+
+/**
+ * Store Resolution Middleware
+ * Identifies which store (tenant) a request belongs to
+ * 
+ * Interview Points:
+ * - Every query downstream is scoped by req.store.storeId
+ * - Header-based tenancy keeps URLs unchanged for existing clients
+ * - DEFAULT_STORE_ID keeps single-store deployments working untouched
+ * 
+ * Resolution order:
+ * 1. X-Store-Id header
+ * 2. storeId query parameter (SSE clients cannot set headers)
+ * 3. DEFAULT_STORE_ID environment variable
+ */
+
+const STORE_CACHE_TTL_MS = 60 * 1000;
+const storeCache = new Map();
+
+/**
+ * Resolve Store
+ * Attaches the active store to req.store
+ */
+export const resolveStore = async (req, res, next) => {
+  try {
+    const storeId = String(
+      req.headers['x-store-id'] ||
+      req.query.storeId ||
+      process.env.DEFAULT_STORE_ID ||
+      ''
+    ).trim().toUpperCase();
+
+    if (!storeId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Store is required (X-Store-Id header)'
+      });
+    }
+
+    const cached = storeCache.get(storeId);
+    let store = cached && Date.now() - cached.loadedAt < STORE_CACHE_TTL_MS
+      ? cached.store
+      : null;
+
+    if (!store) {
+      const doc = await Store.findActive(storeId);
+      store = doc ? doc.toObject() : null;
+      if (store) storeCache.set(storeId, { store, loadedAt: Date.now() });
+    }
+
+    if (!store) {
+      return res.status(404).json({
+        success: false,
+        message: `Store not found: ${storeId}`
+      });
+    }
+
+    req.store = store;
+    next();
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to resolve store',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Clear Store Cache
+ * Called after store changes so new settings apply immediately
+ */
+export const clearStoreCache = () => {
+  storeCache.clear();
+};
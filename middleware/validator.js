@@ -42,7 +42,7 @@ export const validate = (req, res, next) => {
  * router.post('/register',
  *   [
  *     body('name').trim().notEmpty().withMessage('Name is required'),
- *     body('phone').matches(/^\d{10}$/).withMessage('Phone must be 10 digits'),
+ *     body('phone').notEmpty().withMessage('Phone is required'),
  *     body('cartTotal').isNumeric().withMessage('Cart total must be a number')
  *   ],
  *   validate,
@@ -0,0 +1,157 @@
+import mongoose from 'mongoose';
+
+/**
+ * Audit Log Schema
+ * Append-only record of every state transition
+ *
+ * Design Decisions:
+ * 1. Insert-only: updates and deletes are rejected by middleware, so an
+ *    entry can never be changed after the fact
+ * 2. before/after hold small state snapshots (not whole documents)
+ * 3. Actor is copied from the token at write time, so entries stay
+ *    readable even if the staff account is later renamed or removed
+ * 4. requestId ties an entry to the request log line (X-Request-Id)
+ *
+ * Interview Note: the customer document only holds current state;
+ * history ("who undid this bill and when") lives here.
+ */
+
+export const AUDIT_ACTIONS = [
+  'CUSTOMER_REGISTERED',
+  'CUSTOMER_CALLED',
+  'CUSTOMER_SKIPPED',
+  'CUSTOMER_RECALLED',
+  'CUSTOMER_BILLED',
+  'CART_ITEM_ADDED',
+  'CART_ITEM_REMOVED',
+  'PAYMENT_RECORDED',
+  'COUPON_APPLIED',
+  'COUPON_REMOVED',
+  'BILLING_UNDONE',
+  'CUSTOMER_VERIFIED',
+  'VERIFICATION_REVERSED',
+  'REFUND_ISSUED',
+  'CUSTOMER_CANCELLED',
+  'CUSTOMER_DELETED',
+  'QR_VALIDITY_EXTENDED',
+  'COUNTER_CREATED',
+  'COUNTER_OPENED',
+  'COUNTER_CLOSED',
+  'COUNTER_RESEEDED',
+  'BUSINESS_DAY_OPENED',
+  'BUSINESS_DAY_CLOSED',
+  'COUPON_CREATED',
+  'COUPON_UPDATED'
+];
+
+const actorSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ['STAFF', 'CUSTOMER', 'SYSTEM'],
+      required: true
+    },
+    userId: { type: String, default: null },
+    username: { type: String, default: null },
+    role: { type: String, default: null }
+  },
+  { _id: false }
+);
+
+const auditLogSchema = new mongoose.Schema(
+  {
+    storeId: {
+      type: String,
+      index: true,
+      default: null
+    },
+
+    action: {
+      type: String,
+      enum: AUDIT_ACTIONS,
+      required: [true, 'Action is required'],
+      index: true
+    },
+
+    entityType: {
+      type: String,
+      enum: ['Customer', 'BillingCounter', 'BusinessDay', 'Counter', 'Coupon'],
+      required: true
+    },
+
+    entityId: {
+      type: String,
+      required: true
+    },
+
+    actor: {
+      type: actorSchema,
+      required: true
+    },
+
+    before: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null
+    },
+
+    after: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null
+    },
+
+    ip: {
+      type: String,
+      default: null
+    },
+
+    requestId: {
+      type: String,
+      default: null,
+      index: true
+    }
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false }
+  }
+);
+
+/**
+ * Compound Index: audit trail of one entity, oldest first
+ */
+auditLogSchema.index({ entityType: 1, entityId: 1, createdAt: 1 });
+
+/**
+ * Compound Index: store-wide filtered listing, newest first
+ */
+auditLogSchema.index({ storeId: 1, createdAt: -1 });
+
+/**
+ * Append-only: reject every write that is not an insert
+ */
+const rejectMutation = function() {
+  throw new Error('Audit log entries are immutable');
+};
+
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) return next(new Error('Audit log entries are immutable'));
+  next();
+});
+
+[
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'replaceOne',
+  'findOneAndReplace',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete'
+].forEach(operation => {
+  auditLogSchema.pre(operation, { document: false, query: true }, rejectMutation);
+});
+
+auditLogSchema.pre('deleteOne', { document: true, query: false }, rejectMutation);
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+export default AuditLog;
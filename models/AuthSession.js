@@ -0,0 +1,130 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+
+/**
+ * Auth Session Schema
+ * One document per staff login; backs refresh tokens and revocation
+ *
+ * Design Decisions:
+ * 1. Access tokens carry the session id (sid); revoking the session
+ *    invalidates its access and refresh tokens at once (logout)
+ * 2. Refresh tokens are opaque ("<sessionId>.<secret>") and stored as
+ *    SHA-256 hashes - a database leak does not leak usable tokens
+ * 3. Refresh tokens rotate on every use; presenting an old one means it
+ *    was stolen or replayed, so the whole session is revoked
+ * 4. TTL index removes sessions once they can no longer be refreshed
+ */
+
+const hashToken = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const authSessionSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true
+    },
+
+    refreshTokenHash: {
+      type: String,
+      required: true
+    },
+
+    expiresAt: {
+      type: Date,
+      required: true
+    },
+
+    revokedAt: {
+      type: Date,
+      default: null
+    },
+
+    revokedReason: {
+      type: String,
+      enum: ['LOGOUT', 'REFRESH_REUSE', 'USER_DISABLED', null],
+      default: null
+    },
+
+    lastRefreshedAt: {
+      type: Date,
+      default: null
+    },
+
+    userAgent: {
+      type: String,
+      default: null
+    },
+
+    ip: {
+      type: String,
+      default: null
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+/**
+ * TTL Index: expired sessions are removed automatically
+ */
+authSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Instance Method: Issue a new refresh token (rotates the stored hash)
+ * Caller saves the document
+ *
+ * @returns {string} Refresh token to hand to the client
+ */
+authSessionSchema.methods.issueRefreshToken = function() {
+  const secret = crypto.randomBytes(32).toString('hex');
+  this.refreshTokenHash = hashToken(secret);
+  return `${this._id}.${secret}`;
+};
+
+/**
+ * Instance Method: Check a presented refresh token secret
+ *
+ * @param {string} secret - Secret part of the refresh token
+ * @returns {boolean} True if it is the current token
+ */
+authSessionSchema.methods.matchesRefreshToken = function(secret) {
+  const expected = Buffer.from(this.refreshTokenHash, 'hex');
+  const actual = Buffer.from(hashToken(secret), 'hex');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+/**
+ * Instance Method: Whether the session can still be used
+ */
+authSessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+/**
+ * Instance Method: Revoke session
+ *
+ * @param {string} reason - LOGOUT | REFRESH_REUSE | USER_DISABLED
+ */
+authSessionSchema.methods.revoke = function(reason) {
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  return this.save();
+};
+
+/**
+ * Static Method: Parse "<sessionId>.<secret>" refresh token
+ *
+ * @param {string} token - Refresh token
+ * @returns {{ sessionId: string, secret: string }|null}
+ */
+authSessionSchema.statics.parseRefreshToken = function(token) {
+  const match = typeof token === 'string' && token.match(/^([a-f0-9]{24})\.([a-f0-9]{64})$/);
+  return match ? { sessionId: match[1], secret: match[2] } : null;
+};
+
+const AuthSession = mongoose.model('AuthSession', authSessionSchema);
+
+export default AuthSession;
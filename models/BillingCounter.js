@@ -0,0 +1,119 @@
+import mongoose from 'mongoose';
+
+/**
+ * Billing Counter Schema
+ * Represents a physical till where customers are billed
+ * 
+ * Design Decisions:
+ * 1. Named BillingCounter to stay distinct from the sequence Counter model
+ * 2. counterNumber is the human-facing till number ("Counter 3")
+ * 3. currentCustomerId tracks who the till is serving right now
+ * 4. Open/close timestamps support staffing analytics
+ * 
+ * Interview Note: Multiple counters turn the single FIFO line into a
+ * "one queue, many servers" model - every till pulls the next customer
+ * from the same shared queue.
+ */
+
+const billingCounterSchema = new mongoose.Schema(
+  {
+    storeId: {
+      type: String,
+      index: true, // Tills belong to one store
+      default: null
+    },
+    
+    counterNumber: {
+      type: Number,
+      required: [true, 'Counter number is required'],
+      index: true,
+      min: [1, 'Counter number must be positive']
+      // Unique per store (see compound index below)
+    },
+    
+    label: {
+      type: String,
+      trim: true,
+      maxlength: [50, 'Label cannot exceed 50 characters'],
+      default: null
+    },
+    
+    status: {
+      type: String,
+      enum: {
+        values: ['OPEN', 'CLOSED'],
+        message: 'Counter status must be either OPEN or CLOSED'
+      },
+      default: 'CLOSED',
+      index: true
+    },
+    
+    cashierName: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Cashier name cannot exceed 100 characters'],
+      default: null
+    },
+    
+    currentCustomerId: {
+      type: String,
+      default: null
+    },
+    
+    openedAt: {
+      type: Date,
+      default: null
+    },
+    
+    closedAt: {
+      type: Date,
+      default: null
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+/**
+ * Unique Index: counter numbers restart per store ("Counter 1" in every store)
+ */
+billingCounterSchema.index({ storeId: 1, counterNumber: 1 }, { unique: true });
+
+/**
+ * Instance Method: Open counter
+ * Records cashier on duty and opening time
+ */
+billingCounterSchema.methods.open = function(cashierName) {
+  this.status = 'OPEN';
+  this.cashierName = cashierName;
+  this.openedAt = new Date();
+  this.closedAt = null;
+  return this.save();
+};
+
+/**
+ * Instance Method: Close counter
+ * Clears cashier and current customer
+ */
+billingCounterSchema.methods.close = function() {
+  this.status = 'CLOSED';
+  this.cashierName = null;
+  this.currentCustomerId = null;
+  this.closedAt = new Date();
+  return this.save();
+};
+
+/**
+ * Static Method: Count open counters
+ * Used for throughput and wait time calculations
+ * 
+ * @param {Object} scope - Extra filter, e.g. { storeId }
+ */
+billingCounterSchema.statics.countOpen = function(scope = {}) {
+  return this.countDocuments({ ...scope, status: 'OPEN' });
+};
+
+const BillingCounter = mongoose.model('BillingCounter', billingCounterSchema);
+
+export default BillingCounter;
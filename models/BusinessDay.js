@@ -0,0 +1,109 @@
+import mongoose from 'mongoose';
+
+/**
+ * Business Day Schema
+ * A trading session: queue numbers restart at 1 for each business day
+ * 
+ * Design Decisions:
+ * 1. businessDate ("YYYY-MM-DD" in store time) scopes queue numbers and
+ *    their counter, so history is never deleted to restart numbering
+ * 2. Open/close recorded with who and when for operational audit
+ * 3. Closing snapshots a summary so past days report without re-aggregating
+ * 
+ * Interview Note: Replaces the destructive "reset queue" - every past
+ * day stays queryable by businessDate.
+ */
+
+const businessDaySchema = new mongoose.Schema(
+  {
+    storeId: {
+      type: String,
+      index: true, // Each store runs its own business days
+      default: null
+    },
+    
+    businessDate: {
+      type: String,
+      required: [true, 'Business date is required'],
+      index: true,
+      match: [/^\d{4}-\d{2}-\d{2}$/, 'Business date must follow format: YYYY-MM-DD']
+    },
+    
+    status: {
+      type: String,
+      enum: {
+        values: ['OPEN', 'CLOSED'],
+        message: 'Business day status must be either OPEN or CLOSED'
+      },
+      default: 'OPEN',
+      index: true
+    },
+    
+    openedAt: {
+      type: Date,
+      default: Date.now
+    },
+    
+    openedBy: {
+      type: String,
+      default: 'system'
+    },
+    
+    closedAt: {
+      type: Date,
+      default: null
+    },
+    
+    closedBy: {
+      type: String,
+      default: null
+    },
+    
+    // Snapshot taken at close
+    summary: {
+      registered: { type: Number, default: 0 },
+      billed: { type: Number, default: 0 },
+      verified: { type: Number, default: 0 },
+      cancelled: { type: Number, default: 0 },
+      lastQueueNumber: { type: Number, default: 0 },
+      grossRevenue: { type: Number, default: 0 }, // Bills of the day
+      refunded: { type: Number, default: 0 },     // Refunds given that day
+      refunds: { type: Number, default: 0 },
+      revenue: { type: Number, default: 0 }       // Net: gross - refunded
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+/**
+ * Unique Index: one session per store per date
+ */
+businessDaySchema.index({ storeId: 1, businessDate: 1 }, { unique: true });
+
+/**
+ * Static Method: Get open business day
+ * Returns the store's most recently opened session that is still OPEN
+ * 
+ * @param {string} storeId - Store ID
+ */
+businessDaySchema.statics.getOpenDay = function(storeId) {
+  return this.findOne({ storeId, status: 'OPEN' }).sort({ openedAt: -1 });
+};
+
+/**
+ * Instance Method: Close business day
+ * Records who closed it and the day's summary
+ */
+businessDaySchema.methods.close = function(closedBy, summary) {
+  this.status = 'CLOSED';
+  this.closedAt = new Date();
+  this.closedBy = closedBy || 'system';
+  this.summary = summary;
+  return this.save();
+};
+
+const BusinessDay = mongoose.model('BusinessDay', businessDaySchema);
+
+export default BusinessDay;
@@ -0,0 +1,121 @@
+import mongoose from 'mongoose';
+
+/**
+ * Counter Schema
+ * Named sequence counters backed by atomic increments
+ * 
+ * Design Decisions:
+ * 1. One document per sequence, keyed by name (_id) for O(1) lookup
+ * 2. $inc via findOneAndUpdate is atomic on the server, so concurrent
+ *    requests (even across multiple Node instances) never get the same value
+ * 3. Lazily initialised from existing data so deployments with history
+ *    continue from the current maximum instead of restarting at 1
+ * 
+ * Interview Note: Same pattern as MongoDB's documented "auto-increment
+ * sequence field" - replaces read-max-then-add-one, which races.
+ */
+
+const counterSchema = new mongoose.Schema(
+  {
+    _id: {
+      type: String,
+      required: [true, 'Counter name is required']
+    },
+    
+    seq: {
+      type: Number,
+      required: true,
+      default: 0,
+      min: [0, 'Counter value cannot be negative']
+    }
+  },
+  {
+    timestamps: true,
+    versionKey: false
+  }
+);
+
+/**
+ * Static Method: Ensure counter exists
+ * Creates the counter with an initial value if missing
+ * 
+ * $setOnInsert makes concurrent initialisation safe: only the first upsert
+ * writes the initial value, later ones are no-ops. Two upserts racing on the
+ * same _id can still surface a duplicate key error, which just means the
+ * other request created it first.
+ * 
+ * @param {string} name - Counter name
+ * @param {Function} getInitialValue - Async fn returning the last value already in use
+ */
+counterSchema.statics.ensureCounter = async function(name, getInitialValue) {
+  const exists = await this.exists({ _id: name });
+  if (exists) return;
+
+  const initialValue = getInitialValue ? await getInitialValue() : 0;
+
+  try {
+    await this.updateOne(
+      { _id: name },
+      { $setOnInsert: { seq: initialValue } },
+      { upsert: true }
+    );
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+};
+
+/**
+ * Static Method: Get next sequence value
+ * Atomically increments and returns the new value
+ * 
+ * Time Complexity: O(1)
+ * 
+ * @param {string} name - Counter name
+ * @param {Function} getInitialValue - Async fn used only when the counter is first created
+ * @returns {Promise<number>} Next value in sequence
+ */
+counterSchema.statics.getNextSequence = async function(name, getInitialValue) {
+  await this.ensureCounter(name, getInitialValue);
+
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { new: true }
+  ).lean();
+
+  return counter.seq;
+};
+
+/**
+ * Static Method: Reseed counter
+ * Sets the last issued value; the next call returns value + 1
+ * 
+ * @param {string} name - Counter name
+ * @param {number} value - New last-issued value
+ * @returns {Promise<Object>} Updated counter
+ */
+counterSchema.statics.reseed = function(name, value) {
+  return this.findOneAndUpdate(
+    { _id: name },
+    { $set: { seq: value } },
+    { new: true, upsert: true }
+  ).lean();
+};
+
+/**
+ * Static Method: Release a value
+ * Gives back the last issued value, unless a later one was issued since
+ * (for gap-free series whose value ended up unused)
+ * 
+ * @param {string} name - Counter name
+ * @param {number} value - Value to give back
+ * @returns {Promise<boolean>} Whether the value was released
+ */
+counterSchema.statics.release = async function(name, value) {
+  const result = await this.updateOne({ _id: name, seq: value }, { $inc: { seq: -1 } });
+  return result.modifiedCount === 1;
+};
+
+const Counter = mongoose.model('Counter', counterSchema);
+
+export default Counter;
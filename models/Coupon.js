@@ -0,0 +1,175 @@
+import mongoose from 'mongoose';
+
+/**
+ * Coupon Schema
+ * A promotion code applied to a bill at the till
+ * 
+ * Design Decisions:
+ * 1. PERCENTAGE (optionally capped by maxDiscount) or FLAT amount off
+ * 2. Eligibility: active, inside validFrom/validUntil, cart at least
+ *    minCartValue, under usageLimit overall and perPhoneLimit per phone
+ * 3. storeId null makes a chain-wide coupon (created by head office);
+ *    a store's own code wins if both exist
+ * 4. redemptionCount is claimed atomically at billing, so usageLimit
+ *    holds under concurrent tills
+ */
+
+export const COUPON_TYPES = ['PERCENTAGE', 'FLAT'];
+
+const couponSchema = new mongoose.Schema(
+  {
+    storeId: {
+      type: String,
+      default: null // null = valid in every store
+    },
+
+    code: {
+      type: String,
+      required: [true, 'Coupon code is required'],
+      uppercase: true,
+      trim: true,
+      match: [/^[A-Z0-9_-]{3,30}$/, 'Coupon code must be 3-30 letters, digits, "_" or "-"']
+    },
+
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Description cannot exceed 200 characters'],
+      default: null
+    },
+
+    type: {
+      type: String,
+      enum: {
+        values: COUPON_TYPES,
+        message: `Coupon type must be one of: ${COUPON_TYPES.join(', ')}`
+      },
+      required: [true, 'Coupon type is required']
+    },
+
+    value: {
+      type: Number,
+      required: [true, 'Coupon value is required'],
+      min: [0.01, 'Coupon value must be positive'],
+      validate: {
+        validator: function(value) {
+          return this.type !== 'PERCENTAGE' || value <= 100;
+        },
+        message: 'Percentage cannot exceed 100'
+      }
+    },
+
+    maxDiscount: {
+      type: Number,
+      min: [0, 'Maximum discount cannot be negative'],
+      default: null // Cap for PERCENTAGE coupons
+    },
+
+    minCartValue: {
+      type: Number,
+      min: [0, 'Minimum cart value cannot be negative'],
+      default: 0
+    },
+
+    perPhoneLimit: {
+      type: Number,
+      min: [1, 'Per-phone limit must be at least 1'],
+      default: null // null = unlimited
+    },
+
+    usageLimit: {
+      type: Number,
+      min: [1, 'Usage limit must be at least 1'],
+      default: null // null = unlimited
+    },
+
+    redemptionCount: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+
+    validFrom: {
+      type: Date,
+      default: null
+    },
+
+    validUntil: {
+      type: Date,
+      default: null
+    },
+
+    active: {
+      type: Boolean,
+      default: true
+    },
+
+    createdBy: {
+      type: String,
+      default: null
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+/**
+ * Unique Index: one code per store (and one chain-wide code)
+ */
+couponSchema.index({ code: 1, storeId: 1 }, { unique: true });
+
+/**
+ * Static Method: Find the coupon a store's till should use for a code
+ * Store-specific coupon first, then chain-wide
+ * 
+ * @param {string} code - Coupon code (any case)
+ * @param {string} storeId - Store ID
+ * @returns {Promise<Object|null>} Coupon
+ */
+couponSchema.statics.findForStore = async function(code, storeId) {
+  const coupons = await this.find({
+    code: String(code).trim().toUpperCase(),
+    storeId: { $in: [storeId, null] }
+  });
+
+  return coupons.find(coupon => coupon.storeId === storeId) || coupons[0] || null;
+};
+
+/**
+ * Static Method: Claim one use of a coupon
+ * Atomic: fails once usageLimit is reached
+ * 
+ * @param {ObjectId} couponId - Coupon _id
+ * @returns {Promise<boolean>} true if claimed
+ */
+couponSchema.statics.claimRedemption = async function(couponId) {
+  const result = await this.updateOne(
+    {
+      _id: couponId,
+      $or: [
+        { usageLimit: null },
+        { $expr: { $lt: ['$redemptionCount', '$usageLimit'] } }
+      ]
+    },
+    { $inc: { redemptionCount: 1 } }
+  );
+
+  return result.modifiedCount === 1;
+};
+
+/**
+ * Static Method: Give back one use (billing undone)
+ * 
+ * @param {ObjectId} couponId - Coupon _id
+ */
+couponSchema.statics.releaseRedemption = function(couponId) {
+  return this.updateOne(
+    { _id: couponId, redemptionCount: { $gt: 0 } },
+    { $inc: { redemptionCount: -1 } }
+  );
+};
+
+const Coupon = mongoose.model('Coupon', couponSchema);
+
+export default Coupon;
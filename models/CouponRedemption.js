@@ -0,0 +1,75 @@
+import mongoose from 'mongoose';
+
+/**
+ * Coupon Redemption Schema
+ * One coupon used on one completed bill
+ * 
+ * Design Decisions:
+ * 1. Written when billing completes (not when the code is typed in), so
+ *    abandoned carts never count against limits
+ * 2. Removed again if billing is undone; the bill can redeem on re-completion
+ * 3. phone is copied in so per-phone limits are one indexed count
+ */
+
+const couponRedemptionSchema = new mongoose.Schema(
+  {
+    storeId: {
+      type: String,
+      required: true
+    },
+
+    couponId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Coupon',
+      required: true
+    },
+
+    code: {
+      type: String,
+      required: true
+    },
+
+    customerId: {
+      type: String,
+      required: true
+    },
+
+    phone: {
+      type: String,
+      required: true
+    },
+
+    subtotal: {
+      type: Number,
+      required: true // Amount due before the discount
+    },
+
+    discount: {
+      type: Number,
+      required: true,
+      min: 0
+    }
+  },
+  {
+    timestamps: { createdAt: 'redeemedAt', updatedAt: false }
+  }
+);
+
+/**
+ * Unique Index: one redemption per bill
+ */
+couponRedemptionSchema.index({ storeId: 1, customerId: 1 }, { unique: true });
+
+/**
+ * Compound Index: per-phone limit checks
+ */
+couponRedemptionSchema.index({ couponId: 1, phone: 1 });
+
+/**
+ * Compound Index: redemption analytics by time
+ */
+couponRedemptionSchema.index({ storeId: 1, redeemedAt: -1 });
+
+const CouponRedemption = mongoose.model('CouponRedemption', couponRedemptionSchema);
+
+export default CouponRedemption;
@@ -1,4 +1,11 @@
 import mongoose from 'mongoose';
+import crypto from 'crypto';
+import Counter from './Counter.js';
+import Store from './Store.js';
+import { PRIORITY_CLASSES, calculateServiceOrder } from '../utils/priorityPolicy.js';
+import { calculateLineTotal } from '../utils/cartItems.js';
+import { calculateAmountDue } from '../utils/taxEngine.js';
+import { E164_PATTERN, normalizePhone, getDefaultPhoneRegion } from '../utils/phoneNumbers.js';
 
 /**
  * Customer Schema
@@ -9,8 +16,121 @@ import mongoose from 'mongoose';
  * 2. Status enum ensures data integrity and prevents invalid states
  * 3. QR code stored as base64 string for easy transmission to frontend
  * 4. Timestamps for audit trail and analytics
+ * 5. storeId scopes every customer to one store (multi-store tenancy)
+ * 6. Line items (SKU, name, quantity, unit price); cartTotal is derived
+ *    from them whenever they change (legacy records keep a bare total)
+ * 7. GST breakdown and invoice number are fixed at billing
+ * 8. cartTotal is the amount due: subtotal minus any coupon discount
+ * 9. refundedTotal / refundVersion: every return claims the next version
+ *    with a conditional write, so concurrent returns cannot both pass the
+ *    refund caps (Refund documents remain the source of truth)
+ * 10. CANCELLED is terminal: the shopper left the queue before billing;
+ *     customers prove it is them with the cancel token returned once at
+ *     registration (only its SHA-256 hash is stored, never selected)
+ * 11. CALLED: a counter called the customer (assignedAt = call time);
+ *     SKIPPED: they did not show up in time and can be recalled
+ * 12. Status only changes through utils/customerLifecycle.js
+ * 13. phone is E.164 ("+919876543210"); controllers normalize it with the
+ *     store's region, records from before that are normalized on save
  */
 
+export const CUSTOMER_STATUSES = ['WAITING', 'CALLED', 'SKIPPED', 'BILLED', 'VERIFIED', 'CANCELLED'];
+
+/**
+ * Statuses that hold a place in the live queue
+ */
+export const ACTIVE_QUEUE_STATUSES = ['WAITING', 'CALLED', 'BILLED'];
+
+export const CANCELLED_BY = ['CUSTOMER', 'STAFF'];
+
+export const QUEUE_NUMBER_COUNTER_PREFIX = 'queueNumber';
+
+/**
+ * Customer ID format: store prefix + number (e.g. SM-1001, BLR-1001)
+ */
+export const CUSTOMER_ID_PATTERN = /^[A-Z][A-Z0-9]{1,5}-\d+$/;
+
+/**
+ * Queue number counter name for a store's business day
+ * Queue numbers restart at 1 every business day, per store
+ * 
+ * @param {string} storeId - Store ID
+ * @param {string} businessDate - YYYY-MM-DD
+ * @returns {string} Counter name (e.g. "queueNumber:BLR01:2026-01-24")
+ */
+export const getQueueNumberCounterName = (storeId, businessDate) =>
+  `${QUEUE_NUMBER_COUNTER_PREFIX}:${storeId}:${businessDate}`;
+
+const cartItemSchema = new mongoose.Schema(
+  {
+    sku: {
+      type: String,
+      required: [true, 'Item SKU is required'],
+      trim: true,
+      uppercase: true,
+      maxlength: [50, 'SKU cannot exceed 50 characters']
+    },
+    name: {
+      type: String,
+      required: [true, 'Item name is required'],
+      trim: true,
+      maxlength: [100, 'Item name cannot exceed 100 characters']
+    },
+    category: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      default: null // Selects the GST rate slab (utils/taxEngine.js)
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: [1, 'Quantity must be at least 1'],
+      validate: {
+        validator: Number.isInteger,
+        message: 'Quantity must be a whole number'
+      }
+    },
+    unitPrice: {
+      type: Number,
+      required: true,
+      min: [0, 'Unit price cannot be negative']
+    },
+    lineTotal: {
+      type: Number,
+      default: 0 // quantity x unitPrice, set on validate
+    }
+  },
+  { _id: false }
+);
+
+const taxRateSchema = new mongoose.Schema(
+  {
+    rate: Number,
+    taxableValue: Number,
+    cgst: Number,
+    sgst: Number,
+    igst: Number,
+    tax: Number
+  },
+  { _id: false }
+);
+
+const taxSchema = new mongoose.Schema(
+  {
+    pricing: { type: String, enum: ['INCLUSIVE', 'EXCLUSIVE'] },
+    interState: { type: Boolean, default: false },
+    placeOfSupply: { type: String, default: null }, // State code
+    taxableValue: { type: Number, default: 0 },
+    cgst: { type: Number, default: 0 },
+    sgst: { type: Number, default: 0 },
+    igst: { type: Number, default: 0 },
+    totalTax: { type: Number, default: 0 },
+    byRate: { type: [taxRateSchema], default: [] }
+  },
+  { _id: false }
+);
+
 const customerSchema = new mongoose.Schema(
   {
     customerId: {
@@ -18,7 +138,13 @@ const customerSchema = new mongoose.Schema(
       required: [true, 'Customer ID is required'],
       unique: true,
       index: true, // O(1) lookup for verification
-      match: [/^SM-\d+$/, 'Customer ID must follow format: SM-XXXX']
+      match: [CUSTOMER_ID_PATTERN, 'Customer ID must follow format: PREFIX-XXXX']
+    },
+    
+    storeId: {
+      type: String,
+      index: true, // Tenant scope for every query
+      default: null
     },
     
     name: {
@@ -32,13 +158,51 @@ const customerSchema = new mongoose.Schema(
     phone: {
       type: String,
       required: [true, 'Phone number is required'],
-      match: [/^\d{10}$/, 'Phone number must be exactly 10 digits']
+      match: [E164_PATTERN, 'Phone number must be in international format (e.g. +919876543210)']
     },
     
     cartTotal: {
       type: Number,
       required: [true, 'Cart total is required'],
       min: [0, 'Cart total cannot be negative']
+      // Computed from items when present (see pre-validate hook)
+    },
+    
+    items: {
+      type: [cartItemSchema],
+      default: []
+    },
+    
+    subtotal: {
+      type: Number,
+      default: null // Amount due before discount (set on validate)
+    },
+    
+    discount: {
+      type: Number,
+      default: 0,
+      min: [0, 'Discount cannot be negative']
+    },
+    
+    coupon: {
+      type: new mongoose.Schema(
+        {
+          couponId: { type: mongoose.Schema.Types.ObjectId, ref: 'Coupon' },
+          code: String
+        },
+        { _id: false }
+      ),
+      default: null // Coupon applied at the till
+    },
+    
+    invoiceNumber: {
+      type: String,
+      default: null // Tax invoice number, assigned at billing (e.g. SM01/2627/000001)
+    },
+    
+    tax: {
+      type: taxSchema,
+      default: null // GST breakdown computed at billing
     },
     
     queueNumber: {
@@ -46,6 +210,13 @@ const customerSchema = new mongoose.Schema(
       required: [true, 'Queue number is required'],
       index: true, // Indexed for fast queue position lookup
       min: [1, 'Queue number must be positive']
+      // Unique within a business day, restarts at 1 each day
+    },
+    
+    businessDate: {
+      type: String,
+      index: true, // Business day session (YYYY-MM-DD) the queue number belongs to
+      default: null
     },
     
     qrCode: {
@@ -54,16 +225,51 @@ const customerSchema = new mongoose.Schema(
       // Stored as base64 data URL for direct rendering in frontend
     },
     
+    priority: {
+      type: String,
+      enum: {
+        values: PRIORITY_CLASSES,
+        message: `Priority must be one of: ${PRIORITY_CLASSES.join(', ')}`
+      },
+      default: 'NORMAL'
+    },
+    
+    serviceOrder: {
+      type: Number,
+      index: true // Weighted-fair ordering key (see utils/priorityPolicy.js)
+    },
+    
     status: {
       type: String,
       enum: {
-        values: ['WAITING', 'BILLED', 'VERIFIED'],
-        message: 'Status must be either WAITING, BILLED, or VERIFIED'
+        values: CUSTOMER_STATUSES,
+        message: `Status must be one of: ${CUSTOMER_STATUSES.join(', ')}`
       },
       default: 'WAITING',
       index: true // For filtering customers by status
     },
     
+    positionAtRegistration: {
+      type: Number,
+      default: null // Queue position when registered (wait time estimator sample)
+    },
+    
+    openCountersAtRegistration: {
+      type: Number,
+      default: null // Open billing counters when registered (wait time estimator sample)
+    },
+    
+    counterNumber: {
+      type: Number,
+      default: null,
+      index: true // Billing counter serving / that billed this customer
+    },
+    
+    assignedAt: {
+      type: Date,
+      default: null // When a counter called this customer
+    },
+    
     billedAt: {
       type: Date,
       default: null
@@ -72,6 +278,58 @@ const customerSchema = new mongoose.Schema(
     verifiedAt: {
       type: Date,
       default: null
+    },
+    
+    skippedAt: {
+      type: Date,
+      default: null // Last no-show skip
+    },
+    
+    recallCount: {
+      type: Number,
+      default: 0,
+      min: 0 // Times brought back after a skip
+    },
+    
+    cancelledAt: {
+      type: Date,
+      default: null
+    },
+    
+    cancelledBy: {
+      type: String,
+      enum: [...CANCELLED_BY, null],
+      default: null // Who left/removed the customer from the queue
+    },
+    
+    cancelReason: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Cancel reason cannot exceed 200 characters'],
+      default: null
+    },
+
+    cancelTokenHash: {
+      type: String,
+      select: false, // Only loaded to check a customer's cancel request
+      default: null
+    },
+    
+    qrValidUntil: {
+      type: Date,
+      default: null
+      // Admin-granted extension: QR accepted at exit until this time regardless of expiry windows
+    },
+    
+    refundedTotal: {
+      type: Number,
+      default: 0,
+      min: 0 // Sum of Refund amounts, kept in step by createReturn
+    },
+    
+    refundVersion: {
+      type: Number,
+      default: 0 // Bumped by every return (optimistic lock)
     }
   },
   {
@@ -86,72 +344,232 @@ const customerSchema = new mongoose.Schema(
 customerSchema.index({ status: 1, queueNumber: 1 });
 
 /**
- * Instance Method: Mark customer as billed
- * Updates status and records billing timestamp
+ * Compound Index: billed tickets held by one phone (fraud rules)
+ */
+customerSchema.index({ storeId: 1, phone: 1, status: 1 });
+
+/**
+ * Unique Index: tax invoice numbers (only billed customers have one)
+ */
+customerSchema.index(
+  { invoiceNumber: 1 },
+  { unique: true, partialFilterExpression: { invoiceNumber: { $type: 'string' } } }
+);
+
+/**
+ * Compound Index for per-day queue number lookups and integrity checks
+ */
+customerSchema.index({ storeId: 1, businessDate: 1, queueNumber: 1 });
+
+/**
+ * Compound Index for store-scoped status/queue scans
+ */
+customerSchema.index({ storeId: 1, status: 1, serviceOrder: 1, queueNumber: 1 });
+
+/**
+ * Compound Index for priority-ordered queue scans
+ * Serves "next customer" and position counts in service order
  */
-customerSchema.methods.markAsBilled = function() {
-  this.status = 'BILLED';
-  this.billedAt = new Date();
+customerSchema.index({ status: 1, serviceOrder: 1, queueNumber: 1 });
+
+/**
+ * Pre-validate Hook: Default service order
+ * Records created without an explicit serviceOrder (seed scripts, legacy
+ * code paths) are ordered by arrival using their priority class
+ */
+customerSchema.pre('validate', function(next) {
+  if (this.serviceOrder === undefined || this.serviceOrder === null) {
+    this.serviceOrder = calculateServiceOrder(this.priority, this.createdAt || new Date());
+  }
+  next();
+});
+
+/**
+ * Pre-validate Hook: E.164 phone
+ * Seed scripts and legacy 10-digit records are read in their store's phone
+ * region (then PHONE_DEFAULT_REGION); a number that cannot be read is left
+ * for the match validator to reject
+ */
+customerSchema.pre('validate', async function() {
+  if (!this.phone || E164_PATTERN.test(this.phone)) return;
+
+  const store = this.storeId
+    ? await Store.findOne({ storeId: this.storeId }).select('phoneRegion').lean()
+    : null;
+
+  const { phone } = normalizePhone(this.phone, getDefaultPhoneRegion(store));
+  if (phone) this.phone = phone;
+});
+
+/**
+ * Pre-validate Hook: Server-side cart total
+ * Whenever items change, line totals and the subtotal are recomputed,
+ * so a client can never set a total that disagrees with its items.
+ * cartTotal is always subtotal - discount.
+ */
+customerSchema.pre('validate', function(next) {
+  if (this.isModified('items') && (this.isNew ? this.items.length > 0 : true)) {
+    this.items.forEach(item => {
+      item.lineTotal = calculateLineTotal(item);
+    });
+    this.subtotal = calculateAmountDue(this.items);
+  }
+
+  // Bare-total carts (and records from before discounts): the total is the subtotal
+  if (this.subtotal === undefined || this.subtotal === null) {
+    this.subtotal = this.cartTotal;
+  }
+
+  if (this.subtotal !== undefined && this.subtotal !== null) {
+    this.cartTotal = Math.round(Math.max(this.subtotal - (this.discount || 0), 0) * 100) / 100;
+  }
+  next();
+});
+
+/**
+ * Virtual: Item count (total quantity across lines)
+ */
+customerSchema.virtual('itemCount').get(function() {
+  return (this.items || []).reduce((sum, item) => sum + item.quantity, 0);
+});
+
+/**
+ * Instance Method: Add item to cart
+ * Same SKU at the same price increments the existing line
+ * 
+ * @param {Object} item - Normalized { sku, name, quantity, unitPrice }
+ */
+customerSchema.methods.addCartItem = function(item) {
+  const existing = this.items.find(line => line.sku === item.sku && line.unitPrice === item.unitPrice);
+
+  if (existing) {
+    existing.quantity += item.quantity;
+  } else {
+    this.items.push(item);
+  }
+
+  this.markModified('items');
   return this.save();
 };
 
 /**
- * Instance Method: Mark customer as verified
- * Updates status and records verification timestamp
+ * Instance Method: Remove item from cart
+ * Removes `quantity` units of the SKU (the whole line if omitted)
+ * 
+ * @param {string} sku - Item SKU
+ * @param {number|null} quantity - Units to remove
+ * @returns {Promise<boolean>} false if the SKU is not in the cart
+ */
+customerSchema.methods.removeCartItem = async function(sku, quantity = null) {
+  const index = this.items.findIndex(line => line.sku === sku);
+  if (index === -1) return false;
+
+  const line = this.items[index];
+
+  if (quantity === null || quantity >= line.quantity) {
+    this.items.splice(index, 1);
+  } else {
+    line.quantity -= quantity;
+  }
+
+  this.markModified('items');
+  await this.save();
+  return true;
+};
+
+/**
+ * Instance Method: Issue the customer's cancel token
+ * Caller saves the document; the token itself is never stored
+ * 
+ * @returns {string} Cancel token to hand to the customer (once)
  */
-customerSchema.methods.markAsVerified = function() {
-  this.status = 'VERIFIED';
-  this.verifiedAt = new Date();
-  return this.save();
+customerSchema.methods.issueCancelToken = function() {
+  const token = crypto.randomBytes(24).toString('base64url');
+  this.cancelTokenHash = crypto.createHash('sha256').update(token).digest('hex');
+  return token;
+};
+
+/**
+ * Instance Method: Check a presented cancel token
+ * Needs cancelTokenHash selected ('+cancelTokenHash')
+ * 
+ * @param {string} token - Token from the request
+ * @returns {boolean} True if it is this customer's token
+ */
+customerSchema.methods.matchesCancelToken = function(token) {
+  if (typeof token !== 'string' || !token || !this.cancelTokenHash) return false;
+
+  const expected = Buffer.from(this.cancelTokenHash, 'hex');
+  const actual = crypto.createHash('sha256').update(token).digest();
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
 };
 
 /**
  * Static Method: Get next queue number
- * Finds the highest existing queue number and increments by 1
- * Returns 1 if no customers exist (first customer)
+ * Atomically increments the store's business day queueNumber counter
+ * Returns 1 for the first customer of the day
+ * 
+ * Counter is seeded from the day's highest existing queue number on
+ * first use, so a reopened day keeps its sequence.
  * 
- * Time Complexity: O(1) due to index on queueNumber
+ * Time Complexity: O(1) - single atomic $inc
+ * 
+ * @param {string} storeId - Store ID
+ * @param {string} businessDate - YYYY-MM-DD
  */
-customerSchema.statics.getNextQueueNumber = async function() {
-  const lastCustomer = await this.findOne()
-    .sort({ queueNumber: -1 })
-    .select('queueNumber')
-    .lean();
-  
-  return lastCustomer ? lastCustomer.queueNumber + 1 : 1;
+customerSchema.statics.getNextQueueNumber = function(storeId, businessDate) {
+  return Counter.getNextSequence(getQueueNumberCounterName(storeId, businessDate), async () => {
+    const lastCustomer = await this.findOne({ storeId, businessDate })
+      .sort({ queueNumber: -1 })
+      .select('queueNumber')
+      .lean();
+
+    return lastCustomer ? lastCustomer.queueNumber : 0;
+  });
 };
 
 /**
  * Static Method: Get active queue
- * Returns all customers who are WAITING or BILLED, sorted by queue number
+ * Returns all customers who are WAITING, CALLED or BILLED, in service order
  * Used for displaying current queue on dashboard
+ * 
+ * @param {Object} scope - Extra filter, e.g. { storeId }
  */
-customerSchema.statics.getActiveQueue = function() {
+customerSchema.statics.getActiveQueue = function(scope = {}) {
   return this.find({
-    status: { $in: ['WAITING', 'BILLED'] }
+    ...scope,
+    status: { $in: ACTIVE_QUEUE_STATUSES }
   })
-    .sort({ queueNumber: 1 })
+    .sort({ serviceOrder: 1, queueNumber: 1 })
     .select('-qrCode'); // Exclude QR code for performance
 };
 
 /**
  * Static Method: Get dashboard statistics
  * Returns counts for different customer states
+ * 
+ * @param {Object} scope - Extra filter, e.g. { storeId }
  */
-customerSchema.statics.getStatistics = async function() {
-  const [waiting, billed, verified, total] = await Promise.all([
-    this.countDocuments({ status: 'WAITING' }),
-    this.countDocuments({ status: 'BILLED' }),
-    this.countDocuments({ status: 'VERIFIED' }),
-    this.countDocuments({})
+customerSchema.statics.getStatistics = async function(scope = {}) {
+  const [waiting, called, skipped, billed, verified, cancelled, total] = await Promise.all([
+    this.countDocuments({ ...scope, status: 'WAITING' }),
+    this.countDocuments({ ...scope, status: 'CALLED' }),
+    this.countDocuments({ ...scope, status: 'SKIPPED' }),
+    this.countDocuments({ ...scope, status: 'BILLED' }),
+    this.countDocuments({ ...scope, status: 'VERIFIED' }),
+    this.countDocuments({ ...scope, status: 'CANCELLED' }),
+    this.countDocuments(scope)
   ]);
   
   return {
     waiting,
+    called,
+    skipped,
     billed,
     verified,
+    cancelled,
     total,
-    activeQueue: waiting + billed
+    activeQueue: waiting + called + billed
   };
 };
 
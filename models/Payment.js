@@ -0,0 +1,111 @@
+import mongoose from 'mongoose';
+
+/**
+ * Payment Schema
+ * One tender towards a customer's bill (a split bill has several)
+ * 
+ * Design Decisions:
+ * 1. amount is what was applied to the bill; tendered/change describe the
+ *    cash actually handed over (non-cash tenders have tendered = amount)
+ * 2. Payments are not deleted when billing is undone: the money is still
+ *    in the till and counts towards the next completion
+ * 3. Indexed by (storeId, customerId) for "how much is paid" and by
+ *    (storeId, createdAt) for revenue reports
+ * 
+ * Interview Note: the customer only becomes BILLED once the sum of
+ * captured payments covers cartTotal.
+ */
+
+export const PAYMENT_METHODS = ['CASH', 'CARD', 'UPI', 'WALLET'];
+
+const paymentSchema = new mongoose.Schema(
+  {
+    storeId: {
+      type: String,
+      index: true,
+      default: null
+    },
+
+    customerId: {
+      type: String,
+      required: [true, 'Customer ID is required']
+    },
+
+    method: {
+      type: String,
+      enum: {
+        values: PAYMENT_METHODS,
+        message: `Payment method must be one of: ${PAYMENT_METHODS.join(', ')}`
+      },
+      required: [true, 'Payment method is required']
+    },
+
+    amount: {
+      type: Number,
+      required: [true, 'Amount is required'],
+      min: [0.01, 'Amount must be positive']
+    },
+
+    tendered: {
+      type: Number,
+      required: true,
+      min: [0, 'Tendered amount cannot be negative']
+    },
+
+    change: {
+      type: Number,
+      default: 0,
+      min: [0, 'Change cannot be negative']
+    },
+
+    reference: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Reference cannot exceed 100 characters'],
+      default: null // Card approval code, UPI transaction ID, wallet reference
+    },
+
+    counterNumber: {
+      type: Number,
+      default: null
+    },
+
+    receivedBy: {
+      type: String,
+      default: null // Staff username
+    }
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false }
+  }
+);
+
+/**
+ * Compound Index: payments of one customer
+ */
+paymentSchema.index({ storeId: 1, customerId: 1 });
+
+/**
+ * Compound Index: revenue reports by time and method
+ */
+paymentSchema.index({ storeId: 1, createdAt: -1, method: 1 });
+
+/**
+ * Static Method: Total applied to a customer's bill
+ * 
+ * @param {string} storeId - Store ID
+ * @param {string} customerId - Customer ID
+ * @returns {Promise<number>} Sum of payment amounts
+ */
+paymentSchema.statics.getAmountPaid = async function(storeId, customerId) {
+  const [result] = await this.aggregate([
+    { $match: { storeId, customerId } },
+    { $group: { _id: null, total: { $sum: '$amount' } } }
+  ]);
+
+  return result ? Math.round(result.total * 100) / 100 : 0;
+};
+
+const Payment = mongoose.model('Payment', paymentSchema);
+
+export default Payment;
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { PRIORITY_CLASSES, calculateServiceOrder } from '../utils/priorityPolicy.js';
 
 /**
  * Queue Schema
@@ -6,9 +7,11 @@ import mongoose from 'mongoose';
  * 
  * Design Decisions:
  * 1. Separate queue collection for scalability - allows queue analytics without touching customer data
- * 2. Indexed queueNumber for fast position lookup
+ * 2. Indexed queueNumber for fast position lookup, unique per business day
  * 3. Reference to customerId for relational integrity
  * 4. Status tracking enables queue history and analytics
+ * 5. outcome tells served entries from abandoned/skipped ones (legacy: null = served);
+ *    a recalled customer's entry is reactivated
  * 
  * Interview Note: This collection enables:
  * - Real-time queue position tracking
@@ -21,9 +24,21 @@ const queueSchema = new mongoose.Schema(
     queueNumber: {
       type: Number,
       required: [true, 'Queue number is required'],
-      unique: true,
       index: true, // O(1) lookup for queue position
       min: [1, 'Queue number must be positive']
+      // Unique per business day (see compound index below)
+    },
+    
+    businessDate: {
+      type: String,
+      index: true, // Business day session (YYYY-MM-DD)
+      default: null
+    },
+    
+    storeId: {
+      type: String,
+      index: true, // Tenant scope
+      default: null
     },
     
     customerId: {
@@ -32,6 +47,20 @@ const queueSchema = new mongoose.Schema(
       index: true
     },
     
+    priority: {
+      type: String,
+      enum: {
+        values: PRIORITY_CLASSES,
+        message: `Priority must be one of: ${PRIORITY_CLASSES.join(', ')}`
+      },
+      default: 'NORMAL'
+    },
+    
+    serviceOrder: {
+      type: Number,
+      index: true // Weighted-fair ordering key, mirrors Customer.serviceOrder
+    },
+    
     status: {
       type: String,
       enum: {
@@ -42,6 +71,12 @@ const queueSchema = new mongoose.Schema(
       index: true
     },
     
+    outcome: {
+      type: String,
+      enum: ['SERVED', 'CANCELLED', 'SKIPPED', null],
+      default: null // Set on completion
+    },
+    
     // Timestamps for queue analytics
     enteredAt: {
       type: Date,
@@ -64,41 +99,108 @@ const queueSchema = new mongoose.Schema(
  */
 queueSchema.index({ status: 1, queueNumber: 1 });
 
+/**
+ * Unique Index: one queue number per store per business day
+ * Lets numbering restart at 1 daily without deleting history
+ */
+queueSchema.index({ storeId: 1, businessDate: 1, queueNumber: 1 }, { unique: true });
+
+/**
+ * Compound Index for store-scoped active queue queries
+ */
+queueSchema.index({ storeId: 1, status: 1, serviceOrder: 1, queueNumber: 1 });
+
+/**
+ * Compound Index for priority-ordered active queue queries
+ */
+queueSchema.index({ status: 1, serviceOrder: 1, queueNumber: 1 });
+
+/**
+ * Pre-validate Hook: Default service order from priority and entry time
+ */
+queueSchema.pre('validate', function(next) {
+  if (this.serviceOrder === undefined || this.serviceOrder === null) {
+    this.serviceOrder = calculateServiceOrder(this.priority, this.enteredAt || new Date());
+  }
+  next();
+});
+
 /**
  * Instance Method: Complete queue entry
  * Marks queue as completed and records timestamp
+ * 
+ * @param {string} outcome - SERVED (exited), CANCELLED (left the queue) or SKIPPED (no-show)
  */
-queueSchema.methods.complete = function() {
+queueSchema.methods.complete = function(outcome = 'SERVED') {
   this.status = 'COMPLETED';
+  this.outcome = outcome;
   this.completedAt = new Date();
   return this.save();
 };
 
+/**
+ * Instance Method: Reactivate queue entry (recalled customer)
+ * 
+ * @param {number} serviceOrder - New place in the service order
+ */
+queueSchema.methods.reactivate = function(serviceOrder) {
+  this.status = 'ACTIVE';
+  this.outcome = null;
+  this.completedAt = null;
+  this.serviceOrder = serviceOrder;
+  return this.save();
+};
+
 /**
  * Static Method: Get current active queue
- * Returns all active queue entries sorted by queue number (FIFO)
+ * Returns all active queue entries in service order (FIFO within priority policy)
  * 
  * Time Complexity: O(n) where n = active queue size
  * Space Complexity: O(n)
+ * 
+ * @param {Object} scope - Extra filter, e.g. { storeId }
  */
-queueSchema.statics.getActiveQueue = function() {
-  return this.find({ status: 'ACTIVE' })
-    .sort({ queueNumber: 1 });
+queueSchema.statics.getActiveQueue = function(scope = {}) {
+  return this.find({ ...scope, status: 'ACTIVE' })
+    .sort({ serviceOrder: 1, queueNumber: 1 });
 };
 
 /**
  * Static Method: Get queue position
  * Returns the position of a customer in the active queue
+ * Looked up by customerId since queue numbers repeat across days;
+ * only entries of the same store count
  * 
  * Interview Explanation:
- * - Count all active entries with lower queue numbers
+ * - Count all active entries served before this one
+ *   (lower serviceOrder, or same serviceOrder and lower queue number)
  * - Position = count + 1
  * - O(1) with proper indexing
  */
-queueSchema.statics.getPosition = async function(queueNumber) {
+queueSchema.statics.getPosition = async function(customerId) {
+  const entry = await this.findOne({ customerId })
+    .select('queueNumber serviceOrder storeId')
+    .lean();
+
+  if (!entry) return 1;
+
+  if (entry.serviceOrder === undefined || entry.serviceOrder === null) {
+    // Legacy entry without service order: plain FIFO
+    const count = await this.countDocuments({
+      storeId: entry.storeId,
+      status: 'ACTIVE',
+      queueNumber: { $lt: entry.queueNumber }
+    });
+    return count + 1;
+  }
+
   const count = await this.countDocuments({
+    storeId: entry.storeId,
     status: 'ACTIVE',
-    queueNumber: { $lt: queueNumber }
+    $or: [
+      { serviceOrder: { $lt: entry.serviceOrder } },
+      { serviceOrder: entry.serviceOrder, queueNumber: { $lt: entry.queueNumber } }
+    ]
   });
   
   return count + 1;
@@ -106,20 +208,27 @@ queueSchema.statics.getPosition = async function(queueNumber) {
 
 /**
  * Static Method: Get next queue number to be served
- * Returns the smallest active queue number (FIFO)
+ * Returns the first active entry in service order
+ * 
+ * @param {Object} scope - Extra filter, e.g. { storeId }
  */
-queueSchema.statics.getNextToServe = function() {
-  return this.findOne({ status: 'ACTIVE' })
-    .sort({ queueNumber: 1 });
+queueSchema.statics.getNextToServe = function(scope = {}) {
+  return this.findOne({ ...scope, status: 'ACTIVE' })
+    .sort({ serviceOrder: 1, queueNumber: 1 });
 };
 
 /**
  * Static Method: Calculate average wait time
  * Analytics method for performance monitoring
+ * Abandoned and skipped entries are not waits that ended in service
+ * 
+ * @param {Object} scope - Extra filter, e.g. { storeId }
  */
-queueSchema.statics.getAverageWaitTime = async function() {
+queueSchema.statics.getAverageWaitTime = async function(scope = {}) {
   const completedQueues = await this.find({
+    ...scope,
     status: 'COMPLETED',
+    outcome: { $in: ['SERVED', null] },
     completedAt: { $ne: null }
   });
   
@@ -0,0 +1,135 @@
+import mongoose from 'mongoose';
+import Counter from './Counter.js';
+
+/**
+ * Receipt Schema
+ * A numbered receipt issued once per billed customer
+ * 
+ * Design Decisions:
+ * 1. Numbers are sequential per store per day ("SM01-20260124-0001"),
+ *    drawn from an atomic Counter sequence like queue numbers
+ * 2. Issued when billing completes, so numbering follows billing order;
+ *    customers billed before receipts existed get one on first request
+ * 3. Lines, totals and payments are frozen at issue time: reprints always
+ *    match what the customer was handed, whatever happens later
+ * 4. Undoing billing voids the receipt instead of deleting it, so the day's
+ *    numbering has no gaps; re-billing issues a new number
+ */
+
+export const RECEIPT_COUNTER_PREFIX = 'receipt';
+
+export const RECEIPT_STATUSES = ['ISSUED', 'VOID'];
+
+/**
+ * Receipt counter name for a store's day
+ * 
+ * @param {string} storeId - Store ID
+ * @param {string} businessDate - YYYY-MM-DD
+ * @returns {string} Counter name (e.g. "receipt:SM01:2026-01-24")
+ */
+export const getReceiptCounterName = (storeId, businessDate) =>
+  `${RECEIPT_COUNTER_PREFIX}:${storeId}:${businessDate}`;
+
+/**
+ * Receipt number: store, date and zero-padded daily sequence
+ */
+export const formatReceiptNumber = (storeId, businessDate, sequence) =>
+  `${storeId}-${businessDate.replace(/-/g, '')}-${String(sequence).padStart(4, '0')}`;
+
+const receiptSchema = new mongoose.Schema(
+  {
+    storeId: {
+      type: String,
+      required: true
+    },
+
+    customerId: {
+      type: String,
+      required: [true, 'Customer ID is required']
+    },
+
+    businessDate: {
+      type: String,
+      required: true,
+      match: [/^\d{4}-\d{2}-\d{2}$/, 'Business date must follow format: YYYY-MM-DD']
+    },
+
+    sequence: {
+      type: Number,
+      required: true,
+      min: 1
+    },
+
+    receiptNumber: {
+      type: String,
+      required: true,
+      unique: true
+    },
+
+    // Frozen receipt content (see utils/receipts.js buildReceiptContent)
+    content: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true
+    },
+
+    issuedBy: {
+      type: String,
+      default: null // Staff username
+    },
+
+    status: {
+      type: String,
+      enum: RECEIPT_STATUSES,
+      default: 'ISSUED'
+    },
+
+    voidedAt: {
+      type: Date,
+      default: null
+    },
+
+    voidedBy: {
+      type: String,
+      default: null // Staff username
+    }
+  },
+  {
+    timestamps: { createdAt: 'issuedAt', updatedAt: false }
+  }
+);
+
+/**
+ * Unique Index: one current (ISSUED) receipt per customer; voided ones are kept
+ */
+receiptSchema.index(
+  { storeId: 1, customerId: 1 },
+  { unique: true, partialFilterExpression: { status: 'ISSUED' } }
+);
+
+/**
+ * Compound Index: a store's receipts for a day, in sequence
+ */
+receiptSchema.index({ storeId: 1, businessDate: 1, sequence: 1 });
+
+/**
+ * Static Method: Next receipt sequence for a store's day
+ * Seeded from the day's highest existing receipt on first use
+ * 
+ * @param {string} storeId - Store ID
+ * @param {string} businessDate - YYYY-MM-DD
+ * @returns {Promise<number>} Next sequence (1 for the day's first receipt)
+ */
+receiptSchema.statics.getNextSequence = function(storeId, businessDate) {
+  return Counter.getNextSequence(getReceiptCounterName(storeId, businessDate), async () => {
+    const lastReceipt = await this.findOne({ storeId, businessDate })
+      .sort({ sequence: -1 })
+      .select('sequence')
+      .lean();
+
+    return lastReceipt ? lastReceipt.sequence : 0;
+  });
+};
+
+const Receipt = mongoose.model('Receipt', receiptSchema);
+
+export default Receipt;
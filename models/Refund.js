@@ -0,0 +1,131 @@
+import mongoose from 'mongoose';
+import { PAYMENT_METHODS } from './Payment.js';
+
+/**
+ * Refund Schema
+ * Money given back on a return after the customer has exited (VERIFIED)
+ *
+ * Design Decisions:
+ * 1. One document per return: the returned items (if any) and the amount
+ *    refunded by one method. A bill can have several returns
+ * 2. Item refunds are valued at what was actually paid for them: line
+ *    value scaled by cartTotal, so discounts and exclusive tax carry over
+ * 3. businessDate is the store day the refund was given: revenue drops on
+ *    the day the money left the till, not on the original sale day
+ * 4. Never edited or deleted; a mistaken refund is a matter for accounting
+ *
+ * Interview Note: the Customer stays VERIFIED - returns sit beside the
+ * lifecycle rather than reopening it.
+ */
+
+const refundItemSchema = new mongoose.Schema(
+  {
+    sku: { type: String, required: true },
+    name: { type: String, default: null },
+    quantity: { type: Number, required: true, min: 1 },
+    amount: { type: Number, required: true, min: 0 }
+  },
+  { _id: false }
+);
+
+const refundSchema = new mongoose.Schema(
+  {
+    storeId: {
+      type: String,
+      required: true
+    },
+
+    customerId: {
+      type: String,
+      required: [true, 'Customer ID is required']
+    },
+
+    businessDate: {
+      type: String,
+      required: true,
+      match: [/^\d{4}-\d{2}-\d{2}$/, 'Business date must follow format: YYYY-MM-DD']
+    },
+
+    items: {
+      type: [refundItemSchema],
+      default: [] // Empty for an amount-only refund
+    },
+
+    amount: {
+      type: Number,
+      required: [true, 'Refund amount is required'],
+      min: [0.01, 'Refund amount must be positive']
+    },
+
+    method: {
+      type: String,
+      enum: {
+        values: PAYMENT_METHODS,
+        message: `Refund method must be one of: ${PAYMENT_METHODS.join(', ')}`
+      },
+      required: [true, 'Refund method is required']
+    },
+
+    reason: {
+      type: String,
+      trim: true,
+      required: [true, 'Return reason is required'],
+      maxlength: [200, 'Reason cannot exceed 200 characters']
+    },
+
+    reference: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Reference cannot exceed 100 characters'],
+      default: null // Card reversal / UPI refund ID
+    },
+
+    processedBy: {
+      type: String,
+      default: null // Manager username
+    }
+  },
+  {
+    timestamps: { createdAt: 'refundedAt', updatedAt: false }
+  }
+);
+
+/**
+ * Compound Index: refunds of one customer
+ */
+refundSchema.index({ storeId: 1, customerId: 1 });
+
+/**
+ * Compound Index: revenue reports by time and by business day
+ */
+refundSchema.index({ storeId: 1, refundedAt: -1 });
+refundSchema.index({ storeId: 1, businessDate: 1 });
+
+/**
+ * Static Method: What has already been refunded on a bill
+ *
+ * @param {string} storeId - Store ID
+ * @param {string} customerId - Customer ID
+ * @returns {Promise<Object>} { total, byMethod: { METHOD: amount }, quantities: { SKU: qty } }
+ */
+refundSchema.statics.getRefundedSummary = async function(storeId, customerId) {
+  const refunds = await this.find({ storeId, customerId }).select('amount method items').lean();
+
+  const summary = { total: 0, byMethod: {}, quantities: {} };
+
+  refunds.forEach(refund => {
+    summary.total += refund.amount;
+    summary.byMethod[refund.method] = (summary.byMethod[refund.method] || 0) + refund.amount;
+
+    refund.items.forEach(item => {
+      summary.quantities[item.sku] = (summary.quantities[item.sku] || 0) + item.quantity;
+    });
+  });
+
+  summary.total = Math.round(summary.total * 100) / 100;
+  return summary;
+};
+
+const Refund = mongoose.model('Refund', refundSchema);
+
+export default Refund;
@@ -0,0 +1,178 @@
+import mongoose from 'mongoose';
+
+/**
+ * Scan Attempt Schema
+ * One document per QR scan at an exit gate, successful or not
+ *
+ * Design Decisions:
+ * 1. Failures are kept even when the QR cannot be decoded (customerId null);
+ *    payloadHash still links repeated scans of the same image
+ * 2. Stores the hash, not the QR payload: enough to group, nothing to replay
+ * 3. Gate and scanning staff recorded so patterns can be traced to a gate
+ * 4. Fraud rule matches are stored on the attempt they were raised for,
+ *    with a review outcome once security has looked at them
+ * 5. customerId/queueNumber are only recorded once the signature verifies;
+ *    before that they are whatever the scanned payload claims, and a
+ *    forged scan must not count against a genuine customer
+ * 6. A supervisor reversing a verification (wrong QR scanned) marks the
+ *    successful attempt as reversed; the attempt itself stays SUCCESS
+ *
+ * Interview Note: the Customer document only knows the final state;
+ * attempts are what reveal a screenshot being tried twice.
+ */
+
+export const SCAN_RESULTS = ['SUCCESS', 'FAILED'];
+
+export const SCAN_FAILURE_REASONS = [
+  'INVALID_FORMAT',
+  'INVALID_SIGNATURE',
+  'INVALID_QR',
+  'WRONG_STORE',
+  'DATA_MISMATCH',
+  'DUPLICATE_SCAN',
+  'NOT_BILLED',
+  'QR_EXPIRED',
+  'FRAUD_BLOCKED'
+];
+
+/**
+ * Failures raised before the signature was verified (payload untrusted)
+ */
+export const UNVERIFIED_FAILURE_REASONS = ['INVALID_FORMAT', 'INVALID_SIGNATURE'];
+
+export const FRAUD_REVIEW_OUTCOMES = ['CONFIRMED', 'DISMISSED'];
+
+/**
+ * Why a supervisor reversed a verification (OTHER requires a note)
+ */
+export const VERIFICATION_REVERSAL_REASONS = [
+  'WRONG_QR_SCANNED',
+  'SCANNED_IN_ERROR',
+  'CUSTOMER_RETURNED',
+  'OTHER'
+];
+
+const fraudMatchSchema = new mongoose.Schema(
+  {
+    rule: { type: String, required: true },
+    action: { type: String, enum: ['ALLOW', 'FLAG', 'BLOCK'], required: true },
+    message: { type: String, default: null },
+    details: { type: mongoose.Schema.Types.Mixed, default: null }
+  },
+  { _id: false }
+);
+
+const scanAttemptSchema = new mongoose.Schema(
+  {
+    storeId: {
+      type: String,
+      index: true,
+      default: null
+    },
+
+    customerId: {
+      type: String,
+      default: null // null when the QR could not be decoded or verified
+    },
+
+    queueNumber: {
+      type: Number,
+      default: null
+    },
+
+    result: {
+      type: String,
+      enum: SCAN_RESULTS,
+      required: true
+    },
+
+    reason: {
+      type: String,
+      enum: [...SCAN_FAILURE_REASONS, null],
+      default: null // null for successful scans
+    },
+
+    gateId: {
+      type: String,
+      trim: true,
+      default: null
+    },
+
+    payloadHash: {
+      type: String,
+      default: null
+    },
+
+    scannedBy: {
+      type: String,
+      default: null // Staff username
+    },
+
+    ip: {
+      type: String,
+      default: null
+    },
+
+    requestId: {
+      type: String,
+      default: null
+    },
+
+    bulk: {
+      type: Boolean,
+      default: false
+    },
+
+    fraudDecision: {
+      type: String,
+      enum: ['ALLOW', 'FLAG', 'BLOCK', null],
+      default: null // null when rules were not evaluated (scan failed earlier)
+    },
+
+    fraudMatches: {
+      type: [fraudMatchSchema],
+      default: []
+    },
+
+    review: {
+      outcome: { type: String, enum: [...FRAUD_REVIEW_OUTCOMES, null], default: null },
+      note: { type: String, trim: true, maxlength: 500, default: null },
+      reviewedBy: { type: String, default: null },
+      reviewedAt: { type: Date, default: null }
+    },
+
+    reversal: {
+      reasonCode: { type: String, enum: [...VERIFICATION_REVERSAL_REASONS, null], default: null },
+      note: { type: String, trim: true, maxlength: 500, default: null },
+      reversedBy: { type: String, default: null },
+      reversedAt: { type: Date, default: null } // null unless reversed
+    }
+  },
+  {
+    timestamps: { createdAt: 'scannedAt', updatedAt: false }
+  }
+);
+
+/**
+ * Compound Index: store-wide attempts by time (listing, per-hour/per-reason)
+ */
+scanAttemptSchema.index({ storeId: 1, result: 1, scannedAt: -1 });
+
+/**
+ * Compound Index: one customer's attempts by time
+ */
+scanAttemptSchema.index({ storeId: 1, customerId: 1, scannedAt: -1 });
+
+/**
+ * Compound Index: fraud review queue (flagged/blocked scans by time)
+ */
+scanAttemptSchema.index({ storeId: 1, fraudDecision: 1, scannedAt: -1 });
+
+/**
+ * Compound Index: reversed verifications (statistics, reversed=true listing)
+ */
+scanAttemptSchema.index({ storeId: 1, 'reversal.reversedAt': -1 });
+
+const ScanAttempt = mongoose.model('ScanAttempt', scanAttemptSchema);
+
+export default ScanAttempt;
@@ -0,0 +1,117 @@
+import mongoose from 'mongoose';
+import { PHONE_REGIONS } from '../utils/phoneNumbers.js';
+
+/**
+ * Store Schema
+ * A physical store (tenant); all queue data is scoped by storeId
+ * 
+ * Design Decisions:
+ * 1. storeId is a short uppercase code ("BLR01") used in headers and counters
+ * 2. customerIdPrefix is unique so customer IDs never collide across stores
+ *    (BLR-1001 vs DEL-1001) and a customer ID alone identifies its store
+ * 3. Per-store timezone drives business dates for stores in other regions
+ * 4. GSTIN and state code are printed on tax invoices; the state code
+ *    decides CGST+SGST (same state) vs IGST (other state)
+ * 5. phoneRegion reads phones typed without a country code (stores abroad)
+ */
+
+const storeSchema = new mongoose.Schema(
+  {
+    storeId: {
+      type: String,
+      required: [true, 'Store ID is required'],
+      unique: true,
+      index: true,
+      uppercase: true,
+      trim: true,
+      match: [/^[A-Z0-9_-]{2,20}$/, 'Store ID must be 2-20 uppercase letters, digits, "_" or "-"']
+    },
+    
+    name: {
+      type: String,
+      required: [true, 'Store name is required'],
+      trim: true,
+      maxlength: [100, 'Store name cannot exceed 100 characters']
+    },
+    
+    customerIdPrefix: {
+      type: String,
+      required: [true, 'Customer ID prefix is required'],
+      unique: true,
+      uppercase: true,
+      trim: true,
+      match: [/^[A-Z][A-Z0-9]{1,5}$/, 'Customer ID prefix must be 2-6 uppercase letters/digits starting with a letter']
+    },
+    
+    timezone: {
+      type: String,
+      default: null // IANA timezone; falls back to STORE_TIMEZONE
+    },
+    
+    gstin: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      match: [/^\d{2}[A-Z0-9]{13}$/, 'GSTIN must be 15 characters starting with the state code'],
+      default: null
+    },
+    
+    stateCode: {
+      type: String,
+      trim: true,
+      match: [/^\d{2}$/, 'State code must be 2 digits'],
+      default: null // Falls back to the GSTIN prefix, then GST_STATE_CODE
+    },
+    
+    phoneRegion: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      enum: {
+        values: [...Object.keys(PHONE_REGIONS), null],
+        message: `Phone region must be one of: ${Object.keys(PHONE_REGIONS).join(', ')}`
+      },
+      default: null // Falls back to PHONE_DEFAULT_REGION
+    },
+    
+    active: {
+      type: Boolean,
+      default: true,
+      index: true
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+/**
+ * Static Method: Get or bootstrap default store
+ * Single-store deployments work without setup: the store named by
+ * DEFAULT_STORE_ID is created on first use with the legacy "SM" prefix.
+ * 
+ * @param {string} storeId - Store ID
+ * @returns {Promise<Object|null>} Active store, or null
+ */
+storeSchema.statics.findActive = async function(storeId) {
+  const store = await this.findOne({ storeId, active: true });
+  if (store) return store;
+
+  if (storeId !== (process.env.DEFAULT_STORE_ID || '').toUpperCase()) return null;
+
+  try {
+    return await this.create({
+      storeId,
+      name: 'Default Store',
+      customerIdPrefix: process.env.CUSTOMER_ID_PREFIX || 'SM'
+    });
+  } catch (error) {
+    // Created concurrently by another request
+    if (error.code === 11000) return this.findOne({ storeId, active: true });
+    throw error;
+  }
+};
+
+const Store = mongoose.model('Store', storeSchema);
+
+export default Store;
@@ -0,0 +1,110 @@
+import mongoose from 'mongoose';
+import bcrypt from 'bcryptjs';
+
+/**
+ * User Schema
+ * Staff accounts for store operations
+ *
+ * Design Decisions:
+ * 1. Passwords stored as bcrypt hashes only (hashed in pre-save hook)
+ * 2. Password field excluded from queries by default (select: false)
+ * 3. Roles map to store jobs: manager (admin), cashier (billing), guard (exit gate)
+ * 4. storeId binds staff to one store; managers without a store are head office
+ */
+
+export const USER_ROLES = ['manager', 'cashier', 'guard'];
+
+const BCRYPT_ROUNDS = 10;
+
+const userSchema = new mongoose.Schema(
+  {
+    username: {
+      type: String,
+      required: [true, 'Username is required'],
+      unique: true,
+      index: true,
+      lowercase: true,
+      trim: true,
+      match: [/^[a-z0-9._-]{3,30}$/, 'Username must be 3-30 letters, digits, ".", "_" or "-"']
+    },
+
+    name: {
+      type: String,
+      required: [true, 'Name is required'],
+      trim: true,
+      maxlength: [100, 'Name cannot exceed 100 characters']
+    },
+
+    password: {
+      type: String,
+      required: [true, 'Password is required'],
+      minlength: [8, 'Password must be at least 8 characters'],
+      select: false // Never returned unless explicitly requested
+    },
+
+    role: {
+      type: String,
+      enum: {
+        values: USER_ROLES,
+        message: `Role must be one of: ${USER_ROLES.join(', ')}`
+      },
+      required: [true, 'Role is required']
+    },
+
+    storeId: {
+      type: String,
+      uppercase: true,
+      index: true,
+      // Only managers may be unbound from a store
+      required: [function() { return this.role !== 'manager'; }, 'Cashiers and guards must belong to a store'],
+      default: null // null = all stores (head-office managers only)
+    },
+
+    active: {
+      type: Boolean,
+      default: true
+    },
+
+    lastLoginAt: {
+      type: Date,
+      default: null
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+/**
+ * Pre-save Hook: hash password when set or changed
+ */
+userSchema.pre('save', async function() {
+  if (!this.isModified('password')) return;
+
+  this.password = await bcrypt.hash(this.password, BCRYPT_ROUNDS);
+});
+
+/**
+ * Instance Method: Compare password with stored hash
+ * Requires the document to be loaded with .select('+password')
+ *
+ * @param {string} candidate - Plain-text password
+ * @returns {Promise<boolean>} True if it matches
+ */
+userSchema.methods.comparePassword = function(candidate) {
+  return bcrypt.compare(String(candidate), this.password);
+};
+
+/**
+ * Strip the password hash from JSON output
+ */
+userSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.password;
+    return ret;
+  }
+});
+
+const User = mongoose.model('User', userSchema);
+
+export default User;
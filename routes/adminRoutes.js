@@ -4,39 +4,125 @@ import {
   getCustomerDetailsForAdmin,
   searchCustomers,
   getAnalyticsReport,
-  deleteCustomer
+  extendCustomerValidity,
+  deleteCustomer,
+  getCounters,
+  reseedCounter,
+  streamDashboard,
+  getAuditLog,
+  getTaxReport
 } from '../controllers/adminController.js';
+import {
+  getBusinessDays,
+  getBusinessDay,
+  openBusinessDay,
+  closeBusinessDay
+} from '../controllers/businessDayController.js';
+import {
+  getCoupons,
+  createCoupon,
+  updateCoupon
+} from '../controllers/couponController.js';
+import { authenticate, authorize, authorizeStore } from '../middleware/auth.js';
 
 const router = express.Router();
 
 /**
  * Admin Routes
  * Handles admin dashboard and management operations
+ * All routes require a manager of the requested store
  */
 
+router.use(authenticate, authorize('manager'), authorizeStore);
+
 // @route   GET /api/admin/dashboard
 // @desc    Get admin dashboard data
-// @access  Admin
+// @access  Manager
 router.get('/dashboard', getAdminDashboard);
 
+// @route   GET /api/admin/stream
+// @desc    Stream live dashboard updates (Server-Sent Events)
+// @access  Manager
+router.get('/stream', streamDashboard);
+
 // @route   GET /api/admin/search
 // @desc    Search customers
-// @access  Admin
+// @access  Manager
 router.get('/search', searchCustomers);
 
 // @route   GET /api/admin/analytics
 // @desc    Get analytics report
-// @access  Admin
+// @access  Manager
 router.get('/analytics', getAnalyticsReport);
 
+// @route   GET /api/admin/tax-report
+// @desc    Daily GST report (taxable value, CGST/SGST/IGST, totals)
+// @access  Manager
+router.get('/tax-report', getTaxReport);
+
+// @route   GET /api/admin/audit
+// @desc    Get audit log (filterable)
+// @access  Manager
+router.get('/audit', getAuditLog);
+
 // @route   GET /api/admin/customer/:customerId
 // @desc    Get customer details for admin
-// @access  Admin
+// @access  Manager
 router.get('/customer/:customerId', getCustomerDetailsForAdmin);
 
+// @route   PATCH /api/admin/customer/:customerId/validity
+// @desc    Extend customer's QR validity
+// @access  Manager
+router.patch('/customer/:customerId/validity', extendCustomerValidity);
+
 // @route   DELETE /api/admin/customer/:customerId
 // @desc    Delete customer (use with caution)
-// @access  Admin
+// @access  Manager
 router.delete('/customer/:customerId', deleteCustomer);
 
+// @route   GET /api/admin/counters
+// @desc    Get sequence counters
+// @access  Manager
+router.get('/counters', getCounters);
+
+// @route   PUT /api/admin/counters/:name
+// @desc    Reseed a sequence counter
+// @access  Manager
+router.put('/counters/:name', reseedCounter);
+
+// @route   GET /api/admin/business-days
+// @desc    Get business day history
+// @access  Manager
+router.get('/business-days', getBusinessDays);
+
+// @route   POST /api/admin/business-days/open
+// @desc    Open business day (queue numbers restart at 1)
+// @access  Manager (recorded as the opener)
+router.post('/business-days/open', openBusinessDay);
+
+// @route   POST /api/admin/business-days/close
+// @desc    Close the open business day
+// @access  Manager (recorded as the closer)
+router.post('/business-days/close', closeBusinessDay);
+
+// @route   GET /api/admin/business-days/:businessDate
+// @desc    Get business day summary and integrity check
+// @access  Manager
+router.get('/business-days/:businessDate', getBusinessDay);
+
+// @route   GET /api/admin/coupons
+// @desc    Get coupons (own and chain-wide) with redemption totals
+// @access  Manager
+router.get('/coupons', getCoupons);
+
+// @route   POST /api/admin/coupons
+// @desc    Create coupon
+// @access  Manager
+router.post('/coupons', createCoupon);
+
+// @route   PATCH /api/admin/coupons/:code
+// @desc    Update coupon limits, validity or active flag
+// @access  Manager
+router.patch('/coupons/:code', updateCoupon);
+
 export default router;
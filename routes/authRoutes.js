@@ -0,0 +1,55 @@
+import express from 'express';
+import {
+  login,
+  refreshToken,
+  logout,
+  getMe,
+  getUsers,
+  createUser,
+  updateUser
+} from '../controllers/authController.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+
+const router = express.Router();
+
+/**
+ * Auth Routes
+ * Staff login, token refresh/logout and account management
+ */
+
+// @route   POST /api/auth/login
+// @desc    Log in with username and password
+// @access  Public
+router.post('/login', login);
+
+// @route   POST /api/auth/refresh
+// @desc    Exchange refresh token for new tokens
+// @access  Public (requires refresh token)
+router.post('/refresh', refreshToken);
+
+// @route   POST /api/auth/logout
+// @desc    Revoke current session
+// @access  Authenticated
+router.post('/logout', authenticate, logout);
+
+// @route   GET /api/auth/me
+// @desc    Get current user
+// @access  Authenticated
+router.get('/me', authenticate, getMe);
+
+// @route   GET /api/auth/users
+// @desc    Get staff accounts
+// @access  Manager
+router.get('/users', authenticate, authorize('manager'), getUsers);
+
+// @route   POST /api/auth/users
+// @desc    Create staff account
+// @access  Manager
+router.post('/users', authenticate, authorize('manager'), createUser);
+
+// @route   PATCH /api/auth/users/:userId
+// @desc    Update staff account
+// @access  Manager
+router.patch('/users/:userId', authenticate, authorize('manager'), updateUser);
+
+export default router;
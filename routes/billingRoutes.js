@@ -3,8 +3,21 @@ import {
   completeBilling,
   getBilledCustomers,
   getBillingStatistics,
-  undoBilling
+  undoBilling,
+  addCartItem,
+  removeCartItem,
+  recordPayment,
+  getPayments,
+  getReceipt,
+  applyCoupon,
+  removeCoupon
 } from '../controllers/billingController.js';
+import {
+  createReturn,
+  getCustomerReturns,
+  getReturns
+} from '../controllers/returnController.js';
+import { authenticate, authorize, authorizeStore } from '../middleware/auth.js';
 
 const router = express.Router();
 
@@ -13,24 +26,76 @@ const router = express.Router();
  * Handles billing operations at checkout counters
  */
 
+router.use(authenticate, authorizeStore);
+
 // @route   POST /api/billing/complete/:customerId
 // @desc    Mark customer as billed
-// @access  Admin
-router.post('/complete/:customerId', completeBilling);
+// @access  Cashier, Manager
+router.post('/complete/:customerId', authorize('cashier', 'manager'), completeBilling);
 
 // @route   GET /api/billing/ready
 // @desc    Get all billed customers (ready for exit)
-// @access  Admin
-router.get('/ready', getBilledCustomers);
+// @access  Cashier, Manager
+router.get('/ready', authorize('cashier', 'manager'), getBilledCustomers);
 
 // @route   GET /api/billing/statistics
 // @desc    Get billing statistics
-// @access  Admin
-router.get('/statistics', getBillingStatistics);
+// @access  Manager
+router.get('/statistics', authorize('manager'), getBillingStatistics);
 
 // @route   POST /api/billing/undo/:customerId
 // @desc    Undo billing (if mistake was made)
-// @access  Admin
-router.post('/undo/:customerId', undoBilling);
+// @access  Cashier, Manager
+router.post('/undo/:customerId', authorize('cashier', 'manager'), undoBilling);
+
+// @route   POST /api/billing/items/:customerId
+// @desc    Add item to cart during billing
+// @access  Cashier, Manager
+router.post('/items/:customerId', authorize('cashier', 'manager'), addCartItem);
+
+// @route   DELETE /api/billing/items/:customerId/:sku
+// @desc    Remove item (or some units) from cart during billing
+// @access  Cashier, Manager
+router.delete('/items/:customerId/:sku', authorize('cashier', 'manager'), removeCartItem);
+
+// @route   POST /api/billing/payments/:customerId
+// @desc    Record payment(s) towards a bill (split tenders, partial payments)
+// @access  Cashier, Manager
+router.post('/payments/:customerId', authorize('cashier', 'manager'), recordPayment);
+
+// @route   GET /api/billing/payments/:customerId
+// @desc    Get payments and balance due for a bill
+// @access  Cashier, Manager
+router.get('/payments/:customerId', authorize('cashier', 'manager'), getPayments);
+
+// @route   GET /api/billing/receipt/:customerId
+// @desc    Get receipt (?format=json|text|html|pdf)
+// @access  Cashier, Manager
+router.get('/receipt/:customerId', authorize('cashier', 'manager'), getReceipt);
+
+// @route   POST /api/billing/coupon/:customerId
+// @desc    Apply a coupon code to the cart
+// @access  Cashier, Manager
+router.post('/coupon/:customerId', authorize('cashier', 'manager'), applyCoupon);
+
+// @route   DELETE /api/billing/coupon/:customerId
+// @desc    Remove the applied coupon
+// @access  Cashier, Manager
+router.delete('/coupon/:customerId', authorize('cashier', 'manager'), removeCoupon);
+
+// @route   GET /api/billing/returns
+// @desc    Get the store's returns and refund totals
+// @access  Manager
+router.get('/returns', authorize('manager'), getReturns);
+
+// @route   POST /api/billing/returns/:customerId
+// @desc    Return items (or an amount) after exit and refund the customer
+// @access  Manager
+router.post('/returns/:customerId', authorize('manager'), createReturn);
+
+// @route   GET /api/billing/returns/:customerId
+// @desc    Get a customer's returns and refundable balance
+// @access  Cashier, Manager
+router.get('/returns/:customerId', authorize('cashier', 'manager'), getCustomerReturns);
 
 export default router;
@@ -0,0 +1,45 @@
+import express from 'express';
+import {
+  getCounters,
+  createCounter,
+  openCounter,
+  closeCounter,
+  callNextToCounter
+} from '../controllers/counterController.js';
+import { authenticate, authorize, authorizeStore } from '../middleware/auth.js';
+
+const router = express.Router();
+
+/**
+ * Counter Routes
+ * Manages billing counters (tills) and customer assignment
+ */
+
+router.use(authenticate, authorizeStore);
+
+// @route   GET /api/counters
+// @desc    Get all billing counters
+// @access  Cashier, Manager
+router.get('/', authorize('cashier', 'manager'), getCounters);
+
+// @route   POST /api/counters
+// @desc    Create billing counter
+// @access  Manager
+router.post('/', authorize('manager'), createCounter);
+
+// @route   PATCH /api/counters/:counterNumber/open
+// @desc    Open counter with cashier on duty
+// @access  Cashier, Manager
+router.patch('/:counterNumber/open', authorize('cashier', 'manager'), openCounter);
+
+// @route   PATCH /api/counters/:counterNumber/close
+// @desc    Close counter
+// @access  Cashier, Manager
+router.patch('/:counterNumber/close', authorize('cashier', 'manager'), closeCounter);
+
+// @route   POST /api/counters/:counterNumber/call-next
+// @desc    Call next customer to counter
+// @access  Cashier, Manager
+router.post('/:counterNumber/call-next', authorize('cashier', 'manager'), callNextToCounter);
+
+export default router;
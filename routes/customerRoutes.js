@@ -3,8 +3,11 @@ import {
   registerCustomer,
   getCustomerById,
   getCustomerQRCode,
-  getAllCustomers
+  cancelCustomer,
+  getAllCustomers,
+  lookupCustomerByPhone
 } from '../controllers/customerController.js';
+import { authenticate, optionalAuthenticate, authorize, authorizeStore } from '../middleware/auth.js';
 
 const router = express.Router();
 
@@ -15,13 +18,18 @@ const router = express.Router();
 
 // @route   POST /api/customer/register
 // @desc    Register new customer
-// @access  Public
-router.post('/register', registerCustomer);
+// @access  Public (staff tokens may leave out a returning customer's name)
+router.post('/register', optionalAuthenticate, registerCustomer);
 
 // @route   GET /api/customer/all
 // @desc    Get all customers (with pagination)
-// @access  Admin
-router.get('/all', getAllCustomers);
+// @access  Manager
+router.get('/all', authenticate, authorize('manager'), authorizeStore, getAllCustomers);
+
+// @route   GET /api/customer/lookup?phone=
+// @desc    Returning-customer lookup: visit history for a phone
+// @access  Cashier, Manager
+router.get('/lookup', authenticate, authorize('cashier', 'manager'), authorizeStore, lookupCustomerByPhone);
 
 // @route   GET /api/customer/:customerId
 // @desc    Get customer details by ID
@@ -30,7 +38,12 @@ router.get('/:customerId', getCustomerById);
 
 // @route   GET /api/customer/:customerId/qr
 // @desc    Get customer QR code
+// @access  Cashier, Manager (the signed QR is only handed to the customer at registration)
+router.get('/:customerId/qr', authenticate, authorize('cashier', 'manager'), authorizeStore, getCustomerQRCode);
+
+// @route   POST /api/customer/:customerId/cancel
+// @desc    Leave the queue (proof: cancel token from registration)
 // @access  Public
-router.get('/:customerId/qr', getCustomerQRCode);
+router.post('/:customerId/cancel', cancelCustomer);
 
 export default router;
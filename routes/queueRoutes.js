@@ -4,8 +4,13 @@ import {
   getQueuePosition,
   getNextCustomer,
   getStatistics,
-  getQueueHistory
+  getQueueHistory,
+  streamQueuePosition,
+  getSkippedCustomers,
+  recallCustomer
 } from '../controllers/queueController.js';
+import { cancelCustomer } from '../controllers/customerController.js';
+import { authenticate, authorize, authorizeStore } from '../middleware/auth.js';
 
 const router = express.Router();
 
@@ -26,17 +31,37 @@ router.get('/statistics', getStatistics);
 
 // @route   GET /api/queue/next
 // @desc    Get next customer to serve
-// @access  Admin
-router.get('/next', getNextCustomer);
+// @access  Cashier, Manager
+router.get('/next', authenticate, authorize('cashier', 'manager'), authorizeStore, getNextCustomer);
 
 // @route   GET /api/queue/history
 // @desc    Get queue history (completed)
-// @access  Admin
-router.get('/history', getQueueHistory);
+// @access  Manager
+router.get('/history', authenticate, authorize('manager'), authorizeStore, getQueueHistory);
+
+// @route   GET /api/queue/skipped
+// @desc    Get skipped (no-show) customers with recalls left
+// @access  Cashier, Manager
+router.get('/skipped', authenticate, authorize('cashier', 'manager'), authorizeStore, getSkippedCustomers);
+
+// @route   POST /api/queue/recall/:customerId
+// @desc    Recall a skipped customer near the front of the queue
+// @access  Cashier, Manager
+router.post('/recall/:customerId', authenticate, authorize('cashier', 'manager'), authorizeStore, recallCustomer);
+
+// @route   POST /api/queue/cancel/:customerId
+// @desc    Remove a waiting customer from the queue (abandoned trolley)
+// @access  Cashier, Manager
+router.post('/cancel/:customerId', authenticate, authorize('cashier', 'manager'), authorizeStore, cancelCustomer);
 
 // @route   GET /api/queue/position/:customerId
 // @desc    Get queue position for a customer
 // @access  Public
 router.get('/position/:customerId', getQueuePosition);
 
+// @route   GET /api/queue/stream/:customerId
+// @desc    Stream live queue position updates (Server-Sent Events)
+// @access  Public
+router.get('/stream/:customerId', streamQueuePosition);
+
 export default router;
@@ -0,0 +1,34 @@
+import express from 'express';
+import {
+  getStores,
+  createStore,
+  getStoreRollup
+} from '../controllers/storeController.js';
+import { authenticate, authorize, authorizeStore } from '../middleware/auth.js';
+
+const router = express.Router();
+
+/**
+ * Store Routes
+ * Store management and cross-store reporting (not store-scoped)
+ * Head-office managers only (managers not bound to a store)
+ */
+
+router.use(authenticate, authorize('manager'), authorizeStore);
+
+// @route   GET /api/stores
+// @desc    Get all stores
+// @access  Manager (Head Office)
+router.get('/', getStores);
+
+// @route   POST /api/stores
+// @desc    Create store
+// @access  Manager (Head Office)
+router.post('/', createStore);
+
+// @route   GET /api/stores/rollup
+// @desc    Cross-store rollup of today's activity
+// @access  Manager (Head Office)
+router.get('/rollup', getStoreRollup);
+
+export default router;
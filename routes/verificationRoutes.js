@@ -2,9 +2,17 @@ import express from 'express';
 import {
   verifyQRCode,
   bulkVerifyQRCodes,
+  reverseVerification,
   getVerificationHistory,
-  getVerificationStatistics
+  getVerificationStatistics,
+  getScanAttempts,
+  getFailuresByCustomer,
+  getFailuresByReason,
+  getFailuresByHour,
+  getFraudRules,
+  reviewScanAttempt
 } from '../controllers/verificationController.js';
+import { authenticate, authorize, authorizeStore } from '../middleware/auth.js';
 
 const router = express.Router();
 
@@ -13,24 +21,61 @@ const router = express.Router();
  * Handles QR code verification at exit gates
  */
 
+router.use(authenticate, authorizeStore);
+
 // @route   POST /api/verify/qr
 // @desc    Verify QR code at exit
-// @access  Public (Security Personnel)
-router.post('/qr', verifyQRCode);
+// @access  Guard, Manager
+router.post('/qr', authorize('guard', 'manager'), verifyQRCode);
 
 // @route   POST /api/verify/bulk
 // @desc    Bulk verify QR codes (for testing)
-// @access  Admin
-router.post('/bulk', bulkVerifyQRCodes);
+// @access  Manager
+router.post('/bulk', authorize('manager'), bulkVerifyQRCodes);
+
+// @route   POST /api/verify/reverse/:customerId
+// @desc    Reverse a verification (wrong QR scanned), back to BILLED
+// @access  Manager
+router.post('/reverse/:customerId', authorize('manager'), reverseVerification);
 
 // @route   GET /api/verify/history
 // @desc    Get verification history
-// @access  Admin
-router.get('/history', getVerificationHistory);
+// @access  Guard, Manager
+router.get('/history', authorize('guard', 'manager'), getVerificationHistory);
 
 // @route   GET /api/verify/statistics
 // @desc    Get verification statistics
-// @access  Admin
-router.get('/statistics', getVerificationStatistics);
+// @access  Manager
+router.get('/statistics', authorize('manager'), getVerificationStatistics);
+
+// @route   GET /api/verify/attempts
+// @desc    Get scan attempts (successful and failed)
+// @access  Guard, Manager
+router.get('/attempts', authorize('guard', 'manager'), getScanAttempts);
+
+// @route   PATCH /api/verify/attempts/:attemptId/review
+// @desc    Record review outcome of a fraud-flagged scan
+// @access  Manager
+router.patch('/attempts/:attemptId/review', authorize('manager'), reviewScanAttempt);
+
+// @route   GET /api/verify/rules
+// @desc    Get fraud rules and their configured actions
+// @access  Guard, Manager
+router.get('/rules', authorize('guard', 'manager'), getFraudRules);
+
+// @route   GET /api/verify/failures/customers
+// @desc    Failed scans aggregated per customer
+// @access  Guard, Manager
+router.get('/failures/customers', authorize('guard', 'manager'), getFailuresByCustomer);
+
+// @route   GET /api/verify/failures/reasons
+// @desc    Failed scans aggregated per reason
+// @access  Guard, Manager
+router.get('/failures/reasons', authorize('guard', 'manager'), getFailuresByReason);
+
+// @route   GET /api/verify/failures/hourly
+// @desc    Scan attempts and failures per hour
+// @access  Guard, Manager
+router.get('/failures/hourly', authorize('guard', 'manager'), getFailuresByHour);
 
 export default router;
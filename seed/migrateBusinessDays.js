@@ -0,0 +1,93 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Customer from '../models/Customer.js';
+import Queue from '../models/Queue.js';
+import BusinessDay from '../models/BusinessDay.js';
+import { getBusinessDate, buildBusinessDaySummary } from '../utils/businessDay.js';
+
+/**
+ * Business Day Migration Script
+ * Moves data created before business-day sessions onto the new model
+ * 
+ * Steps:
+ * 1. Backfill businessDate on customers and queue entries from createdAt
+ * 2. Sync Queue indexes (drops the old global unique queueNumber index)
+ * 3. Create CLOSED business days with summaries for past dates
+ * 
+ * Idempotent: only touches records without a businessDate
+ * Runs on pre-tenancy data (no storeId); follow with migrate:stores
+ * 
+ * Usage: npm run migrate:business-days
+ */
+
+// Load environment variables
+dotenv.config();
+
+/**
+ * Backfill businessDate for one collection
+ */
+const backfillBusinessDates = async (Model, dateField) => {
+  const cursor = Model.find({ businessDate: null })
+    .select(`_id ${dateField}`)
+    .lean()
+    .cursor();
+
+  let updated = 0;
+  for await (const doc of cursor) {
+    await Model.updateOne(
+      { _id: doc._id },
+      { $set: { businessDate: getBusinessDate(doc[dateField]) } }
+    );
+    updated++;
+  }
+
+  return updated;
+};
+
+const migrateBusinessDays = async () => {
+  try {
+    console.log('🔄 Migrating to business-day sessions...');
+
+    await mongoose.connect(process.env.MONGO_URI);
+
+    const customersUpdated = await backfillBusinessDates(Customer, 'createdAt');
+    const queuesUpdated = await backfillBusinessDates(Queue, 'enteredAt');
+    console.log(`   • Customers backfilled: ${customersUpdated}`);
+    console.log(`   • Queue entries backfilled: ${queuesUpdated}`);
+
+    const droppedIndexes = await Queue.syncIndexes();
+    console.log(`   • Queue indexes dropped: ${droppedIndexes.length ? droppedIndexes.join(', ') : 'none'}`);
+
+    const today = getBusinessDate();
+    const dates = await Customer.distinct('businessDate', { businessDate: { $ne: null } });
+
+    let daysCreated = 0;
+    for (const businessDate of dates) {
+      if (businessDate === today) continue; // Today's session is opened normally
+
+      const exists = await BusinessDay.exists({ businessDate });
+      if (exists) continue;
+
+      await BusinessDay.create({
+        businessDate,
+        status: 'CLOSED',
+        openedBy: 'migration',
+        closedBy: 'migration',
+        closedAt: new Date(),
+        summary: await buildBusinessDaySummary(null, businessDate)
+      });
+      daysCreated++;
+    }
+    console.log(`   • Historical business days created: ${daysCreated}`);
+
+    await mongoose.connection.close();
+    console.log('✅ Migration completed');
+    process.exit(0);
+
+  } catch (error) {
+    console.error('❌ Migration failed:', error.message);
+    process.exit(1);
+  }
+};
+
+migrateBusinessDays();
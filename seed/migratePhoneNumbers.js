@@ -0,0 +1,93 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Customer from '../models/Customer.js';
+import CouponRedemption from '../models/CouponRedemption.js';
+import Store from '../models/Store.js';
+import { normalizePhone, getDefaultPhoneRegion } from '../utils/phoneNumbers.js';
+
+/**
+ * Phone Number Migration Script
+ * Rewrites 10-digit phones from before international support in E.164
+ *
+ * Steps:
+ * 1. Per store, read each phone without a "+" in the store's phone region
+ *    (Store.phoneRegion, then PHONE_DEFAULT_REGION, then IN)
+ * 2. Rewrite customers and coupon redemptions, so visit history, search
+ *    and per-phone coupon limits see one value per shopper
+ * 3. Report numbers that cannot be read; they are left untouched
+ *
+ * Idempotent: only touches phones not already in E.164
+ * Run after migrate:stores on older databases
+ *
+ * Usage: PHONE_DEFAULT_REGION=IN npm run migrate:phones
+ */
+
+// Load environment variables
+dotenv.config();
+
+const LEGACY_PHONE = { $not: /^\+/ };
+
+/**
+ * Helper: Normalize one collection's legacy phones for a store
+ *
+ * @returns {Promise<Object>} { updated, unreadable: [phone] }
+ */
+const migrateModel = async (Model, storeId, region) => {
+  const phones = await Model.distinct('phone', { storeId, phone: LEGACY_PHONE });
+  const unreadable = [];
+  const operations = [];
+
+  phones.forEach(legacy => {
+    const { phone } = normalizePhone(legacy, region);
+
+    if (!phone) {
+      unreadable.push(legacy);
+      return;
+    }
+
+    operations.push({
+      updateMany: {
+        filter: { storeId, phone: legacy },
+        update: { $set: { phone } }
+      }
+    });
+  });
+
+  const result = operations.length > 0 ? await Model.bulkWrite(operations) : null;
+
+  return { updated: result ? result.modifiedCount : 0, unreadable };
+};
+
+const migratePhoneNumbers = async () => {
+  try {
+    console.log('🔄 Normalizing phone numbers to E.164...');
+
+    await mongoose.connect(process.env.MONGO_URI);
+
+    const stores = await Store.find().select('storeId phoneRegion').lean();
+
+    for (const store of stores) {
+      const region = getDefaultPhoneRegion(store);
+      console.log(`   • Store ${store.storeId} (region ${region})`);
+
+      for (const Model of [Customer, CouponRedemption]) {
+        const { updated, unreadable } = await migrateModel(Model, store.storeId, region);
+        console.log(`     - ${Model.modelName} updated: ${updated}`);
+
+        if (unreadable.length > 0) {
+          console.log(`     - ${Model.modelName} unreadable (left as is): ${unreadable.join(', ')}`);
+        }
+      }
+    }
+
+    await mongoose.connection.close();
+    console.log('✅ Migration completed');
+    process.exit(0);
+
+  } catch (error) {
+    console.error('❌ Migration failed:', error.message);
+    process.exit(1);
+  }
+};
+
+migratePhoneNumbers();
@@ -0,0 +1,74 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Customer, { QUEUE_NUMBER_COUNTER_PREFIX } from '../models/Customer.js';
+import Queue from '../models/Queue.js';
+import BusinessDay from '../models/BusinessDay.js';
+import BillingCounter from '../models/BillingCounter.js';
+import Counter from '../models/Counter.js';
+import Store from '../models/Store.js';
+import { CUSTOMER_ID_COUNTER_PREFIX } from '../utils/customerIdGenerator.js';
+
+/**
+ * Store Migration Script
+ * Moves single-store data onto the multi-store model
+ *
+ * Steps:
+ * 1. Create the DEFAULT_STORE_ID store (legacy "SM" prefix)
+ * 2. Backfill storeId on customers, queue entries, business days and tills
+ * 3. Sync indexes (per-day and per-till uniqueness now include storeId)
+ * 4. Drop pre-tenancy sequence counters; they re-seed per store on next use
+ *
+ * Idempotent: only touches records without a storeId
+ * Run after migrate:business-days on older databases
+ *
+ * Usage: DEFAULT_STORE_ID=SM01 npm run migrate:stores
+ */
+
+// Load environment variables
+dotenv.config();
+
+const migrateStores = async () => {
+  try {
+    const storeId = (process.env.DEFAULT_STORE_ID || '').toUpperCase();
+
+    if (!storeId) {
+      throw new Error('DEFAULT_STORE_ID is required');
+    }
+
+    console.log(`🔄 Migrating existing data to store ${storeId}...`);
+
+    await mongoose.connect(process.env.MONGO_URI);
+
+    const store = await Store.findActive(storeId);
+    console.log(`   • Store: ${store.storeId} (prefix ${store.customerIdPrefix})`);
+
+    for (const Model of [Customer, Queue, BusinessDay, BillingCounter]) {
+      const result = await Model.updateMany({ storeId: null }, { $set: { storeId } });
+      console.log(`   • ${Model.modelName} backfilled: ${result.modifiedCount}`);
+
+      const droppedIndexes = await Model.syncIndexes();
+      console.log(`   • ${Model.modelName} indexes dropped: ${droppedIndexes.length ? droppedIndexes.join(', ') : 'none'}`);
+    }
+
+    // Old names: "customerId" and "queueNumber:<YYYY-MM-DD>" (no store segment)
+    const legacyCounters = await Counter.deleteMany({
+      _id: {
+        $in: [
+          CUSTOMER_ID_COUNTER_PREFIX,
+          new RegExp(`^${QUEUE_NUMBER_COUNTER_PREFIX}:\\d{4}-\\d{2}-\\d{2}$`)
+        ]
+      }
+    });
+    console.log(`   • Legacy counters dropped: ${legacyCounters.deletedCount}`);
+
+    await mongoose.connection.close();
+    console.log('✅ Migration completed');
+    process.exit(0);
+
+  } catch (error) {
+    console.error('❌ Migration failed:', error.message);
+    process.exit(1);
+  }
+};
+
+migrateStores();
@@ -2,7 +2,19 @@ import mongoose from 'mongoose';
 import dotenv from 'dotenv';
 import Customer from '../models/Customer.js';
 import Queue from '../models/Queue.js';
+import Counter from '../models/Counter.js';
+import BusinessDay from '../models/BusinessDay.js';
+import Store from '../models/Store.js';
+import User from '../models/User.js';
+import AuditLog from '../models/AuditLog.js';
+import ScanAttempt from '../models/ScanAttempt.js';
+import Payment, { PAYMENT_METHODS } from '../models/Payment.js';
+import Receipt from '../models/Receipt.js';
+import Coupon from '../models/Coupon.js';
+import CouponRedemption from '../models/CouponRedemption.js';
+import Refund from '../models/Refund.js';
 import { generateQRCode } from '../utils/qrCodeGenerator.js';
+import { getBusinessDate } from '../utils/businessDay.js';
 
 /**
  * Database Seed Script
@@ -94,6 +106,49 @@ const demoCustomers = [
   }
 ];
 
+/**
+ * Ensure Demo Store
+ * Demo customers (SM-xxxx) belong to the DEFAULT_STORE_ID store
+ * 
+ * @returns {Promise<Object>} Store
+ */
+const ensureDemoStore = async () => {
+  const storeId = (process.env.DEFAULT_STORE_ID || 'SM01').toUpperCase();
+
+  return Store.findOneAndUpdate(
+    { storeId },
+    { $setOnInsert: { storeId, name: 'Shopping Mart', customerIdPrefix: 'SM' } },
+    { upsert: true, new: true }
+  );
+};
+
+/**
+ * Ensure Demo Staff
+ * One account per role for the demo store, plus a head-office manager.
+ * Existing accounts are left untouched (passwords are not reset).
+ * 
+ * @param {string} storeId - Demo store ID
+ * @returns {Promise<Array<string>>} Usernames created
+ */
+const ensureDemoStaff = async (storeId) => {
+  const password = process.env.SEED_STAFF_PASSWORD || 'changeme123';
+  const staff = [
+    { username: 'headoffice', name: 'Head Office', role: 'manager', storeId: null },
+    { username: 'manager', name: 'Store Manager', role: 'manager', storeId },
+    { username: 'cashier', name: 'Cashier', role: 'cashier', storeId },
+    { username: 'guard', name: 'Exit Guard', role: 'guard', storeId }
+  ];
+
+  const created = [];
+  for (const account of staff) {
+    if (await User.exists({ username: account.username })) continue;
+    await User.create({ ...account, password });
+    created.push(account.username);
+  }
+
+  return created;
+};
+
 /**
  * Seed Database with Demo Data
  */
@@ -115,9 +170,44 @@ const seedDatabase = async () => {
     console.log('🗑️  Clearing existing data...');
     await Customer.deleteMany({});
     await Queue.deleteMany({});
+    await Counter.deleteMany({}); // Re-seeded from demo data on next registration
+    await BusinessDay.deleteMany({});
+    await AuditLog.collection.deleteMany({}); // Raw driver call: the model refuses deletes
+    await ScanAttempt.deleteMany({});
+    await Payment.deleteMany({});
+    await Receipt.deleteMany({});
+    await Coupon.deleteMany({});
+    await CouponRedemption.deleteMany({});
+    await Refund.deleteMany({});
     console.log('✅ Existing data cleared');
     console.log('');
 
+    // Demo customers belong to the demo store's business day
+    const store = await ensureDemoStore();
+    const { storeId } = store;
+    const businessDate = getBusinessDate(new Date(), store.timezone);
+    await BusinessDay.create({ storeId, businessDate, openedBy: 'seed' });
+    console.log(`🏬 Store: ${storeId} (${store.name})`);
+
+    const staffCreated = await ensureDemoStaff(storeId);
+    console.log(`👤 Staff accounts created: ${staffCreated.length ? staffCreated.join(', ') : 'none (already exist)'}`);
+    console.log(`📅 Business day opened: ${businessDate}`);
+
+    // Demo coupon for trying discounts at the till
+    await Coupon.create({
+      storeId,
+      code: 'WELCOME10',
+      description: '10% off, up to 200, once per phone',
+      type: 'PERCENTAGE',
+      value: 10,
+      maxDiscount: 200,
+      minCartValue: 500,
+      perPhoneLimit: 1,
+      createdBy: 'seed'
+    });
+    console.log('🏷️  Coupon created: WELCOME10');
+    console.log('');
+
     // Create customers with QR codes
     console.log('👥 Creating demo customers...');
     console.log('');
@@ -129,13 +219,16 @@ const seedDatabase = async () => {
       // Generate QR code
       const qrCodeData = {
         customerId: customerData.customerId,
-        queueNumber: customerData.queueNumber
+        queueNumber: customerData.queueNumber,
+        storeId
       };
       const qrCode = await generateQRCode(qrCodeData);
 
       // Create customer
       const customer = await Customer.create({
         ...customerData,
+        storeId,
+        businessDate,
         qrCode,
         status: 'WAITING'
       });
@@ -143,6 +236,8 @@ const seedDatabase = async () => {
       // Create queue entry
       const queueEntry = await Queue.create({
         queueNumber: customerData.queueNumber,
+        businessDate,
+        storeId,
         customerId: customerData.customerId,
         status: 'ACTIVE'
       });
@@ -189,6 +284,26 @@ const seedDatabase = async () => {
   }
 };
 
+/**
+ * Seed Payment
+ * Billed customers must be paid in full; rotate methods for varied stats
+ */
+const seedPayment = (customer, storeId, index) => {
+  const method = PAYMENT_METHODS[index % PAYMENT_METHODS.length];
+  const tendered = method === 'CASH' ? Math.ceil(customer.cartTotal / 100) * 100 : customer.cartTotal;
+
+  return Payment.create({
+    storeId,
+    customerId: customer.customerId,
+    method,
+    amount: customer.cartTotal,
+    tendered,
+    change: tendered - customer.cartTotal,
+    receivedBy: 'seed',
+    createdAt: customer.billedAt
+  });
+};
+
 /**
  * Seed with Different Statuses (Advanced Demo)
  * Creates customers in different states for comprehensive testing
@@ -200,6 +315,20 @@ const seedWithVariedStatuses = async () => {
     await mongoose.connect(process.env.MONGO_URI);
     await Customer.deleteMany({});
     await Queue.deleteMany({});
+    await Counter.deleteMany({});
+    await BusinessDay.deleteMany({});
+    await AuditLog.collection.deleteMany({});
+    await ScanAttempt.deleteMany({});
+    await Payment.deleteMany({});
+    await Receipt.deleteMany({});
+    await Coupon.deleteMany({});
+    await CouponRedemption.deleteMany({});
+    await Refund.deleteMany({});
+
+    const store = await ensureDemoStore();
+    const { storeId } = store;
+    const businessDate = getBusinessDate(new Date(), store.timezone);
+    await BusinessDay.create({ storeId, businessDate, openedBy: 'seed' });
 
     // Create customers with different statuses
     const customers = [];
@@ -209,17 +338,22 @@ const seedWithVariedStatuses = async () => {
       const data = demoCustomers[i];
       const qrCode = await generateQRCode({ 
         customerId: data.customerId, 
-        queueNumber: data.queueNumber 
+        queueNumber: data.queueNumber,
+        storeId
       });
 
       customers.push(await Customer.create({
         ...data,
+        storeId,
+        businessDate,
         qrCode,
         status: 'WAITING'
       }));
 
       await Queue.create({
         queueNumber: data.queueNumber,
+        businessDate,
+        storeId,
         customerId: data.customerId,
         status: 'ACTIVE'
       });
@@ -230,20 +364,26 @@ const seedWithVariedStatuses = async () => {
       const data = demoCustomers[i];
       const qrCode = await generateQRCode({ 
         customerId: data.customerId, 
-        queueNumber: data.queueNumber 
+        queueNumber: data.queueNumber,
+        storeId
       });
 
       const customer = await Customer.create({
         ...data,
+        storeId,
+        businessDate,
         qrCode,
         status: 'BILLED',
         billedAt: new Date(Date.now() - Math.random() * 3600000) // Random time within last hour
       });
 
       customers.push(customer);
+      await seedPayment(customer, storeId, i);
 
       await Queue.create({
         queueNumber: data.queueNumber,
+        businessDate,
+        storeId,
         customerId: data.customerId,
         status: 'ACTIVE'
       });
@@ -254,7 +394,8 @@ const seedWithVariedStatuses = async () => {
       const data = demoCustomers[i];
       const qrCode = await generateQRCode({ 
         customerId: data.customerId, 
-        queueNumber: data.queueNumber 
+        queueNumber: data.queueNumber,
+        storeId
       });
 
       const billedTime = new Date(Date.now() - Math.random() * 7200000);
@@ -262,6 +403,8 @@ const seedWithVariedStatuses = async () => {
 
       const customer = await Customer.create({
         ...data,
+        storeId,
+        businessDate,
         qrCode,
         status: 'VERIFIED',
         billedAt: billedTime,
@@ -269,9 +412,12 @@ const seedWithVariedStatuses = async () => {
       });
 
       customers.push(customer);
+      await seedPayment(customer, storeId, i);
 
       await Queue.create({
         queueNumber: data.queueNumber,
+        businessDate,
+        storeId,
         customerId: data.customerId,
         status: 'COMPLETED',
         completedAt: verifiedTime
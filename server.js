@@ -5,6 +5,9 @@ import connectDB from './config/database.js';
 import logger from './middleware/logger.js';
 import errorHandler from './middleware/errorHandler.js';
 import { sanitizeInput } from './middleware/validator.js';
+import { resolveStore } from './middleware/store.js';
+import requestId from './middleware/requestId.js';
+import { startNoShowSweeper } from './utils/queueManager.js';
 
 // Import routes
 import customerRoutes from './routes/customerRoutes.js';
@@ -12,6 +15,9 @@ import queueRoutes from './routes/queueRoutes.js';
 import billingRoutes from './routes/billingRoutes.js';
 import verificationRoutes from './routes/verificationRoutes.js';
 import adminRoutes from './routes/adminRoutes.js';
+import counterRoutes from './routes/counterRoutes.js';
+import storeRoutes from './routes/storeRoutes.js';
+import authRoutes from './routes/authRoutes.js';
 
 /**
  * Smart Queue Management System - Server
@@ -40,18 +46,26 @@ const app = express();
 connectDB();
 
 // Middleware
-app.use(cors()); // Enable CORS for all routes
+app.use(requestId); // X-Request-Id for log correlation and audit trail
+app.use(cors({ exposedHeaders: ['X-Request-Id'] })); // Enable CORS for all routes
 app.use(express.json({ limit: '10mb' })); // Parse JSON bodies (increased limit for QR codes)
 app.use(express.urlencoded({ extended: true })); // Parse URL-encoded bodies
 app.use(sanitizeInput); // Sanitize input data
 app.use(logger); // Request logging
 
-// API Routes
-app.use('/api/customer', customerRoutes);
-app.use('/api/queue', queueRoutes);
-app.use('/api/billing', billingRoutes);
-app.use('/api/verify', verificationRoutes);
-app.use('/api/admin', adminRoutes);
+// Staff authentication (JWT access + refresh tokens)
+app.use('/api/auth', authRoutes);
+
+// API Routes (store-scoped: X-Store-Id header, see middleware/store.js)
+app.use('/api/customer', resolveStore, customerRoutes);
+app.use('/api/queue', resolveStore, queueRoutes);
+app.use('/api/billing', resolveStore, billingRoutes);
+app.use('/api/verify', resolveStore, verificationRoutes);
+app.use('/api/admin', resolveStore, adminRoutes);
+app.use('/api/counters', resolveStore, counterRoutes);
+
+// Cross-store routes (head office)
+app.use('/api/stores', storeRoutes);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -71,11 +85,14 @@ app.get('/', (req, res) => {
     message: 'Smart Queue Management System API',
     version: '1.0.0',
     endpoints: {
+      auth: '/api/auth',
       customer: '/api/customer',
       queue: '/api/queue',
       billing: '/api/billing',
       verification: '/api/verify',
-      admin: '/api/admin'
+      admin: '/api/admin',
+      counters: '/api/counters',
+      stores: '/api/stores'
     },
     documentation: 'See README.md for API documentation'
   });
@@ -107,6 +124,9 @@ const server = app.listen(PORT, () => {
   console.log(`💚 Health Check: http://localhost:${PORT}/health`);
   console.log('═══════════════════════════════════════════════════════');
   console.log('');
+
+  // Called customers who never reach the counter become SKIPPED
+  startNoShowSweeper();
 });
 
 // Handle unhandled promise rejections
@@ -0,0 +1,63 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { optionalAuthenticate, generateToken } from '../middleware/auth.js';
+
+const ENV_KEYS = ['JWT_SECRET', 'JWT_EXPIRE'];
+
+const run = (req) => new Promise((resolve) => {
+  const sent = {};
+  const res = {
+    status(code) { sent.status = code; return this; },
+    json(body) { sent.body = body; resolve({ nextCalled: false, sent }); return this; }
+  };
+
+  optionalAuthenticate(req, res, () => resolve({ nextCalled: true, sent }));
+});
+
+describe('auth', () => {
+  const saved = {};
+
+  beforeEach(() => {
+    ENV_KEYS.forEach(key => {
+      saved[key] = process.env[key];
+      delete process.env[key];
+    });
+    process.env.JWT_SECRET = 'test-secret';
+  });
+
+  afterEach(() => {
+    ENV_KEYS.forEach(key => {
+      if (saved[key] === undefined) delete process.env[key];
+      else process.env[key] = saved[key];
+    });
+  });
+
+  describe('optionalAuthenticate', () => {
+    it('lets anonymous requests through without a user', async () => {
+      const req = { headers: {}, query: {} };
+
+      const { nextCalled } = await run(req);
+      assert.equal(nextCalled, true);
+      assert.equal(req.user, undefined);
+    });
+
+    it('attaches the user of a valid token', async () => {
+      const token = generateToken({ username: 'asha', role: 'cashier', storeId: 'SM01' });
+      const req = { headers: { authorization: `Bearer ${token}` }, query: {} };
+
+      const { nextCalled } = await run(req);
+      assert.equal(nextCalled, true);
+      assert.equal(req.user.role, 'cashier');
+      assert.equal(req.user.storeId, 'SM01');
+    });
+
+    it('refuses a token that does not verify instead of going on anonymously', async () => {
+      const req = { headers: { authorization: 'Bearer not-a-token' }, query: {} };
+
+      const { nextCalled, sent } = await run(req);
+      assert.equal(nextCalled, false);
+      assert.equal(sent.status, 401);
+      assert.equal(req.user, undefined);
+    });
+  });
+});
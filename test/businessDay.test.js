@@ -0,0 +1,45 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { getBusinessDate, getLocalHour } from '../utils/businessDay.js';
+
+describe('businessDay', () => {
+  const storeTimezone = process.env.STORE_TIMEZONE;
+
+  beforeEach(() => {
+    delete process.env.STORE_TIMEZONE;
+  });
+
+  afterEach(() => {
+    if (storeTimezone === undefined) delete process.env.STORE_TIMEZONE;
+    else process.env.STORE_TIMEZONE = storeTimezone;
+  });
+
+  describe('getBusinessDate', () => {
+    it('uses the store timezone, not UTC', () => {
+      const lateEvening = new Date('2026-01-24T20:00:00Z'); // 01:30 on the 25th in India
+
+      assert.equal(getBusinessDate(lateEvening, 'UTC'), '2026-01-24');
+      assert.equal(getBusinessDate(lateEvening, 'Asia/Kolkata'), '2026-01-25');
+    });
+
+    it('falls back to STORE_TIMEZONE', () => {
+      process.env.STORE_TIMEZONE = 'Asia/Kolkata';
+      assert.equal(getBusinessDate(new Date('2026-01-24T20:00:00Z')), '2026-01-25');
+    });
+  });
+
+  describe('getLocalHour', () => {
+    it('gives the fractional hour in the store timezone', () => {
+      const at = new Date('2026-01-24T13:30:00Z');
+
+      assert.equal(getLocalHour(at, 'UTC'), 13.5);
+      assert.equal(getLocalHour(at, 'Asia/Kolkata'), 19);
+      assert.equal(getLocalHour(new Date('2026-01-24T18:45:00Z'), 'Asia/Kolkata'), 0.25);
+    });
+
+    it('falls back to STORE_TIMEZONE', () => {
+      process.env.STORE_TIMEZONE = 'Asia/Dubai';
+      assert.equal(getLocalHour(new Date('2026-01-24T13:30:00Z')), 17.5);
+    });
+  });
+});
@@ -0,0 +1,42 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import Customer from '../models/Customer.js';
+
+describe('customer cancel token', () => {
+  it('stores only a hash of the issued token', () => {
+    const customer = new Customer();
+    const token = customer.issueCancelToken();
+
+    assert.match(token, /^[A-Za-z0-9_-]{32}$/);
+    assert.match(customer.cancelTokenHash, /^[a-f0-9]{64}$/);
+    assert.equal(customer.cancelTokenHash.includes(token), false);
+  });
+
+  it('accepts the issued token only', () => {
+    const customer = new Customer();
+    const token = customer.issueCancelToken();
+
+    assert.equal(customer.matchesCancelToken(token), true);
+    assert.equal(customer.matchesCancelToken(`${token}x`), false);
+    assert.equal(customer.matchesCancelToken(new Customer().issueCancelToken()), false);
+  });
+
+  it('rejects missing tokens and customers without one', () => {
+    const customer = new Customer();
+
+    assert.equal(customer.matchesCancelToken(undefined), false);
+    assert.equal(customer.matchesCancelToken(''), false);
+
+    customer.issueCancelToken();
+    assert.equal(customer.matchesCancelToken({ token: 'x' }), false);
+  });
+
+  it('issues a different token to every customer', () => {
+    const tokens = new Set(Array.from({ length: 50 }, () => new Customer().issueCancelToken()));
+    assert.equal(tokens.size, 50);
+  });
+
+  it('never selects the hash by default', () => {
+    assert.equal(Customer.schema.path('cancelTokenHash').options.select, false);
+  });
+});
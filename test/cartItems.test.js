@@ -0,0 +1,115 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  roundMoney,
+  calculateLineTotal,
+  calculateCartTotal,
+  countCartItems,
+  normalizeCartItem,
+  normalizeCartItems
+} from '../utils/cartItems.js';
+
+const ENV_KEYS = ['CART_MAX_ITEM_QUANTITY', 'CART_MAX_LINES'];
+
+describe('cartItems', () => {
+  const saved = {};
+
+  beforeEach(() => {
+    ENV_KEYS.forEach(key => {
+      saved[key] = process.env[key];
+      delete process.env[key];
+    });
+  });
+
+  afterEach(() => {
+    ENV_KEYS.forEach(key => {
+      if (saved[key] === undefined) delete process.env[key];
+      else process.env[key] = saved[key];
+    });
+  });
+
+  describe('totals', () => {
+    it('rounds money to paise', () => {
+      assert.equal(roundMoney(1.005), 1.01);
+      assert.equal(roundMoney('19.999'), 20);
+    });
+
+    it('sums rounded line totals without float drift', () => {
+      const items = [
+        { quantity: 3, unitPrice: 0.1 },
+        { quantity: 1, unitPrice: 0.2 },
+        { quantity: 2, unitPrice: 49.99 }
+      ];
+
+      assert.equal(calculateLineTotal(items[0]), 0.3);
+      assert.equal(calculateCartTotal(items), 100.48);
+      assert.equal(countCartItems(items), 6);
+    });
+
+    it('treats an empty cart as zero', () => {
+      assert.equal(calculateCartTotal(), 0);
+      assert.equal(countCartItems([]), 0);
+    });
+  });
+
+  describe('normalizeCartItem', () => {
+    it('trims, upper-cases the SKU and defaults quantity to 1', () => {
+      assert.deepEqual(normalizeCartItem({ sku: ' milk-1l ', name: ' Milk ', unitPrice: '45.499' }), {
+        item: { sku: 'MILK-1L', name: 'Milk', category: null, quantity: 1, unitPrice: 45.5 },
+        error: null
+      });
+    });
+
+    it('rejects missing SKUs and names', () => {
+      assert.match(normalizeCartItem({ name: 'Milk', unitPrice: 45 }).error, /SKU is required/);
+      assert.match(normalizeCartItem({ sku: 'MILK', unitPrice: 45 }).error, /MILK: name is required/);
+      assert.match(normalizeCartItem(null).error, /must be an object/);
+    });
+
+    it('rejects fractional, zero or oversized quantities', () => {
+      process.env.CART_MAX_ITEM_QUANTITY = '10';
+
+      [0, 1.5, 11].forEach(quantity => {
+        assert.match(normalizeCartItem({ sku: 'MILK', name: 'Milk', quantity, unitPrice: 45 }).error, /from 1 to 10/);
+      });
+    });
+
+    it('rejects negative or missing prices but allows free items', () => {
+      assert.match(normalizeCartItem({ sku: 'MILK', name: 'Milk', unitPrice: -1 }).error, /non-negative/);
+      assert.match(normalizeCartItem({ sku: 'MILK', name: 'Milk' }).error, /non-negative/);
+      assert.equal(normalizeCartItem({ sku: 'BAG', name: 'Bag', unitPrice: 0 }).error, null);
+    });
+  });
+
+  describe('normalizeCartItems', () => {
+    it('merges the same SKU at the same price', () => {
+      const { items } = normalizeCartItems([
+        { sku: 'MILK', name: 'Milk', quantity: 2, unitPrice: 45 },
+        { sku: 'milk', name: 'Milk', quantity: 1, unitPrice: 45 },
+        { sku: 'MILK', name: 'Milk (offer)', quantity: 1, unitPrice: 40 }
+      ]);
+
+      assert.deepEqual(items.map(item => [item.sku, item.quantity, item.unitPrice]), [
+        ['MILK', 3, 45],
+        ['MILK', 1, 40]
+      ]);
+    });
+
+    it('reports the first invalid item', () => {
+      const result = normalizeCartItems([{ sku: 'MILK', name: 'Milk', unitPrice: 45 }, { sku: 'EGGS', name: 'Eggs', quantity: 0, unitPrice: 6 }]);
+      assert.deepEqual(result.items, null);
+      assert.match(result.error, /EGGS/);
+    });
+
+    it('limits the number of lines after merging', () => {
+      process.env.CART_MAX_LINES = '1';
+
+      assert.equal(normalizeCartItems([{ sku: 'A', name: 'A', unitPrice: 1 }, { sku: 'A', name: 'A', unitPrice: 1 }]).error, null);
+      assert.match(normalizeCartItems([{ sku: 'A', name: 'A', unitPrice: 1 }, { sku: 'B', name: 'B', unitPrice: 1 }]).error, /at most 1 lines/);
+    });
+
+    it('requires an array', () => {
+      assert.equal(normalizeCartItems('MILK').error, 'Items must be an array');
+    });
+  });
+});
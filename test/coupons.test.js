@@ -0,0 +1,28 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateDiscount, getSubtotal } from '../utils/coupons.js';
+
+describe('coupons', () => {
+  describe('calculateDiscount', () => {
+    it('takes a percentage of the subtotal, capped at maxDiscount', () => {
+      assert.equal(calculateDiscount({ type: 'PERCENTAGE', value: 10, maxDiscount: null }, 1234.5), 123.45);
+      assert.equal(calculateDiscount({ type: 'PERCENTAGE', value: 10, maxDiscount: 100 }, 1234.5), 100);
+    });
+
+    it('applies a flat amount as is', () => {
+      assert.equal(calculateDiscount({ type: 'FLAT', value: 50 }, 300), 50);
+    });
+
+    it('never discounts more than the subtotal', () => {
+      assert.equal(calculateDiscount({ type: 'FLAT', value: 500 }, 300), 300);
+      assert.equal(calculateDiscount({ type: 'PERCENTAGE', value: 150, maxDiscount: null }, 80), 80);
+    });
+  });
+
+  describe('getSubtotal', () => {
+    it('falls back to cartTotal for bills from before discounts', () => {
+      assert.equal(getSubtotal({ subtotal: 250, cartTotal: 225 }), 250);
+      assert.equal(getSubtotal({ cartTotal: 225 }), 225);
+    });
+  });
+});
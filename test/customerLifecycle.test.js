@@ -0,0 +1,240 @@
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  LIFECYCLE_TRANSITIONS,
+  canTransition,
+  illegalTransitionError,
+  checkTransition,
+  sendTransitionError
+} from '../utils/customerLifecycle.js';
+
+const MINUTE = 60 * 1000;
+
+const billedCustomer = (overrides = {}) => ({
+  customerId: 'SM-1001',
+  queueNumber: 7,
+  status: 'BILLED',
+  billedAt: new Date(),
+  qrValidUntil: null,
+  ...overrides
+});
+
+describe('customerLifecycle', () => {
+  describe('transition table', () => {
+    it('names a target status and at least one source for every transition', () => {
+      Object.entries(LIFECYCLE_TRANSITIONS).forEach(([action, definition]) => {
+        assert.ok(definition.to, `${action} has no target`);
+        assert.ok(definition.from.length > 0, `${action} has no source`);
+        assert.ok(!definition.from.includes(definition.to), `${action} loops on itself`);
+      });
+    });
+
+    it('only completes or reactivates queue entries', () => {
+      Object.values(LIFECYCLE_TRANSITIONS)
+        .filter(definition => definition.queue)
+        .forEach(definition => assert.ok(['COMPLETE', 'REACTIVATE'].includes(definition.queue)));
+    });
+  });
+
+  describe('canTransition', () => {
+    it('allows the documented paths', () => {
+      assert.equal(canTransition('WAITING', 'CALL'), true);
+      assert.equal(canTransition('CALLED', 'BILL'), true);
+      assert.equal(canTransition('WAITING', 'BILL'), true);
+      assert.equal(canTransition('BILLED', 'VERIFY'), true);
+      assert.equal(canTransition('SKIPPED', 'RECALL'), true);
+      assert.equal(canTransition('VERIFIED', 'REVERSE_VERIFICATION'), true);
+    });
+
+    it('refuses everything out of terminal or wrong states', () => {
+      assert.equal(canTransition('VERIFIED', 'BILL'), false);
+      assert.equal(canTransition('CANCELLED', 'CALL'), false);
+      assert.equal(canTransition('BILLED', 'CANCEL'), false);
+      assert.equal(canTransition('WAITING', 'VERIFY'), false);
+    });
+
+    it('refuses unknown actions', () => {
+      assert.equal(canTransition('WAITING', 'TELEPORT'), false);
+    });
+  });
+
+  describe('call, skip and recall', () => {
+    it('calls only waiting customers', () => {
+      ['CALLED', 'SKIPPED', 'BILLED', 'VERIFIED', 'CANCELLED'].forEach(status => {
+        assert.equal(canTransition(status, 'CALL'), false, status);
+      });
+    });
+
+    it('skips only called customers', () => {
+      assert.equal(canTransition('CALLED', 'SKIP'), true);
+      ['WAITING', 'SKIPPED', 'BILLED'].forEach(status => {
+        assert.equal(canTransition(status, 'SKIP'), false, status);
+      });
+    });
+
+    it('recalls only skipped customers', () => {
+      ['WAITING', 'CALLED', 'BILLED', 'CANCELLED'].forEach(status => {
+        assert.equal(canTransition(status, 'RECALL'), false, status);
+      });
+    });
+
+    it('skips only the call that timed out', () => {
+      // A customer called again since the sweep read them is not skipped
+      const assignedAt = new Date('2026-01-24T10:00:00Z');
+      assert.deepEqual(LIFECYCLE_TRANSITIONS.SKIP.where({ assignedAt }), { assignedAt });
+    });
+
+    it('counts each recall once under concurrent requests', () => {
+      assert.deepEqual(LIFECYCLE_TRANSITIONS.RECALL.where({ recallCount: 1 }), { recallCount: 1 });
+      assert.deepEqual(LIFECYCLE_TRANSITIONS.RECALL.update({}, { serviceOrder: 5 }).$inc, { recallCount: 1 });
+    });
+
+    it('tells the cashier to recall a skipped customer before billing', async () => {
+      const refusal = await checkTransition({ status: 'SKIPPED' }, 'BILL');
+      assert.match(refusal.message, /recall them first/);
+    });
+  });
+
+  describe('reverse verification', () => {
+    const exitWindow = process.env.QR_EXIT_WINDOW_MINUTES;
+    const reverse = LIFECYCLE_TRANSITIONS.REVERSE_VERIFICATION;
+
+    afterEach(() => {
+      if (exitWindow === undefined) delete process.env.QR_EXIT_WINDOW_MINUTES;
+      else process.env.QR_EXIT_WINDOW_MINUTES = exitWindow;
+    });
+
+    it('only reverses verified customers, back to BILLED', () => {
+      assert.equal(reverse.to, 'BILLED');
+      ['WAITING', 'CALLED', 'SKIPPED', 'BILLED', 'CANCELLED'].forEach(status => {
+        assert.equal(canTransition(status, 'REVERSE_VERIFICATION'), false, status);
+      });
+    });
+
+    it('reopens the exit window so the right QR can be scanned', async () => {
+      process.env.QR_EXIT_WINDOW_MINUTES = '30';
+
+      const { $set } = reverse.update(billedCustomer({ status: 'VERIFIED' }));
+      assert.equal($set.verifiedAt, null);
+      assert.ok(Math.abs($set.qrValidUntil.getTime() - (Date.now() + 30 * MINUTE)) < MINUTE);
+
+      // Billed long ago, but the reopened window lets the gate verify again
+      const reversed = billedCustomer({ billedAt: new Date(Date.now() - 3 * 60 * MINUTE), qrValidUntil: $set.qrValidUntil });
+      assert.equal(await checkTransition(reversed, 'VERIFY', { queueNumber: 7, issuedAt: reversed.billedAt }), null);
+    });
+
+    it('sets no deadline when the exit window is disabled', () => {
+      process.env.QR_EXIT_WINDOW_MINUTES = '0';
+      assert.equal('qrValidUntil' in reverse.update(billedCustomer({ status: 'VERIFIED' })).$set, false);
+    });
+
+    it('audits the reason code and note', () => {
+      assert.deepEqual(
+        reverse.auditDetails({}, { reasonCode: 'WRONG_QR_SCANNED', note: 'Scanned the partner\'s code' }),
+        { reasonCode: 'WRONG_QR_SCANNED', note: 'Scanned the partner\'s code' }
+      );
+    });
+  });
+
+  describe('illegalTransitionError', () => {
+    it('uses the status hint when there is one', () => {
+      const error = illegalTransitionError('VERIFIED', 'VERIFY');
+
+      assert.equal(error.statusCode, 409);
+      assert.equal(error.code, 'ILLEGAL_TRANSITION');
+      assert.equal(error.message, 'QR code already used');
+      assert.equal(error.attemptedStatus, 'VERIFIED');
+      assert.deepEqual(error.allowedFrom, ['BILLED']);
+    });
+
+    it('falls back to the verb', () => {
+      const error = illegalTransitionError('BILLED', 'CANCEL');
+      assert.equal(error.message, 'Cannot cancel a customer who is BILLED');
+    });
+  });
+
+  describe('checkTransition', () => {
+    const exitWindow = process.env.QR_EXIT_WINDOW_MINUTES;
+
+    afterEach(() => {
+      if (exitWindow === undefined) delete process.env.QR_EXIT_WINDOW_MINUTES;
+      else process.env.QR_EXIT_WINDOW_MINUTES = exitWindow;
+    });
+
+    it('throws on an unknown action', async () => {
+      await assert.rejects(checkTransition({ status: 'WAITING' }, 'TELEPORT'), /Unknown lifecycle transition/);
+    });
+
+    it('treats billing an already billed customer as a no-op', async () => {
+      assert.equal(await checkTransition({ status: 'BILLED' }, 'BILL'), null);
+    });
+
+    it('refuses an illegal source status', async () => {
+      const refusal = await checkTransition({ status: 'CANCELLED' }, 'BILL');
+
+      assert.equal(refusal.code, 'ILLEGAL_TRANSITION');
+      assert.equal(refusal.message, 'Customer has left the queue');
+    });
+
+    it('enforces the recall limit', async () => {
+      const customer = { status: 'SKIPPED', recallCount: 2 };
+
+      const refusal = await checkTransition(customer, 'RECALL', { maxRecalls: 2 });
+      assert.equal(refusal.code, 'RECALL_LIMIT');
+      assert.equal(refusal.statusCode, 409);
+      assert.equal(refusal.transition, 'RECALL');
+
+      assert.equal(await checkTransition({ ...customer, recallCount: 1 }, 'RECALL', { maxRecalls: 2 }), null);
+    });
+
+    it('rejects a QR whose queue number does not match', async () => {
+      const refusal = await checkTransition(billedCustomer(), 'VERIFY', { queueNumber: 8, issuedAt: new Date() });
+      assert.equal(refusal.code, 'DATA_MISMATCH');
+    });
+
+    it('rejects a QR scanned after the exit window', async () => {
+      process.env.QR_EXIT_WINDOW_MINUTES = '30';
+
+      const refusal = await checkTransition(
+        billedCustomer({ billedAt: new Date(Date.now() - 31 * MINUTE) }),
+        'VERIFY',
+        { queueNumber: 7, issuedAt: new Date(Date.now() - 40 * MINUTE) }
+      );
+
+      assert.equal(refusal.code, 'QR_EXPIRED');
+      assert.equal(refusal.data.stage, 'EXIT');
+    });
+
+    it('accepts an expired QR while an admin extension is running', async () => {
+      process.env.QR_EXIT_WINDOW_MINUTES = '30';
+
+      const refusal = await checkTransition(
+        billedCustomer({
+          billedAt: new Date(Date.now() - 31 * MINUTE),
+          qrValidUntil: new Date(Date.now() + 5 * MINUTE)
+        }),
+        'VERIFY',
+        { queueNumber: 7, issuedAt: new Date(Date.now() - 40 * MINUTE) }
+      );
+
+      assert.equal(refusal, null);
+    });
+  });
+
+  describe('sendTransitionError', () => {
+    it('sends the status code and the rest of the refusal as the body', () => {
+      const sent = {};
+      const res = {
+        status(code) { sent.status = code; return this; },
+        json(body) { sent.body = body; return this; }
+      };
+
+      sendTransitionError(res, illegalTransitionError('WAITING', 'VERIFY'));
+
+      assert.equal(sent.status, 409);
+      assert.equal(sent.body.success, false);
+      assert.equal(sent.body.code, 'ILLEGAL_TRANSITION');
+      assert.equal(sent.body.statusCode, undefined);
+    });
+  });
+});
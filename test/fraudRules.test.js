@@ -0,0 +1,138 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  FRAUD_RULES,
+  UNCOUNTED_FAILURE_REASONS,
+  buildFailedScanQuery,
+  getFraudSettings,
+  getRuleActions,
+  evaluateFraudRules
+} from '../utils/fraudRules.js';
+
+const ENV_KEYS = ['FRAUD_RULE_ACTIONS', 'FRAUD_FAILED_SCAN_LIMIT', 'FRAUD_GATE_MIN_SECONDS', 'FRAUD_MAX_BILLED_PER_PHONE'];
+
+const fastExit = FRAUD_RULES.find(rule => rule.id === 'FAST_EXIT');
+
+describe('fraudRules', () => {
+  const saved = {};
+
+  beforeEach(() => {
+    ENV_KEYS.forEach(key => {
+      saved[key] = process.env[key];
+      delete process.env[key];
+    });
+  });
+
+  afterEach(() => {
+    ENV_KEYS.forEach(key => {
+      if (saved[key] === undefined) delete process.env[key];
+      else process.env[key] = saved[key];
+    });
+  });
+
+  describe('REPEATED_FAILED_SCANS', () => {
+    const since = new Date('2026-01-24T10:00:00Z');
+    const query = buildFailedScanQuery({ storeId: 'SM01', customerId: 'SM-1001', since });
+
+    it('counts failed scans of the customer in the window', () => {
+      assert.equal(query.storeId, 'SM01');
+      assert.equal(query.customerId, 'SM-1001');
+      assert.equal(query.result, 'FAILED');
+      assert.deepEqual(query.scannedAt, { $gte: since });
+    });
+
+    it('ignores scans whose payload was never verified', () => {
+      // A forged payload can name any customer ID
+      assert.ok(query.reason.$nin.includes('INVALID_FORMAT'));
+      assert.ok(query.reason.$nin.includes('INVALID_SIGNATURE'));
+    });
+
+    it('ignores its own blocks so a block does not re-trigger itself', () => {
+      assert.ok(query.reason.$nin.includes('FRAUD_BLOCKED'));
+    });
+
+    it('still counts failures of genuine codes', () => {
+      ['DUPLICATE_SCAN', 'NOT_BILLED', 'QR_EXPIRED', 'WRONG_STORE', 'DATA_MISMATCH'].forEach(reason => {
+        assert.equal(UNCOUNTED_FAILURE_REASONS.includes(reason), false, reason);
+      });
+    });
+  });
+
+  describe('getRuleActions', () => {
+    it('uses each rule\'s default action', () => {
+      assert.deepEqual(getRuleActions(), {
+        REPEATED_FAILED_SCANS: 'BLOCK',
+        FAST_EXIT: 'FLAG',
+        MULTIPLE_BILLED_TICKETS: 'FLAG'
+      });
+    });
+
+    it('applies overrides and ignores unknown rules or actions', () => {
+      process.env.FRAUD_RULE_ACTIONS = 'fast_exit:block, REPEATED_FAILED_SCANS:OFF, NO_SUCH_RULE:BLOCK, MULTIPLE_BILLED_TICKETS:PANIC';
+
+      assert.deepEqual(getRuleActions(), {
+        REPEATED_FAILED_SCANS: 'OFF',
+        FAST_EXIT: 'BLOCK',
+        MULTIPLE_BILLED_TICKETS: 'FLAG'
+      });
+    });
+  });
+
+  describe('FAST_EXIT', () => {
+    const billedAt = new Date('2026-01-24T10:00:00Z');
+    const customer = { customerId: 'SM-1001', counterNumber: 3, billedAt };
+    const at = (seconds) => new Date(billedAt.getTime() + seconds * 1000);
+
+    const evaluate = (gateId, seconds) => fastExit.evaluate({
+      customer,
+      gateId,
+      scannedAt: at(seconds),
+      settings: getFraudSettings()
+    });
+
+    it('matches scans quicker than the walk to the gate', async () => {
+      process.env.FRAUD_GATE_MIN_SECONDS = 'GATE-2:90';
+
+      const match = await evaluate('GATE-2', 30);
+      assert.deepEqual(match.details, { gateId: 'GATE-2', counterNumber: 3, elapsedSeconds: 30, minSeconds: 90 });
+      assert.equal(await evaluate('GATE-2', 90), null);
+    });
+
+    it('prefers a counter@gate override', async () => {
+      process.env.FRAUD_GATE_MIN_SECONDS = 'GATE-2:90,3@GATE-2:150';
+      assert.equal((await evaluate('GATE-2', 120)).details.minSeconds, 150);
+    });
+
+    it('does not match unconfigured or unknown gates', async () => {
+      process.env.FRAUD_GATE_MIN_SECONDS = 'GATE-2:90';
+
+      assert.equal(await evaluate('GATE-1', 5), null);
+      assert.equal(await evaluate(null, 5), null);
+    });
+  });
+
+  describe('evaluateFraudRules', () => {
+    it('allows when every rule is off', async () => {
+      process.env.FRAUD_RULE_ACTIONS = 'REPEATED_FAILED_SCANS:OFF,FAST_EXIT:OFF,MULTIPLE_BILLED_TICKETS:OFF';
+
+      const result = await evaluateFraudRules({ customer: { customerId: 'SM-1001' }, storeId: 'SM01' });
+      assert.deepEqual(result, { decision: 'ALLOW', matches: [] });
+    });
+
+    it('takes the strictest action of the matched rules', async () => {
+      process.env.FRAUD_RULE_ACTIONS = 'REPEATED_FAILED_SCANS:OFF,FAST_EXIT:BLOCK,MULTIPLE_BILLED_TICKETS:OFF';
+      process.env.FRAUD_GATE_MIN_SECONDS = 'GATE-2:90';
+
+      const billedAt = new Date('2026-01-24T10:00:00Z');
+      const result = await evaluateFraudRules({
+        customer: { customerId: 'SM-1001', counterNumber: 1, billedAt },
+        storeId: 'SM01',
+        gateId: 'GATE-2',
+        scannedAt: new Date(billedAt.getTime() + 10 * 1000)
+      });
+
+      assert.equal(result.decision, 'BLOCK');
+      assert.deepEqual(result.matches.map(match => match.rule), ['FAST_EXIT']);
+    });
+  });
+});
@@ -0,0 +1,73 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { planTenders, summarizePayment } from '../utils/payments.js';
+
+describe('payments', () => {
+  describe('planTenders', () => {
+    it('charges a card for the balance when no amount is given', () => {
+      assert.deepEqual(planTenders([{ method: 'card', reference: 'AUTH-1' }], 249.5), {
+        payments: [{ method: 'CARD', amount: 249.5, tendered: 249.5, change: 0, reference: 'AUTH-1' }],
+        error: null
+      });
+    });
+
+    it('returns change on cash above the balance', () => {
+      const { payments } = planTenders([{ method: 'CASH', tendered: 500 }], 432.25);
+      assert.deepEqual(payments, [{ method: 'CASH', amount: 432.25, tendered: 500, change: 67.75, reference: null }]);
+    });
+
+    it('splits a bill across tenders in order', () => {
+      const { payments } = planTenders([
+        { method: 'UPI', amount: 300 },
+        { method: 'CARD', amount: 100 },
+        { method: 'CASH', tendered: 50 }
+      ], 432.25);
+
+      assert.deepEqual(payments.map(payment => [payment.method, payment.amount, payment.change]), [
+        ['UPI', 300, 0],
+        ['CARD', 100, 0],
+        ['CASH', 32.25, 17.75]
+      ]);
+    });
+
+    it('rejects a non-cash tender above the balance', () => {
+      const { payments, error } = planTenders([{ method: 'CASH', tendered: 400 }, { method: 'CARD', amount: 50 }], 432.25);
+      assert.equal(payments, null);
+      assert.equal(error, 'CARD amount 50 exceeds balance due 32.25');
+    });
+
+    it('rejects tenders after the bill is settled (all or nothing)', () => {
+      const result = planTenders([{ method: 'CARD' }, { method: 'CASH', tendered: 10 }], 100);
+      assert.deepEqual(result, { payments: null, error: 'Payments exceed the amount due' });
+    });
+
+    it('rejects unknown methods, empty lists and non-positive amounts', () => {
+      assert.match(planTenders([{ method: 'CHEQUE', amount: 10 }], 100).error, /Payment method must be one of/);
+      assert.equal(planTenders([], 100).error, 'At least one payment is required');
+      assert.equal(planTenders([{ method: 'CASH', tendered: 0 }], 100).error, 'Cash tendered must be a positive amount');
+      assert.equal(planTenders([{ method: 'UPI', amount: -5 }], 100).error, 'UPI amount must be positive');
+    });
+  });
+
+  describe('summarizePayment', () => {
+    it('reports the balance while partly paid', () => {
+      assert.deepEqual(summarizePayment(432.25, 300), {
+        amountDue: 432.25,
+        amountPaid: 300,
+        balanceDue: 132.25,
+        overpaid: 0,
+        paidInFull: false
+      });
+    });
+
+    it('is paid in full at exactly the amount due', () => {
+      assert.equal(summarizePayment(0.3, 0.1 + 0.2).paidInFull, true);
+    });
+
+    it('reports an overpayment when the cart shrank after paying', () => {
+      const summary = summarizePayment(80, 100);
+      assert.equal(summary.paidInFull, true);
+      assert.equal(summary.overpaid, 20);
+    });
+  });
+});
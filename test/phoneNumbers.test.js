@@ -0,0 +1,140 @@
+import { describe, it, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import Customer from '../models/Customer.js';
+import Store from '../models/Store.js';
+import {
+  normalizePhone,
+  maskPhone,
+  buildPhoneSearch,
+  getDefaultPhoneRegion
+} from '../utils/phoneNumbers.js';
+
+describe('phoneNumbers', () => {
+  const defaultRegion = process.env.PHONE_DEFAULT_REGION;
+
+  afterEach(() => {
+    if (defaultRegion === undefined) delete process.env.PHONE_DEFAULT_REGION;
+    else process.env.PHONE_DEFAULT_REGION = defaultRegion;
+  });
+
+  describe('normalizePhone', () => {
+    it('reads national numbers in the given region', () => {
+      assert.equal(normalizePhone('9876543210', 'IN').phone, '+919876543210');
+      assert.equal(normalizePhone('98765 43210', 'IN').phone, '+919876543210');
+      assert.equal(normalizePhone('07911 123456', 'GB').phone, '+447911123456');
+      assert.equal(normalizePhone('(415) 555-2671', 'US').phone, '+14155552671');
+      assert.equal(normalizePhone('050 123 4567', 'AE').phone, '+971501234567');
+    });
+
+    it('drops the trunk prefix and accepts the country code without a plus', () => {
+      assert.equal(normalizePhone('09876543210', 'IN').phone, '+919876543210');
+      assert.equal(normalizePhone('919876543210', 'IN').phone, '+919876543210');
+      assert.equal(normalizePhone('1 415 555 2671', 'US').phone, '+14155552671');
+    });
+
+    it('keeps international numbers whatever the region', () => {
+      assert.equal(normalizePhone('+44 7911 123456', 'IN').phone, '+447911123456');
+      assert.equal(normalizePhone('0044 7911 123456', 'IN').phone, '+447911123456');
+      assert.equal(normalizePhone('+86 138 0013 8000', 'IN').phone, '+8613800138000');
+    });
+
+    it('gives every spelling of one number the same value', () => {
+      const spellings = ['9876543210', '098765-43210', '+91 98765 43210', '0091 9876543210'];
+      const normalized = new Set(spellings.map(input => normalizePhone(input, 'IN').phone));
+
+      assert.deepEqual([...normalized], ['+919876543210']);
+    });
+
+    it('rejects empty input and stray characters', () => {
+      assert.equal(normalizePhone('', 'IN').error, 'Phone number is required');
+      assert.equal(normalizePhone(null, 'IN').error, 'Phone number is required');
+      assert.match(normalizePhone('98765abc10', 'IN').error, /can only contain digits/);
+    });
+
+    it('rejects numbers of the wrong length', () => {
+      assert.match(normalizePhone('12345', 'IN').error, /not valid for region IN/);
+      assert.match(normalizePhone('+91 98765 4321', 'IN').error, /wrong length for country code \+91/);
+      assert.match(normalizePhone('+1234567', 'IN').error, /8-15 digits/);
+    });
+
+    it('falls back to the default region for unknown regions', () => {
+      assert.equal(normalizePhone('9876543210', 'ZZ').phone, '+919876543210');
+    });
+  });
+
+  describe('getDefaultPhoneRegion', () => {
+    it('prefers the store, then PHONE_DEFAULT_REGION, then IN', () => {
+      process.env.PHONE_DEFAULT_REGION = 'gb';
+
+      assert.equal(getDefaultPhoneRegion({ phoneRegion: 'AE' }), 'AE');
+      assert.equal(getDefaultPhoneRegion({ phoneRegion: null }), 'GB');
+
+      delete process.env.PHONE_DEFAULT_REGION;
+      assert.equal(getDefaultPhoneRegion(), 'IN');
+    });
+
+    it('ignores unsupported regions', () => {
+      process.env.PHONE_DEFAULT_REGION = 'XX';
+      assert.equal(getDefaultPhoneRegion({ phoneRegion: 'YY' }), 'IN');
+    });
+  });
+
+  describe('maskPhone', () => {
+    it('keeps the country code and last four digits', () => {
+      assert.equal(maskPhone('+919876543210'), '+91 ******3210');
+      assert.equal(maskPhone('+447911123456'), '+44 ******3456');
+      assert.equal(maskPhone('+971501234567'), '+971 *****4567');
+    });
+
+    it('masks legacy 10-digit values and tolerates missing phones', () => {
+      assert.equal(maskPhone('9876543210'), '******3210');
+      assert.equal(maskPhone(null), null);
+    });
+  });
+
+  describe('Customer phone hook', () => {
+    const storeWithRegion = (phoneRegion) => mock.method(Store, 'findOne', () => ({
+      select: () => ({ lean: async () => (phoneRegion ? { phoneRegion } : null) })
+    }));
+
+    afterEach(() => mock.restoreAll());
+
+    it('reads a legacy number in its store\'s region', async () => {
+      const findOne = storeWithRegion('GB');
+      const customer = new Customer({ storeId: 'LON01', phone: '07911 123456' });
+
+      await customer.validate(['phone']);
+      assert.equal(customer.phone, '+447911123456');
+      assert.deepEqual(findOne.mock.calls[0].arguments[0], { storeId: 'LON01' });
+    });
+
+    it('falls back to PHONE_DEFAULT_REGION for stores without one', async () => {
+      storeWithRegion(null);
+      process.env.PHONE_DEFAULT_REGION = 'AE';
+
+      const customer = new Customer({ storeId: 'DXB01', phone: '050 123 4567' });
+      await customer.validate(['phone']);
+      assert.equal(customer.phone, '+971501234567');
+    });
+
+    it('leaves E.164 numbers alone without looking up the store', async () => {
+      const findOne = storeWithRegion('GB');
+      const customer = new Customer({ storeId: 'LON01', phone: '+919876543210' });
+
+      await customer.validate(['phone']);
+      assert.equal(customer.phone, '+919876543210');
+      assert.equal(findOne.mock.callCount(), 0);
+    });
+  });
+
+  describe('buildPhoneSearch', () => {
+    it('matches a full number exactly on its E.164 form', () => {
+      assert.equal(buildPhoneSearch('98765 43210', 'IN'), '+919876543210');
+    });
+
+    it('matches fragments as digits anywhere', () => {
+      assert.deepEqual(buildPhoneSearch('543-21', 'IN'), { $regex: '54321' });
+      assert.equal(buildPhoneSearch('abc', 'IN'), null);
+    });
+  });
+});
@@ -0,0 +1,99 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  getPriorityWeights,
+  getFairnessWindowMinutes,
+  calculateServiceOrder,
+  checkExpressEligibility
+} from '../utils/priorityPolicy.js';
+
+const MINUTE = 60 * 1000;
+const ENV_KEYS = ['PRIORITY_WEIGHTS', 'PRIORITY_FAIRNESS_WINDOW_MINUTES', 'EXPRESS_MAX_CART_VALUE', 'EXPRESS_MAX_ITEMS'];
+
+describe('priorityPolicy', () => {
+  const saved = {};
+
+  beforeEach(() => {
+    ENV_KEYS.forEach(key => {
+      saved[key] = process.env[key];
+      delete process.env[key];
+    });
+  });
+
+  afterEach(() => {
+    ENV_KEYS.forEach(key => {
+      if (saved[key] === undefined) delete process.env[key];
+      else process.env[key] = saved[key];
+    });
+  });
+
+  describe('getPriorityWeights', () => {
+    it('uses the defaults when unconfigured', () => {
+      assert.deepEqual(getPriorityWeights(), { NORMAL: 1, SENIOR: 3, ACCESSIBILITY: 4, EXPRESS: 2 });
+    });
+
+    it('merges overrides onto the defaults', () => {
+      process.env.PRIORITY_WEIGHTS = 'SENIOR:5, EXPRESS:1.5';
+      assert.deepEqual(getPriorityWeights(), { NORMAL: 1, SENIOR: 5, ACCESSIBILITY: 4, EXPRESS: 1.5 });
+    });
+
+    it('ignores unknown classes and weights below 1', () => {
+      process.env.PRIORITY_WEIGHTS = 'VIP:10,SENIOR:0.5,ACCESSIBILITY:abc';
+      assert.deepEqual(getPriorityWeights(), { NORMAL: 1, SENIOR: 3, ACCESSIBILITY: 4, EXPRESS: 2 });
+    });
+  });
+
+  describe('calculateServiceOrder', () => {
+    const arrivedAt = new Date('2026-01-24T10:00:00Z');
+
+    it('places a NORMAL customer one fairness window after arrival', () => {
+      assert.equal(getFairnessWindowMinutes(), 10);
+      assert.equal(calculateServiceOrder('NORMAL', arrivedAt), arrivedAt.getTime() + 10 * MINUTE);
+    });
+
+    it('divides the window by the class weight', () => {
+      process.env.PRIORITY_FAIRNESS_WINDOW_MINUTES = '12';
+
+      assert.equal(calculateServiceOrder('SENIOR', arrivedAt), arrivedAt.getTime() + 4 * MINUTE);
+      assert.equal(calculateServiceOrder('ACCESSIBILITY', arrivedAt), arrivedAt.getTime() + 3 * MINUTE);
+    });
+
+    it('treats an unknown class as NORMAL', () => {
+      assert.equal(calculateServiceOrder('VIP', arrivedAt), calculateServiceOrder('NORMAL', arrivedAt));
+    });
+
+    it('lets a priority customer overtake only recent arrivals', () => {
+      // SENIOR (weight 3) can overtake arrivals up to 10 * (1 - 1/3) minutes earlier
+      const senior = calculateServiceOrder('SENIOR', arrivedAt);
+      const sixMinutesEarlier = calculateServiceOrder('NORMAL', new Date(arrivedAt.getTime() - 6 * MINUTE));
+      const sevenMinutesEarlier = calculateServiceOrder('NORMAL', new Date(arrivedAt.getTime() - 7 * MINUTE));
+
+      assert.ok(senior < sixMinutesEarlier);
+      assert.ok(senior > sevenMinutesEarlier);
+    });
+
+    it('degrades to first-come-first-served with a zero window', () => {
+      process.env.PRIORITY_FAIRNESS_WINDOW_MINUTES = '0';
+      assert.equal(calculateServiceOrder('ACCESSIBILITY', arrivedAt), arrivedAt.getTime());
+    });
+  });
+
+  describe('checkExpressEligibility', () => {
+    it('accepts small carts', () => {
+      assert.deepEqual(checkExpressEligibility({ cartTotal: 500, itemCount: 5 }), { eligible: true, reason: null });
+    });
+
+    it('rejects carts over the value limit', () => {
+      const result = checkExpressEligibility({ cartTotal: 500.5 });
+      assert.equal(result.eligible, false);
+      assert.match(result.reason, /up to 500/);
+    });
+
+    it('rejects carts over the item limit only when the count is known', () => {
+      process.env.EXPRESS_MAX_ITEMS = '3';
+
+      assert.equal(checkExpressEligibility({ cartTotal: 100, itemCount: 4 }).eligible, false);
+      assert.equal(checkExpressEligibility({ cartTotal: 100, itemCount: null }).eligible, true);
+    });
+  });
+});
@@ -0,0 +1,157 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  generateHMACSignature,
+  verifyQRSignature,
+  decodeQRData,
+  checkQRExpiry
+} from '../utils/qrCodeGenerator.js';
+
+const MINUTE = 60 * 1000;
+const ENV_KEYS = ['QR_SIGNING_KEYS', 'QR_SIGNING_SECRET', 'QR_ACTIVE_KEY_ID', 'QR_BILLING_WINDOW_MINUTES', 'QR_EXIT_WINDOW_MINUTES'];
+
+const signedPayload = (kid, secret, fields = {}) => {
+  const payload = {
+    customerId: 'SM-1001',
+    queueNumber: 7,
+    storeId: 'SM01',
+    timestamp: '2026-01-24T10:00:00.000Z',
+    kid,
+    ...fields
+  };
+  payload.sig = generateHMACSignature(payload, secret);
+  return payload;
+};
+
+describe('qrCodeGenerator', () => {
+  const saved = {};
+
+  beforeEach(() => {
+    ENV_KEYS.forEach(key => {
+      saved[key] = process.env[key];
+      delete process.env[key];
+    });
+  });
+
+  afterEach(() => {
+    ENV_KEYS.forEach(key => {
+      if (saved[key] === undefined) delete process.env[key];
+      else process.env[key] = saved[key];
+    });
+  });
+
+  describe('signatures', () => {
+    it('signs independently of field order', () => {
+      const a = generateHMACSignature({ customerId: 'SM-1001', queueNumber: 7 }, 'secret');
+      const b = generateHMACSignature({ queueNumber: 7, customerId: 'SM-1001' }, 'secret');
+      assert.equal(a, b);
+    });
+
+    it('never signs the signature field', () => {
+      const payload = signedPayload('k1', 'secret');
+      assert.equal(generateHMACSignature(payload, 'secret'), payload.sig);
+    });
+
+    it('verifies a payload signed with a key in the keyring', () => {
+      process.env.QR_SIGNING_KEYS = 'k1:secret';
+      assert.equal(verifyQRSignature(signedPayload('k1', 'secret')), true);
+    });
+
+    it('rejects tampered payloads', () => {
+      process.env.QR_SIGNING_KEYS = 'k1:secret';
+
+      const payload = signedPayload('k1', 'secret');
+      assert.equal(verifyQRSignature({ ...payload, queueNumber: 8 }), false);
+      assert.equal(verifyQRSignature({ ...payload, storeId: 'BLR01' }), false);
+      assert.equal(verifyQRSignature({ ...payload, sig: payload.sig.slice(0, -2) }), false);
+    });
+
+    it('rejects payloads without a signature or key id', () => {
+      process.env.QR_SIGNING_KEYS = 'k1:secret';
+
+      const { sig, ...unsigned } = signedPayload('k1', 'secret');
+      assert.equal(verifyQRSignature(unsigned), false);
+      assert.equal(verifyQRSignature({ ...unsigned, sig, kid: undefined }), false);
+      assert.equal(verifyQRSignature(null), false);
+    });
+
+    it('supports the single-secret shorthand under key id "default"', () => {
+      process.env.QR_SIGNING_SECRET = 'secret';
+      assert.equal(verifyQRSignature(signedPayload('default', 'secret')), true);
+    });
+  });
+
+  describe('key rotation', () => {
+    it('accepts codes signed with the old key while it is still listed', () => {
+      process.env.QR_SIGNING_KEYS = 'k2:newSecret,k1:oldSecret';
+
+      assert.equal(verifyQRSignature(signedPayload('k2', 'newSecret')), true);
+      assert.equal(verifyQRSignature(signedPayload('k1', 'oldSecret')), true);
+    });
+
+    it('rejects codes signed with a retired key', () => {
+      process.env.QR_SIGNING_KEYS = 'k2:newSecret';
+      assert.equal(verifyQRSignature(signedPayload('k1', 'oldSecret')), false);
+    });
+
+    it('does not let a key id borrow another key', () => {
+      process.env.QR_SIGNING_KEYS = 'k2:newSecret,k1:oldSecret';
+      assert.equal(verifyQRSignature(signedPayload('k2', 'oldSecret')), false);
+    });
+  });
+
+  describe('decodeQRData', () => {
+    it('parses a well-formed payload', () => {
+      const payload = signedPayload('k1', 'secret');
+      assert.deepEqual(decodeQRData(JSON.stringify(payload)), payload);
+    });
+
+    it('rejects malformed payloads', () => {
+      mock.method(console, 'error', () => {});
+      assert.throws(() => decodeQRData('not json'), /Invalid QR code format/);
+      assert.throws(() => decodeQRData(JSON.stringify({ customerId: 'SM-1001' })), /Invalid QR code format/);
+      assert.throws(() => decodeQRData(JSON.stringify({ customerId: 'SM-1001', queueNumber: '7' })), /Invalid QR code format/);
+
+      mock.restoreAll();
+    });
+  });
+
+  describe('checkQRExpiry', () => {
+    const issuedAt = new Date('2026-01-24T10:00:00Z');
+
+    it('expires codes not billed within the billing window', () => {
+      process.env.QR_BILLING_WINDOW_MINUTES = '60';
+
+      const result = checkQRExpiry({ issuedAt, billedAt: null, now: new Date(issuedAt.getTime() + 61 * MINUTE) });
+      assert.equal(result.expired, true);
+      assert.equal(result.stage, 'BILLING');
+    });
+
+    it('expires codes not scanned within the exit window after billing', () => {
+      process.env.QR_EXIT_WINDOW_MINUTES = '30';
+
+      const billedAt = new Date(issuedAt.getTime() + 10 * MINUTE);
+      assert.equal(checkQRExpiry({ issuedAt, billedAt, now: new Date(billedAt.getTime() + 29 * MINUTE) }).expired, false);
+
+      const late = checkQRExpiry({ issuedAt, billedAt, now: new Date(billedAt.getTime() + 31 * MINUTE) });
+      assert.equal(late.stage, 'EXIT');
+      assert.deepEqual(late.expiredAt, new Date(billedAt.getTime() + 30 * MINUTE));
+    });
+
+    it('treats a window of 0 as disabled', () => {
+      process.env.QR_BILLING_WINDOW_MINUTES = '0';
+      process.env.QR_EXIT_WINDOW_MINUTES = '0';
+
+      const now = new Date(issuedAt.getTime() + 24 * 60 * MINUTE);
+      assert.equal(checkQRExpiry({ issuedAt, billedAt: issuedAt, now }).expired, false);
+    });
+
+    it('honours an admin extension', () => {
+      const billedAt = new Date(issuedAt.getTime() + 10 * MINUTE);
+      const now = new Date(billedAt.getTime() + 120 * MINUTE);
+
+      assert.equal(checkQRExpiry({ issuedAt, billedAt, now }).expired, true);
+      assert.equal(checkQRExpiry({ issuedAt, billedAt, now, validUntil: new Date(now.getTime() + MINUTE) }).expired, false);
+    });
+  });
+});
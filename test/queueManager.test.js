@@ -0,0 +1,52 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { getCallSettings } from '../utils/queueManager.js';
+
+const ENV_KEYS = ['CALL_NO_SHOW_SECONDS', 'MAX_RECALLS', 'RECALL_POSITION', 'NO_SHOW_SWEEP_SECONDS'];
+
+describe('queueManager', () => {
+  const saved = {};
+
+  beforeEach(() => {
+    ENV_KEYS.forEach(key => {
+      saved[key] = process.env[key];
+      delete process.env[key];
+    });
+  });
+
+  afterEach(() => {
+    ENV_KEYS.forEach(key => {
+      if (saved[key] === undefined) delete process.env[key];
+      else process.env[key] = saved[key];
+    });
+  });
+
+  describe('getCallSettings', () => {
+    it('uses the defaults when unconfigured', () => {
+      assert.deepEqual(getCallSettings(), { noShowSeconds: 180, maxRecalls: 2, recallPosition: 2, sweepSeconds: 30 });
+    });
+
+    it('allows recalls and the background sweep to be turned off', () => {
+      process.env.MAX_RECALLS = '0';
+      process.env.NO_SHOW_SWEEP_SECONDS = '0';
+
+      const settings = getCallSettings();
+      assert.equal(settings.maxRecalls, 0);
+      assert.equal(settings.sweepSeconds, 0);
+    });
+
+    it('clamps nonsensical values', () => {
+      process.env.MAX_RECALLS = '-3';
+      process.env.RECALL_POSITION = '0';
+      process.env.NO_SHOW_SWEEP_SECONDS = '-1';
+      process.env.CALL_NO_SHOW_SECONDS = 'soon';
+
+      assert.deepEqual(getCallSettings(), { noShowSeconds: 180, maxRecalls: 0, recallPosition: 2, sweepSeconds: 30 });
+    });
+
+    it('keeps a recall position of 1 (front of the line)', () => {
+      process.env.RECALL_POSITION = '1';
+      assert.equal(getCallSettings().recallPosition, 1);
+    });
+  });
+});
@@ -0,0 +1,107 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { planRefund } from '../utils/refunds.js';
+
+const nothingRefunded = () => ({ total: 0, byMethod: {}, quantities: {} });
+
+// 2 x 100 + 1 x 50, paid 225 after a 25 coupon discount
+const customer = {
+  cartTotal: 225,
+  items: [
+    { sku: 'MILK', name: 'Milk', quantity: 2, unitPrice: 100 },
+    { sku: 'BREAD', name: 'Bread', quantity: 1, unitPrice: 50 }
+  ]
+};
+
+const plan = (request, { refunded = nothingRefunded(), paidByMethod = { CASH: 225 }, bill = customer } = {}) =>
+  planRefund(bill, request, { refunded, paidByMethod });
+
+describe('planRefund', () => {
+  it('requires a known refund method', () => {
+    assert.match(plan({ amount: 10, method: 'CHEQUE' }).error, /Refund method must be one of/);
+  });
+
+  it('requires exactly one of items or amount', () => {
+    assert.equal(plan({ method: 'CASH' }).error, 'Provide either items or an amount to refund');
+    assert.equal(
+      plan({ method: 'CASH', amount: 10, items: [{ sku: 'MILK', quantity: 1 }] }).error,
+      'Provide either items or an amount to refund'
+    );
+  });
+
+  it('refunds items at the price actually paid', () => {
+    const { refund, error } = plan({ method: 'CASH', items: [{ sku: 'milk', quantity: 1 }] });
+
+    assert.equal(error, null);
+    assert.deepEqual(refund.items, [{ sku: 'MILK', name: 'Milk', quantity: 1, amount: 90 }]);
+    assert.equal(refund.amount, 90);
+  });
+
+  it('merges repeated lines for the same sku', () => {
+    const { refund } = plan({ method: 'CASH', items: [{ sku: 'MILK', quantity: 1 }, { sku: 'MILK', quantity: 1 }] });
+
+    assert.equal(refund.items.length, 1);
+    assert.equal(refund.items[0].quantity, 2);
+    assert.equal(refund.amount, 180);
+  });
+
+  it('refuses items that were not bought, or returned too often', () => {
+    assert.equal(plan({ method: 'CASH', items: [{ sku: 'EGGS', quantity: 1 }] }).error, 'Item EGGS was not on this bill');
+
+    const refunded = { total: 90, byMethod: { CASH: 90 }, quantities: { MILK: 1 } };
+    assert.equal(
+      plan({ method: 'CASH', items: [{ sku: 'MILK', quantity: 2 }] }, { refunded }).error,
+      'Item MILK: only 1 of 2 can still be returned'
+    );
+  });
+
+  it('refuses fractional or missing quantities', () => {
+    assert.match(plan({ method: 'CASH', items: [{ sku: 'MILK', quantity: 1.5 }] }).error, /whole quantity/);
+    assert.match(plan({ method: 'CASH', items: [{ quantity: 1 }] }).error, /needs a sku/);
+  });
+
+  it('never refunds more than the bill', () => {
+    const refunded = { total: 200, byMethod: { CASH: 200 }, quantities: {} };
+
+    assert.equal(
+      plan({ method: 'CASH', amount: 30 }, { refunded }).error,
+      'Refund amount 30 exceeds refundable balance 25'
+    );
+    assert.equal(plan({ method: 'CASH', amount: 25 }, { refunded }).refund.amount, 25);
+
+    const full = { total: 225, byMethod: { CASH: 225 }, quantities: {} };
+    assert.equal(plan({ method: 'CASH', amount: 1 }, { refunded: full }).error, 'Bill has already been fully refunded');
+  });
+
+  it('refuses non-positive amounts', () => {
+    assert.equal(plan({ method: 'CASH', amount: 0 }).error, 'Refund amount must be positive');
+    assert.equal(plan({ method: 'CASH', amount: 'abc' }).error, 'Refund amount must be positive');
+  });
+
+  it('caps card refunds at what was paid by card', () => {
+    const paidByMethod = { CARD: 100, CASH: 125 };
+
+    assert.equal(
+      plan({ method: 'CARD', amount: 120 }, { paidByMethod }).error,
+      'Only 100 was paid by CARD and can be refunded that way'
+    );
+
+    const refunded = { total: 60, byMethod: { CARD: 60 }, quantities: {} };
+    assert.equal(
+      plan({ method: 'CARD', amount: 50 }, { paidByMethod, refunded }).error,
+      'Only 40 was paid by CARD and can be refunded that way'
+    );
+
+    // Cash can settle any remaining balance
+    assert.equal(plan({ method: 'CASH', amount: 150 }, { paidByMethod }).refund.amount, 150);
+  });
+
+  it('asks for an amount when the bill has no items', () => {
+    const bill = { cartTotal: 100, items: [] };
+
+    assert.equal(
+      plan({ method: 'CASH', items: [{ sku: 'MILK', quantity: 1 }] }, { bill }).error,
+      'Bill has no itemized cart: refund an amount instead'
+    );
+  });
+});
@@ -0,0 +1,152 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  getTaxConfig,
+  getTaxRate,
+  calculateAmountDue,
+  computeTax,
+  getFinancialYear
+} from '../utils/taxEngine.js';
+import { applyTaxBreakdown, formatInvoiceNumber, getStoreStateCode } from '../utils/invoices.js';
+
+const ENV_KEYS = ['GST_PRICING', 'GST_RATE_SLABS', 'GST_CATEGORY_RATES', 'GST_DEFAULT_RATE', 'GST_STATE_CODE', 'GST_FY_START_MONTH'];
+
+const line = (unitPrice, category = null, quantity = 1) => ({ sku: category || 'ITEM', category, quantity, unitPrice });
+
+describe('taxEngine', () => {
+  const saved = {};
+
+  beforeEach(() => {
+    ENV_KEYS.forEach(key => {
+      saved[key] = process.env[key];
+      delete process.env[key];
+    });
+    process.env.GST_CATEGORY_RATES = 'DAIRY:0,GROCERY:5,TOYS:7';
+  });
+
+  afterEach(() => {
+    ENV_KEYS.forEach(key => {
+      if (saved[key] === undefined) delete process.env[key];
+      else process.env[key] = saved[key];
+    });
+  });
+
+  describe('configuration', () => {
+    it('maps categories to slab rates and ignores rates outside the slabs', () => {
+      const config = getTaxConfig();
+
+      assert.equal(config.pricing, 'INCLUSIVE');
+      assert.equal(getTaxRate('grocery', config), 5);
+      assert.equal(getTaxRate('DAIRY', config), 0);
+      assert.equal(getTaxRate('TOYS', config), 18);
+      assert.equal(getTaxRate(null, config), 18);
+    });
+  });
+
+  describe('computeTax', () => {
+    it('backs tax out of inclusive prices', () => {
+      const { lines, totals } = computeTax([line(118), line(105, 'GROCERY')]);
+
+      assert.deepEqual(lines.map(l => [l.rate, l.taxableValue, l.cgst, l.sgst, l.igst]), [
+        [18, 100, 9, 9, 0],
+        [5, 100, 2.5, 2.5, 0]
+      ]);
+      assert.equal(totals.totalTax, 23);
+      assert.equal(totals.grandTotal, 223);
+    });
+
+    it('adds tax on top of exclusive prices', () => {
+      process.env.GST_PRICING = 'EXCLUSIVE';
+
+      const { totals } = computeTax([line(100, null, 2)]);
+      assert.equal(totals.taxableValue, 200);
+      assert.equal(totals.totalTax, 36);
+      assert.equal(calculateAmountDue([line(100, null, 2)]), 236);
+    });
+
+    it('charges IGST at the full rate for inter-state supply', () => {
+      const { lines } = computeTax([line(118)], { interState: true });
+
+      assert.equal(lines[0].igst, 18);
+      assert.equal(lines[0].cgst, 0);
+      assert.equal(lines[0].sgst, 0);
+    });
+
+    it('keeps CGST + SGST equal to the line tax on an odd paisa', () => {
+      const [taxed] = computeTax([line(1.05, 'GROCERY')]).lines;
+
+      assert.equal(taxed.tax, 0.05);
+      assert.equal(Math.round((taxed.cgst + taxed.sgst) * 100), 5);
+    });
+
+    it('spreads a bill discount over lines by value', () => {
+      const { lines, totals } = computeTax([line(118), line(105, 'GROCERY')], { discount: 22.3 });
+
+      assert.deepEqual(lines.map(l => [l.total, l.taxableValue, l.tax]), [
+        [106.2, 90, 16.2],
+        [94.5, 90, 4.5]
+      ]);
+      assert.equal(totals.grandTotal, 200.7);
+    });
+
+    it('groups the breakdown by rate', () => {
+      const { byRate } = computeTax([line(118), line(105, 'GROCERY'), line(59)]);
+
+      assert.deepEqual(byRate.map(r => [r.rate, r.taxableValue, r.tax]), [
+        [5, 100, 5],
+        [18, 150, 27]
+      ]);
+    });
+  });
+
+  describe('invoice numbering', () => {
+    it('labels the financial year from April by default', () => {
+      assert.equal(getFinancialYear('2026-03-31'), '2526');
+      assert.equal(getFinancialYear('2026-04-01'), '2627');
+
+      process.env.GST_FY_START_MONTH = '1';
+      assert.equal(getFinancialYear('2026-03-31'), '2026');
+    });
+
+    it('formats invoice numbers per store and year', () => {
+      assert.equal(formatInvoiceNumber('SM01', '2627', 42), 'SM01/2627/000042');
+    });
+
+    it('takes the state code from the store, then its GSTIN, then the environment', () => {
+      process.env.GST_STATE_CODE = '27';
+
+      assert.equal(getStoreStateCode({ stateCode: '29', gstin: '07ABCDE1234F1Z5' }), '29');
+      assert.equal(getStoreStateCode({ gstin: '07ABCDE1234F1Z5' }), '07');
+      assert.equal(getStoreStateCode({}), '27');
+    });
+  });
+
+  describe('applyTaxBreakdown', () => {
+    const store = { storeId: 'SM01', stateCode: '27' };
+
+    it('taxes another state\'s place of supply as IGST', () => {
+      const customer = { items: [line(118)], cartTotal: 118, invoiceNumber: null };
+      applyTaxBreakdown(customer, store, { placeOfSupply: '29' });
+
+      assert.equal(customer.tax.interState, true);
+      assert.equal(customer.tax.igst, 18);
+      assert.equal(customer.tax.cgst, 0);
+    });
+
+    it('taxes a bare total as one inclusive line at the default rate', () => {
+      const customer = { items: [], cartTotal: 59, invoiceNumber: null };
+      applyTaxBreakdown(customer, store);
+
+      assert.equal(customer.tax.pricing, 'INCLUSIVE');
+      assert.equal(customer.tax.taxableValue, 50);
+      assert.equal(customer.tax.cgst + customer.tax.sgst, 9);
+    });
+
+    it('leaves the invoice number for after the bill goes through', () => {
+      const customer = { items: [line(118)], cartTotal: 118, invoiceNumber: null };
+      applyTaxBreakdown(customer, store);
+
+      assert.equal(customer.invoiceNumber, null);
+    });
+  });
+});
@@ -0,0 +1,84 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildWaitSamples, buildWaitTimeEstimator } from '../utils/waitTimeEstimator.js';
+
+const MINUTE = 60 * 1000;
+const ENV_KEYS = ['STORE_TIMEZONE', 'WAIT_MIN_SAMPLES', 'WAIT_DEFAULT_SERVICE_MINUTES'];
+
+const billed = ({ at, minutes, position, counters = 1 }) => {
+  const createdAt = new Date(at);
+  return {
+    createdAt,
+    billedAt: new Date(createdAt.getTime() + minutes * MINUTE),
+    positionAtRegistration: position,
+    openCountersAtRegistration: counters
+  };
+};
+
+describe('waitTimeEstimator', () => {
+  const saved = {};
+
+  beforeEach(() => {
+    ENV_KEYS.forEach(key => {
+      saved[key] = process.env[key];
+      delete process.env[key];
+    });
+    process.env.STORE_TIMEZONE = 'UTC';
+  });
+
+  afterEach(() => {
+    ENV_KEYS.forEach(key => {
+      if (saved[key] === undefined) delete process.env[key];
+      else process.env[key] = saved[key];
+    });
+  });
+
+  describe('buildWaitSamples', () => {
+    it('measures minutes per counter per person ahead', () => {
+      const samples = buildWaitSamples([
+        billed({ at: '2026-01-24T18:00:00Z', minutes: 10, position: 3 }),
+        billed({ at: '2026-01-24T18:00:00Z', minutes: 12, position: 5, counters: 2 })
+      ]);
+
+      assert.deepEqual(samples.map(sample => sample.minutesPerCustomer), [5, 6]);
+    });
+
+    it('drops customers who had nobody ahead', () => {
+      assert.deepEqual(buildWaitSamples([billed({ at: '2026-01-24T18:00:00Z', minutes: 3, position: 1 })]), []);
+    });
+
+    it('records the hour on the store clock', () => {
+      const [sample] = buildWaitSamples([billed({ at: '2026-01-24T12:30:00Z', minutes: 4, position: 2 })], 'Asia/Kolkata');
+      assert.equal(sample.hour, 18);
+    });
+  });
+
+  describe('buildWaitTimeEstimator', () => {
+    const evening = new Date('2026-01-25T18:00:00Z');
+
+    it('pins the estimate for a known sample set', () => {
+      process.env.WAIT_MIN_SAMPLES = '3';
+
+      const samples = buildWaitSamples([
+        billed({ at: '2026-01-24T18:00:00Z', minutes: 4, position: 2 }),
+        billed({ at: '2026-01-24T18:00:00Z', minutes: 10, position: 3 }),
+        billed({ at: '2026-01-24T18:00:00Z', minutes: 12, position: 5, counters: 2 }),
+        // Twelve hours away: too dissimilar to count
+        billed({ at: '2026-01-24T06:00:00Z', minutes: 90, position: 2 })
+      ]);
+
+      const estimate = buildWaitTimeEstimator({ samples, openCounterCount: 2, at: evening });
+
+      // Rates 4, 5, 6 min/person; 4 people ahead across 2 counters
+      assert.deepEqual(estimate(5), { p50: 10, p90: 12, basis: 'HISTORICAL', sampleSize: 3, openCounters: 2 });
+      assert.equal(estimate(1).p50, 0);
+    });
+
+    it('uses the same people-ahead count for the fallback', () => {
+      const estimate = buildWaitTimeEstimator({ samples: [], openCounterCount: 0, at: evening });
+
+      assert.deepEqual(estimate(3), { p50: 6, p90: 9, basis: 'DEFAULT', sampleSize: 0, openCounters: 1 });
+      assert.equal(estimate(1).p50, 0);
+    });
+  });
+});
@@ -0,0 +1,95 @@
+import AuditLog from '../models/AuditLog.js';
+
+/**
+ * Audit Log Utility
+ * Records state transitions with actor, before/after state and request context
+ *
+ * Design Decisions:
+ * 1. Written after the transition succeeds, awaited so the entry exists
+ *    before the response is sent
+ * 2. A failed audit write is logged, never turned into a failed request:
+ *    the transition already happened and must not be reported as failed
+ */
+
+/**
+ * Customer fields captured in before/after snapshots
+ */
+const CUSTOMER_STATE_FIELDS = [
+  'status',
+  'queueNumber',
+  'counterNumber',
+  'cartTotal',
+  'assignedAt',
+  'billedAt',
+  'verifiedAt',
+  'cancelledAt',
+  'recallCount',
+  'qrValidUntil'
+];
+
+/**
+ * Snapshot Customer State
+ *
+ * @param {Object|null} customer - Customer document or plain object
+ * @returns {Object|null} Transition-relevant fields only
+ */
+export const snapshotCustomer = (customer) => {
+  if (!customer) return null;
+
+  return Object.fromEntries(
+    CUSTOMER_STATE_FIELDS.map(field => [field, customer[field] ?? null])
+  );
+};
+
+/**
+ * Get Actor
+ * Staff from the access token; otherwise the customer (public routes)
+ * or the system (no request)
+ *
+ * @param {Object|null} req - Express request
+ * @returns {Object} Actor
+ */
+export const getActor = (req) => {
+  if (req && req.user) {
+    return {
+      type: 'STAFF',
+      userId: req.user.sub || null,
+      username: req.user.username || null,
+      role: req.user.role || null
+    };
+  }
+
+  return { type: req ? 'CUSTOMER' : 'SYSTEM' };
+};
+
+/**
+ * Record Audit Entry
+ *
+ * @param {Object|null} req - Express request (actor, IP, request ID, store)
+ * @param {Object} entry
+ * @param {string} entry.action - One of AUDIT_ACTIONS
+ * @param {string} entry.entityType - Customer | BillingCounter | BusinessDay
+ * @param {string|number} entry.entityId - customerId, counterNumber, businessDate
+ * @param {Object} entry.before - State before the transition
+ * @param {Object} entry.after - State after the transition
+ * @param {string} entry.storeId - Defaults to req.store.storeId
+ * @returns {Promise<Object|null>} Created entry, or null if the write failed
+ */
+export const recordAudit = async (req, { action, entityType, entityId, before = null, after = null, storeId }) => {
+  try {
+    return await AuditLog.create({
+      storeId: storeId ?? req?.store?.storeId ?? null,
+      action,
+      entityType,
+      entityId: String(entityId),
+      actor: getActor(req),
+      before,
+      after,
+      ip: req ? req.ip || null : null,
+      requestId: req ? req.id || null : null
+    });
+  } catch (error) {
+    console.error('Audit Log Error:', error);
+    return null;
+  }
+};
@@ -0,0 +1,142 @@
+import BusinessDay from '../models/BusinessDay.js';
+import Customer from '../models/Customer.js';
+import Refund from '../models/Refund.js';
+import { roundMoney } from './cartItems.js';
+
+/**
+ * Business Day Utility
+ * Resolves the current trading session and builds day summaries
+ * 
+ * Design Decisions:
+ * 1. Business date computed in store time (store.timezone, else
+ *    STORE_TIMEZONE), not UTC, so a late-evening customer is not filed
+ *    under tomorrow
+ * 2. Auto-open (BUSINESS_DAY_AUTO_OPEN, default on) keeps registration
+ *    working when staff forget to open the day; it never reopens a
+ *    day that was explicitly closed
+ * 3. Sessions are per store: each store opens and closes its own day
+ */
+
+/**
+ * Get Business Date
+ * Formats a timestamp as YYYY-MM-DD in the store's timezone
+ * 
+ * @param {Date} date - Timestamp (defaults to now)
+ * @param {string} timeZone - IANA timezone (defaults to STORE_TIMEZONE / server time)
+ * @returns {string} Business date
+ */
+export const getBusinessDate = (date = new Date(), timeZone = null) => {
+  // en-CA locale formats dates as YYYY-MM-DD
+  return date.toLocaleDateString('en-CA', {
+    timeZone: timeZone || process.env.STORE_TIMEZONE || undefined
+  });
+};
+
+/**
+ * Get Local Hour
+ * Hour of day (fractional, 0-24) in the store's timezone
+ * 
+ * @param {Date} date - Timestamp
+ * @param {string} timeZone - IANA timezone (defaults to STORE_TIMEZONE / server time)
+ * @returns {number} e.g. 18.5 for 18:30
+ */
+export const getLocalHour = (date, timeZone = null) => {
+  const parts = new Intl.DateTimeFormat('en-GB', {
+    timeZone: timeZone || process.env.STORE_TIMEZONE || undefined,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+
+  const value = (type) => Number(parts.find(part => part.type === type).value);
+  return value('hour') + value('minute') / 60;
+};
+
+/**
+ * Get Active Business Day
+ * Returns the store's open session, auto-opening today's if allowed
+ * 
+ * @param {Object} store - Store ({ storeId, timezone })
+ * @returns {Promise<Object|null>} Open BusinessDay, or null if the store is closed
+ */
+export const getActiveBusinessDay = async (store) => {
+  const { storeId } = store;
+
+  const openDay = await BusinessDay.getOpenDay(storeId);
+  if (openDay) return openDay;
+
+  if (process.env.BUSINESS_DAY_AUTO_OPEN === 'false') return null;
+
+  const businessDate = getBusinessDate(new Date(), store.timezone);
+
+  try {
+    // Only creates the day if it does not exist yet (closed days stay closed)
+    const result = await BusinessDay.findOneAndUpdate(
+      { storeId, businessDate },
+      { $setOnInsert: { storeId, businessDate, status: 'OPEN', openedAt: new Date(), openedBy: 'system' } },
+      { upsert: true, new: true }
+    );
+
+    return result.status === 'OPEN' ? result : null;
+  } catch (error) {
+    // Concurrent auto-open: the other request created it
+    if (error.code === 11000) return BusinessDay.getOpenDay(storeId);
+    throw error;
+  }
+};
+
+/**
+ * Build Business Day Summary
+ * Aggregates a store day's registrations, billing, verification and revenue
+ * Revenue is net: bills of the day minus refunds given that day
+ * (a refund counts on the day the money left the till, like the reports)
+ * 
+ * @param {string} storeId - Store ID
+ * @param {string} businessDate - YYYY-MM-DD
+ * @returns {Promise<Object>} Summary ({ ..., grossRevenue, refunded, refunds, revenue })
+ */
+export const buildBusinessDaySummary = async (storeId, businessDate) => {
+  const [statusCounts, lastCustomer, [refundTotals]] = await Promise.all([
+    Customer.aggregate([
+      { $match: { storeId, businessDate } },
+      {
+        $group: {
+          _id: '$status',
+          count: { $sum: 1 },
+          revenue: { $sum: '$cartTotal' }
+        }
+      }
+    ]),
+    Customer.findOne({ storeId, businessDate })
+      .sort({ queueNumber: -1 })
+      .select('queueNumber')
+      .lean(),
+    Refund.aggregate([
+      { $match: { storeId, businessDate } },
+      { $group: { _id: null, amount: { $sum: '$amount' }, count: { $sum: 1 } } }
+    ])
+  ]);
+
+  const countFor = (status) => {
+    const entry = statusCounts.find(s => s._id === status);
+    return entry ? entry.count : 0;
+  };
+
+  const billedStatuses = ['BILLED', 'VERIFIED'];
+  const grossRevenue = roundMoney(statusCounts
+    .filter(s => billedStatuses.includes(s._id))
+    .reduce((sum, s) => sum + s.revenue, 0));
+  const refunded = refundTotals ? roundMoney(refundTotals.amount) : 0;
+
+  return {
+    registered: statusCounts.reduce((sum, s) => sum + s.count, 0),
+    billed: billedStatuses.reduce((sum, status) => sum + countFor(status), 0),
+    verified: countFor('VERIFIED'),
+    cancelled: countFor('CANCELLED'),
+    lastQueueNumber: lastCustomer ? lastCustomer.queueNumber : 0,
+    grossRevenue,
+    refunded,
+    refunds: refundTotals ? refundTotals.count : 0,
+    revenue: roundMoney(grossRevenue - refunded)
+  };
+};
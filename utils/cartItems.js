@@ -0,0 +1,125 @@
+/**
+ * Cart Items Utility
+ * Validates line items and computes cart totals server-side
+ * 
+ * Design Decisions:
+ * 1. Totals are always derived from items; a client-sent cartTotal is
+ *    ignored when items are present
+ * 2. Money rounded to 2 decimals per line and in total (no float drift)
+ * 3. Same SKU at the same price is one line with a summed quantity
+ * 
+ * Configuration (environment):
+ * - CART_MAX_ITEM_QUANTITY=999
+ * - CART_MAX_LINES=200
+ */
+
+/**
+ * Round money to 2 decimals
+ */
+export const roundMoney = (value) => Math.round((Number(value) + Number.EPSILON) * 100) / 100;
+
+/**
+ * Calculate Line Total
+ * 
+ * @param {Object} item - { quantity, unitPrice }
+ * @returns {number} quantity x unitPrice, rounded
+ */
+export const calculateLineTotal = ({ quantity, unitPrice }) => roundMoney(quantity * unitPrice);
+
+/**
+ * Calculate Cart Total
+ * 
+ * @param {Array} items - Cart items
+ * @returns {number} Sum of line totals, rounded
+ */
+export const calculateCartTotal = (items = []) =>
+  roundMoney(items.reduce((sum, item) => sum + calculateLineTotal(item), 0));
+
+/**
+ * Count Items
+ * 
+ * @param {Array} items - Cart items
+ * @returns {number} Total quantity across lines
+ */
+export const countCartItems = (items = []) =>
+  items.reduce((sum, item) => sum + item.quantity, 0);
+
+/**
+ * Normalize Cart Item
+ * Validates one { sku, name, category?, quantity, unitPrice } entry
+ * 
+ * @param {Object} item - Raw item from the request body
+ * @returns {{ item: Object|null, error: string|null }}
+ */
+export const normalizeCartItem = (item) => {
+  const maxQuantity = parseInt(process.env.CART_MAX_ITEM_QUANTITY) || 999;
+
+  if (!item || typeof item !== 'object') {
+    return { item: null, error: 'Each item must be an object' };
+  }
+
+  const sku = typeof item.sku === 'string' ? item.sku.trim().toUpperCase() : '';
+  const name = typeof item.name === 'string' ? item.name.trim() : '';
+  const quantity = Number(item.quantity ?? 1);
+  const unitPrice = Number(item.unitPrice);
+  const category = typeof item.category === 'string' && item.category.trim()
+    ? item.category.trim().toUpperCase().slice(0, 50)
+    : null;
+
+  if (!sku || sku.length > 50) {
+    return { item: null, error: 'Item SKU is required (max 50 characters)' };
+  }
+
+  if (!name || name.length > 100) {
+    return { item: null, error: `Item ${sku}: name is required (max 100 characters)` };
+  }
+
+  if (!Number.isInteger(quantity) || quantity < 1 || quantity > maxQuantity) {
+    return { item: null, error: `Item ${sku}: quantity must be a whole number from 1 to ${maxQuantity}` };
+  }
+
+  if (!Number.isFinite(unitPrice) || unitPrice < 0) {
+    return { item: null, error: `Item ${sku}: unit price must be a non-negative number` };
+  }
+
+  return {
+    item: { sku, name, category, quantity, unitPrice: roundMoney(unitPrice) },
+    error: null
+  };
+};
+
+/**
+ * Normalize Cart Items
+ * Validates a list of items and merges duplicate SKU/price lines
+ * 
+ * @param {Array} items - Raw items from the request body
+ * @returns {{ items: Array|null, error: string|null }}
+ */
+export const normalizeCartItems = (items) => {
+  const maxLines = parseInt(process.env.CART_MAX_LINES) || 200;
+
+  if (!Array.isArray(items)) {
+    return { items: null, error: 'Items must be an array' };
+  }
+
+  const lines = [];
+
+  for (const raw of items) {
+    const { item, error } = normalizeCartItem(raw);
+    if (error) return { items: null, error };
+
+    const existing = lines.find(line => line.sku === item.sku && line.unitPrice === item.unitPrice);
+
+    if (existing) {
+      existing.quantity += item.quantity;
+    } else {
+      lines.push(item);
+    }
+  }
+
+  if (lines.length > maxLines) {
+    return { items: null, error: `A cart can have at most ${maxLines} lines` };
+  }
+
+  return { items: lines, error: null };
+};
@@ -0,0 +1,104 @@
+import Coupon from '../models/Coupon.js';
+import CouponRedemption from '../models/CouponRedemption.js';
+import { roundMoney } from './cartItems.js';
+
+/**
+ * Coupon Utility
+ * Eligibility checks and discount calculation for coupons at the till
+ * 
+ * Design Decisions:
+ * 1. Discount is computed on the subtotal (amount due before discount)
+ *    and never exceeds it
+ * 2. A percentage discount follows the cart: item edits recompute it, and
+ *    a coupon whose minimum cart value is no longer met is removed
+ */
+
+/**
+ * Calculate Discount
+ * 
+ * @param {Object} coupon - Coupon ({ type, value, maxDiscount })
+ * @param {number} subtotal - Amount due before discount
+ * @returns {number} Discount amount
+ */
+export const calculateDiscount = (coupon, subtotal) => {
+  const raw = coupon.type === 'PERCENTAGE'
+    ? subtotal * coupon.value / 100
+    : coupon.value;
+
+  const capped = coupon.type === 'PERCENTAGE' && coupon.maxDiscount !== null && coupon.maxDiscount !== undefined
+    ? Math.min(raw, coupon.maxDiscount)
+    : raw;
+
+  return roundMoney(Math.min(capped, subtotal));
+};
+
+/**
+ * Check Coupon Eligibility
+ * 
+ * @param {Object} coupon - Coupon document
+ * @param {Object} context
+ * @param {number} context.subtotal - Amount due before discount
+ * @param {string} context.phone - Customer phone (per-phone limit)
+ * @param {Date} context.at - Time of use (defaults to now)
+ * @returns {Promise<{ eligible: boolean, reason: string|null, discount: number }>}
+ */
+export const checkCouponEligibility = async (coupon, { subtotal, phone, at = new Date() }) => {
+  const reject = (reason) => ({ eligible: false, reason, discount: 0 });
+
+  if (!coupon.active) return reject('Coupon is not active');
+  if (coupon.validFrom && at < coupon.validFrom) return reject('Coupon is not valid yet');
+  if (coupon.validUntil && at > coupon.validUntil) return reject('Coupon has expired');
+
+  if (subtotal < (coupon.minCartValue || 0)) {
+    return reject(`Cart must be at least ${coupon.minCartValue} to use this coupon`);
+  }
+
+  if (coupon.usageLimit !== null && coupon.redemptionCount >= coupon.usageLimit) {
+    return reject('Coupon usage limit reached');
+  }
+
+  if (coupon.perPhoneLimit !== null) {
+    const used = await CouponRedemption.countDocuments({ couponId: coupon._id, phone });
+    if (used >= coupon.perPhoneLimit) {
+      return reject(`Coupon already used ${used} time(s) with this phone number`);
+    }
+  }
+
+  const discount = calculateDiscount(coupon, subtotal);
+  if (discount <= 0) return reject('Coupon gives no discount on this cart');
+
+  return { eligible: true, reason: null, discount };
+};
+
+/**
+ * Get Subtotal
+ * Amount due before discount (set by the Customer pre-validate hook;
+ * records saved before discounts existed only have cartTotal)
+ */
+export const getSubtotal = (customer) => customer.subtotal ?? customer.cartTotal;
+
+/**
+ * Refresh Coupon Discount
+ * Re-evaluates an applied coupon after the cart changed (caller saves)
+ * 
+ * @param {Object} customer - Customer with items already updated
+ * @param {number} subtotal - New subtotal
+ * @returns {Promise<string|null>} Reason if the coupon was removed
+ */
+export const refreshCouponDiscount = async (customer, subtotal) => {
+  if (!customer.coupon || !customer.coupon.couponId) return null;
+
+  const coupon = await Coupon.findById(customer.coupon.couponId);
+  const check = coupon
+    ? await checkCouponEligibility(coupon, { subtotal, phone: customer.phone })
+    : { eligible: false, reason: 'Coupon no longer exists' };
+
+  if (!check.eligible) {
+    customer.coupon = null;
+    customer.discount = 0;
+    return check.reason;
+  }
+
+  customer.discount = check.discount;
+  return null;
+};
@@ -1,18 +1,21 @@
-import Customer from '../models/Customer.js';
+import Customer, { CUSTOMER_ID_PATTERN } from '../models/Customer.js';
+import Counter from '../models/Counter.js';
 
 /**
  * Customer ID Generator Utility
- * Generates unique customer IDs following the format: SM-XXXX
+ * Generates unique customer IDs following the format: PREFIX-XXXX
  * 
  * Design Decisions:
  * 1. Auto-incrementing numeric IDs for simplicity
- * 2. Prefix 'SM' for Shopping Mart branding
+ * 2. Per-store prefix (default 'SM' for Shopping Mart branding)
  * 3. Starts from 1001 for professional appearance
  * 4. Zero-padded for consistent format (SM-1001, not SM-1)
+ * 5. One counter per store, so stores number independently
  * 
  * Interview Talking Points:
  * - Scalability: Can handle millions of customers (SM-9999999)
- * - Uniqueness: Database unique constraint + atomic counter
+ * - Uniqueness: Database unique constraint + atomic counter (Counter collection)
+ *   + unique store prefixes across tenants
  * - Alternative: UUID for distributed systems
  * - Alternative: Date-based IDs (SM-20260124-0001)
  * 
@@ -20,39 +23,55 @@ import Customer from '../models/Customer.js';
  * Space Complexity: O(1)
  */
 
-const PREFIX = process.env.CUSTOMER_ID_PREFIX || 'SM';
+const DEFAULT_PREFIX = 'SM';
 const START_NUMBER = parseInt(process.env.CUSTOMER_ID_START) || 1001;
 
+export const CUSTOMER_ID_COUNTER_PREFIX = 'customerId';
+
+/**
+ * Customer ID counter name for a store
+ * 
+ * @param {string} storeId - Store ID
+ * @returns {string} Counter name (e.g. "customerId:BLR01")
+ */
+export const getCustomerIdCounterName = (storeId) => `${CUSTOMER_ID_COUNTER_PREFIX}:${storeId}`;
+
+/**
+ * Get last customer number in use for a store
+ * Seeds the counter on first use so existing IDs are never reissued
+ * 
+ * @param {string} storeId - Store ID
+ * @returns {Promise<number>} Last issued numeric part (START_NUMBER - 1 if none)
+ */
+export const getLastCustomerNumber = async (storeId) => {
+  const lastCustomer = await Customer.findOne({ storeId })
+    .sort({ createdAt: -1 })
+    .select('customerId')
+    .lean();
+
+  const lastNumber = lastCustomer ? extractCustomerNumber(lastCustomer.customerId) : null;
+
+  return lastNumber !== null && lastNumber >= START_NUMBER ? lastNumber : START_NUMBER - 1;
+};
+
 /**
  * Generate next customer ID
- * Finds the last customer ID and increments
+ * Atomically increments the store's customerId counter
  * 
+ * @param {Object} store - Store ({ storeId, customerIdPrefix })
  * @returns {Promise<string>} Next customer ID (e.g., "SM-1001")
  */
-export const generateCustomerId = async () => {
+export const generateCustomerId = async (store) => {
   try {
-    // Find the last customer by extracting numeric part from customerId
-    // Uses regex to extract number from "SM-1234" format
-    const lastCustomer = await Customer.findOne()
-      .sort({ createdAt: -1 })
-      .select('customerId')
-      .lean();
-
-    let nextNumber = START_NUMBER;
-
-    if (lastCustomer && lastCustomer.customerId) {
-      // Extract numeric part: "SM-1234" -> "1234"
-      const match = lastCustomer.customerId.match(/^SM-(\d+)$/);
-      if (match) {
-        const currentNumber = parseInt(match[1]);
-        nextNumber = currentNumber + 1;
-      }
-    }
+    const nextNumber = await Counter.getNextSequence(
+      getCustomerIdCounterName(store.storeId),
+      () => getLastCustomerNumber(store.storeId)
+    );
 
     // Format with zero-padding to maintain consistent length
     // SM-0001, SM-0012, SM-0123, SM-1234
     const paddedNumber = nextNumber.toString().padStart(4, '0');
-    const customerId = `${PREFIX}-${paddedNumber}`;
+    const customerId = `${store.customerIdPrefix || DEFAULT_PREFIX}-${paddedNumber}`;
 
     return customerId;
 
@@ -70,8 +89,7 @@ export const generateCustomerId = async () => {
  * @returns {boolean} Whether ID is valid
  */
 export const isValidCustomerId = (customerId) => {
-  const pattern = new RegExp(`^${PREFIX}-\\d{4,}$`);
-  return pattern.test(customerId);
+  return CUSTOMER_ID_PATTERN.test(customerId);
 };
 
 /**
@@ -82,7 +100,7 @@ export const isValidCustomerId = (customerId) => {
  * @returns {number} Numeric part (e.g., 1234)
  */
 export const extractCustomerNumber = (customerId) => {
-  const match = customerId.match(/^SM-(\d+)$/);
+  const match = customerId.match(/^[A-Z][A-Z0-9]{1,5}-(\d+)$/);
   return match ? parseInt(match[1]) : null;
 };
 
@@ -92,14 +110,15 @@ export const extractCustomerNumber = (customerId) => {
  * 
  * @param {number} count - Number of IDs to generate
  * @param {number} startFrom - Starting number (optional)
+ * @param {string} prefix - Store prefix (optional)
  * @returns {string[]} Array of customer IDs
  */
-export const generateBatchCustomerIds = (count, startFrom = START_NUMBER) => {
+export const generateBatchCustomerIds = (count, startFrom = START_NUMBER, prefix = DEFAULT_PREFIX) => {
   const ids = [];
   for (let i = 0; i < count; i++) {
     const number = startFrom + i;
     const paddedNumber = number.toString().padStart(4, '0');
-    ids.push(`${PREFIX}-${paddedNumber}`);
+    ids.push(`${prefix}-${paddedNumber}`);
   }
   return ids;
 };
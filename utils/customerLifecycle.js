@@ -0,0 +1,458 @@
+import Customer from '../models/Customer.js';
+import Queue from '../models/Queue.js';
+import BillingCounter from '../models/BillingCounter.js';
+import Payment from '../models/Payment.js';
+import { publishQueueEvent, QUEUE_EVENTS } from './queueEvents.js';
+import { recordAudit, snapshotCustomer } from './auditLog.js';
+import { checkQRExpiry, getQRExpiryWindows } from './qrCodeGenerator.js';
+
+/**
+ * Customer Lifecycle
+ * The one place customer status changes: allowed transitions, their
+ * guards and their side effects
+ *
+ *   WAITING --CALL--> CALLED --SKIP--> SKIPPED --RECALL--> WAITING
+ *   CALLED --RELEASE--> WAITING (counter closed)
+ *   WAITING | CALLED --BILL--> BILLED --VERIFY--> VERIFIED
+ *   BILLED --UNDO_BILLING--> WAITING
+ *   VERIFIED --REVERSE_VERIFICATION--> BILLED (supervisor override)
+ *   WAITING | CALLED | SKIPPED --CANCEL--> CANCELLED
+ *
+ * Design Decisions:
+ * 1. Each transition names its source states, target state, guard and
+ *    effects; controllers ask for a transition by name, never set status
+ * 2. The status write is a conditional update on the status that was
+ *    checked, so two requests racing on one customer cannot both win
+ * 3. Effects (queue entry, counter, audit, event) run only after the
+ *    write succeeded
+ * 4. Refusals are data, not exceptions: { statusCode, code, message,
+ *    currentStatus, attemptedStatus, ... } sent as-is by sendTransitionError
+ *
+ * Interview Points:
+ * - A state machine in a table is easy to review and to extend
+ * - The bulk gate endpoint gets exactly the checks of the single one
+ */
+
+/**
+ * Transition table
+ *
+ * - from / to: allowed source statuses and the target status
+ * - verb: used in refusal messages ("Cannot bill a customer who is ...")
+ * - hints: friendlier refusal message per current status
+ * - idempotent: repeating the transition on the target status is not an error
+ * - update(customer, context): fields written with the status
+ * - where(customer): extra conditions for the conditional write
+ * - guard(customer, context): async, returns a refusal or null
+ * - queue: COMPLETE (with queueOutcome) or REACTIVATE the Queue entry
+ * - freesCounter: the till that called the customer can call the next one
+ * - audit / event: audit action and queue event (null for none)
+ * - auditDetails(customer, context) / eventData(customer, before): extra fields
+ */
+export const LIFECYCLE_TRANSITIONS = {
+  CALL: {
+    from: ['WAITING'],
+    to: 'CALLED',
+    verb: 'call',
+    update: (customer, { counterNumber }) => ({ $set: { counterNumber, assignedAt: new Date() } }),
+    audit: 'CUSTOMER_CALLED',
+    event: QUEUE_EVENTS.CUSTOMER_CALLED,
+    eventData: (customer) => ({ counterNumber: customer.counterNumber })
+  },
+
+  RELEASE: {
+    from: ['CALLED'],
+    to: 'WAITING',
+    verb: 'release',
+    update: () => ({ $set: { counterNumber: null, assignedAt: null } }),
+    audit: null,
+    event: null
+  },
+
+  SKIP: {
+    from: ['CALLED'],
+    to: 'SKIPPED',
+    verb: 'skip',
+    update: () => ({ $set: { skippedAt: new Date() } }),
+    where: (customer) => ({ assignedAt: customer.assignedAt }),
+    queue: 'COMPLETE',
+    queueOutcome: 'SKIPPED',
+    freesCounter: true,
+    audit: 'CUSTOMER_SKIPPED',
+    event: QUEUE_EVENTS.CUSTOMER_SKIPPED,
+    eventData: (customer) => ({ counterNumber: customer.counterNumber })
+  },
+
+  RECALL: {
+    from: ['SKIPPED'],
+    to: 'WAITING',
+    verb: 'recall',
+    update: (customer, { serviceOrder }) => ({
+      $set: { counterNumber: null, assignedAt: null, serviceOrder },
+      $inc: { recallCount: 1 }
+    }),
+    where: (customer) => ({ recallCount: customer.recallCount }),
+    guard: async (customer, { maxRecalls }) => customer.recallCount >= maxRecalls
+      ? {
+        statusCode: 409,
+        code: 'RECALL_LIMIT',
+        message: `Customer has already been recalled ${customer.recallCount} times (maximum ${maxRecalls})`,
+        recallCount: customer.recallCount,
+        maxRecalls
+      }
+      : null,
+    queue: 'REACTIVATE',
+    audit: 'CUSTOMER_RECALLED',
+    event: QUEUE_EVENTS.CUSTOMER_RECALLED,
+    eventData: (customer) => ({ queueNumber: customer.queueNumber })
+  },
+
+  BILL: {
+    from: ['WAITING', 'CALLED'],
+    to: 'BILLED',
+    verb: 'bill',
+    idempotent: true,
+    hints: {
+      VERIFIED: 'Customer has already been verified and exited',
+      CANCELLED: 'Customer has left the queue',
+      SKIPPED: 'Customer was skipped as a no-show - recall them first'
+    },
+    update: (customer, { counterNumber = null }) => ({
+      $set: {
+        billedAt: new Date(),
+        ...(counterNumber !== null ? { counterNumber } : {})
+      }
+    }),
+    freesCounter: true,
+    audit: 'CUSTOMER_BILLED',
+    event: QUEUE_EVENTS.CUSTOMER_BILLED,
+    eventData: (customer) => ({ counterNumber: customer.counterNumber })
+  },
+
+  UNDO_BILLING: {
+    from: ['BILLED'],
+    to: 'WAITING',
+    verb: 'undo billing for',
+    update: () => ({ $set: { billedAt: null, counterNumber: null, assignedAt: null } }),
+    audit: 'BILLING_UNDONE',
+    event: QUEUE_EVENTS.BILLING_UNDONE
+  },
+
+  VERIFY: {
+    from: ['BILLED'],
+    to: 'VERIFIED',
+    verb: 'verify',
+    hints: {
+      VERIFIED: 'QR code already used',
+      WAITING: 'Customer has not been billed yet',
+      CALLED: 'Customer has not been billed yet',
+      SKIPPED: 'Customer has not been billed yet'
+    },
+    update: () => ({ $set: { verifiedAt: new Date() } }),
+    // context: { queueNumber, issuedAt } from the scanned QR payload
+    guard: async (customer, { queueNumber, issuedAt } = {}) => {
+      if (queueNumber !== undefined && customer.queueNumber !== queueNumber) {
+        return {
+          statusCode: 400,
+          code: 'DATA_MISMATCH',
+          message: 'QR code data mismatch'
+        };
+      }
+
+      const expiry = checkQRExpiry({
+        issuedAt,
+        billedAt: customer.billedAt,
+        validUntil: customer.qrValidUntil
+      });
+
+      if (expiry.expired) {
+        return {
+          statusCode: 400,
+          code: 'QR_EXPIRED',
+          message: expiry.stage === 'BILLING'
+            ? 'QR code expired before billing was completed'
+            : 'QR code expired after billing',
+          data: {
+            customerId: customer.customerId,
+            stage: expiry.stage,
+            expiredAt: expiry.expiredAt
+          }
+        };
+      }
+
+      return null;
+    },
+    queue: 'COMPLETE',
+    queueOutcome: 'SERVED',
+    audit: 'CUSTOMER_VERIFIED',
+    event: QUEUE_EVENTS.CUSTOMER_VERIFIED
+  },
+
+  // Wrong QR scanned at the gate: back to BILLED so the real scan can pass.
+  // A fresh exit window starts now, the original one may have run out
+  REVERSE_VERIFICATION: {
+    from: ['VERIFIED'],
+    to: 'BILLED',
+    verb: 'reverse the verification of',
+    update: () => {
+      const { exitWindowMinutes } = getQRExpiryWindows();
+
+      return {
+        $set: {
+          verifiedAt: null,
+          ...(exitWindowMinutes > 0 && {
+            qrValidUntil: new Date(Date.now() + exitWindowMinutes * 60 * 1000)
+          })
+        }
+      };
+    },
+    queue: 'REACTIVATE',
+    audit: 'VERIFICATION_REVERSED',
+    auditDetails: (customer, { reasonCode, note = null }) => ({ reasonCode, note }),
+    event: QUEUE_EVENTS.VERIFICATION_REVERSED
+  },
+
+  CANCEL: {
+    from: ['WAITING', 'CALLED', 'SKIPPED'],
+    to: 'CANCELLED',
+    verb: 'cancel',
+    update: (customer, { cancelledBy, reason = null }) => ({
+      $set: { cancelledAt: new Date(), cancelledBy, cancelReason: reason }
+    }),
+    // Money already taken has to be settled at a till first
+    guard: async (customer) => {
+      const amountPaid = await Payment.getAmountPaid(customer.storeId, customer.customerId);
+
+      return amountPaid > 0
+        ? {
+          statusCode: 409,
+          code: 'PAYMENTS_RECORDED',
+          message: `Customer has ${amountPaid} in recorded payments - please see a cashier`,
+          amountPaid
+        }
+        : null;
+    },
+    queue: 'COMPLETE',
+    queueOutcome: 'CANCELLED',
+    freesCounter: true,
+    audit: 'CUSTOMER_CANCELLED',
+    auditDetails: (customer) => ({ cancelledBy: customer.cancelledBy, cancelReason: customer.cancelReason }),
+    event: QUEUE_EVENTS.CUSTOMER_CANCELLED,
+    eventData: (customer, before) => ({ queueNumber: customer.queueNumber, counterNumber: before.counterNumber })
+  }
+};
+
+/**
+ * Can a customer in this status take this transition?
+ *
+ * @param {string} status - Current status
+ * @param {string} action - Key of LIFECYCLE_TRANSITIONS
+ * @returns {boolean}
+ */
+export const canTransition = (status, action) => {
+  const definition = LIFECYCLE_TRANSITIONS[action];
+  return Boolean(definition) && definition.from.includes(status);
+};
+
+/**
+ * Illegal Transition Error
+ * Refusal for a transition not allowed from the current status
+ *
+ * @param {string} currentStatus - Customer's status
+ * @param {string} action - Key of LIFECYCLE_TRANSITIONS
+ * @returns {Object} Refusal
+ */
+export const illegalTransitionError = (currentStatus, action) => {
+  const definition = LIFECYCLE_TRANSITIONS[action];
+
+  return {
+    statusCode: 409,
+    code: 'ILLEGAL_TRANSITION',
+    message: definition.hints?.[currentStatus]
+      || `Cannot ${definition.verb} a customer who is ${currentStatus}`,
+    currentStatus,
+    attemptedStatus: definition.to,
+    transition: action,
+    allowedFrom: definition.from
+  };
+};
+
+/**
+ * Check Transition
+ * Status and guard, without writing anything (for callers with work to
+ * do between deciding and transitioning, e.g. billing or fraud rules)
+ *
+ * @param {Object} customer - Customer document
+ * @param {string} action - Key of LIFECYCLE_TRANSITIONS
+ * @param {Object} context - Transition input (see the table)
+ * @returns {Promise<Object|null>} Refusal, or null when allowed
+ */
+export const checkTransition = async (customer, action, context = {}) => {
+  const definition = LIFECYCLE_TRANSITIONS[action];
+
+  if (!definition) throw new Error(`Unknown lifecycle transition: ${action}`);
+
+  if (definition.idempotent && customer.status === definition.to) return null;
+
+  if (!canTransition(customer.status, action)) {
+    return illegalTransitionError(customer.status, action);
+  }
+
+  const refusal = definition.guard ? await definition.guard(customer, context) : null;
+
+  return refusal
+    ? { ...refusal, currentStatus: customer.status, attemptedStatus: definition.to, transition: action }
+    : null;
+};
+
+/**
+ * Helper: Queue entry, counter, audit and event after a transition
+ */
+const runEffects = async (before, customer, action, context) => {
+  const definition = LIFECYCLE_TRANSITIONS[action];
+
+  if (definition.queue === 'COMPLETE') {
+    const queueEntry = await Queue.findOne({ customerId: customer.customerId, status: 'ACTIVE' });
+    if (queueEntry) await queueEntry.complete(definition.queueOutcome);
+  }
+
+  if (definition.queue === 'REACTIVATE') {
+    const queueEntry = await Queue.findOne({ customerId: customer.customerId });
+    if (queueEntry) await queueEntry.reactivate(customer.serviceOrder);
+  }
+
+  if (definition.freesCounter) {
+    await BillingCounter.updateMany(
+      { storeId: customer.storeId, currentCustomerId: customer.customerId },
+      { $set: { currentCustomerId: null } }
+    );
+  }
+
+  if (definition.audit) {
+    await recordAudit(context.req || null, {
+      action: definition.audit,
+      entityType: 'Customer',
+      entityId: customer.customerId,
+      storeId: customer.storeId,
+      before: before ? snapshotCustomer(before) : null,
+      after: {
+        ...snapshotCustomer(customer),
+        ...(definition.auditDetails ? definition.auditDetails(customer, context) : {})
+      }
+    });
+  }
+
+  if (definition.event) {
+    publishQueueEvent(definition.event, {
+      storeId: customer.storeId,
+      customerId: customer.customerId,
+      ...(definition.eventData ? definition.eventData(customer, before) : {})
+    });
+  }
+};
+
+/**
+ * Transition Customer
+ * Checks, writes the new status conditionally and runs the side effects
+ *
+ * Unsaved edits on the document (final cart, tax breakdown) are saved first
+ * so model hooks still run; the status write itself only succeeds if the
+ * customer is still in the status that was checked.
+ *
+ * @param {Object} customer - Customer document
+ * @param {string} action - Key of LIFECYCLE_TRANSITIONS
+ * @param {Object} context - { req, ...transition input }
+ * @returns {Promise<{ customer: Object|null, error: Object|null, changed: boolean }>}
+ *   customer is the updated document
+ */
+export const transitionCustomer = async (customer, action, context = {}) => {
+  const definition = LIFECYCLE_TRANSITIONS[action];
+  const error = await checkTransition(customer, action, context);
+
+  if (error) return { customer: null, error, changed: false };
+
+  if (customer.status === definition.to) return { customer, error: null, changed: false };
+
+  if (customer.isModified()) await customer.save();
+
+  const { $set = {}, ...operators } = definition.update(customer, context);
+
+  const updated = await Customer.findOneAndUpdate(
+    {
+      _id: customer._id,
+      status: customer.status,
+      ...(definition.where ? definition.where(customer) : {})
+    },
+    { ...operators, $set: { ...$set, status: definition.to } },
+    { new: true, runValidators: true }
+  );
+
+  if (!updated) {
+    const current = await Customer.findById(customer._id).select('status').lean();
+
+    return {
+      customer: null,
+      error: current && current.status !== customer.status
+        ? illegalTransitionError(current.status, action)
+        : {
+          statusCode: 409,
+          code: 'CONCURRENT_UPDATE',
+          message: 'Customer was changed by another request, please retry',
+          currentStatus: current ? current.status : null,
+          attemptedStatus: definition.to,
+          transition: action
+        },
+      changed: false
+    };
+  }
+
+  await runEffects(customer, updated, action, context);
+
+  return { customer: updated, error: null, changed: true };
+};
+
+/**
+ * Transition Next Customer
+ * Atomically claims the first customer matching a filter (in sort order)
+ * and transitions them - the call-next case, where who is transitioned
+ * is decided by the write itself
+ *
+ * @param {Object} filter - Extra conditions (storeId, counterNumber, ...)
+ * @param {string} action - Key of LIFECYCLE_TRANSITIONS (no guard is run)
+ * @param {Object} context - { req, ...transition input }
+ * @param {Object} sort - Claim order
+ * @returns {Promise<Object|null>} Updated customer, or null if none matched
+ */
+export const transitionNextCustomer = async (filter, action, context = {}, sort = { serviceOrder: 1, queueNumber: 1 }) => {
+  const definition = LIFECYCLE_TRANSITIONS[action];
+  const { $set = {}, ...operators } = definition.update(null, context);
+
+  const before = await Customer.findOneAndUpdate(
+    { ...filter, status: { $in: definition.from } },
+    { ...operators, $set: { ...$set, status: definition.to } },
+    { sort, new: false }
+  );
+
+  if (!before) return null;
+
+  // Working copy for the caller: the QR image is not needed here
+  const customer = await Customer.findById(before._id).select('-qrCode');
+  await runEffects(before, customer, action, context);
+
+  return customer;
+};
+
+/**
+ * Send Transition Error
+ * Uniform response for refused transitions
+ *
+ * @param {Object} res - Express response
+ * @param {Object} error - Refusal from checkTransition / transitionCustomer
+ */
+export const sendTransitionError = (res, error) => {
+  const { statusCode, ...body } = error;
+
+  return res.status(statusCode).json({
+    success: false,
+    ...body
+  });
+};
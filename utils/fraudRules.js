@@ -0,0 +1,220 @@
+import Customer from '../models/Customer.js';
+import ScanAttempt, { UNVERIFIED_FAILURE_REASONS } from '../models/ScanAttempt.js';
+
+/**
+ * Fraud Rule Engine
+ * Rules evaluated at the exit gate once a QR code has passed the
+ * single-scan checks (signature, store, status, expiry)
+ *
+ * Design Decisions:
+ * 1. Each rule returns a match (with details) or null; the action taken
+ *    on a match is configuration, not code
+ * 2. Actions: ALLOW (record only), FLAG (let through, guard checks),
+ *    BLOCK (reject the scan). The strictest matched action wins
+ * 3. OFF disables a rule entirely
+ * 4. REPEATED_FAILED_SCANS only counts failures of verified codes, and not
+ *    its own blocks: forged scans cannot lock out a genuine customer, and
+ *    a block does not keep re-triggering itself
+ *
+ * Interview Talking Points:
+ * - Rules read history (ScanAttempt, Customer), so one scan can be judged
+ *   against the pattern it belongs to
+ * - New rules are one entry in FRAUD_RULES; the controller never changes
+ *
+ * Configuration (environment):
+ * - FRAUD_RULE_ACTIONS="REPEATED_FAILED_SCANS:BLOCK,FAST_EXIT:FLAG,MULTIPLE_BILLED_TICKETS:FLAG"
+ * - FRAUD_FAILED_SCAN_LIMIT=3
+ * - FRAUD_FAILED_SCAN_WINDOW_MINUTES=10
+ * - FRAUD_GATE_MIN_SECONDS="GATE-2:90,3@GATE-2:150"
+ *     (minimum walk time from billing to a gate; "counter@gate" overrides)
+ * - FRAUD_MAX_BILLED_PER_PHONE=1
+ */
+
+export const FRAUD_ACTIONS = ['ALLOW', 'FLAG', 'BLOCK'];
+
+const ACTION_SEVERITY = { ALLOW: 0, FLAG: 1, BLOCK: 2 };
+
+/**
+ * Parse "key:value,key:value" into a Map of numbers
+ */
+const parseNumberMap = (value) => {
+  const entries = new Map();
+
+  (value || '').split(',').forEach(entry => {
+    const separator = entry.lastIndexOf(':');
+    if (separator === -1) return;
+
+    const key = entry.slice(0, separator).trim();
+    const number = parseFloat(entry.slice(separator + 1));
+
+    if (key && Number.isFinite(number) && number >= 0) {
+      entries.set(key, number);
+    }
+  });
+
+  return entries;
+};
+
+/**
+ * Get Fraud Settings
+ * Thresholds used by the rules (read lazily so .env overrides apply)
+ *
+ * @returns {Object} Settings
+ */
+export const getFraudSettings = () => ({
+  failedScanLimit: parseInt(process.env.FRAUD_FAILED_SCAN_LIMIT) || 3,
+  failedScanWindowMinutes: parseFloat(process.env.FRAUD_FAILED_SCAN_WINDOW_MINUTES) || 10,
+  gateMinSeconds: parseNumberMap(process.env.FRAUD_GATE_MIN_SECONDS),
+  maxBilledPerPhone: parseInt(process.env.FRAUD_MAX_BILLED_PER_PHONE) || 1
+});
+
+/**
+ * Failure reasons REPEATED_FAILED_SCANS ignores
+ */
+export const UNCOUNTED_FAILURE_REASONS = [...UNVERIFIED_FAILURE_REASONS, 'FRAUD_BLOCKED'];
+
+/**
+ * Build Failed Scan Query
+ * Counted failures of one customer's verified QR since a point in time
+ *
+ * @param {Object} params
+ * @param {string} params.storeId - Store ID
+ * @param {string} params.customerId - Customer ID
+ * @param {Date} params.since - Window start
+ * @returns {Object} ScanAttempt filter
+ */
+export const buildFailedScanQuery = ({ storeId, customerId, since }) => ({
+  storeId,
+  customerId,
+  result: 'FAILED',
+  reason: { $nin: UNCOUNTED_FAILURE_REASONS },
+  scannedAt: { $gte: since }
+});
+
+/**
+ * Rule Definitions
+ *
+ * Each evaluate() receives { customer, storeId, gateId, scannedAt, settings }
+ * and resolves to null (no match) or { message, details }.
+ */
+export const FRAUD_RULES = [
+  {
+    id: 'REPEATED_FAILED_SCANS',
+    description: 'Several failed scans of the same customer ID in a short window',
+    defaultAction: 'BLOCK',
+    evaluate: async ({ customer, storeId, scannedAt, settings }) => {
+      const { failedScanLimit, failedScanWindowMinutes } = settings;
+      const since = new Date(scannedAt.getTime() - failedScanWindowMinutes * 60 * 1000);
+
+      const failures = await ScanAttempt.countDocuments(
+        buildFailedScanQuery({ storeId, customerId: customer.customerId, since })
+      );
+
+      if (failures < failedScanLimit) return null;
+
+      return {
+        message: `${failures} failed scans in the last ${failedScanWindowMinutes} minutes`,
+        details: { failures, limit: failedScanLimit, windowMinutes: failedScanWindowMinutes }
+      };
+    }
+  },
+  {
+    id: 'FAST_EXIT',
+    description: 'Scan arrived sooner after billing than the walk to this gate takes',
+    defaultAction: 'FLAG',
+    evaluate: async ({ customer, gateId, scannedAt, settings }) => {
+      if (!gateId || !customer.billedAt) return null;
+
+      const minSeconds = settings.gateMinSeconds.get(`${customer.counterNumber}@${gateId}`)
+        ?? settings.gateMinSeconds.get(gateId);
+
+      if (minSeconds === undefined) return null;
+
+      const elapsedSeconds = Math.round((scannedAt - customer.billedAt) / 1000);
+      if (elapsedSeconds >= minSeconds) return null;
+
+      return {
+        message: `Scanned at ${gateId} ${elapsedSeconds}s after billing (minimum ${minSeconds}s)`,
+        details: { gateId, counterNumber: customer.counterNumber, elapsedSeconds, minSeconds }
+      };
+    }
+  },
+  {
+    id: 'MULTIPLE_BILLED_TICKETS',
+    description: 'Same phone number holds several billed, unverified tickets',
+    defaultAction: 'FLAG',
+    evaluate: async ({ customer, storeId, settings }) => {
+      const tickets = await Customer.find({
+        storeId,
+        phone: customer.phone,
+        status: 'BILLED'
+      })
+        .select('customerId')
+        .lean();
+
+      if (tickets.length <= settings.maxBilledPerPhone) return null;
+
+      return {
+        message: `Phone holds ${tickets.length} billed tickets`,
+        details: {
+          tickets: tickets.map(ticket => ticket.customerId),
+          limit: settings.maxBilledPerPhone
+        }
+      };
+    }
+  }
+];
+
+/**
+ * Get Rule Actions
+ * Merges FRAUD_RULE_ACTIONS overrides onto each rule's default action
+ *
+ * @returns {Object} ruleId -> ALLOW | FLAG | BLOCK | OFF
+ */
+export const getRuleActions = () => {
+  const actions = Object.fromEntries(FRAUD_RULES.map(rule => [rule.id, rule.defaultAction]));
+
+  (process.env.FRAUD_RULE_ACTIONS || '').split(',').forEach(entry => {
+    const [ruleId, value] = entry.split(':').map(part => part && part.trim().toUpperCase());
+
+    if (ruleId in actions && (FRAUD_ACTIONS.includes(value) || value === 'OFF')) {
+      actions[ruleId] = value;
+    }
+  });
+
+  return actions;
+};
+
+/**
+ * Evaluate Fraud Rules
+ *
+ * @param {Object} context
+ * @param {Object} context.customer - Customer being verified
+ * @param {string} context.storeId - Gate's store
+ * @param {string|null} context.gateId - Gate the scan came from
+ * @param {Date} context.scannedAt - Scan time (defaults to now)
+ * @returns {Promise<{ decision: string, matches: Array }>}
+ */
+export const evaluateFraudRules = async ({ customer, storeId, gateId = null, scannedAt = new Date() }) => {
+  const actions = getRuleActions();
+  const settings = getFraudSettings();
+  const matches = [];
+
+  for (const rule of FRAUD_RULES) {
+    const action = actions[rule.id];
+    if (action === 'OFF') continue;
+
+    const match = await rule.evaluate({ customer, storeId, gateId, scannedAt, settings });
+
+    if (match) {
+      matches.push({ rule: rule.id, action, ...match });
+    }
+  }
+
+  const decision = matches.reduce(
+    (strictest, match) => ACTION_SEVERITY[match.action] > ACTION_SEVERITY[strictest] ? match.action : strictest,
+    'ALLOW'
+  );
+
+  return { decision, matches };
+};
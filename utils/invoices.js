@@ -0,0 +1,165 @@
+import Counter from '../models/Counter.js';
+import Customer from '../models/Customer.js';
+import { getBusinessDate } from './businessDay.js';
+import { computeTax, getFinancialYear } from './taxEngine.js';
+
+/**
+ * Tax Invoice Utility
+ * Assigns GST invoice numbers and fixes the tax breakdown at billing
+ * 
+ * Design Decisions:
+ * 1. Invoice numbers run per store per financial year (GST requires a
+ *    consecutive series per financial year): SM01/2627/000001
+ * 2. A customer keeps their invoice number if billing is undone and
+ *    completed again, so no number is issued twice or skipped
+ * 3. The number is taken only after the BILLED transition succeeded and
+ *    written with a conditional update; a number that still ends up
+ *    unused is released, so a failed or lost bill leaves no gap
+ * 4. Bare-total carts (no line items) are taxed as one INCLUSIVE line at
+ *    the default rate: the total is what the customer was told to pay
+ * 5. Coupon discounts reduce the taxable value (computeTax discount)
+ */
+
+export const INVOICE_COUNTER_PREFIX = 'invoice';
+
+/**
+ * Invoice counter name for a store's financial year
+ * 
+ * @param {string} storeId - Store ID
+ * @param {string} financialYear - e.g. "2627"
+ * @returns {string} Counter name (e.g. "invoice:SM01:2627")
+ */
+export const getInvoiceCounterName = (storeId, financialYear) =>
+  `${INVOICE_COUNTER_PREFIX}:${storeId}:${financialYear}`;
+
+/**
+ * Invoice number: store, financial year and zero-padded sequence
+ */
+export const formatInvoiceNumber = (storeId, financialYear, sequence) =>
+  `${storeId}/${financialYear}/${String(sequence).padStart(6, '0')}`;
+
+/**
+ * Get Store State Code
+ * Store setting, else the GSTIN's state prefix, else GST_STATE_CODE
+ * 
+ * @param {Object} store - Store
+ * @returns {string|null} Two-digit state code
+ */
+export const getStoreStateCode = (store) =>
+  store.stateCode || (store.gstin ? store.gstin.slice(0, 2) : null) || process.env.GST_STATE_CODE || null;
+
+/**
+ * Next Invoice Number
+ * Seeded from the series' highest existing number on first use
+ * 
+ * @param {string} storeId - Store ID
+ * @param {string} financialYear - e.g. "2627"
+ * @returns {Promise<{ invoiceNumber: string, sequence: number }>}
+ */
+export const getNextInvoiceNumber = async (storeId, financialYear) => {
+  const prefix = `${storeId}/${financialYear}/`;
+
+  const sequence = await Counter.getNextSequence(getInvoiceCounterName(storeId, financialYear), async () => {
+    // Zero-padded, so the lexical maximum is the numeric maximum
+    const last = await Customer.findOne({ invoiceNumber: { $regex: `^${prefix.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}` } })
+      .sort({ invoiceNumber: -1 })
+      .select('invoiceNumber')
+      .lean();
+
+    return last ? parseInt(last.invoiceNumber.slice(prefix.length)) : 0;
+  });
+
+  return { invoiceNumber: formatInvoiceNumber(storeId, financialYear, sequence), sequence };
+};
+
+/**
+ * Apply Tax Breakdown
+ * Sets customer.tax (caller saves it with the BILLED transition)
+ * 
+ * @param {Object} customer - Customer being billed
+ * @param {Object} store - Store ({ storeId, stateCode, gstin })
+ * @param {Object} options
+ * @param {string|null} options.placeOfSupply - Buyer's state code (defaults to the store's)
+ * @returns {Object} The customer
+ */
+export const applyTaxBreakdown = (customer, store, { placeOfSupply = null } = {}) => {
+  const storeState = getStoreStateCode(store);
+  const supplyState = placeOfSupply || storeState;
+  const interState = Boolean(storeState && supplyState && supplyState !== storeState);
+
+  const itemized = customer.items && customer.items.length > 0;
+  const discount = customer.discount || 0;
+  const { pricing, byRate, totals } = itemized
+    ? computeTax(customer.items, { interState, discount })
+    : computeTax([{ quantity: 1, unitPrice: customer.subtotal ?? customer.cartTotal }], { interState, pricing: 'INCLUSIVE', discount });
+
+  customer.tax = {
+    pricing,
+    interState,
+    placeOfSupply: supplyState,
+    taxableValue: totals.taxableValue,
+    cgst: totals.cgst,
+    sgst: totals.sgst,
+    igst: totals.igst,
+    totalTax: totals.totalTax,
+    byRate
+  };
+
+  return customer;
+};
+
+/**
+ * Assign Invoice Number
+ * Gives a BILLED customer the next number in the series (once: re-billing
+ * keeps the first number). Call only after the BILLED transition succeeded.
+ * 
+ * @param {Object} customer - Billed customer
+ * @param {Object} store - Store ({ storeId, timezone })
+ * @returns {Promise<Object>} The customer, with invoiceNumber set
+ */
+export const assignInvoiceNumber = async (customer, store) => {
+  if (customer.invoiceNumber) return customer;
+
+  const financialYear = getFinancialYear(getBusinessDate(new Date(), store.timezone));
+  const { invoiceNumber, sequence } = await getNextInvoiceNumber(store.storeId, financialYear);
+
+  const updated = await Customer.findOneAndUpdate(
+    { _id: customer._id, status: 'BILLED', invoiceNumber: null },
+    { $set: { invoiceNumber } },
+    { new: true }
+  ).select('invoiceNumber').lean();
+
+  if (!updated) {
+    // Undone or numbered concurrently: hand the number back
+    await Counter.release(getInvoiceCounterName(store.storeId, financialYear), sequence);
+
+    const current = await Customer.findById(customer._id).select('invoiceNumber').lean();
+    customer.set('invoiceNumber', current ? current.invoiceNumber : null);
+    return customer;
+  }
+
+  customer.set('invoiceNumber', updated.invoiceNumber);
+  return customer;
+};
+
+/**
+ * $group accumulators summing the GST breakdown of billed customers
+ * (customers billed before the tax engine contribute 0)
+ */
+export const TAX_SUM_FIELDS = {
+  taxableValue: { $sum: { $ifNull: ['$tax.taxableValue', 0] } },
+  cgst: { $sum: { $ifNull: ['$tax.cgst', 0] } },
+  sgst: { $sum: { $ifNull: ['$tax.sgst', 0] } },
+  igst: { $sum: { $ifNull: ['$tax.igst', 0] } },
+  totalTax: { $sum: { $ifNull: ['$tax.totalTax', 0] } }
+};
+
+/**
+ * Round the TAX_SUM_FIELDS of an aggregation row
+ * 
+ * @param {Object|null} row - Aggregation result
+ * @returns {Object} { taxableValue, cgst, sgst, igst, totalTax }
+ */
+export const formatTaxTotals = (row) => Object.fromEntries(
+  Object.keys(TAX_SUM_FIELDS).map(field => [field, Math.round(((row && row[field]) || 0) * 100) / 100])
+);
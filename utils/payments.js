@@ -0,0 +1,91 @@
+import { PAYMENT_METHODS } from '../models/Payment.js';
+import { roundMoney } from './cartItems.js';
+
+/**
+ * Payment Tender Utility
+ * Turns tenders from the till into payments against a balance due
+ * 
+ * Rules:
+ * - CASH: tendered is what the customer handed over; anything above the
+ *   balance is returned as change
+ * - CARD / UPI / WALLET: charged exactly, so amount may not exceed the balance
+ * - Tenders are applied in order; a split bill is several tenders
+ * - All tenders are validated before any is recorded (all or nothing)
+ */
+
+/**
+ * Plan Tenders
+ * 
+ * @param {Array} rawTenders - [{ method, amount?, tendered?, reference? }]
+ * @param {number} balanceDue - Amount still owed
+ * @returns {{ payments: Array|null, error: string|null }}
+ */
+export const planTenders = (rawTenders, balanceDue) => {
+  if (!Array.isArray(rawTenders) || rawTenders.length === 0) {
+    return { payments: null, error: 'At least one payment is required' };
+  }
+
+  let balance = roundMoney(balanceDue);
+  const payments = [];
+
+  for (const raw of rawTenders) {
+    const method = String(raw?.method || '').toUpperCase();
+
+    if (!PAYMENT_METHODS.includes(method)) {
+      return { payments: null, error: `Payment method must be one of: ${PAYMENT_METHODS.join(', ')}` };
+    }
+
+    if (balance <= 0) {
+      return { payments: null, error: 'Payments exceed the amount due' };
+    }
+
+    const reference = raw.reference ? String(raw.reference).slice(0, 100) : null;
+
+    if (method === 'CASH') {
+      const tendered = roundMoney(raw.tendered ?? raw.amount);
+
+      if (!Number.isFinite(tendered) || tendered <= 0) {
+        return { payments: null, error: 'Cash tendered must be a positive amount' };
+      }
+
+      const amount = Math.min(tendered, balance);
+      payments.push({ method, amount, tendered, change: roundMoney(tendered - amount), reference });
+      balance = roundMoney(balance - amount);
+      continue;
+    }
+
+    const amount = roundMoney(raw.amount ?? balance);
+
+    if (!Number.isFinite(amount) || amount <= 0) {
+      return { payments: null, error: `${method} amount must be positive` };
+    }
+
+    if (amount > balance) {
+      return { payments: null, error: `${method} amount ${amount} exceeds balance due ${balance}` };
+    }
+
+    payments.push({ method, amount, tendered: amount, change: 0, reference });
+    balance = roundMoney(balance - amount);
+  }
+
+  return { payments, error: null };
+};
+
+/**
+ * Summarize Payment State
+ * 
+ * @param {number} amountDue - cartTotal
+ * @param {number} amountPaid - Sum of payments
+ * @returns {Object} { amountDue, amountPaid, balanceDue, overpaid, paidInFull }
+ */
+export const summarizePayment = (amountDue, amountPaid) => {
+  const balanceDue = roundMoney(Math.max(amountDue - amountPaid, 0));
+
+  return {
+    amountDue: roundMoney(amountDue),
+    amountPaid: roundMoney(amountPaid),
+    balanceDue,
+    overpaid: roundMoney(Math.max(amountPaid - amountDue, 0)), // Cart shrank after paying
+    paidInFull: balanceDue === 0
+  };
+};
@@ -0,0 +1,193 @@
+/**
+ * Phone Numbers
+ * Customer phones are stored in E.164 ("+919876543210") so one shopper is
+ * one phone value, whichever way it was typed
+ *
+ * Input accepted:
+ * - International: "+44 7911 123456", "0044 7911 123456"
+ * - National, read in the store's region: "98765 43210", "07911 123456"
+ *
+ * Configuration (environment):
+ * - PHONE_DEFAULT_REGION: region for national numbers (default "IN");
+ *   a store's own phoneRegion takes precedence
+ *
+ * Interview Points:
+ * - Normalize once at the edge: search, de-duplication, per-phone coupon
+ *   limits and fraud rules all compare the stored string
+ * - Lengths are checked for regions we know; other calling codes only get
+ *   the generic E.164 shape check (up to 15 digits)
+ */
+
+/**
+ * Known regions: calling code, national number length range, trunk prefix
+ * dialled before national numbers (dropped when normalizing)
+ */
+export const PHONE_REGIONS = {
+  IN: { callingCode: '91', minLength: 10, maxLength: 10, trunkPrefix: '0' },
+  US: { callingCode: '1', minLength: 10, maxLength: 10, trunkPrefix: '1' },
+  CA: { callingCode: '1', minLength: 10, maxLength: 10, trunkPrefix: '1' },
+  GB: { callingCode: '44', minLength: 9, maxLength: 10, trunkPrefix: '0' },
+  AE: { callingCode: '971', minLength: 8, maxLength: 9, trunkPrefix: '0' },
+  SA: { callingCode: '966', minLength: 9, maxLength: 9, trunkPrefix: '0' },
+  QA: { callingCode: '974', minLength: 8, maxLength: 8, trunkPrefix: null },
+  SG: { callingCode: '65', minLength: 8, maxLength: 8, trunkPrefix: null },
+  MY: { callingCode: '60', minLength: 9, maxLength: 10, trunkPrefix: '0' },
+  AU: { callingCode: '61', minLength: 9, maxLength: 9, trunkPrefix: '0' },
+  NZ: { callingCode: '64', minLength: 8, maxLength: 10, trunkPrefix: '0' },
+  LK: { callingCode: '94', minLength: 9, maxLength: 9, trunkPrefix: '0' },
+  NP: { callingCode: '977', minLength: 8, maxLength: 10, trunkPrefix: '0' },
+  BD: { callingCode: '880', minLength: 10, maxLength: 10, trunkPrefix: '0' },
+  DE: { callingCode: '49', minLength: 6, maxLength: 13, trunkPrefix: '0' },
+  FR: { callingCode: '33', minLength: 9, maxLength: 9, trunkPrefix: '0' }
+};
+
+export const E164_PATTERN = /^\+[1-9]\d{7,14}$/;
+
+const FALLBACK_REGION = 'IN';
+
+/**
+ * Is this a region we can read national numbers for?
+ *
+ * @param {string} region - ISO 3166-1 alpha-2 code
+ * @returns {boolean}
+ */
+export const isSupportedRegion = (region) =>
+  typeof region === 'string' && Object.hasOwn(PHONE_REGIONS, region.toUpperCase());
+
+/**
+ * Get Default Phone Region
+ * Store's phoneRegion, then PHONE_DEFAULT_REGION, then India
+ *
+ * @param {Object} store - Store (req.store), optional
+ * @returns {string} Region code
+ */
+export const getDefaultPhoneRegion = (store = null) => {
+  const candidates = [store && store.phoneRegion, process.env.PHONE_DEFAULT_REGION];
+  const region = candidates.find(isSupportedRegion);
+
+  return region ? region.toUpperCase() : FALLBACK_REGION;
+};
+
+/**
+ * Helper: Known regions sharing the longest calling code the number starts with
+ */
+const findRegionsForNumber = (digits) => {
+  let best = [];
+  let bestLength = 0;
+
+  Object.values(PHONE_REGIONS).forEach(region => {
+    const { callingCode } = region;
+    if (!digits.startsWith(callingCode) || callingCode.length < bestLength) return;
+
+    if (callingCode.length > bestLength) {
+      best = [];
+      bestLength = callingCode.length;
+    }
+    best.push(region);
+  });
+
+  return best;
+};
+
+const fitsRegion = (national, region) =>
+  national.length >= region.minLength && national.length <= region.maxLength;
+
+/**
+ * Normalize Phone
+ * Turn what was typed into E.164
+ *
+ * @param {string} input - Phone as entered
+ * @param {string} region - Region for national numbers (see getDefaultPhoneRegion)
+ * @returns {{ phone: string|null, error: string|null }}
+ */
+export const normalizePhone = (input, region = getDefaultPhoneRegion()) => {
+  const raw = String(input ?? '').trim();
+
+  if (!raw) {
+    return { phone: null, error: 'Phone number is required' };
+  }
+
+  const international = raw.startsWith('+');
+  const digits = (international ? raw.slice(1) : raw).replace(/[\s\-().]/g, '');
+
+  if (!/^\d+$/.test(digits)) {
+    return { phone: null, error: 'Phone number can only contain digits, spaces, dashes, brackets and a leading +' };
+  }
+
+  let e164;
+
+  if (international || digits.startsWith('00')) {
+    e164 = `+${international ? digits : digits.slice(2)}`;
+  } else {
+    const regionCode = isSupportedRegion(region) ? region.toUpperCase() : FALLBACK_REGION;
+    const { callingCode, trunkPrefix, maxLength } = PHONE_REGIONS[regionCode];
+    let national = digits;
+
+    // "09876543210" - trunk prefix in front of a full national number
+    if (trunkPrefix && national.length > maxLength && national.startsWith(trunkPrefix)) {
+      national = national.slice(trunkPrefix.length);
+    }
+
+    if (fitsRegion(national, PHONE_REGIONS[regionCode])) {
+      e164 = `+${callingCode}${national}`;
+    } else if (digits.startsWith(callingCode) && fitsRegion(digits.slice(callingCode.length), PHONE_REGIONS[regionCode])) {
+      // Country code typed without the "+" ("919876543210")
+      e164 = `+${digits}`;
+    } else {
+      return { phone: null, error: `Phone number is not valid for region ${regionCode}; include the country code (e.g. +44...)` };
+    }
+  }
+
+  if (!E164_PATTERN.test(e164)) {
+    return { phone: null, error: 'Phone number must be 8-15 digits including the country code' };
+  }
+
+  const regions = findRegionsForNumber(e164.slice(1));
+  if (regions.length > 0 && !regions.some(known => fitsRegion(e164.slice(1 + known.callingCode.length), known))) {
+    return { phone: null, error: `Phone number has the wrong length for country code +${regions[0].callingCode}` };
+  }
+
+  return { phone: e164, error: null };
+};
+
+/**
+ * Mask Phone
+ * For public screens: country code and last 4 digits ("+91 ******3210")
+ *
+ * @param {string} phone - Stored phone (E.164; legacy 10-digit values also work)
+ * @returns {string|null}
+ */
+export const maskPhone = (phone) => {
+  if (!phone) return null;
+
+  const value = String(phone);
+  const digits = value.replace(/\D/g, '');
+  const last4 = digits.slice(-4);
+
+  if (!value.startsWith('+')) {
+    return `${'*'.repeat(Math.max(digits.length - 4, 0))}${last4}`;
+  }
+
+  const [region] = findRegionsForNumber(digits);
+  const callingCode = region ? region.callingCode : digits.slice(0, Math.min(digits.length - 4, 2));
+  const hidden = Math.max(digits.length - callingCode.length - 4, 0);
+
+  return `+${callingCode} ${'*'.repeat(hidden)}${last4}`;
+};
+
+/**
+ * Phone Search Filter
+ * Admin search: a complete number matches exactly on the stored E.164 form,
+ * a fragment matches anywhere in it (digits only)
+ *
+ * @param {string} query - Search text
+ * @param {string} region - Region for national numbers
+ * @returns {Object|string|null} Mongo condition for the phone field, or null
+ */
+export const buildPhoneSearch = (query, region) => {
+  const { phone } = normalizePhone(query, region);
+  if (phone) return phone;
+
+  const digits = String(query ?? '').replace(/\D/g, '');
+  return digits ? { $regex: digits } : null;
+};
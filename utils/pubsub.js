@@ -0,0 +1,158 @@
+import { EventEmitter } from 'events';
+import mongoose from 'mongoose';
+
+/**
+ * Pub/Sub Utility
+ * Pluggable publish/subscribe transport for real-time queue events
+ * 
+ * Design Decisions:
+ * 1. Small adapter contract so the transport can be swapped without
+ *    touching controllers:
+ *      publish(channel, message) -> Promise<void>
+ *      subscribe(channel, handler) -> unsubscribe()
+ * 2. In-process EventEmitter by default (single server, zero setup)
+ * 3. MongoDB capped collection + tailable cursor for multi-process
+ *    deployments, reusing the existing database instead of adding Redis
+ * 
+ * Interview Talking Points:
+ * - Why pub/sub? SSE connections live on whichever process accepted them,
+ *   but the billing/verification request may hit a different process
+ * - Redis Pub/Sub or NATS drop in via setPubSubAdapter()
+ * 
+ * Configuration: PUBSUB_DRIVER=memory (default) | mongo
+ */
+
+/**
+ * In-Memory Adapter
+ * Delivers messages only within the current Node process
+ */
+export class InMemoryPubSub {
+  constructor() {
+    this.emitter = new EventEmitter();
+    this.emitter.setMaxListeners(0); // One listener per open SSE connection
+  }
+
+  async publish(channel, message) {
+    this.emitter.emit(channel, message);
+  }
+
+  subscribe(channel, handler) {
+    this.emitter.on(channel, handler);
+    return () => this.emitter.off(channel, handler);
+  }
+}
+
+/**
+ * MongoDB Adapter
+ * Fans messages out to every process via a capped collection
+ * 
+ * Each process tails the collection from the moment it starts listening;
+ * capped collections preserve insertion order and drop old messages
+ * automatically, so no cleanup job is needed.
+ */
+export class MongoPubSub {
+  constructor({ collectionName = 'pubsub_events', sizeBytes = 1024 * 1024 } = {}) {
+    this.collectionName = collectionName;
+    this.sizeBytes = sizeBytes;
+    this.local = new InMemoryPubSub();
+    this.started = null;
+  }
+
+  async getCollection() {
+    if (mongoose.connection.readyState !== 1) {
+      await mongoose.connection.asPromise();
+    }
+
+    const db = mongoose.connection.db;
+    const existing = await db.listCollections({ name: this.collectionName }).toArray();
+
+    if (existing.length === 0) {
+      try {
+        await db.createCollection(this.collectionName, { capped: true, size: this.sizeBytes });
+      } catch (error) {
+        // Another process created it first
+        if (error.codeName !== 'NamespaceExists') throw error;
+      }
+    }
+
+    return db.collection(this.collectionName);
+  }
+
+  start() {
+    if (!this.started) {
+      this.started = this.tail().catch(error => {
+        console.error('PubSub Tail Error:', error);
+        this.started = null;
+      });
+    }
+    return this.started;
+  }
+
+  async tail() {
+    const collection = await this.getCollection();
+    let lastId = null;
+
+    // Only deliver messages published after this process started listening
+    const latest = await collection.find().sort({ $natural: -1 }).limit(1).next();
+    if (latest) lastId = latest._id;
+
+    // Tailable cursors die when the collection is empty or on network
+    // errors, so loop and resume from the last delivered message
+    for (;;) {
+      const filter = lastId ? { _id: { $gt: lastId } } : {};
+      const cursor = collection.find(filter, { tailable: true, awaitData: true });
+
+      try {
+        for await (const doc of cursor) {
+          lastId = doc._id;
+          this.local.publish(doc.channel, doc.message);
+        }
+      } catch (error) {
+        console.error('PubSub Cursor Error:', error.message);
+      }
+
+      await new Promise(resolve => setTimeout(resolve, 1000));
+    }
+  }
+
+  async publish(channel, message) {
+    this.start();
+    const collection = await this.getCollection();
+    await collection.insertOne({ channel, message, publishedAt: new Date() });
+  }
+
+  subscribe(channel, handler) {
+    this.start();
+    return this.local.subscribe(channel, handler);
+  }
+}
+
+let adapter = null;
+
+/**
+ * Get Pub/Sub Adapter
+ * Lazily creates the adapter selected by PUBSUB_DRIVER
+ * 
+ * @returns {Object} Adapter implementing publish/subscribe
+ */
+export const getPubSub = () => {
+  if (!adapter) {
+    adapter = process.env.PUBSUB_DRIVER === 'mongo'
+      ? new MongoPubSub()
+      : new InMemoryPubSub();
+  }
+  return adapter;
+};
+
+/**
+ * Set Pub/Sub Adapter
+ * Plugs in a custom transport (e.g. Redis) at startup
+ * 
+ * @param {Object} customAdapter - Object with publish(channel, message) and subscribe(channel, handler)
+ */
+export const setPubSubAdapter = (customAdapter) => {
+  if (!customAdapter || typeof customAdapter.publish !== 'function' || typeof customAdapter.subscribe !== 'function') {
+    throw new Error('Pub/sub adapter must implement publish() and subscribe()');
+  }
+  adapter = customAdapter;
+};
@@ -1,11 +1,13 @@
+import crypto from 'crypto';
 import QRCode from 'qrcode';
+import { CUSTOMER_ID_PATTERN } from '../models/Customer.js';
 
 /**
  * QR Code Generator Utility
  * Generates QR codes with customer data for verification
  * 
  * Design Decisions:
- * 1. Encodes critical data: customerId + queueNumber
+ * 1. Encodes critical data: customerId + queueNumber + storeId
  * 2. Returns base64 data URL for direct frontend rendering
  * 3. High error correction level (H) - up to 30% damage tolerance
  * 4. Optimal size for mobile scanning (300x300)
@@ -13,7 +15,7 @@ import QRCode from 'qrcode';
  * Interview Talking Points:
  * - Why base64? Eliminates need for separate file storage and CDN
  * - Error correction: Ensures QR works even if partially damaged/dirty
- * - Security: Can add digital signature in production (HMAC/JWT)
+ * - Security: HMAC-SHA256 signature + key id (kid) for tamper detection and key rotation
  * - Scalability: Consider moving to separate microservice for high load
  * 
  * @param {Object} data - Customer data to encode
@@ -24,15 +26,19 @@ export const generateQRCode = async (data) => {
   try {
     // Prepare QR code payload
     // In production, consider adding:
-    // - Timestamp for expiry validation
-    // - Digital signature (HMAC) for tamper detection
     // - Encrypted data for sensitive information
-    const qrPayload = JSON.stringify({
+    const { keyId, secret } = getActiveSigningKey();
+
+    const payload = {
       customerId: data.customerId,
       queueNumber: data.queueNumber,
-      timestamp: new Date().toISOString(), // For future expiry checks
-      // signature: generateHMAC(data) // Add in production
-    });
+      storeId: data.storeId, // Rejected at other stores' gates
+      timestamp: new Date().toISOString(), // For expiry checks
+      kid: keyId // Identifies which key signed this payload (key rotation)
+    };
+    payload.sig = generateHMACSignature(payload, secret);
+
+    const qrPayload = JSON.stringify(payload);
 
     // QR Code generation options
     const options = {
@@ -76,7 +82,7 @@ export const decodeQRData = (qrData) => {
     }
 
     // Additional validations
-    if (!parsedData.customerId.match(/^SM-\d+$/)) {
+    if (!CUSTOMER_ID_PATTERN.test(parsedData.customerId)) {
       throw new Error('Invalid customer ID format');
     }
 
@@ -93,7 +99,7 @@ export const decodeQRData = (qrData) => {
 };
 
 /**
- * Validate QR Code Timestamp (Future Enhancement)
+ * Validate QR Code Timestamp
  * Checks if QR code is within valid time window
  * 
  * @param {string} timestamp - ISO timestamp from QR code
@@ -109,19 +115,188 @@ export const isQRCodeExpired = (timestamp, expiryHours = 24) => {
 };
 
 /**
- * Generate HMAC Signature (Production Enhancement)
+ * Get QR Expiry Windows
+ * Reads configurable validity windows (in minutes) from environment
+ * 
+ * - QR_BILLING_WINDOW_MINUTES: issued -> billed (default 240)
+ * - QR_EXIT_WINDOW_MINUTES: billed -> exited (default 30)
+ * 
+ * A value of 0 disables that window.
+ * 
+ * @returns {{ billingWindowMinutes: number, exitWindowMinutes: number }}
+ */
+export const getQRExpiryWindows = () => {
+  const parseWindow = (value, fallback) => {
+    const parsed = parseInt(value);
+    return Number.isNaN(parsed) || parsed < 0 ? fallback : parsed;
+  };
+
+  return {
+    billingWindowMinutes: parseWindow(process.env.QR_BILLING_WINDOW_MINUTES, 240),
+    exitWindowMinutes: parseWindow(process.env.QR_EXIT_WINDOW_MINUTES, 30)
+  };
+};
+
+/**
+ * Check QR Expiry (Exit Gate)
+ * Applies both validity windows to a scanned QR code
+ * 
+ * Rules:
+ * 1. Admin extension (validUntil) in the future -> always valid
+ * 2. Billed later than billing window after issue -> expired (stage BILLING)
+ * 3. Scanned later than exit window after billing -> expired (stage EXIT)
+ * 
+ * @param {Object} params
+ * @param {string|Date} params.issuedAt - QR timestamp
+ * @param {Date} params.billedAt - Billing timestamp (null if not billed)
+ * @param {Date} params.validUntil - Admin-granted validity extension
+ * @param {Date} params.now - Reference time (defaults to now)
+ * @returns {{ expired: boolean, stage: string|null, expiredAt: Date|null }}
+ */
+export const checkQRExpiry = ({ issuedAt, billedAt, validUntil = null, now = new Date() }) => {
+  const notExpired = { expired: false, stage: null, expiredAt: null };
+
+  if (validUntil && now <= new Date(validUntil)) {
+    return notExpired;
+  }
+
+  const { billingWindowMinutes, exitWindowMinutes } = getQRExpiryWindows();
+  const MS_PER_MINUTE = 60 * 1000;
+
+  const issuedTime = new Date(issuedAt);
+  if (billingWindowMinutes > 0 && !Number.isNaN(issuedTime.getTime())) {
+    const billingDeadline = new Date(issuedTime.getTime() + billingWindowMinutes * MS_PER_MINUTE);
+    const billedOrNow = billedAt ? new Date(billedAt) : now;
+
+    if (billedOrNow > billingDeadline) {
+      return { expired: true, stage: 'BILLING', expiredAt: billingDeadline };
+    }
+  }
+
+  if (exitWindowMinutes > 0 && billedAt) {
+    const exitDeadline = new Date(new Date(billedAt).getTime() + exitWindowMinutes * MS_PER_MINUTE);
+
+    if (now > exitDeadline) {
+      return { expired: true, stage: 'EXIT', expiredAt: exitDeadline };
+    }
+  }
+
+  return notExpired;
+};
+
+/**
+ * Signing Keyring
+ * Loads QR signing keys from environment
+ * 
+ * Format:
+ * - QR_SIGNING_KEYS="k2:newSecret,k1:oldSecret" (all keys still accepted)
+ * - QR_ACTIVE_KEY_ID="k2" (key used for new QR codes, defaults to first entry)
+ * - QR_SIGNING_SECRET="secret" (single-key shorthand, key id "default")
+ * 
+ * Rotation: add the new key in front, keep the old one until every QR code
+ * it signed has been used or expired, then remove it.
+ * 
+ * Read lazily so dotenv has loaded before first use.
+ * 
+ * @returns {Map<string, string>} keyId -> secret
+ */
+const loadSigningKeys = () => {
+  const keys = new Map();
+
+  if (process.env.QR_SIGNING_KEYS) {
+    process.env.QR_SIGNING_KEYS.split(',').forEach(entry => {
+      const separator = entry.indexOf(':');
+      if (separator <= 0) return;
+
+      const keyId = entry.slice(0, separator).trim();
+      const secret = entry.slice(separator + 1).trim();
+      if (keyId && secret) keys.set(keyId, secret);
+    });
+  } else if (process.env.QR_SIGNING_SECRET) {
+    keys.set('default', process.env.QR_SIGNING_SECRET);
+  }
+
+  return keys;
+};
+
+/**
+ * Get Active Signing Key
+ * Key used to sign newly issued QR codes
+ * 
+ * @returns {{ keyId: string, secret: string }}
+ */
+const getActiveSigningKey = () => {
+  const keys = loadSigningKeys();
+
+  if (keys.size === 0) {
+    throw new Error('QR signing key is not configured (set QR_SIGNING_KEYS or QR_SIGNING_SECRET)');
+  }
+
+  const keyId = process.env.QR_ACTIVE_KEY_ID || keys.keys().next().value;
+  const secret = keys.get(keyId);
+
+  if (!secret) {
+    throw new Error(`Active QR signing key '${keyId}' is not in the keyring`);
+  }
+
+  return { keyId, secret };
+};
+
+/**
+ * Build canonical signable string
+ * Sorted keys so field order in the scanned JSON does not matter;
+ * the signature field itself is never signed.
+ * 
+ * @param {Object} payload - QR payload
+ * @returns {string} Canonical JSON string
+ */
+const getSignableContent = (payload) => {
+  const { sig, ...fields } = payload;
+  const canonical = {};
+
+  Object.keys(fields).sort().forEach(key => {
+    canonical[key] = fields[key];
+  });
+
+  return JSON.stringify(canonical);
+};
+
+/**
+ * Generate HMAC Signature
  * Adds cryptographic signature to prevent QR code tampering
  * 
- * Note: Requires crypto module and secret key
- * Implementation left for production deployment
+ * @param {Object} data - QR payload (without signature)
+ * @param {string} secretKey - Signing secret
+ * @returns {string} Hex-encoded HMAC-SHA256
  */
 export const generateHMACSignature = (data, secretKey) => {
-  // Implementation:
-  // const crypto = require('crypto');
-  // const hmac = crypto.createHmac('sha256', secretKey);
-  // hmac.update(JSON.stringify(data));
-  // return hmac.digest('hex');
-  
-  // Placeholder for now
-  return 'signature_placeholder';
+  const hmac = crypto.createHmac('sha256', secretKey);
+  hmac.update(getSignableContent(data));
+  return hmac.digest('hex');
+};
+
+/**
+ * Verify QR Signature
+ * Checks the payload signature against the key named by its `kid`
+ * 
+ * Uses constant-time comparison to avoid timing leaks.
+ * Payloads signed with a retired (removed) key are rejected.
+ * 
+ * @param {Object} payload - Decoded QR payload
+ * @returns {boolean} Whether signature is valid
+ */
+export const verifyQRSignature = (payload) => {
+  if (!payload || typeof payload.sig !== 'string' || typeof payload.kid !== 'string') {
+    return false;
+  }
+
+  const secret = loadSigningKeys().get(payload.kid);
+  if (!secret) return false;
+
+  const expected = Buffer.from(generateHMACSignature(payload, secret), 'hex');
+  const received = Buffer.from(payload.sig, 'hex');
+
+  if (expected.length !== received.length) return false;
+
+  return crypto.timingSafeEqual(expected, received);
 };
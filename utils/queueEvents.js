@@ -0,0 +1,64 @@
+import { getPubSub } from './pubsub.js';
+
+/**
+ * Queue Events
+ * Domain events published whenever the queue changes
+ * 
+ * Design Decisions:
+ * 1. One channel for all queue changes - every change can move positions
+ *    of everyone behind, so subscribers recompute their own view
+ * 2. Events carry identifiers only; subscribers re-read current state
+ *    (no stale snapshots travelling through the bus)
+ * 3. Publishing never fails the request that triggered it
+ * 4. Every event carries storeId; subscribers only see their own store
+ */
+
+export const QUEUE_CHANNEL = 'queue';
+
+export const QUEUE_EVENTS = {
+  CUSTOMER_REGISTERED: 'CUSTOMER_REGISTERED',
+  CUSTOMER_CALLED: 'CUSTOMER_CALLED',
+  CUSTOMER_SKIPPED: 'CUSTOMER_SKIPPED',
+  CUSTOMER_RECALLED: 'CUSTOMER_RECALLED',
+  CUSTOMER_BILLED: 'CUSTOMER_BILLED',
+  BILLING_UNDONE: 'BILLING_UNDONE',
+  CUSTOMER_VERIFIED: 'CUSTOMER_VERIFIED',
+  VERIFICATION_REVERSED: 'VERIFICATION_REVERSED',
+  CUSTOMER_CANCELLED: 'CUSTOMER_CANCELLED',
+  CUSTOMER_REMOVED: 'CUSTOMER_REMOVED',
+  COUNTER_UPDATED: 'COUNTER_UPDATED'
+};
+
+/**
+ * Publish Queue Event
+ * Fire-and-forget: errors are logged, never thrown
+ * 
+ * @param {string} type - One of QUEUE_EVENTS
+ * @param {Object} payload - Event details (storeId, customerId, counterNumber, ...)
+ */
+export const publishQueueEvent = (type, payload = {}) => {
+  const event = {
+    type,
+    ...payload,
+    occurredAt: new Date().toISOString()
+  };
+
+  Promise.resolve()
+    .then(() => getPubSub().publish(QUEUE_CHANNEL, event))
+    .catch(error => console.error('Publish Queue Event Error:', error));
+};
+
+/**
+ * Subscribe to Queue Events
+ * 
+ * @param {Function} handler - Called with each event
+ * @param {Object} options
+ * @param {string} options.storeId - Only deliver this store's events (all stores if omitted)
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToQueueEvents = (handler, { storeId = null } = {}) => {
+  return getPubSub().subscribe(QUEUE_CHANNEL, (event) => {
+    if (storeId && event.storeId !== storeId) return;
+    handler(event);
+  });
+};
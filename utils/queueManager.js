@@ -11,29 +11,41 @@
  * - FIFO Implementation: Simple counter-based approach
  * - Scalability: Redis queue for high-load scenarios
  * - Fault Tolerance: Database persistence prevents counter reset
- * - Alternative: Priority queue for VIP customers
+ * - Priority lanes: weighted-fair service order (see priorityPolicy.js)
+ * - Call workflow: WAITING -> CALLED -> (no-show timeout) SKIPPED -> recall -> WAITING
  * - Alternative: Multi-queue system for different service types
+ * 
+ * Configuration (environment):
+ * - CALL_NO_SHOW_SECONDS=180 (CALLED customers not billed within this are SKIPPED)
+ * - MAX_RECALLS=2 (recalls allowed per customer)
+ * - RECALL_POSITION=2 (recalled customers rejoin at this position among the waiting)
+ * - NO_SHOW_SWEEP_SECONDS=30 (background no-show check; 0 disables)
  */
 
-import Customer from '../models/Customer.js';
+import Customer, { ACTIVE_QUEUE_STATUSES } from '../models/Customer.js';
 import Queue from '../models/Queue.js';
+import Counter from '../models/Counter.js';
+import { transitionCustomer, transitionNextCustomer } from './customerLifecycle.js';
+import { calculateServiceOrder } from './priorityPolicy.js';
+import { estimateWaitTime, formatWaitRange } from './waitTimeEstimator.js';
+import { maskPhone } from './phoneNumbers.js';
 
 /**
  * Calculate Queue Position
  * Returns customer's position in active queue
  * 
  * Algorithm:
- * 1. Count all WAITING/BILLED customers with lower queue number
+ * 1. Count all active entries ahead in service order (respects priority lanes)
  * 2. Position = count + 1
  * 
  * Time Complexity: O(1) with indexing
  * 
- * @param {number} queueNumber - Customer's queue number
+ * @param {string} customerId - Customer ID (queue numbers repeat across business days)
  * @returns {Promise<number>} Position in queue
  */
-export const calculateQueuePosition = async (queueNumber) => {
+export const calculateQueuePosition = async (customerId) => {
   try {
-    const position = await Queue.getPosition(queueNumber);
+    const position = await Queue.getPosition(customerId);
     return position;
   } catch (error) {
     console.error('Queue Position Calculation Error:', error);
@@ -41,38 +53,66 @@ export const calculateQueuePosition = async (queueNumber) => {
   }
 };
 
+
 /**
- * Get Estimated Wait Time
- * Calculates approximate wait time based on queue position
- * 
- * Assumptions:
- * - Average billing time: 3 minutes per customer
- * - Can be calibrated based on historical data
+ * Get Customer Queue Snapshot
+ * Current status, position and ETA for one customer
+ * Used by the live position stream to detect changes
  * 
- * @param {number} position - Position in queue
- * @returns {number} Estimated wait time in minutes
+ * @param {string} customerId - Customer ID
+ * @returns {Promise<Object|null>} Snapshot, or null if customer no longer exists
  */
-export const getEstimatedWaitTime = (position) => {
-  const AVG_SERVICE_TIME_MINUTES = 3; // Average time per customer
-  
-  if (position <= 1) return 0;
-  
-  return (position - 1) * AVG_SERVICE_TIME_MINUTES;
+export const getCustomerQueueSnapshot = async (customerId) => {
+  try {
+    const customer = await Customer.findOne({ customerId })
+      .select('customerId storeId queueNumber priority status counterNumber')
+      .lean();
+
+    if (!customer) return null;
+
+    let position = null;
+    let waitTimeEstimate = null;
+
+    if (ACTIVE_QUEUE_STATUSES.includes(customer.status)) {
+      position = await calculateQueuePosition(customer.customerId);
+    }
+
+    if (customer.status === 'WAITING') {
+      waitTimeEstimate = await estimateWaitTime(position, customer.storeId);
+    }
+
+    return {
+      customerId: customer.customerId,
+      storeId: customer.storeId,
+      queueNumber: customer.queueNumber,
+      priority: customer.priority,
+      status: customer.status,
+      counterNumber: customer.counterNumber,
+      position,
+      customersAhead: position ? position - 1 : null,
+      estimatedWaitTime: formatWaitRange(waitTimeEstimate),
+      waitTimeEstimate: waitTimeEstimate && { p50: waitTimeEstimate.p50, p90: waitTimeEstimate.p90 }
+    };
+  } catch (error) {
+    console.error('Customer Queue Snapshot Error:', error);
+    throw new Error('Failed to build queue snapshot');
+  }
 };
 
 /**
  * Get Queue Statistics
  * Returns comprehensive queue metrics for dashboard
  * 
+ * @param {Object} scope - Extra filter, e.g. { storeId }
  * @returns {Promise<Object>} Queue statistics
  */
-export const getQueueStatistics = async () => {
+export const getQueueStatistics = async (scope = {}) => {
   try {
     const [activeCount, completedCount, avgWaitTime, nextQueue] = await Promise.all([
-      Queue.countDocuments({ status: 'ACTIVE' }),
-      Queue.countDocuments({ status: 'COMPLETED' }),
-      Queue.getAverageWaitTime(),
-      Queue.findOne({ status: 'ACTIVE' }).sort({ queueNumber: 1 })
+      Queue.countDocuments({ ...scope, status: 'ACTIVE' }),
+      Queue.countDocuments({ ...scope, status: 'COMPLETED', outcome: { $in: ['SERVED', null] } }),
+      Queue.getAverageWaitTime(scope),
+      Queue.getNextToServe(scope)
     ]);
 
     let nextCustomer = null;
@@ -82,7 +122,7 @@ export const getQueueStatistics = async () => {
         nextCustomer = {
           queueNumber: nextQueue.queueNumber,
           name: customer.name,
-          phone: customer.phone
+          phone: maskPhone(customer.phone) // Shown on public displays
         };
       }
     }
@@ -102,18 +142,24 @@ export const getQueueStatistics = async () => {
 /**
  * Validate Queue Integrity
  * Ensures queue numbers are sequential and no duplicates exist
+ * within each business day session (numbers restart at 1 daily)
  * 
  * Diagnostic tool for data consistency checks
  * 
- * @returns {Promise<Object>} Validation results
+ * @param {string} storeId - Store ID
+ * @param {string} businessDate - Check a single session (optional; all sessions if omitted)
+ * @returns {Promise<Object>} Validation results, overall and per session
  */
-export const validateQueueIntegrity = async () => {
+export const validateQueueIntegrity = async (storeId, businessDate) => {
   try {
-    // Check for duplicate queue numbers
+    const match = businessDate ? { storeId, businessDate } : { storeId };
+
+    // Check for duplicate queue numbers within a session
     const duplicates = await Customer.aggregate([
+      { $match: match },
       {
         $group: {
-          _id: '$queueNumber',
+          _id: { businessDate: '$businessDate', queueNumber: '$queueNumber' },
           count: { $sum: 1 }
         }
       },
@@ -124,25 +170,56 @@ export const validateQueueIntegrity = async () => {
       }
     ]);
 
-    // Check for gaps in queue sequence
-    const allQueues = await Customer.find()
-      .sort({ queueNumber: 1 })
-      .select('queueNumber')
+    // Check for gaps in queue sequence per session
+    const allQueues = await Customer.find(match)
+      .sort({ businessDate: 1, queueNumber: 1 })
+      .select('businessDate queueNumber')
       .lean();
 
-    const gaps = [];
-    for (let i = 1; i < allQueues.length; i++) {
-      const expected = allQueues[i - 1].queueNumber + 1;
-      const actual = allQueues[i].queueNumber;
-      if (actual !== expected) {
-        gaps.push({ expected, actual });
+    const sessions = new Map();
+    allQueues.forEach(entry => {
+      const key = entry.businessDate || null; // null = legacy records before sessions
+      if (!sessions.has(key)) sessions.set(key, []);
+      sessions.get(key).push(entry.queueNumber);
+    });
+
+    const sessionResults = [...sessions.entries()].map(([date, numbers]) => {
+      const gaps = [];
+
+      if (date !== null && numbers[0] !== 1) {
+        gaps.push({ expected: 1, actual: numbers[0] });
       }
-    }
+
+      for (let i = 1; i < numbers.length; i++) {
+        const expected = numbers[i - 1] + 1;
+        const actual = numbers[i];
+        if (actual !== expected && actual !== numbers[i - 1]) {
+          gaps.push({ expected, actual });
+        }
+      }
+
+      const sessionDuplicates = duplicates
+        .filter(d => (d._id.businessDate || null) === date)
+        .map(d => d._id.queueNumber);
+
+      return {
+        businessDate: date,
+        isValid: sessionDuplicates.length === 0 && gaps.length === 0,
+        duplicates: sessionDuplicates,
+        gaps,
+        totalCustomers: numbers.length
+      };
+    });
 
     return {
-      isValid: duplicates.length === 0 && gaps.length === 0,
-      duplicates: duplicates.map(d => d._id),
-      gaps,
+      isValid: sessionResults.every(session => session.isValid),
+      duplicates: sessionResults.flatMap(session =>
+        session.duplicates.map(queueNumber => ({ businessDate: session.businessDate, queueNumber }))
+      ),
+      gaps: sessionResults.flatMap(session =>
+        session.gaps.map(gap => ({ businessDate: session.businessDate, ...gap }))
+      ),
+      sessions: sessionResults,
       totalCustomers: allQueues.length
     };
   } catch (error) {
@@ -153,18 +230,22 @@ export const validateQueueIntegrity = async () => {
 
 /**
  * Get Next Customer to Serve
- * Returns the customer with lowest active queue number (FIFO)
+ * Returns the first WAITING customer in service order (weighted-fair priority)
+ * Skips customers already called to a billing counter
  * 
+ * @param {string} storeId - Store ID
  * @returns {Promise<Object>} Next customer details
  */
-export const getNextCustomerToServe = async () => {
+export const getNextCustomerToServe = async (storeId) => {
   try {
-    // Only return WAITING customers (not yet billed)
+    // Only return WAITING customers (not yet billed or assigned)
     const customer = await Customer.findOne({
-      status: 'WAITING'
+      storeId,
+      status: 'WAITING',
+      counterNumber: null
     })
-      .sort({ queueNumber: 1 })
-      .select('customerId name phone queueNumber cartTotal status');
+      .sort({ serviceOrder: 1, queueNumber: 1 })
+      .select('customerId name phone queueNumber cartTotal priority status');
 
     return customer;
   } catch (error) {
@@ -174,17 +255,157 @@ export const getNextCustomerToServe = async () => {
 };
 
 /**
- * Reset Queue (Admin Function)
- * Clears all queue data - USE WITH CAUTION
- * For daily reset or testing purposes
+ * Get Call Settings
+ * No-show timeout and recall limits (read lazily so .env overrides apply)
+ * 
+ * @returns {Object} { noShowSeconds, maxRecalls, recallPosition, sweepSeconds }
+ */
+export const getCallSettings = () => {
+  const sweepSeconds = parseInt(process.env.NO_SHOW_SWEEP_SECONDS);
+
+  return {
+    noShowSeconds: parseInt(process.env.CALL_NO_SHOW_SECONDS) || 180,
+    maxRecalls: Number.isInteger(parseInt(process.env.MAX_RECALLS)) ? Math.max(parseInt(process.env.MAX_RECALLS), 0) : 2,
+    recallPosition: Math.max(parseInt(process.env.RECALL_POSITION) || 2, 1),
+    sweepSeconds: Number.isInteger(sweepSeconds) && sweepSeconds >= 0 ? sweepSeconds : 30
+  };
+};
+
+/**
+ * Assign Next Customer to Counter
+ * Atomically claims the next unassigned WAITING customer for a counter
+ * and moves them to CALLED (assignedAt = call time)
+ * 
+ * The lifecycle's CALL transition claims with findOneAndUpdate and a sort,
+ * a single atomic operation, so two counters calling "next" at the same
+ * moment never get the same customer.
+ * 
+ * @param {string} storeId - Store ID (counters only serve their own store)
+ * @param {number} counterNumber - Billing counter number
+ * @param {Object} req - Express request (audit actor), if any
+ * @returns {Promise<Object|null>} Assigned customer, or null if queue is empty
+ */
+export const assignNextCustomerToCounter = async (storeId, counterNumber, req = null) => {
+  try {
+    return await transitionNextCustomer(
+      { storeId, counterNumber: null },
+      'CALL',
+      { req, counterNumber },
+      { serviceOrder: 1, queueNumber: 1 }
+    );
+  } catch (error) {
+    console.error('Assign Next Customer Error:', error);
+    throw new Error('Failed to assign next customer');
+  }
+};
+
+/**
+ * Skip No-Shows
+ * CALLED customers not billed within the no-show timeout become SKIPPED:
+ * their queue entry is completed (outcome SKIPPED) so everyone behind
+ * moves up, and the counter that called them is freed
+ * 
+ * Each customer takes the lifecycle's SKIP transition, a conditional
+ * update, so concurrent sweeps (lazy + background) never skip the same
+ * customer twice.
+ * 
+ * @param {string} storeId - Store ID (all stores if omitted)
+ * @returns {Promise<Array>} Skipped customers
+ */
+export const skipNoShows = async (storeId) => {
+  try {
+    const { noShowSeconds } = getCallSettings();
+    const cutoff = new Date(Date.now() - noShowSeconds * 1000);
+    const scope = storeId ? { storeId } : {};
+
+    const overdue = await Customer.find({ ...scope, status: 'CALLED', assignedAt: { $lte: cutoff } })
+      .select('_id')
+      .limit(100)
+      .lean();
+
+    const skipped = [];
+
+    for (const { _id } of overdue) {
+      const called = await Customer.findOne({ _id, status: 'CALLED', assignedAt: { $lte: cutoff } });
+      if (!called) continue;
+
+      // Billed or skipped by someone else in the meantime: nothing to do
+      const { customer, error } = await transitionCustomer(called, 'SKIP');
+      if (!error) skipped.push(customer);
+    }
+
+    return skipped;
+  } catch (error) {
+    console.error('Skip No-Shows Error:', error);
+    throw new Error('Failed to skip no-show customers');
+  }
+};
+
+/**
+ * Get Recall Service Order
+ * Service order that puts a recalled customer at RECALL_POSITION among
+ * the customers still waiting to be called (or last, if fewer are waiting)
+ * 
+ * @param {string} storeId - Store ID
+ * @param {string} priority - Customer's priority class (used when nobody waits)
+ * @returns {Promise<number>} Service order
+ */
+export const getRecallServiceOrder = async (storeId, priority) => {
+  const { recallPosition } = getCallSettings();
+
+  const waiting = await Customer.find({ storeId, status: 'WAITING', counterNumber: null })
+    .sort({ serviceOrder: 1, queueNumber: 1 })
+    .limit(recallPosition)
+    .select('serviceOrder')
+    .lean();
+
+  if (waiting.length === 0) return calculateServiceOrder(priority);
+
+  // Front of the line
+  if (recallPosition === 1) return waiting[0].serviceOrder - 1;
+
+  const ahead = waiting[Math.min(recallPosition - 2, waiting.length - 1)];
+  const behind = waiting.length >= recallPosition ? waiting[recallPosition - 1] : null;
+
+  return behind
+    ? (ahead.serviceOrder + behind.serviceOrder) / 2
+    : ahead.serviceOrder + 1;
+};
+
+/**
+ * Start No-Show Sweeper
+ * Background check so no-shows are skipped even when no counter is calling
+ * 
+ * @returns {Object|null} Interval handle (null when disabled)
+ */
+export const startNoShowSweeper = () => {
+  const { sweepSeconds } = getCallSettings();
+  if (sweepSeconds === 0) return null;
+
+  const timer = setInterval(() => {
+    skipNoShows().catch(() => {});
+  }, sweepSeconds * 1000);
+
+  timer.unref();
+  return timer;
+};
+
+/**
+ * Reset Queue (Testing Only)
+ * Clears all queue data and history - USE WITH CAUTION
+ * 
+ * Not for daily use: queue numbers restart per business day, so close
+ * the day and open the next one instead (see businessDayController).
  * 
  * @returns {Promise<Object>} Reset results
  */
 export const resetQueue = async () => {
   try {
+    // Counters are dropped too; they re-seed from the (now empty) collections
     const [customersDeleted, queuesDeleted] = await Promise.all([
       Customer.deleteMany({}),
-      Queue.deleteMany({})
+      Queue.deleteMany({}),
+      Counter.deleteMany({})
     ]);
 
     return {
@@ -0,0 +1,286 @@
+/**
+ * Receipt Renderer
+ * Renders stored receipt content as plain text, HTML or PDF
+ *
+ * Design Decisions:
+ * 1. Plain text is the master layout: fixed-width columns for 80mm
+ *    thermal printers (RECEIPT_TEXT_WIDTH, default 42 characters)
+ * 2. The PDF is that same text set in Courier on an 80mm-wide page, so it
+ *    needs no PDF library and always matches the printed slip
+ * 3. HTML is a standalone document (inline styles) for email or browser print
+ *
+ * Configuration (environment):
+ * - RECEIPT_TEXT_WIDTH=42
+ * - RECEIPT_CURRENCY=Rs.
+ * - RECEIPT_FOOTER="Thank you for shopping with us"
+ */
+
+export const RECEIPT_FORMATS = ['json', 'text', 'html', 'pdf'];
+
+const getTextWidth = () => {
+  const width = parseInt(process.env.RECEIPT_TEXT_WIDTH);
+  return width >= 32 && width <= 80 ? width : 42;
+};
+
+const getCurrency = () => process.env.RECEIPT_CURRENCY || 'Rs.';
+
+const getFooter = () => process.env.RECEIPT_FOOTER || 'Thank you for shopping with us';
+
+const formatMoney = (value) => Number(value || 0).toFixed(2);
+
+/**
+ * Format a timestamp in the store's timezone
+ */
+const formatDateTime = (date, timeZone) => {
+  if (!date) return '-';
+
+  return new Date(date).toLocaleString('en-GB', {
+    timeZone: timeZone || undefined,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+};
+
+/**
+ * Render Receipt as Text
+ *
+ * @param {Object} receipt - Receipt document ({ receiptNumber, issuedAt, content })
+ * @returns {string} Fixed-width text, one receipt line per line
+ */
+export const renderReceiptText = (receipt) => {
+  const width = getTextWidth();
+  const { content } = receipt;
+  const currency = getCurrency();
+
+  const rule = '-'.repeat(width);
+  const center = (text) => {
+    const value = String(text).slice(0, width);
+    return ' '.repeat(Math.floor((width - value.length) / 2)) + value;
+  };
+  const row = (left, right = '') => {
+    const rightText = String(right);
+    const leftText = String(left).slice(0, Math.max(width - rightText.length - 1, 0));
+    return leftText + ' '.repeat(Math.max(width - leftText.length - rightText.length, 1)) + rightText;
+  };
+
+  const lines = [
+    center(content.store.name),
+    center(`Store ${content.store.storeId}`)
+  ];
+
+  if (content.store.gstin) lines.push(center(`GSTIN ${content.store.gstin}`));
+
+  lines.push(rule);
+  if (content.invoiceNumber) lines.push(row('Invoice', content.invoiceNumber));
+
+  lines.push(
+    row('Receipt', receipt.receiptNumber),
+    row('Date', formatDateTime(content.billedAt || receipt.issuedAt, content.store.timezone)),
+    row('Customer', `${content.customer.customerId} (#${content.customer.queueNumber})`),
+    row('Counter', content.counterNumber ?? '-')
+  );
+
+  if (content.cashier) lines.push(row('Cashier', content.cashier));
+
+  lines.push(rule);
+
+  content.lines.forEach(line => {
+    lines.push(String(line.name).slice(0, width));
+    lines.push(row(`  ${line.quantity} x ${formatMoney(line.unitPrice)}`, formatMoney(line.lineTotal)));
+  });
+
+  lines.push(rule);
+  lines.push(row('Items', content.itemCount));
+
+  if (content.discount > 0) {
+    lines.push(row('Subtotal', formatMoney(content.subtotal)));
+    lines.push(row(`Discount${content.coupon ? ` ${content.coupon}` : ''}`, `-${formatMoney(content.discount)}`));
+  }
+
+  lines.push(row(`TOTAL ${currency}`, formatMoney(content.total)));
+  lines.push(rule);
+
+  if (content.tax) {
+    content.tax.byRate.forEach(rate => {
+      lines.push(row(`GST ${rate.rate}% on ${formatMoney(rate.taxableValue)}`, formatMoney(rate.tax)));
+    });
+    lines.push(row('Taxable value', formatMoney(content.tax.taxableValue)));
+
+    if (content.tax.interState) {
+      lines.push(row('IGST', formatMoney(content.tax.igst)));
+    } else {
+      lines.push(row('CGST', formatMoney(content.tax.cgst)));
+      lines.push(row('SGST', formatMoney(content.tax.sgst)));
+    }
+
+    lines.push(`Prices ${content.tax.pricing === 'INCLUSIVE' ? 'include' : 'exclude'} GST`);
+    lines.push(rule);
+  }
+
+  content.payments.forEach(payment => {
+    lines.push(row(`Paid ${payment.method}`, formatMoney(payment.amount)));
+
+    if (payment.change > 0) {
+      lines.push(row('  Tendered', formatMoney(payment.tendered)));
+      lines.push(row('  Change', formatMoney(payment.change)));
+    }
+
+    if (payment.reference) lines.push(row('  Ref', payment.reference));
+  });
+
+  if (content.payments.length > 0) lines.push(rule);
+
+  lines.push(center(getFooter()));
+
+  return lines.join('\n') + '\n';
+};
+
+/**
+ * Escape text for HTML
+ */
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Render Receipt as HTML
+ *
+ * @param {Object} receipt - Receipt document
+ * @returns {string} Standalone HTML document
+ */
+export const renderReceiptHtml = (receipt) => {
+  const { content } = receipt;
+  const currency = escapeHtml(getCurrency());
+
+  const itemRows = content.lines.map(line => `
+      <tr>
+        <td>${escapeHtml(line.name)}${line.sku ? `<br><small>${escapeHtml(line.sku)}</small>` : ''}</td>
+        <td class="num">${line.quantity}</td>
+        <td class="num">${formatMoney(line.unitPrice)}</td>
+        <td class="num">${formatMoney(line.lineTotal)}</td>
+      </tr>`).join('');
+
+  const discountRows = content.discount > 0 ? `
+    <tr><td colspan="3">Subtotal</td><td class="num">${formatMoney(content.subtotal)}</td></tr>
+    <tr><td colspan="3">Discount${content.coupon ? ` ${escapeHtml(content.coupon)}` : ''}</td><td class="num">-${formatMoney(content.discount)}</td></tr>` : '';
+
+  const taxRows = content.tax ? `${content.tax.byRate.map(rate => `
+      <tr><td colspan="3">GST ${rate.rate}% on ${formatMoney(rate.taxableValue)}</td><td class="num">${formatMoney(rate.tax)}</td></tr>`).join('')}
+      <tr><td colspan="3">Taxable value</td><td class="num">${formatMoney(content.tax.taxableValue)}</td></tr>${content.tax.interState ? `
+      <tr><td colspan="3">IGST</td><td class="num">${formatMoney(content.tax.igst)}</td></tr>` : `
+      <tr><td colspan="3">CGST</td><td class="num">${formatMoney(content.tax.cgst)}</td></tr>
+      <tr><td colspan="3">SGST</td><td class="num">${formatMoney(content.tax.sgst)}</td></tr>`}` : '';
+
+  const paymentRows = content.payments.map(payment => `
+      <tr>
+        <td colspan="3">Paid ${escapeHtml(payment.method)}${payment.reference ? ` (${escapeHtml(payment.reference)})` : ''}</td>
+        <td class="num">${formatMoney(payment.amount)}</td>
+      </tr>${payment.change > 0 ? `
+      <tr>
+        <td colspan="3">Tendered / Change</td>
+        <td class="num">${formatMoney(payment.tendered)} / ${formatMoney(payment.change)}</td>
+      </tr>` : ''}`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Receipt ${escapeHtml(receipt.receiptNumber)}</title>
+  <style>
+    body { font-family: monospace; max-width: 360px; margin: 16px auto; }
+    h1 { font-size: 16px; text-align: center; margin: 0; }
+    .center { text-align: center; }
+    table { width: 100%; border-collapse: collapse; }
+    td, th { padding: 2px 0; vertical-align: top; }
+    .num { text-align: right; }
+    .total td { font-weight: bold; border-top: 1px dashed #000; }
+    hr { border: 0; border-top: 1px dashed #000; }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(content.store.name)}</h1>
+  <p class="center">Store ${escapeHtml(content.store.storeId)}${content.store.gstin ? `<br>GSTIN ${escapeHtml(content.store.gstin)}` : ''}</p>
+  <hr>
+  <table>${content.invoiceNumber ? `
+    <tr><td>Invoice</td><td class="num">${escapeHtml(content.invoiceNumber)}</td></tr>` : ''}
+    <tr><td>Receipt</td><td class="num">${escapeHtml(receipt.receiptNumber)}</td></tr>
+    <tr><td>Date</td><td class="num">${escapeHtml(formatDateTime(content.billedAt || receipt.issuedAt, content.store.timezone))}</td></tr>
+    <tr><td>Customer</td><td class="num">${escapeHtml(content.customer.customerId)} (#${escapeHtml(content.customer.queueNumber)})</td></tr>
+    <tr><td>Counter</td><td class="num">${escapeHtml(content.counterNumber ?? '-')}</td></tr>${content.cashier ? `
+    <tr><td>Cashier</td><td class="num">${escapeHtml(content.cashier)}</td></tr>` : ''}
+  </table>
+  <hr>
+  <table>
+    <tr><th align="left">Item</th><th class="num">Qty</th><th class="num">Price</th><th class="num">Amount</th></tr>${itemRows}${discountRows}
+    <tr class="total"><td colspan="3">TOTAL ${currency} (${content.itemCount} items)</td><td class="num">${formatMoney(content.total)}</td></tr>${taxRows}${paymentRows}
+  </table>
+  <hr>
+  <p class="center">${escapeHtml(getFooter())}</p>
+</body>
+</html>
+`;
+};
+
+/**
+ * Escape a line for a PDF string literal (WinAnsi; other characters become "?")
+ */
+const escapePdfText = (text) => text
+  .replace(/[^\x20-\x7E\xA0-\xFF]/g, '?')
+  .replace(/\\/g, '\\\\')
+  .replace(/\(/g, '\\(')
+  .replace(/\)/g, '\\)');
+
+/**
+ * Render Receipt as PDF
+ * Single 80mm-wide page, Courier 8pt, height fitted to the receipt
+ *
+ * @param {Object} receipt - Receipt document
+ * @returns {Buffer} PDF file
+ */
+export const renderReceiptPdf = (receipt) => {
+  const textLines = renderReceiptText(receipt).trimEnd().split('\n');
+
+  const fontSize = 8;
+  const leading = 10;
+  const margin = 12;
+  const pageWidth = 227; // 80mm
+  const pageHeight = margin * 2 + textLines.length * leading;
+
+  const stream = [
+    'BT',
+    `/F1 ${fontSize} Tf`,
+    `${leading} TL`,
+    `${margin} ${pageHeight - margin - fontSize} Td`,
+    ...textLines.map(line => `(${escapePdfText(line)}) Tj T*`),
+    'ET'
+  ].join('\n');
+
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${pageWidth} ${pageHeight}] /Contents 4 0 R /Resources << /Font << /F1 5 0 R >> >> >>`,
+    `<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Courier /Encoding /WinAnsiEncoding >>'
+  ];
+
+  // Byte offsets of each object feed the cross-reference table
+  let pdf = '%PDF-1.4\n';
+  const offsets = objects.map((body, index) => {
+    const offset = Buffer.byteLength(pdf, 'latin1');
+    pdf += `${index + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+
+  const xrefOffset = Buffer.byteLength(pdf, 'latin1');
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(pdf, 'latin1');
+};
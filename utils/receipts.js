@@ -0,0 +1,148 @@
+import Receipt, { formatReceiptNumber } from '../models/Receipt.js';
+import Payment from '../models/Payment.js';
+import { getBusinessDate } from './businessDay.js';
+import { calculateLineTotal, countCartItems, roundMoney } from './cartItems.js';
+
+/**
+ * Receipt Utility
+ * Issues numbered receipts from customer, billing and payment data
+ * 
+ * Design Decisions:
+ * 1. Issuing is idempotent: a customer keeps the receipt number they were
+ *    first given; reprints reuse the stored content
+ * 2. Undoing billing voids the receipt; the next bill gets a new number
+ *    (receipts from before voiding have no status and count as issued)
+ * 3. The receipt's day is the store-local date of billing, so a bill
+ *    completed just after midnight starts the new day's sequence
+ */
+
+/**
+ * Build Receipt Content
+ * Snapshot of everything printed on the receipt
+ * 
+ * @param {Object} customer - Billed customer
+ * @param {Object} store - Store ({ storeId, name, timezone })
+ * @param {Array} payments - Payments towards the bill
+ * @returns {Object} Receipt content
+ */
+export const buildReceiptContent = (customer, store, payments) => {
+  const subtotal = roundMoney(customer.subtotal ?? customer.cartTotal);
+
+  // Customers registered with a bare total print as a single line
+  const lines = customer.items && customer.items.length > 0
+    ? customer.items.map(item => ({
+      sku: item.sku,
+      name: item.name,
+      quantity: item.quantity,
+      unitPrice: item.unitPrice,
+      lineTotal: item.lineTotal || calculateLineTotal(item)
+    }))
+    : [{ sku: null, name: 'Purchase', quantity: 1, unitPrice: subtotal, lineTotal: subtotal }];
+
+  return {
+    store: {
+      storeId: store.storeId,
+      name: store.name || store.storeId,
+      gstin: store.gstin || null,
+      timezone: store.timezone || process.env.STORE_TIMEZONE || null
+    },
+    invoiceNumber: customer.invoiceNumber || null,
+    tax: customer.tax
+      ? {
+        pricing: customer.tax.pricing,
+        interState: customer.tax.interState,
+        taxableValue: customer.tax.taxableValue,
+        cgst: customer.tax.cgst,
+        sgst: customer.tax.sgst,
+        igst: customer.tax.igst,
+        totalTax: customer.tax.totalTax,
+        byRate: (customer.tax.byRate || []).map(({ rate, taxableValue, tax }) => ({ rate, taxableValue, tax }))
+      }
+      : null,
+    customer: {
+      customerId: customer.customerId,
+      name: customer.name,
+      queueNumber: customer.queueNumber
+    },
+    counterNumber: customer.counterNumber,
+    cashier: payments.length > 0 ? payments[payments.length - 1].receivedBy : null,
+    billedAt: customer.billedAt,
+    lines,
+    itemCount: countCartItems(lines),
+    subtotal,
+    discount: roundMoney(customer.discount || 0),
+    coupon: customer.coupon ? customer.coupon.code : null,
+    total: roundMoney(customer.cartTotal),
+    payments: payments.map(({ method, amount, tendered, change, reference }) => ({
+      method,
+      amount,
+      tendered,
+      change,
+      reference
+    })),
+    amountPaid: roundMoney(payments.reduce((sum, payment) => sum + payment.amount, 0)),
+    changeGiven: roundMoney(payments.reduce((sum, payment) => sum + payment.change, 0))
+  };
+};
+
+const CURRENT_RECEIPT = { status: { $ne: 'VOID' } };
+
+/**
+ * Issue Receipt
+ * Returns the customer's current receipt, numbering a new one if none exists
+ * (first bill, or re-billed after a void)
+ * 
+ * @param {Object} customer - Billed (or verified) customer
+ * @param {Object} store - Store ({ storeId, name, timezone })
+ * @param {string|null} issuedBy - Staff username
+ * @returns {Promise<Object>} Receipt document
+ */
+export const issueReceipt = async (customer, store, issuedBy = null) => {
+  const { storeId } = store;
+
+  const existing = await Receipt.findOne({ storeId, customerId: customer.customerId, ...CURRENT_RECEIPT });
+  if (existing) return existing;
+
+  const payments = await Payment.find({ storeId, customerId: customer.customerId })
+    .sort({ createdAt: 1 })
+    .lean();
+
+  const businessDate = getBusinessDate(customer.billedAt || new Date(), store.timezone);
+  const sequence = await Receipt.getNextSequence(storeId, businessDate);
+
+  try {
+    return await Receipt.create({
+      storeId,
+      customerId: customer.customerId,
+      businessDate,
+      sequence,
+      receiptNumber: formatReceiptNumber(storeId, businessDate, sequence),
+      content: buildReceiptContent(customer, store, payments),
+      issuedBy
+    });
+  } catch (error) {
+    // Concurrent issue for the same customer: the other request won
+    if (error.code === 11000) {
+      const receipt = await Receipt.findOne({ storeId, customerId: customer.customerId, ...CURRENT_RECEIPT });
+      if (receipt) return receipt;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Void Receipt
+ * Retires the customer's current receipt when their billing is undone;
+ * the document (and its number) stays for the numbering audit
+ * 
+ * @param {string} storeId - Store ID
+ * @param {string} customerId - Customer ID
+ * @param {string|null} voidedBy - Staff username
+ * @returns {Promise<Object|null>} Voided receipt, or null if none was issued
+ */
+export const voidReceipt = (storeId, customerId, voidedBy = null) =>
+  Receipt.findOneAndUpdate(
+    { storeId, customerId, ...CURRENT_RECEIPT },
+    { $set: { status: 'VOID', voidedAt: new Date(), voidedBy } },
+    { new: true }
+  );
@@ -0,0 +1,121 @@
+import { PAYMENT_METHODS } from '../models/Payment.js';
+import { calculateLineTotal, roundMoney } from './cartItems.js';
+
+/**
+ * Refund Utility
+ * Validates a return request against what was bought, paid and already refunded
+ *
+ * Rules:
+ * - A return is either items ({ sku, quantity }) or a plain amount
+ * - Items cannot be returned more times than they were bought
+ * - Items are refunded at the price actually paid: their share of
+ *   cartTotal, so coupon discounts and exclusive tax are accounted for
+ * - Total refunds never exceed cartTotal
+ * - CARD / UPI / WALLET refunds go back to the same instrument, so they
+ *   are capped at what was paid that way; CASH can refund any balance
+ */
+
+/**
+ * Plan Refund
+ *
+ * @param {Object} customer - VERIFIED customer (items, cartTotal)
+ * @param {Object} request - { items?: [{ sku, quantity }], amount?, method }
+ * @param {Object} history
+ * @param {Object} history.refunded - Refund.getRefundedSummary() result
+ * @param {Object} history.paidByMethod - { METHOD: amount paid }
+ * @returns {{ refund: Object|null, error: string|null }} refund: { items, amount, method }
+ */
+export const planRefund = (customer, request, { refunded, paidByMethod }) => {
+  const method = String(request.method || '').toUpperCase();
+
+  if (!PAYMENT_METHODS.includes(method)) {
+    return { refund: null, error: `Refund method must be one of: ${PAYMENT_METHODS.join(', ')}` };
+  }
+
+  const hasItems = Array.isArray(request.items) && request.items.length > 0;
+  const hasAmount = request.amount !== undefined && request.amount !== null;
+
+  if (hasItems === hasAmount) {
+    return { refund: null, error: 'Provide either items or an amount to refund' };
+  }
+
+  const refundable = roundMoney(customer.cartTotal - refunded.total);
+
+  if (refundable <= 0) {
+    return { refund: null, error: 'Bill has already been fully refunded' };
+  }
+
+  let items = [];
+  let amount;
+
+  if (hasItems) {
+    const cartItems = customer.items || [];
+    const cartValue = cartItems.reduce((sum, item) => sum + calculateLineTotal(item), 0);
+
+    if (cartValue <= 0) {
+      return { refund: null, error: 'Bill has no itemized cart: refund an amount instead' };
+    }
+
+    // What the customer paid per unit of line value
+    const paidRatio = customer.cartTotal / cartValue;
+    const requested = new Map();
+
+    for (const raw of request.items) {
+      const sku = String(raw?.sku || '').trim().toUpperCase();
+      const quantity = Number(raw?.quantity ?? 1);
+
+      if (!sku || !Number.isInteger(quantity) || quantity < 1) {
+        return { refund: null, error: 'Each returned item needs a sku and a whole quantity of at least 1' };
+      }
+
+      requested.set(sku, (requested.get(sku) || 0) + quantity);
+    }
+
+    for (const [sku, quantity] of requested) {
+      const lines = cartItems.filter(item => item.sku === sku);
+
+      if (lines.length === 0) {
+        return { refund: null, error: `Item ${sku} was not on this bill` };
+      }
+
+      const bought = lines.reduce((sum, line) => sum + line.quantity, 0);
+      const returnable = bought - (refunded.quantities[sku] || 0);
+
+      if (quantity > returnable) {
+        return { refund: null, error: `Item ${sku}: only ${returnable} of ${bought} can still be returned` };
+      }
+
+      const lineValue = lines.reduce((sum, line) => sum + calculateLineTotal(line), 0);
+
+      items.push({
+        sku,
+        name: lines[0].name,
+        quantity,
+        amount: roundMoney(lineValue / bought * quantity * paidRatio)
+      });
+    }
+
+    // Rounding on the last units may overshoot by a paisa
+    amount = Math.min(roundMoney(items.reduce((sum, item) => sum + item.amount, 0)), refundable);
+  } else {
+    amount = roundMoney(Number(request.amount));
+
+    if (!Number.isFinite(amount) || amount <= 0) {
+      return { refund: null, error: 'Refund amount must be positive' };
+    }
+
+    if (amount > refundable) {
+      return { refund: null, error: `Refund amount ${amount} exceeds refundable balance ${refundable}` };
+    }
+  }
+
+  if (method !== 'CASH') {
+    const available = roundMoney((paidByMethod[method] || 0) - (refunded.byMethod[method] || 0));
+
+    if (amount > available) {
+      return { refund: null, error: `Only ${available} was paid by ${method} and can be refunded that way` };
+    }
+  }
+
+  return { refund: { items, amount, method }, error: null };
+};
@@ -0,0 +1,93 @@
+/**
+ * Server-Sent Events Utility
+ * Opens an SSE stream on an Express response
+ * 
+ * Design Decisions:
+ * 1. SSE over WebSockets: one-way server -> client updates, plain HTTP,
+ *    automatic browser reconnect via EventSource
+ * 2. Heartbeat comments keep proxies/load balancers from closing idle streams
+ * 3. Cleanup callbacks run exactly once when the client disconnects
+ */
+
+const HEARTBEAT_INTERVAL_MS = 25000;
+
+/**
+ * Open SSE Stream
+ * 
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {{ send: Function, onClose: Function, isClosed: Function }} Stream controls
+ */
+export const openSSEStream = (req, res) => {
+  res.status(200);
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no' // Disable nginx response buffering
+  });
+  res.flushHeaders();
+
+  // Client reconnect delay (ms)
+  res.write('retry: 5000\n\n');
+
+  const cleanups = [];
+  let closed = false;
+
+  const heartbeat = setInterval(() => {
+    res.write(': heartbeat\n\n');
+  }, HEARTBEAT_INTERVAL_MS);
+
+  req.on('close', () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    cleanups.forEach(cleanup => cleanup());
+  });
+
+  return {
+    send: (event, data) => {
+      if (closed) return;
+      res.write(`event: ${event}\n`);
+      res.write(`data: ${JSON.stringify(data)}\n\n`);
+    },
+    onClose: (cleanup) => {
+      cleanups.push(cleanup);
+    },
+    isClosed: () => closed
+  };
+};
+
+/**
+ * Coalesce Async Task
+ * Runs fn at most once at a time; calls arriving mid-run trigger exactly
+ * one more run afterwards. Bursts of queue events cost one recompute.
+ * 
+ * @param {Function} fn - Async task
+ * @returns {Function} Trigger function
+ */
+export const coalesce = (fn) => {
+  let running = false;
+  let pending = false;
+
+  const trigger = async () => {
+    if (running) {
+      pending = true;
+      return;
+    }
+
+    running = true;
+    try {
+      do {
+        pending = false;
+        await fn();
+      } while (pending);
+    } catch (error) {
+      console.error('SSE Refresh Error:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  return trigger;
+};
@@ -0,0 +1,219 @@
+import { roundMoney, calculateLineTotal } from './cartItems.js';
+
+/**
+ * GST Tax Engine
+ * Splits cart lines into taxable value and CGST/SGST/IGST
+ *
+ * Design Decisions:
+ * 1. Rate comes from the item's category (slab table), else the default rate
+ * 2. INCLUSIVE pricing (MRP, the retail norm): unit prices already include
+ *    tax, which is backed out. EXCLUSIVE: tax is added on top, so the
+ *    amount due is taxable value + tax
+ * 3. Intra-state supply is CGST + SGST (half each); inter-state (place of
+ *    supply differs from the store's state) is IGST at the full rate
+ * 4. Tax is rounded per line; the SGST half takes any odd paisa so
+ *    CGST + SGST always equals the line tax
+ * 5. A bill discount (coupon) reduces the transaction value: it is spread
+ *    over lines in proportion to their value and tax is backed out of
+ *    each discounted line
+ *
+ * Configuration (environment):
+ * - GST_PRICING=INCLUSIVE | EXCLUSIVE
+ * - GST_RATE_SLABS="0,0.25,3,5,12,18,28"
+ * - GST_CATEGORY_RATES="DAIRY:0,GROCERY:5,PACKAGED_FOOD:12,PERSONAL_CARE:18"
+ * - GST_DEFAULT_RATE=18
+ * - GST_STATE_CODE=29 (store's state unless the store sets its own)
+ * - GST_FY_START_MONTH=4 (April)
+ */
+
+export const TAX_PRICING_MODES = ['INCLUSIVE', 'EXCLUSIVE'];
+
+const DEFAULT_RATE_SLABS = [0, 0.25, 3, 5, 12, 18, 28];
+
+/**
+ * Get Rate Slabs
+ *
+ * @returns {number[]} Allowed GST rates (percent)
+ */
+export const getRateSlabs = () => {
+  const slabs = (process.env.GST_RATE_SLABS || '')
+    .split(',')
+    .map(value => parseFloat(value))
+    .filter(value => Number.isFinite(value) && value >= 0);
+
+  return slabs.length > 0 ? slabs : DEFAULT_RATE_SLABS;
+};
+
+/**
+ * Get Tax Configuration
+ * Category rates outside the slab table are ignored
+ *
+ * @returns {Object} { pricing, defaultRate, categoryRates, slabs }
+ */
+export const getTaxConfig = () => {
+  const slabs = getRateSlabs();
+  const pricing = String(process.env.GST_PRICING || 'INCLUSIVE').toUpperCase();
+  const defaultRate = parseFloat(process.env.GST_DEFAULT_RATE);
+  const categoryRates = {};
+
+  (process.env.GST_CATEGORY_RATES || '').split(',').forEach(entry => {
+    const [category, value] = entry.split(':').map(part => part && part.trim());
+    const rate = parseFloat(value);
+
+    if (category && slabs.includes(rate)) {
+      categoryRates[category.toUpperCase()] = rate;
+    }
+  });
+
+  return {
+    pricing: TAX_PRICING_MODES.includes(pricing) ? pricing : 'INCLUSIVE',
+    defaultRate: slabs.includes(defaultRate) ? defaultRate : 18,
+    categoryRates,
+    slabs
+  };
+};
+
+/**
+ * Get Rate for a Category
+ *
+ * @param {string|null} category - Item category
+ * @param {Object} config - Tax configuration (defaults to getTaxConfig())
+ * @returns {number} GST rate (percent)
+ */
+export const getTaxRate = (category, config = getTaxConfig()) =>
+  category && config.categoryRates[category.toUpperCase()] !== undefined
+    ? config.categoryRates[category.toUpperCase()]
+    : config.defaultRate;
+
+/**
+ * Calculate Amount Due
+ * Cart total the customer pays for these items under the pricing mode
+ *
+ * @param {Array} items - Cart items
+ * @returns {number} Amount due
+ */
+export const calculateAmountDue = (items = []) => {
+  const config = getTaxConfig();
+
+  return roundMoney(items.reduce((sum, item) => {
+    const lineTotal = calculateLineTotal(item);
+
+    if (config.pricing === 'INCLUSIVE') return sum + lineTotal;
+
+    return sum + lineTotal + roundMoney(lineTotal * getTaxRate(item.category, config) / 100);
+  }, 0));
+};
+
+/**
+ * Compute Tax
+ * Per-line and per-rate GST breakdown
+ *
+ * @param {Array} items - Cart items ({ quantity, unitPrice, category })
+ * @param {Object} options
+ * @param {boolean} options.interState - IGST instead of CGST + SGST
+ * @param {string} options.pricing - Override pricing mode (e.g. INCLUSIVE for bare totals)
+ * @param {number} options.discount - Bill discount off the amount due
+ * @returns {Object} { pricing, interState, lines, byRate, totals }
+ */
+export const computeTax = (items = [], { interState = false, pricing = null, discount = 0 } = {}) => {
+  const config = getTaxConfig();
+  const mode = pricing || config.pricing;
+
+  // Amount due per line (tax included) before any discount
+  const grossLines = items.map(item => {
+    const rate = getTaxRate(item.category, config);
+    const lineTotal = calculateLineTotal(item);
+    const gross = mode === 'INCLUSIVE' ? lineTotal : roundMoney(lineTotal + roundMoney(lineTotal * rate / 100));
+    return { item, rate, lineTotal, gross };
+  });
+
+  // Spread the discount by line value; the last line absorbs rounding
+  const grossTotal = grossLines.reduce((sum, line) => sum + line.gross, 0);
+  const discountedTotal = roundMoney(Math.max(grossTotal - discount, 0));
+  let allocated = 0;
+
+  const lines = grossLines.map(({ item, rate, lineTotal, gross }, index) => {
+    let taxableValue;
+    let tax;
+
+    if (discount > 0 && grossTotal > 0) {
+      const discountedGross = index === grossLines.length - 1
+        ? roundMoney(discountedTotal - allocated)
+        : roundMoney(gross * discountedTotal / grossTotal);
+      allocated = roundMoney(allocated + discountedGross);
+
+      taxableValue = roundMoney(discountedGross / (1 + rate / 100));
+      tax = roundMoney(discountedGross - taxableValue);
+    } else {
+      taxableValue = mode === 'INCLUSIVE'
+        ? roundMoney(lineTotal / (1 + rate / 100))
+        : lineTotal;
+      tax = mode === 'INCLUSIVE'
+        ? roundMoney(lineTotal - taxableValue)
+        : roundMoney(gross - lineTotal);
+    }
+
+    const cgst = interState ? 0 : roundMoney(tax / 2);
+    const sgst = interState ? 0 : roundMoney(tax - cgst);
+
+    return {
+      sku: item.sku || null,
+      category: item.category || null,
+      rate,
+      taxableValue,
+      cgst,
+      sgst,
+      igst: interState ? tax : 0,
+      tax,
+      total: roundMoney(taxableValue + tax)
+    };
+  });
+
+  const sum = (entries, field) => roundMoney(entries.reduce((total, entry) => total + entry[field], 0));
+
+  const byRate = [...new Set(lines.map(line => line.rate))]
+    .sort((a, b) => a - b)
+    .map(rate => {
+      const rateLines = lines.filter(line => line.rate === rate);
+      return {
+        rate,
+        taxableValue: sum(rateLines, 'taxableValue'),
+        cgst: sum(rateLines, 'cgst'),
+        sgst: sum(rateLines, 'sgst'),
+        igst: sum(rateLines, 'igst'),
+        tax: sum(rateLines, 'tax')
+      };
+    });
+
+  return {
+    pricing: mode,
+    interState,
+    lines,
+    byRate,
+    totals: {
+      taxableValue: sum(lines, 'taxableValue'),
+      cgst: sum(lines, 'cgst'),
+      sgst: sum(lines, 'sgst'),
+      igst: sum(lines, 'igst'),
+      totalTax: sum(lines, 'tax'),
+      grandTotal: sum(lines, 'total')
+    }
+  };
+};
+
+/**
+ * Get Financial Year
+ * Label for invoice numbering, e.g. "2627" for FY 2026-27
+ *
+ * @param {string} businessDate - YYYY-MM-DD
+ * @returns {string} Four-digit financial year label
+ */
+export const getFinancialYear = (businessDate) => {
+  const startMonth = parseInt(process.env.GST_FY_START_MONTH) || 4;
+  const [year, month] = businessDate.split('-').map(Number);
+  const startYear = startMonth === 1 || month >= startMonth ? year : year - 1;
+
+  return startMonth === 1
+    ? String(startYear)
+    : `${String(startYear).slice(-2)}${String(startYear + 1).slice(-2)}`;
+};
@@ -0,0 +1,131 @@
+import Customer from '../models/Customer.js';
+import Refund from '../models/Refund.js';
+import { roundMoney } from './cartItems.js';
+
+/**
+ * Visit History
+ * Every Customer document is one visit; the phone number ties a shopper's
+ * visits together
+ *
+ * Definitions:
+ * - Visit: a registration in this store (any status)
+ * - Lifetime spend: cartTotal of billed visits (BILLED, VERIFIED) minus refunds
+ * - Wait: registration -> billing, the same measure the wait estimator uses
+ *
+ * Interview Points:
+ * - No separate "shopper" collection: history is derived, never out of sync
+ * - Totals come from one aggregation; only the visit list is limited
+ */
+
+const BILLED_STATUSES = ['BILLED', 'VERIFIED'];
+const DEFAULT_VISIT_LIMIT = 20;
+
+/**
+ * Get Visit Summary
+ * Totals across all of a phone's visits to a store
+ *
+ * @param {string} storeId - Store ID
+ * @param {string} phone - Phone number as stored
+ * @param {Object} options
+ * @param {string} options.excludeCustomerId - Leave one visit out (e.g. the current one)
+ * @returns {Promise<Object>} { totalVisits, billedVisits, lifetimeSpend, averageWaitMinutes, firstVisitAt, lastVisitAt }
+ */
+export const getVisitSummary = async (storeId, phone, { excludeCustomerId = null } = {}) => {
+  const match = { storeId, phone };
+  if (excludeCustomerId) match.customerId = { $ne: excludeCustomerId };
+
+  const [totals] = await Customer.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: null,
+        totalVisits: { $sum: 1 },
+        billedVisits: { $sum: { $cond: [{ $in: ['$status', BILLED_STATUSES] }, 1, 0] } },
+        billedCustomerIds: {
+          $push: { $cond: [{ $in: ['$status', BILLED_STATUSES] }, '$customerId', null] }
+        },
+        sales: { $sum: { $cond: [{ $in: ['$status', BILLED_STATUSES] }, '$cartTotal', 0] } },
+        waitMs: {
+          $sum: { $cond: [{ $ifNull: ['$billedAt', false] }, { $subtract: ['$billedAt', '$createdAt'] }, 0] }
+        },
+        waitedVisits: { $sum: { $cond: [{ $ifNull: ['$billedAt', false] }, 1, 0] } },
+        firstVisitAt: { $min: '$createdAt' },
+        lastVisitAt: { $max: '$createdAt' }
+      }
+    }
+  ]);
+
+  if (!totals) {
+    return {
+      totalVisits: 0,
+      billedVisits: 0,
+      lifetimeSpend: 0,
+      averageWaitMinutes: null,
+      firstVisitAt: null,
+      lastVisitAt: null
+    };
+  }
+
+  const [refunds] = await Refund.aggregate([
+    { $match: { storeId, customerId: { $in: totals.billedCustomerIds.filter(Boolean) } } },
+    { $group: { _id: null, amount: { $sum: '$amount' } } }
+  ]);
+
+  return {
+    totalVisits: totals.totalVisits,
+    billedVisits: totals.billedVisits,
+    lifetimeSpend: roundMoney(totals.sales - (refunds ? refunds.amount : 0)),
+    averageWaitMinutes: totals.waitedVisits > 0
+      ? Math.round(totals.waitMs / totals.waitedVisits / 1000 / 60)
+      : null,
+    firstVisitAt: totals.firstVisitAt,
+    lastVisitAt: totals.lastVisitAt
+  };
+};
+
+/**
+ * Get Visits
+ * A phone's visits to a store, newest first
+ *
+ * @param {string} storeId - Store ID
+ * @param {string} phone - Phone number as stored
+ * @param {Object} options
+ * @param {string} options.excludeCustomerId - Leave one visit out (e.g. the current one)
+ * @param {number} options.limit - Maximum visits returned (default 20)
+ * @returns {Promise<Array>} Visits with their wait in minutes
+ */
+export const getVisits = async (storeId, phone, { excludeCustomerId = null, limit = DEFAULT_VISIT_LIMIT } = {}) => {
+  const query = { storeId, phone };
+  if (excludeCustomerId) query.customerId = { $ne: excludeCustomerId };
+
+  const visits = await Customer.find(query)
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .select('customerId name queueNumber businessDate priority status cartTotal items createdAt billedAt verifiedAt cancelledAt')
+    .lean();
+
+  return visits.map(({ items = [], ...visit }) => ({
+    ...visit,
+    itemCount: items.reduce((sum, item) => sum + item.quantity, 0),
+    waitMinutes: visit.billedAt
+      ? Math.round((visit.billedAt - visit.createdAt) / 1000 / 60)
+      : null
+  }));
+};
+
+/**
+ * Find Known Name
+ * Name given on a phone's most recent visit (registration prefill)
+ *
+ * @param {string} storeId - Store ID
+ * @param {string} phone - Phone number as stored
+ * @returns {Promise<string|null>}
+ */
+export const findKnownName = async (storeId, phone) => {
+  const latest = await Customer.findOne({ storeId, phone })
+    .sort({ createdAt: -1 })
+    .select('name')
+    .lean();
+
+  return latest ? latest.name : null;
+};
@@ -0,0 +1,236 @@
+import Customer from '../models/Customer.js';
+import BillingCounter from '../models/BillingCounter.js';
+import Store from '../models/Store.js';
+import { getLocalHour } from './businessDay.js';
+
+/**
+ * Wait Time Estimator
+ * Data-driven ETA from recent registration -> billing durations
+ * 
+ * Model:
+ * 1. Each recently billed customer is one sample:
+ *      minutesPerCustomer = (billedAt - createdAt) * openCounters / peopleAhead
+ *    i.e. how long one counter took per customer ahead at that time
+ *    (peopleAhead = position - 1; customers with nobody ahead carry no rate)
+ * 2. Samples are weighted by time-of-day similarity (Gaussian on the
+ *    circular hour distance, in store time), so a Saturday-evening rush
+ *    informs evenings
+ * 3. Weighted p50/p90 of that rate are scaled to the current situation:
+ *      wait = rate * peopleAhead / currently open counters
+ *    The fallback uses the same people-ahead convention
+ * 4. Too little history -> falls back to the fixed per-customer time
+ * 5. History and open counters are per store; stores differ in staffing
+ * 
+ * Interview Talking Points:
+ * - Ranges (p50/p90) communicate uncertainty better than one number
+ * - Samples cached briefly; estimates are cheap enough for every SSE push
+ * - Alternative: queueing-theory (M/M/c) with measured arrival/service rates
+ * 
+ * Configuration (environment):
+ * - WAIT_SAMPLE_DAYS (default 14) - history window
+ * - WAIT_MIN_SAMPLES (default 10) - below this, use fallback
+ * - WAIT_DEFAULT_SERVICE_MINUTES (default 3) - fallback per-customer time
+ * - STORE_TIMEZONE (IANA, default server time) - clock for time-of-day weighting
+ */
+
+const SAMPLE_LIMIT = 1000;
+const SAMPLE_CACHE_TTL_MS = 60 * 1000;
+const HOUR_BANDWIDTH = 1.5; // Std deviation (hours) of the time-of-day weighting
+const MIN_WEIGHT = 0.01;
+
+const sampleCache = new Map(); // storeId -> { samples, timezone, loadedAt }
+
+const getConfig = () => ({
+  sampleDays: parseInt(process.env.WAIT_SAMPLE_DAYS) || 14,
+  minSamples: parseInt(process.env.WAIT_MIN_SAMPLES) || 10,
+  defaultServiceMinutes: parseFloat(process.env.WAIT_DEFAULT_SERVICE_MINUTES) || 3
+});
+
+/**
+ * People ahead of a queue position (position 1 is served next)
+ */
+const getPeopleAhead = (position) => Math.max(position - 1, 0);
+
+/**
+ * Build Wait Samples
+ * Turns billed customers into per-customer service rates
+ * 
+ * @param {Array<Object>} customers - { createdAt, billedAt, positionAtRegistration, openCountersAtRegistration }
+ * @param {string} timezone - Store timezone (null: STORE_TIMEZONE)
+ * @returns {Array<{ hour: number, minutesPerCustomer: number }>} Samples
+ */
+export const buildWaitSamples = (customers, timezone = null) => customers
+  .filter(customer => getPeopleAhead(customer.positionAtRegistration) > 0)
+  .map(customer => {
+    const durationMinutes = (customer.billedAt - customer.createdAt) / 1000 / 60;
+    const counters = Math.max(customer.openCountersAtRegistration || 1, 1);
+
+    return {
+      hour: getLocalHour(customer.createdAt, timezone),
+      minutesPerCustomer: durationMinutes * counters / getPeopleAhead(customer.positionAtRegistration)
+    };
+  })
+  .filter(sample => sample.minutesPerCustomer >= 0);
+
+/**
+ * Load Recent Samples
+ * Store's billed customers with recorded registration context and the
+ * store's timezone (hours are store-local), cached for a minute
+ * 
+ * @param {string} storeId - Store ID
+ * @returns {Promise<{ samples: Array<{ hour: number, minutesPerCustomer: number }>, timezone: string|null }>}
+ */
+const getRecentSamples = async (storeId) => {
+  const cached = sampleCache.get(storeId);
+  if (cached && Date.now() - cached.loadedAt < SAMPLE_CACHE_TTL_MS) {
+    return cached;
+  }
+
+  const { sampleDays } = getConfig();
+  const since = new Date(Date.now() - sampleDays * 24 * 60 * 60 * 1000);
+
+  const [customers, store] = await Promise.all([
+    Customer.find({
+      storeId,
+      billedAt: { $ne: null, $gte: since },
+      positionAtRegistration: { $gte: 2 } // Someone was ahead of them
+    })
+      .select('createdAt billedAt positionAtRegistration openCountersAtRegistration')
+      .sort({ billedAt: -1 })
+      .limit(SAMPLE_LIMIT)
+      .lean(),
+    Store.findOne({ storeId }).select('timezone').lean()
+  ]);
+
+  const timezone = store ? store.timezone : null;
+  const entry = { samples: buildWaitSamples(customers, timezone), timezone, loadedAt: Date.now() };
+
+  sampleCache.set(storeId, entry);
+  return entry;
+};
+
+/**
+ * Time-of-day weight
+ * Gaussian kernel on circular hour distance (23:00 is close to 01:00)
+ */
+const getHourWeight = (sampleHour, targetHour) => {
+  const rawDiff = Math.abs(sampleHour - targetHour);
+  const diff = Math.min(rawDiff, 24 - rawDiff);
+  return Math.exp(-(diff * diff) / (2 * HOUR_BANDWIDTH * HOUR_BANDWIDTH));
+};
+
+/**
+ * Weighted Quantile
+ * 
+ * @param {Array<{ value: number, weight: number }>} entries - Sorted by value
+ * @param {number} q - Quantile in [0, 1]
+ * @returns {number} Value at quantile
+ */
+const getWeightedQuantile = (entries, q) => {
+  const totalWeight = entries.reduce((sum, entry) => sum + entry.weight, 0);
+  const target = q * totalWeight;
+
+  let cumulative = 0;
+  for (const entry of entries) {
+    cumulative += entry.weight;
+    if (cumulative >= target) return entry.value;
+  }
+
+  return entries[entries.length - 1].value;
+};
+
+/**
+ * Build Wait Time Estimator
+ * Pure part of the estimator: fits the samples for a time of day
+ * 
+ * @param {Object} options
+ * @param {Array<Object>} options.samples - Result of buildWaitSamples
+ * @param {number} options.openCounterCount - Counters open now
+ * @param {Date} options.at - Time of day to estimate for
+ * @param {string} options.timezone - Store timezone (null: STORE_TIMEZONE)
+ * @returns {Function} (position) => { p50, p90, basis, sampleSize, openCounters }
+ */
+export const buildWaitTimeEstimator = ({ samples, openCounterCount, at, timezone = null }) => {
+  const { minSamples, defaultServiceMinutes } = getConfig();
+
+  const openCounters = Math.max(openCounterCount, 1);
+  const targetHour = getLocalHour(at, timezone);
+
+  const weighted = samples
+    .map(sample => ({
+      value: sample.minutesPerCustomer,
+      weight: getHourWeight(sample.hour, targetHour)
+    }))
+    .filter(entry => entry.weight >= MIN_WEIGHT)
+    .sort((a, b) => a.value - b.value);
+
+  if (weighted.length < minSamples) {
+    // Not enough history: fixed service time, p90 padded by 50%
+    return (position) => {
+      const p50 = Math.round(getPeopleAhead(position) * defaultServiceMinutes / openCounters);
+      return {
+        p50,
+        p90: Math.round(p50 * 1.5),
+        basis: 'DEFAULT',
+        sampleSize: weighted.length,
+        openCounters
+      };
+    };
+  }
+
+  const rateP50 = getWeightedQuantile(weighted, 0.5);
+  const rateP90 = getWeightedQuantile(weighted, 0.9);
+
+  return (position) => ({
+    p50: Math.round(rateP50 * getPeopleAhead(position) / openCounters),
+    p90: Math.round(rateP90 * getPeopleAhead(position) / openCounters),
+    basis: 'HISTORICAL',
+    sampleSize: weighted.length,
+    openCounters
+  });
+};
+
+/**
+ * Create Wait Time Estimator
+ * Loads history and open counter count once, returns a sync estimator
+ * so listing many customers costs a single round of queries
+ * 
+ * @param {Object} options
+ * @param {string} options.storeId - Store to estimate for
+ * @param {Date} options.at - Time of day to estimate for (defaults to now)
+ * @returns {Promise<Function>} (position) => { p50, p90, basis, sampleSize, openCounters }
+ */
+export const createWaitTimeEstimator = async ({ storeId = null, at = new Date() } = {}) => {
+  const [{ samples, timezone }, openCounterCount] = await Promise.all([
+    getRecentSamples(storeId),
+    BillingCounter.countOpen({ storeId })
+  ]);
+
+  return buildWaitTimeEstimator({ samples, openCounterCount, at, timezone });
+};
+
+/**
+ * Estimate Wait Time
+ * Convenience wrapper for a single position
+ * 
+ * @param {number} position - Position in queue
+ * @param {string} storeId - Store ID
+ * @returns {Promise<Object>} { p50, p90, basis, sampleSize, openCounters } in minutes
+ */
+export const estimateWaitTime = async (position, storeId = null) => {
+  const estimator = await createWaitTimeEstimator({ storeId });
+  return estimator(position);
+};
+
+/**
+ * Format Wait Range
+ * Human-readable range for display, e.g. "6-11 minutes"
+ * 
+ * @param {Object} estimate - Result of estimateWaitTime
+ * @returns {string} Formatted range
+ */
+export const formatWaitRange = (estimate) => {
+  if (!estimate) return 'N/A';
+  if (estimate.p50 === estimate.p90) return `${estimate.p50} minutes`;
+  return `${estimate.p50}-${estimate.p90} minutes`;
+};